@@ -22,7 +22,94 @@
  *
  *****************************************************************************/
 import { BaseClass } from "./src/BaseClass.js";
-export { BaseClass };
+import { MemoryAdapter } from "./src/adapters/MemoryAdapter.js";
+import {
+  ADAPTER_INTERFACE,
+  assertAdapter,
+  getMissingAdapterMethods,
+} from "./src/adapters/AdapterInterface.js";
+import { runAdapterConformance } from "./src/adapters/conformance.js";
+import { ConflictError } from "./src/errors.js";
+import { Page } from "./src/Page.js";
+import {
+  applyDeletePlan,
+  assertDeletePlanSize,
+  attachRelated,
+  collectDeletePlan,
+  detachRelated,
+  findRestrictingJoin,
+  loadRelations,
+  overrideStatics,
+  syncRelated,
+  toModelClass,
+  verifyDeletePlan,
+} from "./src/utils/relations.js";
+import {
+  propagateDenormalized,
+  resyncDenormalized,
+} from "./src/utils/denormalize.js";
+import {
+  applyPluginConstraints,
+  assertPlugin,
+  mergePluginClassProps,
+  wrapAdapter,
+} from "./src/utils/plugins.js";
+import {
+  HISTORY_CLASS_PROPS,
+  diffForDelete,
+  diffForHistory,
+  resolveActor,
+  writeDeletePlanHistory,
+  writeHistory,
+} from "./src/utils/audit.js";
+import {
+  normalizeAggregations,
+  reduceAggregations,
+} from "./src/utils/aggregate.js";
+import { GeoPoint, DocumentReference } from "./src/types.js";
+import { generateSecurityRules } from "./src/utils/securityRules.js";
+import { generateFirestoreIndexes } from "./src/utils/firestoreIndexes.js";
+import {
+  normalizeTokenFields,
+  resolveTokenizer,
+} from "./src/utils/tokenMap.js";
+
+/** `FireModel.on()` で登録できるイベント */
+const MODEL_EVENTS = [
+  "afterCreate",
+  "afterUpdate",
+  "afterDelete",
+  "afterRestore",
+];
+
+/** プラグインの登録回数（プラグインの適用結果のキャッシュを無効にするために使用） */
+let pluginVersion = 0;
+
+/** create / update の前に FireModel が実行し、アダプターからの呼び出しでは何もしないメソッド */
+const BEFORE_WRITE_METHODS = [
+  "beforeCreate",
+  "beforeUpdate",
+  "beforeEdit",
+  "validate",
+];
+
+/** アダプターごとの、`paginate` が使用するカーソルのクエリに対応しているかの確認結果 */
+const cursorQuerySupport = new WeakMap();
+
+export {
+  BaseClass,
+  ConflictError,
+  Page,
+  GeoPoint,
+  DocumentReference,
+  generateSecurityRules,
+  generateFirestoreIndexes,
+  MemoryAdapter,
+  ADAPTER_INTERFACE,
+  assertAdapter,
+  getMissingAdapterMethods,
+  runAdapterConformance,
+};
 
 /**
  * @file ./src/FireModel.js
@@ -38,52 +125,342 @@ export default class FireModel extends BaseClass {
   /**
    * Firestore の CRUD 機能を注入するアダプター。
    * `setAdapter` を使って `ClientAdapter` または `ServerAdapter` をセットします。
+   * - テスト用途では Firestore を使用しない `MemoryAdapter` をセットすることもできます。
+   * - サブクラスで `setAdapter` を呼び出すと、そのサブクラス（とその継承先）専用のアダプターになります。
+   *   設定されていないサブクラスは親クラスのアダプターを使用します。
    */
   static _adapter = null;
 
   /**
-   * FireModel にアダプターを設定します。
-   * @param {Object} adapter - Firestore CRUD アダプターインスタンス
+   * アダプターを設定します。
+   * - `FireModel.setAdapter()` はすべてのモデルで使用されるアダプターを設定します。
+   * - `Model.setAdapter()` は当該モデル（とその継承先）のアダプターのみを設定します。
+   * - アダプターは `ADAPTER_INTERFACE` に定義された必須メソッドを実装している必要があります。
+   * - `null` を指定するとアダプターの設定を解除します。
+   *   サブクラスで解除した場合は親クラスのアダプターを使用するようになります。
+   * @param {Object|null} adapter - Firestore CRUD アダプターインスタンス
+   * @throws {Error} 必須メソッドが不足している場合（AdapterInterfaceError）
    */
   static setAdapter(adapter) {
-    FireModel._adapter = adapter;
+    if (adapter != null) assertAdapter(adapter);
+    if (adapter == null && this !== FireModel) {
+      delete this._adapter;
+      return;
+    }
+    this._adapter = adapter;
   }
 
   /**
    * 現在設定されている Firestore アダプターを返します。
+   * - 当該クラスに設定されていなければ、親クラスに設定されたアダプターを返します。
+   * - プラグインの `wrap` がある場合は、メソッドをラップしたアダプターを返します。
    * @returns {Object} 設定されたアダプターインスタンス
    * @throws {Error} アダプターが未設定の場合
    */
   static getAdapter() {
-    if (!FireModel._adapter) {
+    if (!this._adapter) {
       throw new Error(
         "Firestore adapter is not set. Call FireModel.setAdapter first.",
       );
     }
-    return FireModel._adapter;
+    this._applyPlugins();
+    if (!this._resolvedPlugins.some(({ wrap }) => wrap)) return this._adapter;
+
+    const cache = Object.prototype.hasOwnProperty.call(this, "_wrappedAdapter")
+      ? this._wrappedAdapter
+      : null;
+    if (cache?.adapter !== this._adapter || cache.version !== pluginVersion) {
+      this._wrappedAdapter = {
+        adapter: this._adapter,
+        version: pluginVersion,
+        wrapped: wrapAdapter(this._adapter, this._resolvedPlugins, this),
+      };
+    }
+    return this._wrappedAdapter.wrapped;
   }
 
   /**
    * 現在設定されている Firestore アダプターのタイプを返します。
-   * @returns {'CLIENT'|'SERVER'} - Firestore アダプターのタイプを表す文字列
+   * @returns {'CLIENT'|'SERVER'|'MEMORY'} - Firestore アダプターのタイプを表す文字列
    */
   static get type() {
-    if (FireModel._adapter) return FireModel._adapter.type;
+    if (this._adapter) return this._adapter.type;
     return null;
   }
 
+  /**
+   * 当該クラスに `on()` で登録されたイベントハンドラー（イベント名をキーとする配列）です。
+   */
+  static _listeners = {};
+
+  /**
+   * モデルのイベントにハンドラーを登録します。
+   * - `FireModel.on()` で登録したハンドラーはすべてのモデルで、`Model.on()` で登録したハンドラーは
+   *   当該モデル（とその継承先）で実行されます。監査ログやキャッシュの破棄などを 1 か所で設定できます。
+   * - ハンドラーはインスタンスの after フックの後に、親クラスに登録されたものから順に実行されます。
+   * - ハンドラーには `{ event, model, instance, docId, prefix, transaction }` が渡されます。
+   *   `transaction` が指定された操作では、トランザクションのコミット前に実行されます。
+   * - ハンドラーのエラーはアダプターの logger に出力され、操作の結果には影響しません。
+   *
+   * 例:
+   * ```javascript
+   * const off = FireModel.on("afterUpdate", ({ model, docId }) => {
+   *   cache.delete(`${model.collectionPath}/${docId}`);
+   * });
+   * ```
+   *
+   * @param {"afterCreate"|"afterUpdate"|"afterDelete"|"afterRestore"} event - イベント名
+   * @param {Function} handler - ハンドラー
+   * @returns {Function} ハンドラーの登録を解除する関数
+   * @throws {Error} イベント名が不正な場合、またはハンドラーが関数でない場合
+   */
+  static on(event, handler) {
+    if (!MODEL_EVENTS.includes(event)) {
+      throw new Error(`[FireModel.js - on] Unsupported event "${event}".`);
+    }
+    if (typeof handler !== "function") {
+      throw new Error("[FireModel.js - on] handler must be a function.");
+    }
+    if (!Object.prototype.hasOwnProperty.call(this, "_listeners")) {
+      this._listeners = {};
+    }
+    this._listeners[event] = [...(this._listeners[event] || []), handler];
+    return () => this.off(event, handler);
+  }
+
+  /**
+   * `on()` で登録したハンドラーの登録を解除します。
+   * - `handler` を省略すると、当該クラスに登録されたイベントのハンドラーをすべて解除します。
+   *
+   * @param {string} event - イベント名
+   * @param {Function} [handler] - 解除するハンドラー
+   */
+  static off(event, handler) {
+    if (!Object.prototype.hasOwnProperty.call(this, "_listeners")) return;
+    const handlers = this._listeners[event] || [];
+    this._listeners[event] = handler
+      ? handlers.filter((item) => item !== handler)
+      : [];
+  }
+
+  /**
+   * イベントで実行するハンドラーを、親クラスに登録されたものから順に返します。
+   * @param {string} event - イベント名
+   * @returns {Array<Function>}
+   */
+  static _getListeners(event) {
+    this._applyPlugins();
+    const handlers = [];
+    for (
+      let Model = this;
+      Model && Model !== Function.prototype;
+      Model = Object.getPrototypeOf(Model)
+    ) {
+      if (Object.prototype.hasOwnProperty.call(Model, "_listeners")) {
+        handlers.unshift(...(Model._listeners[event] || []));
+      }
+    }
+    const pluginHandlers = this._resolvedPlugins
+      .map((plugin) => plugin.on?.[event])
+      .filter(Boolean);
+    return [...pluginHandlers, ...handlers];
+  }
+
+  /**
+   * このモデル（とその継承先）で使用するプラグインの配列です。
+   * - `FireModel.use()` と同様に登録されます（`install` はモデルの初回使用時に呼び出されます）。
+   * - プラグインは以下のプロパティを持つオブジェクトです（すべて任意）。
+   *   - `name`: プラグインの名前
+   *   - `classProps`: モデルに追加するプロパティの定義（モデル自身の定義が優先されます）
+   *   - `on`: `{ イベント名: ハンドラー }`。`on()` で登録したハンドラーより先に実行されます。
+   *   - `wrap`: `{ アダプターのメソッド名: (next, { model }) => function (args) {} }`。
+   *     返した関数がアダプターのメソッドの代わりに呼び出されます（`next.call(this, args)` で元の処理を実行します）。
+   *   - `constraints`: `({ model, prefix, operation }) => Array`。`fetchDocs`, `subscribeDocs`, `aggregate` の
+   *     クエリに追加する where 条件を返します（`fetch` など ID を指定した取得には適用されません）。
+   *   - `install`: `(Model) => void`。プラグインを登録したクラスを受け取ります。
+   *
+   * 例:
+   * ```javascript
+   * const tenantPlugin = {
+   *   name: "tenant",
+   *   classProps: { tenantId: { type: String, default: null } },
+   *   wrap: {
+   *     create: (next) =>
+   *       function (args) {
+   *         this.tenantId = currentTenantId;
+   *         return next.call(this, args);
+   *       },
+   *   },
+   *   constraints: () => [["where", "tenantId", "==", currentTenantId]],
+   * };
+   * class Site extends FireModel {
+   *   static plugins = [tenantPlugin];
+   * }
+   * ```
+   */
+  static plugins = [];
+
+  /**
+   * プラグインを登録します。
+   * - `FireModel.use()` はすべてのモデルに、`Model.use()` は当該モデル（とその継承先）に適用されます。
+   * - プラグインの定義は `static plugins` を参照してください。同じプラグインは一度だけ登録されます。
+   * - 適用順は親クラスのプラグインが先で、同じクラスでは `static plugins`、`use()` の順です。
+   *
+   * @param {Object} plugin - プラグイン
+   * @returns {typeof FireModel} このクラス（メソッドチェーン用）
+   * @throws {Error} プラグインの定義が不正な場合
+   */
+  static use(plugin) {
+    assertPlugin(plugin, MODEL_EVENTS);
+    if (!Object.prototype.hasOwnProperty.call(this, "_usedPlugins")) {
+      this._usedPlugins = [];
+    }
+    if (this.getPlugins().includes(plugin)) return this;
+    this._usedPlugins.push(plugin);
+    pluginVersion++;
+    if (plugin.install) plugin.install(this);
+    return this;
+  }
+
+  /**
+   * このモデルに適用されるプラグインを、適用順に返します。
+   * @returns {Array<Object>} プラグインの配列
+   */
+  static getPlugins() {
+    const chain = [];
+    for (
+      let Model = this;
+      Model && Model !== Function.prototype;
+      Model = Object.getPrototypeOf(Model)
+    ) {
+      chain.unshift(Model);
+    }
+    const own = (Model, key) =>
+      Object.prototype.hasOwnProperty.call(Model, key) ? Model[key] : [];
+    return [
+      ...new Set(
+        chain.flatMap((Model) => [
+          ...own(Model, "plugins"),
+          ...own(Model, "_usedPlugins"),
+        ]),
+      ),
+    ];
+  }
+
+  /**
+   * プラグインをこのクラスに適用します（プラグインが登録されるまでは再実行されません）。
+   * - `static plugins` の検証と `install` の呼び出しを、クラスごとに一度だけ行います。
+   * - プラグインの classProps を、クラスに定義された classProps とマージします。
+   * - インスタンスの生成時と `getAdapter()` の呼び出し時に実行されます。
+   */
+  static _applyPlugins() {
+    const hasOwn = (key) => Object.prototype.hasOwnProperty.call(this, key);
+    if (hasOwn("_pluginVersion") && this._pluginVersion === pluginVersion) {
+      return;
+    }
+    if (hasOwn("plugins") && !hasOwn("_pluginsInstalled")) {
+      this._pluginsInstalled = true;
+      this.plugins.forEach((plugin) => assertPlugin(plugin, MODEL_EVENTS));
+      this.plugins.forEach((plugin) => plugin.install?.(this));
+    }
+
+    const plugins = this.getPlugins();
+    if (plugins.some(({ classProps }) => classProps)) {
+      this.classProps = mergePluginClassProps(
+        this._getDeclaredClassProps(),
+        plugins,
+      );
+    }
+    this._resolvedPlugins = plugins;
+    this._pluginVersion = pluginVersion;
+  }
+
+  /**
+   * プラグインの classProps をマージする前の、クラスに定義された classProps を返します。
+   * @returns {Object}
+   */
+  static _getDeclaredClassProps() {
+    if (!Object.prototype.hasOwnProperty.call(this, "_declaredClassProps")) {
+      const parent = Object.getPrototypeOf(this);
+      this._declaredClassProps = Object.prototype.hasOwnProperty.call(
+        this,
+        "classProps",
+      )
+        ? this.classProps
+        : typeof parent._getDeclaredClassProps === "function"
+          ? parent._getDeclaredClassProps()
+          : parent.classProps || {};
+    }
+    return this._declaredClassProps;
+  }
+
+  /**
+   * プラグインの `constraints` が返す where 条件をクエリの引数に追加します。
+   * @param {Object} args - fetchDocs などに渡された引数
+   * @param {string} operation - 操作の名前（`fetchDocs` / `subscribeDocs` / `aggregate`）
+   * @returns {Object} 条件を追加した引数
+   */
+  static _withPluginConstraints(args, operation) {
+    this._applyPlugins();
+    return applyPluginConstraints(args, this._resolvedPlugins, {
+      model: this,
+      operation,
+    });
+  }
+
+  /**
+   * 文字列検索の場合に、検索文字列から tokenMap 検索のトークンが生成されることを確認します。
+   * - 最小の N-gram より短い検索文字列などはトークンが生成されず、tokenMap の条件が付かないまま
+   *   コレクション全体を検索することになるため、エラーとします。
+   * - 空文字列の検証は `createTokenMapQueries` で行われます。
+   * @param {Array|string} constraints - fetchDocs などに渡された検索条件または文字列
+   * @param {string} operation - 操作の名前（エラーメッセージに使用されます）
+   * @throws {Error} 検索文字列からトークンが生成されない場合
+   */
+  static _assertSearchable(constraints, operation) {
+    if (typeof constraints !== "string" || !constraints.trim()) return;
+    if (this.getSearchTokens(constraints).length) return;
+    const { ngram } = resolveTokenizer(this.tokenizer);
+    throw new Error(
+      `[FireModel.js - ${operation}] Search string "${constraints}" produces no search tokens (n-gram sizes: ${ngram.join(", ")}).`,
+    );
+  }
+
+  /**
+   * 当該クラスに設定された FireModel の動作設定です。
+   * - `setConfig()` を通じて注入されます。
+   */
+  static _config = {};
+
   /**
    * FireModel の動作設定です。
    * - `setConfig()` を通じて注入されます。
    * - 例：パスプレフィックスなど。
+   * - 親クラスの設定に当該クラスの設定を上書きしたものを返します。
    */
-  static config = {};
+  static get config() {
+    const parent = Object.getPrototypeOf(this);
+    const inherited = parent && "config" in parent ? parent.config : {};
+    if (!Object.prototype.hasOwnProperty.call(this, "_config")) {
+      return inherited;
+    }
+    return { ...inherited, ...this._config };
+  }
+  static set config(v) {
+    this._config = v;
+  }
 
   /**
    * FireModel の動作をカスタマイズします。
+   * - `FireModel.setConfig()` はすべてのモデルの設定を、`Model.setConfig()` は当該モデル
+   *   （とその継承先）の設定を行います。
+   * - サブクラスに設定されていない項目は親クラスの設定が使用されます。
    *
    * @param {Object} config - FireModel に注入する設定情報
    * @param {string} [config.prefix] - Firestore ドキュメントパスに付与する prefix
+   * @param {Function} [config.currentUser] - 監査モード（`static audit`）で操作者を返す関数。
+   *   `({ model })` で呼び出され、ID の文字列、`uid` または `id` を持つオブジェクト、null
+   *   （またはそれを返す Promise）を返します。
    * @throws {Error} prefix のセグメント数が奇数である場合
    */
   static setConfig(config) {
@@ -118,6 +495,58 @@ export default class FireModel extends BaseClass {
     return this.config;
   }
 
+  /**
+   * 指定したアダプターを使用する、このモデルの派生クラスを返します。
+   * - 元のクラスの設定は変更されません。
+   * - 派生クラスのインスタンスは元のクラスのインスタンスでもあります（instanceof が成立します）。
+   *
+   * 例:
+   * ```javascript
+   * const StagingCustomer = Customer.withAdapter(stagingAdapter);
+   * const docs = await new StagingCustomer().fetchDocs({ constraints: [] });
+   * ```
+   *
+   * @param {Object} adapter - Firestore CRUD アダプターインスタンス
+   * @returns {typeof FireModel} アダプターが設定された派生クラス
+   * @throws {Error} 必須メソッドが不足している場合（AdapterInterfaceError）
+   */
+  static withAdapter(adapter) {
+    const Variant = this._createVariant();
+    Variant.setAdapter(adapter);
+    return Variant;
+  }
+
+  /**
+   * 指定した設定を使用する、このモデルの派生クラスを返します。
+   * - 指定されなかった項目は元のクラスの設定が使用されます。
+   * - `withAdapter()` と組み合わせて使用できます。
+   *
+   * 例:
+   * ```javascript
+   * const Customer2 = Customer.withAdapter(adapter).withConfig({ prefix: "Companies/002" });
+   * ```
+   *
+   * @param {Object} config - FireModel に注入する設定情報
+   * @returns {typeof FireModel} 設定が適用された派生クラス
+   * @throws {Error} prefix のセグメント数が奇数である場合
+   */
+  static withConfig(config) {
+    const Variant = this._createVariant();
+    Variant.setConfig(config);
+    return Variant;
+  }
+
+  /**
+   * `withAdapter`, `withConfig` で使用する派生クラスを生成します。
+   * @returns {typeof FireModel}
+   */
+  static _createVariant() {
+    const Base = this;
+    const Variant = class extends Base {};
+    Object.defineProperty(Variant, "name", { value: Base.name });
+    return Variant;
+  }
+
   /**
    * The base path of the Firestore collection managed by this model.
    */
@@ -144,7 +573,7 @@ export default class FireModel extends BaseClass {
    * @throws {Error} 無効な prefix（奇数セグメント）である場合
    */
   static getEffectivePrefix(prefix = null) {
-    let effectivePrefix = prefix || this.config?.prefix || "";
+    let effectivePrefix = prefix || this.getConfig()?.prefix || "";
 
     if (effectivePrefix && !effectivePrefix.endsWith("/")) {
       effectivePrefix += "/";
@@ -197,7 +626,7 @@ export default class FireModel extends BaseClass {
    * @throws {Error} `docId` が指定されていない場合、またはアダプターが未設定の場合
    */
   static getDocRef(args = {}) {
-    const adapter = FireModel.getAdapter();
+    const adapter = this.getAdapter();
     // アダプターのメソッドを呼び出す際、thisコンテキストをバインド
     return adapter.getDocRef.bind(this)(args);
   }
@@ -219,6 +648,13 @@ export default class FireModel extends BaseClass {
    * - `field`: このモデル側のキー（フィルタリングに使用）
    * - `condition`: クエリ条件（演算子を含む配列: [フィールド, 演算子, 値]）
    * - `type`: 関連タイプ。通常は `"collection"`（それ以外を設定すると subCollection として扱われる）
+   * - `onDelete`: このモデルのドキュメントを削除する際の子ドキュメントの扱い（省略時は `"restrict"`）
+   *   - `"restrict"`: 子ドキュメントが存在する場合は削除できない
+   *   - `"cascade"`: 子ドキュメントも同じトランザクションで削除する（論理削除のモデルはアーカイブに移動し、
+   *     子ドキュメントの hasMany も再帰的に処理する）
+   *   - `"setNull"`: 子ドキュメントの `field` を null に更新する
+   * - `model`: 子コレクションのモデルクラス（またはクラスを返す関数）。`cascade` / `setNull` の場合は必須で、
+   *   `type` は `"collection"` である必要があります。
    *
    * 例 / Example:
    * hasMany = [
@@ -231,15 +667,450 @@ export default class FireModel extends BaseClass {
    * ];
    *
    * 上記は「このモデルが Project の場合、Tasks コレクションの中から projectId が一致するタスクを関連付ける」という意味です。
+   * `{ ..., model: () => Task, onDelete: "cascade" }` とすると、Project の削除時にタスクも削除されます。
    */
   static hasMany = [];
 
+  /**
+   * このモデルが参照するドキュメントのリレーション定義（リレーション名をキーとするオブジェクト）。
+   * - `model`: 関連モデルのクラス（循環参照に対応するため、クラスを返す関数も指定できます）
+   * - `foreignKey`: 関連ドキュメントの docId を保持する、このモデルのプロパティ名
+   *
+   * 例:
+   * ```javascript
+   * static belongsTo = {
+   *   customer: { model: () => Customer, foreignKey: "customerId" },
+   * };
+   * const sites = await new Site().fetchDocs({ include: ["customer"] });
+   * sites[0].customer; // => Customer のインスタンス（存在しなければ null）
+   * ```
+   */
+  static belongsTo = {};
+
+  /**
+   * このモデルを参照する 1 件のドキュメントのリレーション定義（リレーション名をキーとするオブジェクト）。
+   * - `model`: 関連モデルのクラス（またはクラスを返す関数）
+   * - `foreignKey`: このモデルの docId を保持する、関連モデルのプロパティ名
+   * - 該当するドキュメントが複数存在する場合は、最初に取得されたドキュメントが使用されます。
+   *
+   * 例:
+   * ```javascript
+   * static hasOne = {
+   *   contract: { model: () => Contract, foreignKey: "customerId" },
+   * };
+   * ```
+   */
+  static hasOne = {};
+
+  /**
+   * 他のモデルの値をこのモデルのプロパティにコピーして保持する（非正規化する）定義
+   * （任意の名前をキーとするオブジェクト）。
+   * - `model`: コピー元のモデルクラス（またはクラスを返す関数）
+   * - `foreignKey`: コピー元のドキュメントの docId を保持する、このモデルのプロパティ名
+   * - `fields`: コピーするプロパティ。名前が同じ場合は配列で、異なる場合は `{ コピー先: コピー元 }` で指定します。
+   *   コピー先のプロパティは classProps に定義されている必要があります（tokenFields にも指定できます）。
+   * - コピー元のモデルの `denormalizedBy` にこのモデルを指定すると、コピー元の `update()` で値が反映されます。
+   * - 既存のドキュメントへの反映には `resyncDenormalized()` を使用します。
+   *
+   * 例:
+   * ```javascript
+   * class Site extends FireModel {
+   *   static denormalize = {
+   *     customer: {
+   *       model: () => Customer,
+   *       foreignKey: "customerId",
+   *       fields: { customerName: "name" },
+   *     },
+   *   };
+   * }
+   * class Customer extends FireModel {
+   *   static denormalizedBy = [() => Site, () => Invoice];
+   * }
+   * ```
+   */
+  static denormalize = {};
+
+  /**
+   * このモデルの値をコピーして保持しているモデルクラス（またはクラスを返す関数）の配列。
+   * - `update()` で変更されたプロパティが、各モデルの `denormalize` の定義に従って反映されます。
+   */
+  static denormalizedBy = [];
+
+  /**
+   * このモデルのすべてのドキュメントについて、`denormalize` のコピー元の値を再取得して反映します。
+   * - 既存データへの反映（バックフィル）や、反映に失敗した場合の修復に使用します。
+   * - ドキュメント ID の順に `batchSize` 件ずつ処理し、ページごとに `onProgress` が呼び出されます。
+   *   進捗の `cursor` を保存しておくと、中断した位置から再開できます。
+   * - コピー元のドキュメントが存在しない場合、値は変更されません。
+   *
+   * 例:
+   * ```javascript
+   * const saved = localStorage.getItem("resync-sites");
+   * await Site.resyncDenormalized({
+   *   cursor: saved,
+   *   onProgress: ({ cursor }) => localStorage.setItem("resync-sites", cursor ?? ""),
+   * });
+   * ```
+   *
+   * @param {Object} [options={}]
+   * @param {string|null} [options.name=null] - 対象とする denormalize の名前（null はすべて）
+   * @param {string|null} [options.prefix=null] - パスのプレフィックス
+   * @param {number} [options.batchSize=500] - 1 ページ（1 回のトランザクション）で処理するドキュメント数
+   * @param {string|null} [options.cursor=null] - 再開する位置（前回の進捗の `cursor`）
+   * @param {Function|null} [options.onProgress=null] - ページごとに `{ processed, updated, cursor, done }` で呼び出される関数
+   * @returns {Promise<{ processed: number, updated: number, cursor: string|null, done: boolean }>}
+   *   この呼び出しで処理・更新した件数
+   * @throws {Error} denormalize が定義されていない場合、または定義が不正な場合
+   */
+  static async resyncDenormalized(options = {}) {
+    return await resyncDenormalized(this, options);
+  }
+
+  /**
+   * 中間コレクションを介した多対多のリレーション定義（リレーション名をキーとするオブジェクト）。
+   * - `model`: 関連モデルのクラス（またはクラスを返す関数）
+   * - `through`: 中間コレクションのパス（文字列）、または中間コレクションのモデルクラス（またはクラスを返す関数）
+   * - `foreignKey`: このモデルの docId を保持する、中間ドキュメントのプロパティ名
+   * - `relatedKey`: 関連ドキュメントの docId を保持する、中間ドキュメントのプロパティ名
+   * - `onDelete`: このモデルのドキュメントを削除する際の中間ドキュメントの扱い（省略時は `"restrict"`）
+   *   - `"restrict"`: 中間ドキュメントが存在する場合は削除できない（`hasChild()` が中間コレクションを返します）
+   *   - `"cascade"`: 中間ドキュメントも同じトランザクションで削除する（関連ドキュメントは削除されません）
+   * - 中間ドキュメントの docId は 2 つの docId から決まるため、キーを入れ替えた逆方向の定義と
+   *   同じ中間コレクションを共有できます。
+   *
+   * 例:
+   * ```javascript
+   * static belongsToMany = {
+   *   sites: {
+   *     model: () => Site,
+   *     through: "SiteAssignments",
+   *     foreignKey: "staffId",
+   *     relatedKey: "siteId",
+   *   },
+   * };
+   * await staff.attach("sites", ["site001", "site002"]);
+   * const sites = await staff.fetchRelated("sites");
+   * ```
+   */
+  static belongsToMany = {};
+
+  /**
+   * belongsToMany の中間コレクションのモデルクラスを返します。
+   * - `through` にモデルクラスが指定されている場合はそのクラスを返します。
+   * - 文字列が指定されている場合は、`foreignKey` と `relatedKey` をプロパティに持つクラスを生成します。
+   *   生成したクラスはこのモデルのアダプターと設定（prefix）を使用します。このモデルのプラグインは
+   *   中間ドキュメントには適用されません（プラグインでラップされていないアダプターを使用します）。
+   *
+   * @param {string} name - リレーション名
+   * @returns {typeof FireModel} 中間コレクションのモデルクラス
+   * @throws {Error} リレーションが定義されていない場合、または `through` が指定されていない場合
+   */
+  static getJoinModel(name) {
+    const definition = this.belongsToMany?.[name];
+    if (!definition?.through) {
+      throw new Error(
+        `[FireModel.js - getJoinModel] belongsToMany "${name}" of ${this.name} requires through.`,
+      );
+    }
+    const { through, foreignKey, relatedKey } = definition;
+    if (typeof through === "function") {
+      return typeof through.getCollectionPath === "function"
+        ? through
+        : through();
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(this, "_joinModels")) {
+      this._joinModels = {};
+    }
+    if (!this._joinModels[name]) {
+      const Owner = this;
+      const JoinModel = class extends FireModel {
+        static collectionPath = through;
+        static classProps = {
+          [foreignKey]: { type: String, default: null, required: true },
+          [relatedKey]: { type: String, default: null, required: true },
+        };
+        static get _adapter() {
+          return Owner._adapter;
+        }
+        static get config() {
+          return Owner.config;
+        }
+        static getPlugins() {
+          return [];
+        }
+      };
+      Object.defineProperty(JoinModel, "name", { value: through });
+      this._joinModels[name] = JoinModel;
+    }
+    return this._joinModels[name];
+  }
+
+  /**
+   * インスタンスの配列に、`belongsTo` / `hasOne` / `belongsToMany` で定義された関連ドキュメントを読み込みます。
+   * - 関連ドキュメントはリレーションごとにまとめて取得され（N+1 回のクエリになりません）、
+   *   リレーション名の列挙されないプロパティとして設定されます。`toObject()` には含まれません。
+   * - `fetch`, `fetchDoc`, `fetchDocs`, `subscribeDocs` の `include` オプションから呼び出されます。
+   *
+   * @param {Array<Object>} docs - インスタンスの配列
+   * @param {string|Array<string>} include - 読み込むリレーション名（の配列）
+   * @param {Object} [options={}]
+   * @param {string|null} [options.prefix=null] - パスのプレフィックス
+   * @returns {Promise<Array<Object>>} 引数の `docs`
+   * @throws {Error} リレーションが定義されていない場合
+   */
+  static async loadRelations(docs, include, options = {}) {
+    return await loadRelations(this, docs, include, options);
+  }
+
+  /**
+   * `update()` の既定の更新モード。
+   * - true の場合、`update()` は変更されたプロパティ（`dirtyFields`）のみを書き込みます（`_partialUpdate` を参照）。
+   *   別の画面で同時に編集された、無関係なプロパティを上書きしないようにするためのものです。
+   * - `update({ partial })` で呼び出しごとに指定することもできます。
+   */
+  static partialUpdate = false;
+
+  /**
+   * 楽観的排他制御の有効フラグ。
+   * - true の場合、`update()` と `delete()` はトランザクション内で Firestore 上のドキュメントを読み取り、
+   *   `lockField` の値がインスタンスの値と一致しなければ `ConflictError` をスローします。
+   * - 呼び出し元から `transaction` が渡された場合、そのトランザクション内で読み取りを行います。
+   *   Firestore の制約上、読み取りは書き込みより前に行われる必要があることに注意してください。
+   */
+  static optimisticLock = false;
+
+  /**
+   * 楽観的排他制御で比較に使用するフィールド名。
+   * - 既定値の `"updatedAt"` の場合は最終更新日時を比較します。
+   * - それ以外（例: `"version"`）を指定した場合は数値のバージョン番号として扱い、
+   *   `update()` のたびに 1 ずつ加算します。この場合は `classProps` にも定義してください。
+   */
+  static lockField = "updatedAt";
+
+  /**
+   * 監査モードの有効フラグ。
+   * - true の場合、`setConfig({ currentUser })` で指定した関数から操作者を取得し、
+   *   作成時は `createdBy` と `updatedBy` に、更新時は `updatedBy` に記録します。
+   * - create / update / delete / restore のたびに、変更内容（`_beforeData` との差分）・操作者・
+   *   日時（`createdAt`）・操作を `<collection>/{docId}/history` に書き込みます。
+   *   履歴はドキュメントの書き込みと同じトランザクションで書き込まれます。
+   * - restore では `updatedBy` は変更されず、履歴の変更内容は空になります。
+   * - delete の履歴には削除前の値が記録されます。`logicalDelete` の場合はアーカイブに移動するだけのため、
+   *   変更内容は空になります。
+   * - 親ドキュメントの削除に伴って hasMany の `onDelete`（cascade / setNull）で削除・更新されたドキュメントにも、
+   *   そのモデルが監査モードであれば、同じトランザクションで delete / update の履歴が書き込まれます。
+   * - `denormalize` によるコピー先の更新（`propagateDenormalized` / `resyncDenormalized`）は
+   *   利用者による編集ではないため、`updatedBy` は変更されず、変更履歴も書き込まれません。
+   *
+   * 例:
+   * ```javascript
+   * FireModel.setConfig({ currentUser: () => auth.currentUser });
+   * class Customer extends FireModel {
+   *   static audit = true;
+   * }
+   * const histories = await customer.fetchHistory();
+   * ```
+   */
+  static audit = false;
+
+  /**
+   * 指定したドキュメントの変更履歴（`<collection>/{docId}/history`）のモデルクラスを返します。
+   * - 生成したクラスはこのモデルのアダプターと設定（prefix）を使用し、プラグインは適用されません。
+   *
+   * @param {string} docId - 変更履歴を持つドキュメントの ID
+   * @returns {typeof FireModel} 変更履歴のモデルクラス
+   * @throws {Error} docId が無い場合
+   */
+  static getHistoryModel(docId) {
+    if (!docId) {
+      throw new Error("[FireModel.js - getHistoryModel] docId is required.");
+    }
+    const Owner = this;
+    const History = class extends FireModel {
+      static collectionPath = "history";
+      static classProps = HISTORY_CLASS_PROPS;
+      static get _adapter() {
+        return Owner._adapter;
+      }
+      static get config() {
+        return Owner.config;
+      }
+      static getPlugins() {
+        return [];
+      }
+      static getCollectionPath(prefix = null) {
+        return `${Owner.getCollectionPath(prefix)}/${docId}/history`;
+      }
+    };
+    Object.defineProperty(History, "name", { value: `${this.name}History` });
+    return History;
+  }
+
+  /**
+   * このモデルで使用するクエリの定義。
+   * - キーはクエリ名、値は `createQueries` と同じ形式のクエリ条件の配列です。
+   * - 値を省略した `["where", field, op]` は、呼び出し時に引数で値を受け取ります。
+   * - 定義したクエリは `Model.query.<クエリ名>(...values)` で実行できます。
+   * - `generateFirestoreIndexes()` で、定義したクエリに必要な複合インデックスを生成できます。
+   *
+   * 例:
+   * static queries = {
+   *   byStatus: [["where", "status", "=="], ["orderBy", "createdAt", "desc"]],
+   * };
+   * const docs = await Customer.query.byStatus("active");
+   */
+  static queries = {};
+
+  /**
+   * `queries` に定義されたクエリ条件に値を当てはめて返します。
+   * - 値を省略した `["where", field, op]` に、`values` の値が先頭から順に当てはめられます。
+   *
+   * @param {string} name - クエリ名
+   * @param {Array} [values=[]] - where 条件に当てはめる値の配列
+   * @returns {Array<Array>} クエリ条件の配列
+   * @throws {Error} クエリが定義されていない場合、または値が不足している場合
+   */
+  static getQueryConstraints(name, values = []) {
+    const definition = this.queries?.[name];
+    if (!Array.isArray(definition)) {
+      throw new Error(
+        `[FireModel.js] Query "${name}" is not defined in ${this.name}.queries.`,
+      );
+    }
+
+    let index = 0;
+    return definition.map((constraint) => {
+      if (constraint[0] !== "where" || constraint.length !== 3) {
+        return [...constraint];
+      }
+      if (index >= values.length) {
+        throw new Error(
+          `[FireModel.js] Query "${name}" requires a value for "${constraint[1]}".`,
+        );
+      }
+      return [...constraint, values[index++]];
+    });
+  }
+
+  /**
+   * `queries` に定義されたクエリを実行する関数をまとめたオブジェクトを返します。
+   * - 各関数は where 条件の値を引数に受け取り、該当するインスタンスの配列を返します。
+   * - 値の後に `{ prefix, transaction, constraints }` を渡すと `fetchDocs` の引数として使用され、
+   *   `constraints` はクエリ条件の末尾に追加されます。
+   *
+   * 例:
+   * ```javascript
+   * await Customer.query.byStatus("active", { constraints: [["limit", 10]] });
+   * ```
+   * @returns {Object<string, Function>} クエリ名をキーとする関数のオブジェクト
+   */
+  static get query() {
+    return Object.fromEntries(
+      Object.entries(this.queries || {}).map(([name, definition]) => {
+        const valueCount = definition.filter(
+          (constraint) => constraint[0] === "where" && constraint.length === 3,
+        ).length;
+        const execute = async (...args) => {
+          const { constraints = [], ...fetchArgs } = args[valueCount] || {};
+          return await new this().fetchDocs({
+            ...fetchArgs,
+            constraints: [
+              ...this.getQueryConstraints(name, args.slice(0, valueCount)),
+              ...constraints,
+            ],
+          });
+        };
+        return [name, execute];
+      }),
+    );
+  }
+
+  /**
+   * クエリ条件に一致するドキュメントを集計します。
+   * - アダプターが `aggregate` を実装していれば集計クエリを使用し、ドキュメントを取得せずに集計します。
+   *   実装していない場合は `fetchDocs` で取得したドキュメントをメモリ上で集計します。
+   * - 文字列検索で `static tokenizer` の `postFilter` が有効な場合は、`fetchDocs` と結果を一致させるため、
+   *   アダプターの `aggregate` を使用せずにメモリ上で集計します。
+   * - 集計の定義は `{ [alias]: [type, field] }` の形式で、type は "count" / "sum" / "average" です。
+   * - sum / average は数値以外の値を無視し、対象が無い場合 sum は 0、average は null になります。
+   *
+   * 例:
+   * ```javascript
+   * const { count, total } = await Order.aggregate(
+   *   { count: ["count"], total: ["sum", "amount"] },
+   *   { constraints: [["where", "status", "==", "shipped"]] },
+   * );
+   * ```
+   *
+   * @param {Object<string, Array>} aggregations - 集計の定義
+   * @param {Object} [args={}] - `fetchDocs` と同じ `{ constraints, options, prefix }`
+   * @returns {Promise<Object<string, number|null>>} エイリアスをキーとする集計結果
+   * @throws {Error} 集計の定義が不正な場合、またはクエリが無効な場合
+   */
+  static async aggregate(aggregations, args = {}) {
+    const normalized = normalizeAggregations(aggregations);
+    const instance = new this();
+    const adapter = this.getAdapter();
+    const postFiltered =
+      typeof args.constraints === "string" &&
+      resolveTokenizer(this.tokenizer).postFilter;
+    if (typeof adapter.aggregate === "function" && !postFiltered) {
+      this._assertSearchable(args.constraints, "aggregate");
+      return await adapter.aggregate.bind(instance)({
+        ...this._withPluginConstraints(args, "aggregate"),
+        aggregations: normalized,
+      });
+    }
+
+    const docs = await instance.fetchDocs(args);
+    return reduceAggregations(docs, normalized, (doc, field) =>
+      field.split(".").reduce((current, key) => current?.[key], doc),
+    );
+  }
+
+  /**
+   * クエリ条件に一致するドキュメントの件数を返します。
+   * @param {Object} [args={}] - `fetchDocs` と同じ `{ constraints, options, prefix }`
+   * @returns {Promise<number>} ドキュメントの件数
+   */
+  static async count(args = {}) {
+    const { count } = await this.aggregate({ count: ["count"] }, args);
+    return count;
+  }
+
+  /**
+   * クエリ条件に一致するドキュメントについて、指定したフィールドの合計を返します。
+   * @param {string} field - 集計するフィールド（ドット区切りでネストしたフィールドを指定可能）
+   * @param {Object} [args={}] - `fetchDocs` と同じ `{ constraints, options, prefix }`
+   * @returns {Promise<number>} 合計（対象が無い場合は 0）
+   */
+  static async sum(field, args = {}) {
+    const { sum } = await this.aggregate({ sum: ["sum", field] }, args);
+    return sum;
+  }
+
+  /**
+   * クエリ条件に一致するドキュメントについて、指定したフィールドの平均を返します。
+   * @param {string} field - 集計するフィールド（ドット区切りでネストしたフィールドを指定可能）
+   * @param {Object} [args={}] - `fetchDocs` と同じ `{ constraints, options, prefix }`
+   * @returns {Promise<number|null>} 平均（対象が無い場合は null）
+   */
+  static async average(field, args = {}) {
+    const { average } = await this.aggregate(
+      { average: ["average", field] },
+      args,
+    );
+    return average;
+  }
+
   /**
    * FireModel の新しいインスタンスを作成します。
    * - `_initializeCoreProperties()` により、インスタンスの基本的な構造とシステムフィールドをセットアップします。
    * @param {Object} item - 初期化に使用する値を持つオブジェクト
    */
   constructor(item = {}) {
+    new.target._applyPlugins();
     super(item);
 
     /** リアルタイムリスナー用変数 */
@@ -265,21 +1136,55 @@ export default class FireModel extends BaseClass {
   /**
    * Firestore 用のコンバーターを提供します。
    * - Firestore との相互変換に使用します。
-   * - `toFirestore`: インスタンス → プレーンオブジェクト
+   * - `toFirestore`: インスタンス → プレーンオブジェクト（GeoPoint はアダプターの GeoPoint に変換）
    * - `fromFirestore`: スナップショット → クラスインスタンス
    * @returns {Object} `toFirestore`, `fromFirestore` を持つ変換オブジェクト
    */
   static converter() {
     return {
-      toFirestore: (instance) => instance.toObject(),
+      toFirestore: (instance) => this._toFirestoreData(instance.toObject()),
       fromFirestore: (snapshot) => this.fromFirestore(snapshot), // `this` はクラスを指す
     };
   }
 
+  /**
+   * 書き込み用のデータに含まれる GeoPoint をアダプターが提供する GeoPoint（`adapter.GeoPoint`）に
+   * 変換します。
+   * - アダプターの GeoPoint が本パッケージの GeoPoint の場合はデータをそのまま返します。
+   * - 配列やネストしたオブジェクトにも再帰的に適用されます。
+   * @param {Object} data - `toObject()` で得られたプレーンなオブジェクト
+   * @returns {Object} 変換後のオブジェクト
+   * @throws {Error} アダプターが GeoPoint クラスを提供しない場合
+   */
+  static _toFirestoreData(data) {
+    const NativeGeoPoint = this.getAdapter().GeoPoint;
+    if (typeof NativeGeoPoint !== "function") {
+      throw new Error(
+        "[FireModel.js - _toFirestoreData] Adapter does not provide a GeoPoint class.",
+      );
+    }
+    if (NativeGeoPoint === GeoPoint) return data;
+
+    const convert = (value) => {
+      if (value instanceof GeoPoint) {
+        return new NativeGeoPoint(value.latitude, value.longitude);
+      }
+      if (Array.isArray(value)) return value.map(convert);
+      if (value && Object.getPrototypeOf(value) === Object.prototype) {
+        return Object.fromEntries(
+          Object.entries(value).map(([key, v]) => [key, convert(v)]),
+        );
+      }
+      return value;
+    };
+    return convert(data);
+  }
+
   /**
    * Firestore スナップショットをクラスインスタンスに変換します。
    * - カスタムクラス指定がある場合、自動でインスタンス化されます。
    * - 配列内のオブジェクトにも再帰的に適用されます。
+   * - Date 型のプロパティは Timestamp から Date に、GeoPoint 型のプロパティは GeoPoint に変換されます。
    * @param {DocumentSnapshot} snapshot - Firestore ドキュメントスナップショット
    * @returns {FireModel} インスタンス化されたオブジェクト
    * @throws {Error} スナップショットが無効な場合
@@ -317,6 +1222,13 @@ export default class FireModel extends BaseClass {
         if (data[key]) {
           data[key] = new classProp.customClass(data[key]);
         }
+      } else if (
+        classProp?.type === Date &&
+        typeof data[key]?.toDate === "function"
+      ) {
+        data[key] = data[key].toDate();
+      } else if (classProp?.type === GeoPoint) {
+        data[key] = GeoPoint.from(data[key]);
       }
     });
 
@@ -348,6 +1260,12 @@ export default class FireModel extends BaseClass {
         : updatedAt?.toDate
           ? updatedAt.toDate()
           : null;
+
+    // 監査モードの場合のみ createdBy, updatedBy を持つ
+    if (this.constructor.audit) {
+      this.createdBy = item?.createdBy ?? null;
+      this.updatedBy = item?.updatedBy ?? null;
+    }
   }
 
   /**
@@ -438,6 +1356,138 @@ export default class FireModel extends BaseClass {
     return Promise.resolve();
   }
 
+  /**
+   * ドキュメント作成後に実行されるフック処理です。
+   * - 通常はサブクラスでオーバーライドして使用します。
+   * - このクラスでは何も行いません（デフォルト実装）。
+   * - `transaction` が指定された場合は、トランザクションのコミット前に実行されます。
+   *
+   * @param {Object} args - `create()` に渡された引数
+   * @returns {Promise<void>} 解決済みの Promise
+   */
+  afterCreate(args = {}) {
+    return Promise.resolve();
+  }
+
+  /**
+   * ドキュメント更新後に実行されるフック処理です。
+   * - 通常はサブクラスでオーバーライドして使用します。
+   * - このクラスでは何も行いません（デフォルト実装）。
+   * - `transaction` が指定された場合は、トランザクションのコミット前に実行されます。
+   *
+   * @param {Object} args - `update()` に渡された引数
+   * @returns {Promise<void>} 解決済みの Promise
+   */
+  afterUpdate(args = {}) {
+    return Promise.resolve();
+  }
+
+  /**
+   * ドキュメント削除後に実行されるフック処理です。
+   * - 通常はサブクラスでオーバーライドして使用します。
+   * - このクラスでは何も行いません（デフォルト実装）。
+   * - `transaction` が指定された場合は、トランザクションのコミット前に実行されます。
+   *
+   * @param {Object} args - `delete()` に渡された引数
+   * @returns {Promise<void>} 解決済みの Promise
+   */
+  afterDelete(args = {}) {
+    return Promise.resolve();
+  }
+
+  /**
+   * ドキュメント復元後に実行されるフック処理です。
+   * - 通常はサブクラスでオーバーライドして使用します。
+   * - このクラスでは何も行いません（デフォルト実装）。
+   * - `transaction` が指定された場合は、トランザクションのコミット前に実行されます。
+   *
+   * @param {Object} args - `restore()` に渡された引数
+   * @returns {Promise<void>} 解決済みの Promise
+   */
+  afterRestore(args = {}) {
+    return Promise.resolve();
+  }
+
+  /**
+   * after フックと、`on()` で登録されたハンドラーを実行します。
+   * - after フックのエラーは呼び出し元にスローされます。
+   * - ハンドラーのエラーはアダプターの logger に出力され、スローされません（書き込みは完了しているため）。
+   *
+   * @param {string} event - イベント名（`afterCreate` など）
+   * @param {Object} args - 操作に渡された引数
+   */
+  async _runAfterHooks(event, args = {}) {
+    await this[event](args);
+    const Model = this.constructor;
+    const payload = {
+      event,
+      model: Model,
+      instance: this,
+      docId: args.docId ?? this.docId ?? null,
+      prefix: args.prefix ?? null,
+      transaction: args.transaction ?? null,
+    };
+    for (const handler of Model._getListeners(event)) {
+      try {
+        await handler(payload);
+      } catch (error) {
+        const logger = Model._adapter?.logger || console;
+        logger.error(`[FireModel.js - ${event}]`, error);
+      }
+    }
+  }
+
+  /**
+   * 監査モード（`static audit`）の場合に、操作者を記録し、変更履歴を同じトランザクションで書き込みます。
+   * - 監査モードでない場合は `operation(args)` をそのまま実行します。
+   * - `transaction` が渡されていない場合はトランザクションを開始し、`operation` に渡します。
+   * - 変更内容は `operation` の実行後（フックによる変更を含む）、`_beforeData` の更新前に計算されます。
+   *
+   * @param {string} event - 操作（`create` / `update` / `delete` / `restore`）
+   * @param {Object} args - 操作に渡された引数
+   * @param {Function} operation - `(args)` で呼び出され、ドキュメントの書き込みを行う関数
+   * @returns {Promise<any>} `operation` の結果
+   */
+  async _runWithAudit(event, args, operation) {
+    const Model = this.constructor;
+    if (!Model.audit) return await operation(args);
+
+    const actor = await resolveActor(Model);
+    const { createdBy, updatedBy } = this;
+    if (event === "create") this.createdBy = actor;
+    if (event === "create" || event === "update") this.updatedBy = actor;
+
+    const performTransaction = async (transaction) => {
+      const result = await operation({ ...args, transaction });
+      const before = event === "create" ? {} : this._beforeData || {};
+      const changes =
+        event === "restore"
+          ? []
+          : event === "delete"
+            ? diffForDelete(Model, before)
+            : diffForHistory(Model, before, this.toObject());
+      writeHistory(Model, {
+        transaction,
+        docId: event === "restore" ? args.docId : this.docId,
+        prefix: args.prefix ?? null,
+        operation: event,
+        actor,
+        changes,
+      });
+      return result;
+    };
+
+    try {
+      return args.transaction
+        ? await performTransaction(args.transaction)
+        : await Model.runTransaction(performTransaction);
+    } catch (err) {
+      this.createdBy = createdBy;
+      this.updatedBy = updatedBy;
+      throw err;
+    }
+  }
+
   /**
    * Firestore トランザクションを使って自動採番を設定します。
    * - `Autonumbers` コレクションのドキュメントを取得し、`current` をインクリメントして採番します。
@@ -450,13 +1500,16 @@ export default class FireModel extends BaseClass {
    * @throws {Error} ドキュメントが存在しない、無効なステータス、最大値到達時など
    */
   async setAutonumber(params = {}) {
-    const adapter = FireModel.getAdapter();
+    const adapter = this.constructor.getAdapter();
     return await adapter.setAutonumber.bind(this)(params);
   }
 
   /**
    * Create a new document in Firestore.
    * - This function calls the adapter's `create` method.
+   * - The `beforeCreate` / `beforeEdit` hooks and `validateAsync()` are run by FireModel before
+   *   calling the adapter (see `_runWithBeforeHooks`).
+   * - The `afterCreate` hook and the `on("afterCreate")` handlers are run after writing.
    * @param {Object} args - Creation options.
    * @param {string} [args.docId] - Document ID to use (optional).
    * @param {boolean} [args.useAutonumber=true] - Whether to use auto-numbering.
@@ -465,10 +1518,18 @@ export default class FireModel extends BaseClass {
    * @param {string} [args.prefix] - Path prefix.
    * @returns {Promise<DocumentReference>} Reference to the created document.
    * @throws {Error} If creation fails or `callBack` is not a function.
+   * @throws {Error} ValidationError if synchronous or asynchronous validation fails.
    */
   async create(args = {}) {
-    const adapter = FireModel.getAdapter();
-    return await adapter.create.bind(this)(args);
+    const adapter = this.constructor.getAdapter();
+    const result = await this._runWithAudit("create", args, (auditArgs) =>
+      this._runWithBeforeHooks("create", auditArgs, (context) =>
+        adapter.create.bind(context)(auditArgs),
+      ),
+    );
+    this._beforeData = this.toObject();
+    await this._runAfterHooks("afterCreate", args);
+    return result;
   }
 
   /**
@@ -479,12 +1540,20 @@ export default class FireModel extends BaseClass {
    * @param {string} args.docId - Document ID to fetch.
    * @param {Object|null} [args.transaction=null] - Firestore transaction (optional).
    * @param {string|null} [args.prefix=null] - Path prefix (optional).
+   * @param {string|Array<string>} [args.include] - Relation names to load (see `loadRelations`).
    * @returns {Promise<boolean>} True if document was found and loaded, false if not found.
    * @throws {Error} If `docId` is not specified or fetch fails.
    */
   async fetch(args = {}) {
-    const adapter = FireModel.getAdapter();
-    return await adapter.fetch.bind(this)(args);
+    const { include = null, ...fetchArgs } = args;
+    const adapter = this.constructor.getAdapter();
+    const result = await adapter.fetch.bind(this)(fetchArgs);
+    if (result && include) {
+      await this.constructor.loadRelations([this], include, {
+        prefix: fetchArgs.prefix,
+      });
+    }
+    return result;
   }
 
   /**
@@ -494,12 +1563,20 @@ export default class FireModel extends BaseClass {
    * @param {string} args.docId - Document ID to fetch.
    * @param {Object|null} [args.transaction=null] - Firestore transaction (optional).
    * @param {string|null} [args.prefix=null] - Path prefix (optional).
+   * @param {string|Array<string>} [args.include] - Relation names to load (see `loadRelations`).
    * @returns {Promise<Object|null>} Document data, or null if not found.
    * @throws {Error} If `docId` is not specified or fetch fails.
    */
   async fetchDoc(args = {}) {
-    const adapter = FireModel.getAdapter();
-    return await adapter.fetchDoc.bind(this)(args);
+    const { include = null, ...fetchArgs } = args;
+    const adapter = this.constructor.getAdapter();
+    const doc = await adapter.fetchDoc.bind(this)(fetchArgs);
+    if (doc && include) {
+      await this.constructor.loadRelations([doc], include, {
+        prefix: fetchArgs.prefix,
+      });
+    }
+    return doc;
   }
 
   /**
@@ -512,13 +1589,15 @@ export default class FireModel extends BaseClass {
    * @throws {Error} 未対応または不明なクエリタイプ指定時
    */
   createQueries(constraints) {
-    const adapter = FireModel.getAdapter();
+    const adapter = this.constructor.getAdapter();
     return adapter.createQueries.bind(this)(constraints);
   }
 
   /**
    * `tokenMap` を利用した N-Gram 検索用の Firestore クエリを生成します。
-   * - 検索文字列から1〜2文字のトークンを生成し、クエリ条件を構築します。
+   * - 検索文字列から `static tokenizer` の設定に従ってトークンを生成し（`getSearchTokens`）、
+   *   各トークンを `["where", "tokenMap.<token>", "==", true]` として `createQueries` で変換します。
+   * - アダプターは文字列検索の際にこのメソッドを呼び出すため、tokenizer の設定はアダプターに依存しません。
    * - サロゲートペア文字（絵文字など）は除外されます。
    *
    * @param {string} constraints - 検索文字列
@@ -526,8 +1605,15 @@ export default class FireModel extends BaseClass {
    * @throws {Error} 空文字列が指定された場合
    */
   createTokenMapQueries(constraints) {
-    const adapter = FireModel.getAdapter();
-    return adapter.createTokenMapQueries.bind(this)(constraints);
+    if (!constraints || constraints.trim().length === 0) {
+      throw new Error(
+        "[FireModel.js - createTokenMapQueries] Search string cannot be empty.",
+      );
+    }
+    const tokens = this.constructor.getSearchTokens(constraints);
+    return this.createQueries(
+      tokens.map((token) => ["where", `tokenMap.${token}`, "==", true]),
+    );
   }
 
   /**
@@ -535,18 +1621,245 @@ export default class FireModel extends BaseClass {
    * - `constraints` が文字列の場合は `tokenMap` を使用した N-Gram 検索を行います。
    * - `constraints` が配列の場合は標準クエリ条件として扱われます。
    * - `options` を指定すれば追加条件の付与が可能です（文字列検索時のみ）。
+   * - `static tokenizer` の `postFilter` が有効な場合、文字列検索の結果は検索文字列を実際に含む
+   *   ドキュメント（`matchesSearch`）に絞り込まれます。このとき `limit` より少ない件数が返ることがあります。
+   * - 文字列検索で `rank` に true を指定すると、結果をスコアの高い順に並べ替え、各インスタンスの
+   *   `searchMatch`（列挙されないプロパティ）に `getSearchMatch` の結果を設定します。
+   *   並べ替えは取得したドキュメントの範囲で行われます（`limit` は並べ替えの前に適用されます）。
+   *
+   * 例:
+   * ```javascript
+   * const docs = await new Customer().fetchDocs({ constraints: "山田 商店", rank: true });
+   * docs[0].searchMatch.fields.name.spans; // => [{ start: 0, end: 2 }, { start: 3, end: 5 }]
+   * ```
    *
    * @param {Object} params - パラメータオブジェクト
    * @param {Array|string} params.constraints - 検索条件または文字列
    * @param {Array} params.options - 追加のクエリ条件（省略可）
+   * @param {boolean} [params.rank=false] - 文字列検索の結果をスコア順に並べ替えるかどうか
+   * @param {string|Array<string>} [params.include] - 読み込むリレーション名（`loadRelations` を参照）
    * @param {Object|null} [params.transaction=null] - Firestore トランザクション
    * @param {string|null} [params.prefix=null] - パスのプレフィックス
    * @returns {Promise<Array<Object>>} 取得されたドキュメント配列
    * @throws {Error} クエリが無効または取得に失敗した場合
    */
   async fetchDocs(args = {}) {
-    const adapter = FireModel.getAdapter();
-    return await adapter.fetchDocs.bind(this)(args);
+    const { rank = false, include = null, ...fetchArgs } = args;
+    const adapter = this.constructor.getAdapter();
+    this.constructor._assertSearchable(fetchArgs.constraints, "fetchDocs");
+    let docs = await adapter.fetchDocs.bind(this)(
+      this.constructor._withPluginConstraints(fetchArgs, "fetchDocs"),
+    );
+    const { constraints } = fetchArgs;
+    if (typeof constraints === "string") {
+      docs = this._refineSearchResults(docs, constraints, rank);
+    }
+    if (include) {
+      await this.constructor.loadRelations(docs, include, {
+        prefix: fetchArgs.prefix,
+      });
+    }
+    return docs;
+  }
+
+  /**
+   * 文字列検索の結果に tokenizer の postFilter と `rank` オプションを適用します。
+   * @param {Array<Object>} docs - 検索結果のインスタンスの配列
+   * @param {string} search - 検索文字列
+   * @param {boolean} rank - スコア順に並べ替えるかどうか
+   * @returns {Array<Object>} 絞り込み・並べ替え後のインスタンスの配列
+   */
+  _refineSearchResults(docs, search, rank) {
+    if (resolveTokenizer(this.constructor.tokenizer).postFilter) {
+      docs = docs.filter((doc) => doc.matchesSearch(search));
+    }
+    if (!rank) return docs;
+
+    // 一致状況を `searchMatch` に設定し、スコアの高い順に並べ替える（同点の場合は取得順）
+    docs.forEach((doc) => {
+      Object.defineProperty(doc, "searchMatch", {
+        value: doc.getSearchMatch(search),
+        enumerable: false,
+        configurable: true,
+        writable: true,
+      });
+    });
+    return docs.sort((a, b) => b.searchMatch.score - a.searchMatch.score);
+  }
+
+  /**
+   * アダプターの `createQueries` が `paginate` に必要なクエリに対応しているかを確認します。
+   * - `["orderBy", "__name__"]`、`startAfter` / `endBefore` / `limitToLast` を変換できなければエラーとします。
+   * - 確認結果はアダプターごとに保持されます。
+   * @throws {Error} アダプターがカーソルのクエリに対応していない場合
+   */
+  _assertCursorQueries() {
+    const adapter = this.constructor.getAdapter();
+    const key = this.constructor._adapter;
+    if (!cursorQuerySupport.has(key)) {
+      let reason = null;
+      try {
+        adapter.createQueries.bind(this)([
+          ["orderBy", "__name__", "asc"],
+          ["startAfter", "__probe__"],
+          ["endBefore", "__probe__"],
+          ["limitToLast", 1],
+        ]);
+      } catch (err) {
+        reason = err.message;
+      }
+      cursorQuerySupport.set(key, reason);
+    }
+    const reason = cursorQuerySupport.get(key);
+    if (reason !== null) {
+      throw new Error(
+        `[FireModel.js - paginate] The adapter's createQueries does not support the cursor queries paginate requires (orderBy "__name__", startAfter, endBefore, limitToLast): ${reason}`,
+      );
+    }
+  }
+
+  /**
+   * クエリに一致する Firestore ドキュメントをカーソルを使用してページ単位で取得します。
+   * - `constraints` と `options` は `fetchDocs` と同じです（文字列を指定すると tokenMap 検索）。
+   * - 並び順は orderBy の後にドキュメント ID（`__name__`）が追加され、同じ値のドキュメントも一意に並びます。
+   * - `constraints` に含まれる limit は無視され、`pageSize` が使用されます。
+   * - 並び順がカーソルと一致しなくなるため、`fetchDocs` の `rank` は無視されます。
+   * - `static tokenizer` の `postFilter` が有効な場合、除外された候補の分はカーソルを進めて追加で取得するため、
+   *   最終ページ以外は `pageSize` 件になります。
+   * - `cursor` には `Page` の `cursor`（次のページ）または `prevCursor`（前のページ）を指定します。
+   * - アダプターの `createQueries` が `__name__` の orderBy、`startAfter` / `endBefore` / `limitToLast` に
+   *   対応している必要があります（`_assertCursorQueries` を参照）。
+   *
+   * 例:
+   * ```javascript
+   * const page = await new Customer().paginate({
+   *   constraints: [["where", "status", "==", "active"], ["orderBy", "code"]],
+   *   pageSize: 20,
+   * });
+   * const next = await page.next();
+   * ```
+   *
+   * @param {Object} args - パラメータオブジェクト
+   * @param {Array|string} [args.constraints=[]] - 検索条件または文字列
+   * @param {Array} [args.options=[]] - 追加のクエリ条件（文字列検索時のみ）
+   * @param {number} [args.pageSize=20] - 1 ページあたりの件数
+   * @param {string|null} [args.cursor=null] - ページの開始位置を表すカーソル
+   * @param {Object|null} [args.transaction=null] - Firestore トランザクション
+   * @param {string|null} [args.prefix=null] - パスのプレフィックス
+   * @returns {Promise<Page>} ページオブジェクト
+   * @throws {Error} カーソルが不正な場合、またはクエリが無効な場合
+   * @throws {Error} アダプターがカーソルのクエリに対応していない場合
+   */
+  async paginate(args = {}) {
+    const {
+      constraints = [],
+      options = [],
+      pageSize = 20,
+      cursor = null,
+      ...fetchArgs
+    } = args;
+    if (!Number.isInteger(pageSize) || pageSize <= 0) {
+      throw new Error(
+        "[FireModel.js - paginate] pageSize must be a positive integer.",
+      );
+    }
+    this._assertCursorQueries();
+
+    const isSearch = typeof constraints === "string";
+    const queries = isSearch ? options : constraints;
+    const orderBys = queries.filter(([type]) => type === "orderBy");
+    const filters = queries.filter(
+      ([type]) => !["orderBy", "limit", "limitToLast"].includes(type),
+    );
+    const lastDirection = orderBys[orderBys.length - 1]?.[2] || "asc";
+    const sorts = [...orderBys, ["orderBy", "__name__", lastDirection]];
+    const { include = null, ...queryArgs } = fetchArgs;
+    const toArgs = (extra) =>
+      isSearch
+        ? {
+            ...queryArgs,
+            constraints,
+            options: [...filters, ...sorts, ...extra],
+          }
+        : {
+            ...queryArgs,
+            constraints: [...filters, ...sorts, ...extra],
+          };
+
+    // 前後のページの有無を判定するため、1 件多く取得する
+    const { values = null, direction = "next" } =
+      Page.decodeCursor(cursor) || {};
+    const isPrev = values !== null && direction === "prev";
+    const range = !values
+      ? [["limit", pageSize + 1]]
+      : isPrev
+        ? [
+            ["endBefore", ...values],
+            ["limitToLast", pageSize + 1],
+          ]
+        : [
+            ["startAfter", ...values],
+            ["limit", pageSize + 1],
+          ];
+    const getValue = (doc, field) =>
+      field === "__name__"
+        ? doc.docId
+        : field.split(".").reduce((current, key) => current?.[key], doc);
+    const getCursorValues = (doc) =>
+      sorts.map(([, field]) => getValue(doc, field));
+
+    // postFilter で除外されたドキュメントの分だけページが不足しないよう、
+    // 絞り込み前のクエリ結果でカーソルを進めながら、1 件多く集まるまで取得を繰り返す
+    const adapter = this.constructor.getAdapter();
+    this.constructor._assertSearchable(constraints, "paginate");
+    const postFilter =
+      isSearch && resolveTokenizer(this.constructor.tokenizer).postFilter;
+    const docs = [];
+    let batchRange = range;
+    while (true) {
+      const batch = await adapter.fetchDocs.bind(this)(
+        this.constructor._withPluginConstraints(
+          toArgs(batchRange),
+          "fetchDocs",
+        ),
+      );
+      const matched = postFilter
+        ? batch.filter((doc) => doc.matchesSearch(constraints))
+        : batch;
+      if (isPrev) docs.unshift(...matched);
+      else docs.push(...matched);
+      if (docs.length > pageSize || batch.length <= pageSize) break;
+      batchRange = isPrev
+        ? [
+            ["endBefore", ...getCursorValues(batch[0])],
+            ["limitToLast", pageSize + 1],
+          ]
+        : [
+            ["startAfter", ...getCursorValues(batch[batch.length - 1])],
+            ["limit", pageSize + 1],
+          ];
+    }
+    const hasMore = docs.length > pageSize;
+    const items = isPrev ? docs.slice(-pageSize) : docs.slice(0, pageSize);
+    if (include) {
+      await this.constructor.loadRelations(items, include, {
+        prefix: fetchArgs.prefix,
+      });
+    }
+
+    return new Page({
+      items,
+      pageSize,
+      hasNext: isPrev ? true : hasMore,
+      hasPrev: isPrev ? hasMore : values !== null,
+      getCursorValues,
+      fetchPage: (pageCursor) => this.paginate({ ...args, cursor: pageCursor }),
+      subscribePage: (pageRange, callback) => {
+        const instance = new this.constructor();
+        instance.subscribeDocs({ ...toArgs(pageRange), include }, callback);
+        return instance;
+      },
+    });
   }
 
   /**
@@ -559,7 +1872,7 @@ export default class FireModel extends BaseClass {
    * @returns {Promise<Array<Object>>} Array of document data.
    */
   async fetchDocsByIds(args = {}) {
-    const adapter = FireModel.getAdapter();
+    const adapter = this.constructor.getAdapter();
     return await adapter.fetchDocsByIds.bind(this)(args);
   }
 
@@ -567,23 +1880,215 @@ export default class FireModel extends BaseClass {
    * インスタンスの内容で Firestore ドキュメントを更新します。
    * - `transaction` が指定されていればそれを使用します。
    * - `callBack` で独自の処理を注入可能です。
+   * - beforeUpdate / beforeEdit フックと `validateAsync()` は、アダプターの呼び出し前に FireModel で
+   *   実行されます（`_runWithBeforeHooks` を参照）。
+   * - 更新後、変更されたプロパティを `denormalizedBy` のモデルのドキュメントに反映します
+   *   （`propagateDenormalized` を参照）。`transaction` を指定した場合は反映されないため、
+   *   コミット後に `propagateDenormalized()` を呼び出してください。
+   *   反映先の取得には `paginate` を使用するため、アダプターがカーソルのクエリに対応していない場合は
+   *   書き込む前にエラーとなります（`propagate: false` を指定すれば更新できます）。
+   * - 更新（と反映）の後に `afterUpdate` フックと `on("afterUpdate")` のハンドラーが実行されます。
    *
    * @param {Object} args - パラメータオブジェクト
    * @param {Function|null} [args.transaction=null] - Firestore トランザクション関数
    * @param {Function|null} [args.callBack=null] - カスタム処理用コールバック
    * @param {string|null} [args.prefix=null] - パスのプレフィックス
+   * @param {boolean} [args.partial] - true の場合、変更されたプロパティのみを書き込みます（`_partialUpdate` を参照）。
+   *                                   省略時は `static partialUpdate` の値が使用されます。
+   * @param {boolean} [args.propagate=true] - false の場合、`denormalizedBy` のモデルに反映しません。
    * @returns {Promise<DocumentReference>} 更新されたドキュメントの参照
    * @throws {Error} 更新処理に失敗した場合
+   * @throws {ConflictError} `optimisticLock` が有効で、ドキュメントが他で更新されていた場合
+   * @throws {Error} 検証に失敗した場合（ValidationError）
    */
   async update(args = {}) {
-    const adapter = FireModel.getAdapter();
-    return await adapter.update.bind(this)(args);
+    const adapter = this.constructor.getAdapter();
+    const {
+      partial = this.constructor.partialUpdate,
+      propagate = true,
+      ...updateArgs
+    } = args;
+    const { transaction = null, prefix = null } = updateArgs;
+    const denormalizedBy = this.constructor.denormalizedBy || [];
+    const shouldPropagate = propagate && !transaction && denormalizedBy.length;
+    // 反映先のドキュメントはページングで取得するため、アダプターが対応していなければ書き込む前にエラーとする
+    if (shouldPropagate) {
+      denormalizedBy.forEach((model) =>
+        new (toModelClass(model))()._assertCursorQueries(),
+      );
+    }
+    const { optimisticLock, lockField } = this.constructor;
+    const performWrite = (context, writeArgs) =>
+      partial
+        ? this._partialUpdate(writeArgs)
+        : adapter.update.bind(context)(writeArgs);
+    const write = async (context, writeArgs) => {
+      // バージョン番号を使用する場合は書き込み前に加算し、失敗した場合は元に戻す
+      if (!optimisticLock || lockField === "updatedAt") {
+        return await performWrite(context, writeArgs);
+      }
+      const currentVersion = this[lockField];
+      this[lockField] = (Number(currentVersion) || 0) + 1;
+      try {
+        return await performWrite(context, writeArgs);
+      } catch (err) {
+        this[lockField] = currentVersion;
+        throw err;
+      }
+    };
+    const result = await this._runWithAudit("update", updateArgs, (auditArgs) =>
+      this._runWithOptimisticLock(auditArgs, (lockArgs) =>
+        this._runWithBeforeHooks("update", lockArgs, (context) =>
+          write(context, lockArgs),
+        ),
+      ),
+    );
+    const changedFields = this.dirtyFields;
+    this._beforeData = this.toObject();
+
+    if (shouldPropagate && changedFields.length) {
+      await this.propagateDenormalized({ fields: changedFields, prefix });
+    }
+    await this._runAfterHooks("afterUpdate", updateArgs);
+    return result;
+  }
+
+  /**
+   * このドキュメントの値を、`denormalizedBy` に指定されたモデルのドキュメントにコピーします。
+   * - コピー先は、コピー先のモデルの `denormalize` で `model` にこのモデルが指定された定義に従います。
+   * - `batchSize` 件ずつ取得し、値が異なるドキュメントのみを 1 つのトランザクションで更新します。
+   *   このため、コピー先の更新はドキュメント自体の更新とは別のトランザクションになります。
+   *   反映に失敗した場合は、コピー先のモデルの `resyncDenormalized()` で修復できます。
+   * - コピー先の beforeUpdate などのフックは実行されず、updatedAt / uid も変更されません
+   *   （コピー先の tokenFields に含まれる場合、tokenMap は更新されます）。
+   * - コピー先の `optimisticLock` が有効な場合は `lockField` が更新されるため、古い値を保持している
+   *   コピー先のインスタンスの `update()` は ConflictError になります。
+   *
+   * @param {Object} [options={}]
+   * @param {Array<string>|null} [options.fields=null] - 反映するこのモデルのプロパティ名（null はすべて）
+   * @param {string|null} [options.prefix=null] - パスのプレフィックス
+   * @param {number} [options.batchSize=500] - 1 回のトランザクションで書き込むドキュメント数
+   * @returns {Promise<{ updated: number }>} 更新したドキュメントの件数
+   * @throws {Error} docId が無い場合、または denormalize の定義が不正な場合
+   * @throws {ConflictError} コピー先の `optimisticLock` が有効で、読み取り後に他で更新されていた場合
+   */
+  async propagateDenormalized(options = {}) {
+    if (!this.docId) {
+      throw new Error(
+        "[FireModel.js - propagateDenormalized] docId is required.",
+      );
+    }
+    return await propagateDenormalized(this, options);
+  }
+
+  /**
+   * `classProps` に基づいてプロパティの値を検証します。
+   * - create / update では、beforeCreate / beforeUpdate などのフックの実行後に、このメソッドの代わりに
+   *   `validateAsync()` が FireModel で実行されます（`_runWithBeforeHooks` を参照）。
+   * - tokenMap のキー数が `static tokenizer` の `budget` を超えている場合、`onBudgetExceeded` が "warn" なら
+   *   アダプターの logger に警告を出力します（"error" の場合は TOKEN_MAP_SIZE_ERROR としてスローされます）。
+   * @throws {Error} ValidationError
+   */
+  validate() {
+    super.validate();
+    this._warnTokenMapBudget();
+  }
+
+  /**
+   * `validate()` に加えて非同期の validator を実行し、エラーがあれば 1 つの ValidationError としてスローします。
+   * - tokenMap の `budget` の警告は `validate()` と同様に出力されます。
+   * @returns {Promise<void>}
+   * @throws {Error} ValidationError
+   */
+  async validateAsync() {
+    await super.validateAsync();
+    this._warnTokenMapBudget();
+  }
+
+  /**
+   * tokenMap のキー数が `static tokenizer` の `budget` を超えていて、`onBudgetExceeded` が "warn" の場合に
+   * アダプターの logger に警告を出力します。
+   */
+  _warnTokenMapBudget() {
+    const { budget, onBudgetExceeded } = resolveTokenizer(
+      this.constructor.tokenizer,
+    );
+    if (budget == null || onBudgetExceeded !== "warn") return;
+    const { size, exceeded, fields } = this.getTokenMapUsage();
+    if (!exceeded) return;
+    const logger = this.constructor._adapter?.logger || console;
+    logger.warn(
+      `[FireModel.js] tokenMap of ${this.constructor.name} (docId: ${this.docId || "(new)"}) has ${size} tokens, exceeding the budget of ${budget}.`,
+      fields,
+    );
+  }
+
+  /**
+   * beforeCreate / beforeUpdate → beforeEdit フックと `validateAsync()` を実行してから `operation` を実行します。
+   * - 同期・非同期の検証エラーは 1 つの ValidationError としてスローされます。
+   * - アダプターの create / update もフックと `validate()` を呼び出すため、`operation` には
+   *   それらのメソッド（`BEFORE_WRITE_METHODS`）だけを何もしない関数に置き換えたインスタンスの Proxy を渡します。
+   *   プロパティの読み書きはインスタンスに対して行われ、インスタンス自体は変更されません。
+   *
+   * @param {string} event - 操作（`create` / `update`）
+   * @param {Object} args - 操作に渡された引数（フックに渡されます）
+   * @param {Function} operation - `(context)` で呼び出され、アダプターの処理を実行する関数
+   * @returns {Promise<any>} `operation` の結果
+   * @throws {Error} 検証に失敗した場合（ValidationError）
+   */
+  async _runWithBeforeHooks(event, args, operation) {
+    if (event === "create") await this.beforeCreate(args);
+    else await this.beforeUpdate(args);
+    await this.beforeEdit(args);
+    await this.validateAsync();
+
+    const noop = () => {};
+    const context = new Proxy(this, {
+      get: (target, key) =>
+        BEFORE_WRITE_METHODS.includes(key) ? noop : Reflect.get(target, key),
+    });
+    return await operation(context);
+  }
+
+  /**
+   * 変更されたプロパティのみを書き込むためのデータを返します。
+   * - `dirtyFields` に含まれるプロパティのみを `toObject()` と同じ形式で返します。
+   * - `tokenFields` に含まれるプロパティが変更されている場合は `tokenMap` も含めます。
+   * - 監査モード（`static audit`）の場合は `updatedBy` も含めます。
+   * - GeoPoint はアダプターの GeoPoint に変換されます。
+   *
+   * @returns {Object} 書き込むプロパティと値のオブジェクト
+   */
+  getPartialUpdateData() {
+    const data = this.toObject();
+    const fields = this.dirtyFields;
+    const result = fields.reduce((obj, field) => {
+      obj[field] = data[field] === undefined ? null : data[field];
+      return obj;
+    }, {});
+
+    const tokenFields = normalizeTokenFields(this.constructor.tokenFields).map(
+      ({ field }) => field,
+    );
+    if (fields.some((field) => tokenFields.includes(field))) {
+      result.tokenMap = data.tokenMap ?? null;
+    }
+    if (this.constructor.audit) {
+      result.updatedBy = this.updatedBy ?? null;
+    }
+
+    return this.constructor._toFirestoreData(result);
   }
 
   /**
    * このドキュメントに依存する子コレクションが存在するかを確認します。
    * - `hasMany` 定義をもとに Firestore 上に存在するか検証します。
    * - 判定ロジックはアダプターに委譲されます。
+   * - `onDelete` が `"cascade"` / `"setNull"` の hasMany の定義は削除を妨げないため、アダプターの hasChild には
+   *   `constructor.hasMany` をそれらを除いた定義に置き換えたインスタンスの Proxy を渡します
+   *   （派生クラスやインスタンスのコピーは生成しません）。
+   * - アダプターが子を検出しなかった場合は、onDelete が `"restrict"` の belongsToMany の
+   *   中間ドキュメントを確認します（hasMany と同じ形式の定義を返します）。
    *
    * @param {Object} args - パラメータオブジェクト
    * @param {Object|null} [args.transaction=null] - Firestore トランザクション（任意）
@@ -592,31 +2097,324 @@ export default class FireModel extends BaseClass {
    * @throws {Error} アダプターでの検証に失敗した場合
    */
   async hasChild(args = {}) {
-    const adapter = FireModel.getAdapter();
-    return await adapter.hasChild.bind(this)(args);
+    const Model = this.constructor;
+    const adapter = Model.getAdapter();
+    const hasMany = Model.hasMany || [];
+    const restrict = hasMany.filter(
+      ({ onDelete = "restrict" }) => onDelete === "restrict",
+    );
+    let context = this;
+    if (restrict.length !== hasMany.length) {
+      const Restricting = overrideStatics(Model, { hasMany: restrict });
+      context = new Proxy(this, {
+        get: (target, key) =>
+          key === "constructor" ? Restricting : Reflect.get(target, key),
+      });
+    }
+    const child = await adapter.hasChild.bind(context)(args);
+    if (child) return child;
+    return await findRestrictingJoin(this, { prefix: args.prefix ?? null });
   }
 
   /**
    * Firestore ドキュメントを削除またはアーカイブに移動します。
    * - `logicalDelete` が true の場合は `archive` コレクションに移動されます。
    * - `callBack` により削除前の処理を挿入できます。
+   * - hasMany の `onDelete` が `"cascade"` / `"setNull"` の子ドキュメントは、同じトランザクションで削除・更新されます。
+   *   子ドキュメントのモデルが監査モード（`static audit`）の場合は、その変更履歴も書き込まれます。
+   * - belongsToMany の中間ドキュメントは、onDelete に従って削除を妨げるか、同じトランザクションで削除されます。
+   * - 子孫ドキュメントは、削除の計画（`getDeletePlan`）の収集後に変更されていないことをトランザクション内で確認してから
+   *   削除・更新されます。変更されていた場合は ConflictError になります。
+   * - 親ドキュメントと子孫ドキュメントの書き込み（アーカイブと変更履歴を含む）が 1 つのトランザクションの上限
+   *   （500 件）を超える場合は、何も書き込まずにエラーになります。
+   * - 子孫ドキュメントについては、beforeDelete フック、`optimisticLock` の確認、`afterDelete` フックと
+   *   `on("afterDelete")` のハンドラーは実行されません（setNull の更新についても beforeUpdate などは実行されません）。
+   * - 削除後に `afterDelete` フックと `on("afterDelete")` のハンドラーが実行されます（dryRun の場合は実行されません）。
    *
    * @param {Object} args - パラメータオブジェクト
    * @param {Object|null} [args.transaction=null] - Firestore トランザクション
    * @param {Function|null} [args.callBack=null] - カスタム削除処理用コールバック
    * @param {string|null} [args.prefix=null] - パスのプレフィックス
-   * @returns {Promise<void>} 削除または移動が完了したときに解決される Promise
+   * @param {boolean} [args.dryRun=false] - true の場合は削除せず、`getDeletePlan()` の結果を返します
+   * @returns {Promise<void|Object>} 削除または移動が完了したときに解決される Promise（dryRun の場合は削除の計画）
    * @throws {Error} 削除処理に失敗した場合
+   * @throws {Error} 子ドキュメントが存在する（restrict）、または書き込み件数が上限を超える場合
+   * @throws {ConflictError} `optimisticLock` が有効で、ドキュメントが他で更新されていた場合、
+   *                         または子孫ドキュメントが削除の計画の収集後に変更されていた場合
    */
   async delete(args = {}) {
-    const adapter = FireModel.getAdapter();
-    return await adapter.delete.bind(this)(args);
+    const { dryRun = false, ...deleteArgs } = args;
+    if (dryRun) return await this.getDeletePlan(deleteArgs);
+    const result = await this._runWithAudit("delete", deleteArgs, (auditArgs) =>
+      this._deleteDocument(auditArgs),
+    );
+    await this._runAfterHooks("afterDelete", deleteArgs);
+    return result;
+  }
+
+  /**
+   * `delete()` の削除処理です。
+   * - 子孫ドキュメントの削除・更新が必要な場合は、削除の計画を同じトランザクションで実行します。
+   * @param {Object} args - `delete()` に渡された引数（`dryRun` を除く）
+   * @returns {Promise<void>}
+   */
+  async _deleteDocument(args) {
+    const adapter = this.constructor.getAdapter();
+    const hasPolicies =
+      (this.constructor.hasMany || []).some(
+        ({ onDelete = "restrict" }) => onDelete !== "restrict",
+      ) || Object.keys(this.constructor.belongsToMany || {}).length > 0;
+    if (!hasPolicies) {
+      return await this._runWithOptimisticLock(args, (lockArgs) =>
+        adapter.delete.bind(this)(lockArgs),
+      );
+    }
+
+    const plan = await this.getDeletePlan(args);
+    if (plan.restrict.length) {
+      const { collectionPath, docId, child } = plan.restrict[0];
+      throw new Error(
+        `[FireModel.js - delete] Child documents exist in ${child} (${collectionPath}/${docId}).`,
+      );
+    }
+
+    assertDeletePlanSize(this, plan);
+
+    const { callback = null, prefix = null } = args;
+    return await this._runWithOptimisticLock(args, async (lockArgs) => {
+      // 子孫ドキュメントの確認（読み取り）は、アダプターの delete による書き込みより前に行う
+      const performTransaction = async (transaction) => {
+        await verifyDeletePlan(plan, transaction, { prefix });
+        return await adapter.delete.bind(this)({
+          ...lockArgs,
+          transaction,
+          callback: async (txn) => {
+            applyDeletePlan(plan, txn, { prefix });
+            await writeDeletePlanHistory(plan, txn, { prefix });
+            if (callback) await callback(txn);
+          },
+        });
+      };
+      return lockArgs.transaction
+        ? await performTransaction(lockArgs.transaction)
+        : await this.constructor.runTransaction(performTransaction);
+    });
+  }
+
+  /**
+   * このドキュメントを削除した場合に影響を受ける子孫ドキュメントを、hasMany の `onDelete` に従って返します。
+   * - `delete({ dryRun: true })` と同じ結果を返します。
+   * - `restrict` が空でない場合、`delete()` はエラーになります。
+   *
+   * 例:
+   * ```javascript
+   * const { restrict, cascade, setNull } = await project.getDeletePlan();
+   * console.log(`${cascade.length} 件のタスクも削除されます。`);
+   * ```
+   *
+   * @param {Object} [args={}]
+   * @param {string|null} [args.prefix=null] - パスのプレフィックス
+   * @returns {Promise<{ restrict: Array<Object>, cascade: Array<Object>, setNull: Array<Object> }>}
+   *   - restrict: 削除を妨げている `{ collectionPath, docId, child }` の配列
+   *   - cascade: 削除（またはアーカイブ）される `{ collectionPath, docId, archive, doc }` の配列
+   *   - setNull: キーが null に更新される `{ collectionPath, docId, field, doc }` の配列
+   * @throws {Error} docId が無い場合、または hasMany の定義が不正な場合
+   */
+  async getDeletePlan({ prefix = null } = {}) {
+    if (!this.docId) {
+      throw new Error("[FireModel.js - getDeletePlan] docId is required.");
+    }
+    return await collectDeletePlan(this, { prefix });
+  }
+
+  /**
+   * belongsToMany で関連ドキュメントを関連付けます（中間ドキュメントを作成します）。
+   * - すべての中間ドキュメントを 1 つのトランザクションで作成します。
+   * - 同じ関連付けを繰り返しても中間ドキュメントは重複しません（既存の中間ドキュメントは上書きされます）。
+   *
+   * @param {string} name - リレーション名
+   * @param {string|Object|Array<string|Object>} ids - 関連ドキュメントの ID またはインスタンス（の配列）
+   * @param {Object} [options={}]
+   * @param {string|null} [options.prefix=null] - パスのプレフィックス
+   * @param {Object|null} [options.transaction=null] - 既存のトランザクション（省略時は `runTransaction` を使用）
+   * @returns {Promise<{ attached: Array<string>, detached: Array<string> }>} 関連付けた ID
+   * @throws {Error} docId が無い場合、またはリレーションが定義されていない場合
+   */
+  async attach(name, ids, options = {}) {
+    if (!this.docId) {
+      throw new Error("[FireModel.js - attach] docId is required.");
+    }
+    return await attachRelated(this, name, ids, options);
+  }
+
+  /**
+   * belongsToMany の関連付けを解除します（中間ドキュメントを削除します）。
+   * - 関連ドキュメント自体は削除されません。
+   *
+   * @param {string} name - リレーション名
+   * @param {string|Object|Array<string|Object>} ids - 関連ドキュメントの ID またはインスタンス（の配列）
+   * @param {Object} [options={}] - `prefix`, `transaction`（`attach` を参照）
+   * @returns {Promise<{ attached: Array<string>, detached: Array<string> }>} 解除した ID
+   * @throws {Error} docId が無い場合、またはリレーションが定義されていない場合
+   */
+  async detach(name, ids, options = {}) {
+    if (!this.docId) {
+      throw new Error("[FireModel.js - detach] docId is required.");
+    }
+    return await detachRelated(this, name, ids, options);
+  }
+
+  /**
+   * belongsToMany の関連付けを指定した ID の集合に揃えます。
+   * - 不足している関連付けを作成し、指定されなかった関連付けを解除します（1 つのトランザクションで実行します）。
+   *
+   * 例:
+   * ```javascript
+   * const { attached, detached } = await staff.sync("sites", ["site001", "site003"]);
+   * ```
+   *
+   * @param {string} name - リレーション名
+   * @param {string|Object|Array<string|Object>} ids - 関連ドキュメントの ID またはインスタンス（の配列）
+   * @param {Object} [options={}] - `prefix`, `transaction`（`attach` を参照）
+   * @returns {Promise<{ attached: Array<string>, detached: Array<string> }>} 関連付けた ID と解除した ID
+   * @throws {Error} docId が無い場合、またはリレーションが定義されていない場合
+   */
+  async sync(name, ids, options = {}) {
+    if (!this.docId) {
+      throw new Error("[FireModel.js - sync] docId is required.");
+    }
+    return await syncRelated(this, name, ids, options);
+  }
+
+  /**
+   * belongsToMany で関連付けられたドキュメントを取得します。
+   * - 取得したドキュメントはリレーション名のプロパティにも設定されます（`loadRelations` と同じ）。
+   *
+   * @param {string} name - リレーション名
+   * @param {Object} [options={}]
+   * @param {string|null} [options.prefix=null] - パスのプレフィックス
+   * @returns {Promise<Array<Object>>} 関連ドキュメントのインスタンスの配列
+   * @throws {Error} docId が無い場合、またはリレーションが定義されていない場合
+   */
+  async fetchRelated(name, { prefix = null } = {}) {
+    if (!this.docId) {
+      throw new Error("[FireModel.js - fetchRelated] docId is required.");
+    }
+    if (
+      !Object.prototype.hasOwnProperty.call(
+        this.constructor.belongsToMany || {},
+        name,
+      )
+    ) {
+      throw new Error(
+        `[FireModel.js - fetchRelated] belongsToMany "${name}" is not defined in ${this.constructor.name}.`,
+      );
+    }
+    await this.constructor.loadRelations([this], name, { prefix });
+    return this[name];
+  }
+
+  /**
+   * 楽観的排他制御（`optimisticLock`）が有効な場合、競合の確認と `operation` を同一のトランザクションで実行します。
+   * - 無効な場合は `operation` をそのまま実行します。
+   * - `operation` には `transaction` を設定した引数が渡されます。
+   *
+   * @param {Object} args - update / delete に渡された引数
+   * @param {Function} operation - 引数を受け取り、アダプターの処理を実行する関数
+   * @returns {Promise<any>} `operation` の結果
+   * @throws {ConflictError} ドキュメントが他で更新・削除されていた場合
+   */
+  async _runWithOptimisticLock(args, operation) {
+    if (!this.constructor.optimisticLock) return await operation(args);
+
+    const performTransaction = async (transaction) => {
+      await this._assertNoConflict({ transaction, prefix: args.prefix });
+      return await operation({ ...args, transaction });
+    };
+
+    return args.transaction
+      ? await performTransaction(args.transaction)
+      : await this.constructor.runTransaction(performTransaction);
+  }
+
+  /**
+   * 部分更新（`update({ partial: true })`）を行います。
+   * - アダプターの `update` の代わりに、`getPartialUpdateData()` の内容と `updatedAt` / `uid` のみを
+   *   `transaction.update` で書き込みます（フックと検証は `_runWithBeforeHooks` で実行済みです）。
+   * - ドキュメントを読み取らないため、書き込みを含むトランザクションを渡して呼び出すこともできます。
+   *   ドキュメントが存在しない場合、書き込みは失敗します。
+   *
+   * @param {Object} args - update に渡された引数
+   * @param {Object|null} [args.transaction=null] - Firestore トランザクション
+   * @param {Function|null} [args.callback=null] - 書き込み後にトランザクションを受け取って実行する関数
+   * @param {string|null} [args.prefix=null] - パスのプレフィックス
+   * @returns {Promise<DocumentReference>} 更新されたドキュメントの参照
+   * @throws {Error} docId が無い場合、または `callback` が関数でない場合
+   */
+  async _partialUpdate(args = {}) {
+    const { transaction = null, callback = null, prefix = null } = args;
+    if (callback !== null && typeof callback !== "function") {
+      throw new Error("[FireModel.js - update] callback must be a function.");
+    }
+    if (!this.docId) {
+      throw new Error("[FireModel.js - update] docId is required.");
+    }
+
+    const Model = this.constructor;
+    const performTransaction = async (txn) => {
+      const docRef = Model.getDocRef({ docId: this.docId, prefix });
+      this.updatedAt = new Date();
+      this.uid = Model.getAdapter().uid || "unknown";
+      txn.update(docRef, {
+        ...this.getPartialUpdateData(),
+        updatedAt: this.updatedAt,
+        uid: this.uid,
+      });
+      if (callback) await callback(txn);
+      return docRef;
+    };
+
+    return transaction
+      ? await performTransaction(transaction)
+      : await Model.runTransaction(performTransaction);
+  }
+
+  /**
+   * Firestore 上のドキュメントの `lockField` がインスタンスの値と一致するかを確認します。
+   * @param {Object} args
+   * @param {Object} args.transaction - Firestore トランザクション
+   * @param {string|null} [args.prefix=null] - パスのプレフィックス
+   * @throws {ConflictError} 一致しない、またはドキュメントが存在しない場合
+   */
+  async _assertNoConflict({ transaction, prefix = null }) {
+    const { lockField } = this.constructor;
+    const docRef = this.constructor.getDocRef({ docId: this.docId, prefix });
+    const docSnap = await transaction.get(docRef);
+    // Admin SDK の `exists` はプロパティ（Client SDK はメソッド）のため、`data()` で存在を判定する
+    const serverDoc = docSnap.data() ?? null;
+
+    if (!serverDoc) {
+      throw new ConflictError(
+        `[FireModel - optimisticLock] Document has been deleted: ${this.docId}`,
+        { docId: this.docId, serverDoc },
+      );
+    }
+
+    const toComparable = (value) =>
+      value instanceof Date ? value.getTime() : (value ?? null);
+    if (toComparable(serverDoc[lockField]) !== toComparable(this[lockField])) {
+      throw new ConflictError(
+        `[FireModel - optimisticLock] Document has been modified by another process: ${this.docId}`,
+        { docId: this.docId, serverDoc },
+      );
+    }
   }
 
   /**
    * アーカイブされたドキュメントを復元します。
    * - `archive` コレクションから元のパスにドキュメントを移動します。
    * - パスの復元には `prefix` が使用されます。
+   * - 復元後に `afterRestore` フックと `on("afterRestore")` のハンドラーが実行されます。
    *
    * @param {Object} args - パラメータオブジェクト
    * @param {string} args.docId - 復元対象のドキュメント ID
@@ -626,8 +2424,36 @@ export default class FireModel extends BaseClass {
    * @throws {Error} `docId` が指定されていない、またはドキュメントが存在しない場合
    */
   async restore(args = {}) {
-    const adapter = FireModel.getAdapter();
-    return await adapter.restore.bind(this)(args);
+    const adapter = this.constructor.getAdapter();
+    const result = await this._runWithAudit("restore", args, (auditArgs) =>
+      adapter.restore.bind(this)(auditArgs),
+    );
+    await this._runAfterHooks("afterRestore", args);
+    return result;
+  }
+
+  /**
+   * 監査モード（`static audit`）で書き込まれた、このドキュメントの変更履歴を新しい順に取得します。
+   * - 各履歴は `operation`, `actor`, `changes`（`{ field, oldValue, newValue }` の配列）と、
+   *   日時を表す `createdAt` を持ちます。
+   *
+   * @param {Object} [args={}]
+   * @param {string|null} [args.prefix=null] - パスのプレフィックス
+   * @param {number|null} [args.limit=null] - 取得する件数（null はすべて）
+   * @returns {Promise<Array<Object>>} 変更履歴のインスタンスの配列
+   * @throws {Error} docId が無い場合
+   */
+  async fetchHistory({ prefix = null, limit = null } = {}) {
+    if (!this.docId) {
+      throw new Error("[FireModel.js - fetchHistory] docId is required.");
+    }
+    const History = this.constructor.getHistoryModel(this.docId);
+    const constraints = [
+      ["orderBy", "createdAt", "desc"],
+      ["orderBy", "__name__", "desc"],
+    ];
+    if (limit) constraints.push(["limit", limit]);
+    return await new History().fetchDocs({ constraints, prefix });
   }
 
   /**
@@ -636,7 +2462,7 @@ export default class FireModel extends BaseClass {
    * - 登録済みリスナーは `listener` プロパティに保持されています。
    */
   unsubscribe() {
-    const adapter = FireModel.getAdapter();
+    const adapter = this.constructor.getAdapter();
     adapter.unsubscribe.bind(this)();
   }
 
@@ -652,7 +2478,7 @@ export default class FireModel extends BaseClass {
    * @throws {Error} `docId` が指定されていない場合
    */
   subscribe(args = {}, callback = null) {
-    const adapter = FireModel.getAdapter();
+    const adapter = this.constructor.getAdapter();
     adapter.subscribe.bind(this)(args, callback);
   }
 
@@ -666,13 +2492,47 @@ export default class FireModel extends BaseClass {
    * @param {Array|string} args.constraints - Query condition array or search string.
    * @param {Array} [args.options=[]] - Additional query conditions.
    * @param {string|null} [args.prefix=null] - Optional path prefix.
+   * @param {string|Array<string>} [args.include] - Relation names to load (see `loadRelations`).
+   *                                                  The callback is called after the related documents are loaded.
    * @param {function|null} [args.callback=null] - [deprecated] Callback executed on document changes.
    * @param {function|null} [callback=null] - Callback executed on document changes (moved from args).
    * @returns {Array<Object>} Live-updated document data.
    */
   subscribeDocs(args = {}, callback = null) {
-    const adapter = FireModel.getAdapter();
-    return adapter.subscribeDocs.bind(this)(args, callback);
+    const { include = null, ...rest } = args;
+    this.constructor._assertSearchable(rest.constraints, "subscribeDocs");
+    const subscribeArgs = this.constructor._withPluginConstraints(
+      rest,
+      "subscribeDocs",
+    );
+    const adapter = this.constructor.getAdapter();
+    if (!include) {
+      return adapter.subscribeDocs.bind(this)(subscribeArgs, callback);
+    }
+
+    // 同じスナップショットで通知された変更をまとめ、関連ドキュメントを読み込んでから callback を呼び出す
+    let pending = [];
+    const flush = async () => {
+      const changes = pending;
+      pending = [];
+      const docs = changes
+        .filter(({ type }) => type !== "removed")
+        .map(({ item }) => item);
+      try {
+        await this.constructor.loadRelations(docs, include, {
+          prefix: subscribeArgs.prefix,
+        });
+      } catch (error) {
+        const logger = this.constructor._adapter?.logger || console;
+        logger.error("[FireModel.js - subscribeDocs]", error);
+      }
+      if (callback) changes.forEach(({ item, type }) => callback(item, type));
+    };
+    const onChange = (item, type) => {
+      pending.push({ item, type });
+      if (pending.length === 1) queueMicrotask(flush);
+    };
+    return adapter.subscribeDocs.bind(this)(subscribeArgs, onChange);
   }
 
   /**
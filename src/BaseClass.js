@@ -7,6 +7,8 @@
  *   サブクラスをプロパティに設定するべきです。
  *
  * @getter {Array} schema - classProps に定義されたプロパティ定義情報を配列にして返します。
+ * @static toJSONSchema - classProps から JSON Schema を生成して返します。
+ * @static fromJSONSchema - JSON Schema から classProps を持つサブクラスを生成して返します。
  * @getter {boolean} isInvalid - クラス特有のエラーが存在するかどうかを返します。
  * @getter {Array<Object>} invalidReasons - エラーコード、メッセージ、多言語メッセージ、フィールド名を含む詳細情報の配列を返します。
  *
@@ -17,6 +19,16 @@
  * @function beforeInitialize - initialize() の最初に実行されるフックです。
  * @function afterInitialize - initialize() の最後に実行されるフックです。
  * @function validate - classProps に基づいてプロパティの値を検証し、エラーがあればスローします。
+ * @function validateAsync - validate() に加えて非同期の validator を実行し、エラーがあればスローします。
+ * @function changes - 初期化直後の状態からの変更内容を返します。
+ * @function matchesSearch - tokenFields のいずれかが検索文字列を含むかどうかを返します。
+ * @function searchScore - tokenFields の weight に基づく検索文字列のスコアを返します。
+ * @function getSearchMatch - 検索文字列に対する tokenField ごとの一致範囲とスコアを返します。
+ * @function getTokenMapUsage - tokenMap のキー数と tokenizer の budget を超えているかどうかを返します。
+ * @static getSearchTokens - tokenizer の設定に従って検索文字列からトークンを生成して返します。
+ *
+ * @getter {boolean} isDirty - 初期化直後の状態から変更されているかどうかを返します。
+ * @getter {Array<string>} dirtyFields - 初期化直後の状態から変更されたプロパティ名の配列を返します。
  *
  * @static INVALID_REASON - クラス特有のエラーコードを定義するための関数オブジェクトです。
  * - BaseClass では標準的なエラーコード（REQUIRED_ERROR, LENGTH_ERROR など）を定義しています。
@@ -29,7 +41,22 @@
  * NOTE: `_outputErrorConsole` メソッドは ClientAdapter のみで使用されているが、ここに実装する必要なしと判断。
  *       将来的に ClientAdapter 側で独自実装することを検討。
  ******************************************************************************/
-import { generateTokenMap } from "./utils/tokenMap.js";
+import {
+  findMatchSpans,
+  generateTokenMap,
+  generateSearchTokens,
+  normalizeText,
+  normalizeTokenFields,
+  resolveTokenizer,
+  splitSearchTerms,
+} from "./utils/tokenMap.js";
+import { toJSONSchema, fromJSONSchema } from "./utils/jsonSchema.js";
+import {
+  GeoPoint,
+  DocumentReference,
+  isGeoPointLike,
+  isImmutableValue,
+} from "./types.js";
 
 export class BaseClass {
   /**
@@ -43,20 +70,64 @@ export class BaseClass {
    * 継承先のクラスでプロパティの初期化や検証に利用する設定をまとめる場所です。
    *
    * 各キーの設定項目:
-   * - type       : String｜Number｜Boolean｜Array｜Object のいずれか（※Dateは指定不可）
+   * - type       : String｜Number｜Boolean｜Array｜Object｜Date｜GeoPoint｜DocumentReference のいずれか
+   *                - Date: Firestore の Timestamp は Date に変換されます。
+   *                - GeoPoint, DocumentReference: `./types.js` で定義された型を指定します。
    * - default    : 初期値または初期化関数
    * - required   : 必須フラグ（boolean、省略時は false 扱い）
    * - customClass: BaseClass を継承したサブクラスを指定（省略可）
    * - validator  : 値検証用の関数（省略可）
+   * - length     : String の最大文字数・Array の最大要素数（数値または `{ min, max }`、省略可）
+   * - minLength  : String の最小文字数・Array の最小要素数（省略可）
+   * - min, max   : Number｜Date 型の下限・上限（値またはインスタンスを受け取って値を返す関数、省略可）
+   * - pattern    : String が一致するべき正規表現（省略可）
+   * - enum       : 許可する値の配列。Array の場合は各要素に適用（省略可）
+   * - email, url, phone: true の場合、String がメールアドレス・URL・電話番号の形式であることを検証（省略可）
+   * - unique     : true の場合、Array に重複した要素を許可しない。プロパティ名を指定するとその値で判定（省略可）
+   * - coerce     : true の場合、初期化時・代入時に文字列を Number｜Boolean｜Date に変換します（省略可）
+   *                例: フォーム入力の "12" → 12, "true" → true, "2025-04-01" → Date
    *
    * 例:
    * static classProps = {
    *   name: { type: String, default: '', required: true },
-   *   items: { type: Array, default: () => [], customClass: ItemClass }
+   *   items: { type: Array, default: () => [], customClass: ItemClass },
+   *   startAt: { type: Date, default: null, required: true },
+   *   endAt: { type: Date, default: null, min: (instance) => instance.startAt },
+   *   location: { type: GeoPoint, default: null }
    * };
    */
   static classProps = {};
 
+  /**
+   * クラス単位の検証ルールの配列です。
+   * - 複数のプロパティにまたがる検証（終了日が開始日より後であることなど）に使用します。
+   * - validator の返却値は classProps の validator と同じ形式です（true 以外はエラー）。
+   * - `async: true` を指定した validator は `validateAsync()` でのみ実行されます。
+   *
+   * 各要素の設定項目:
+   * - fields    : 検証対象のプロパティ名の配列（エラーの `field` には先頭、`fields` にはすべてが設定されます）
+   * - validator : インスタンスを受け取る検証用の関数
+   * - async     : true の場合は非同期の validator として扱う（省略可）
+   * - label     : メッセージに使用するラベル（省略時は fields のラベル）
+   *
+   * 例:
+   * static validators = [
+   *   {
+   *     fields: ['startAt', 'endAt'],
+   *     validator: ({ startAt, endAt }) => !startAt || !endAt || startAt < endAt || '終了日は開始日より後である必要があります。'
+   *   },
+   *   {
+   *     fields: ['code'],
+   *     async: true,
+   *     validator: async (instance) => {
+   *       const docs = await instance.fetchDocs({ constraints: [['where', 'code', '==', instance.code]] });
+   *       return docs.every(({ docId }) => docId === instance.docId);
+   *     }
+   *   }
+   * ];
+   */
+  static validators = [];
+
   /**
    * インスタンスを一覧表示（テーブル表示）する際に使用するヘッダー定義です。
    * Vuetify の v-data-table コンポーネントで使用される形式に準拠しています。
@@ -72,9 +143,190 @@ export class BaseClass {
     });
   }
 
-  /** tokenMap 生成対象のプロパティ名リスト */
+  /**
+   * classProps から JSON Schema（draft 2020-12）を生成して返します。
+   * - customClass は `$defs` に定義され、`$ref` で参照されます。
+   * - 関数で指定された min / max や validator など、JSON Schema で表現できないルールは出力されません。
+   *
+   * 例:
+   * ```javascript
+   * const schema = Customer.toJSONSchema();
+   * // => { $schema, type: "object", title: "Customer", properties: {...}, required: [...], $defs: {...} }
+   * ```
+   * @returns {Object} JSON Schema
+   */
+  static toJSONSchema() {
+    return toJSONSchema(this);
+  }
+
+  /**
+   * JSON Schema から classProps を持つサブクラスを生成して返します。
+   * - 生成されるクラスは呼び出したクラスを継承します（`FireModel.fromJSONSchema()` なら FireModel）。
+   * - `$defs` に定義されたスキーマは BaseClass のサブクラスとして生成され、customClass に設定されます。
+   * - collectionPath などの設定は、生成されたクラスを継承して定義します。
+   *
+   * 例:
+   * ```javascript
+   * class Customer extends FireModel.fromJSONSchema(schema) {
+   *   static collectionPath = "Customers";
+   * }
+   * ```
+   * @param {Object} schema - JSON Schema（type: "object"）
+   * @param {Object} [options={}]
+   * @param {string} [options.name] - 生成するクラスの名前（省略時は schema.title）
+   * @returns {Function} 生成されたクラス
+   */
+  static fromJSONSchema(schema, { name } = {}) {
+    return fromJSONSchema(schema, { Base: this, NestedBase: BaseClass, name });
+  }
+
+  /**
+   * tokenMap 生成対象のプロパティ名リスト
+   * - `{ field, weight }` の形式で、検索結果のスコアに使用する重みを指定できます（既定値は 1）。
+   * - 長い文字列のプロパティは `maxLength`（トークン化する文字数）と `maxTokens`（生成するトークン数）で
+   *   tokenMap のサイズを制限できます。
+   *
+   * 例:
+   * ```javascript
+   * static tokenFields = [
+   *   "name",
+   *   { field: "nameKana", weight: 0.5 },
+   *   { field: "remarks", weight: 0.2, maxLength: 100, maxTokens: 150 },
+   * ];
+   * ```
+   */
   static tokenFields = [];
 
+  /**
+   * tokenMap および検索文字列のトークンの生成方法
+   * - null の場合は従来どおり、正規化せずに1文字および2文字のN-gramを生成します。
+   * - 設定できる項目は `DEFAULT_TOKENIZER`（./utils/tokenMap.js）を参照してください。
+   *
+   * 例:
+   * ```javascript
+   * static tokenizer = {
+   *   ngram: [2, 3],
+   *   caseFold: true,
+   *   normalizeWidth: true,
+   *   normalizeKana: true,
+   *   postFilter: true,
+   * };
+   * ```
+   */
+  static tokenizer = null;
+
+  /**
+   * 検索文字列から tokenMap 検索に使用するトークンの配列を返します。
+   * - `createTokenMapQueries` はこのトークンからクエリ条件を生成します。
+   * @param {string} search - 検索文字列
+   * @returns {string[]} トークンの配列
+   */
+  static getSearchTokens(search) {
+    return generateSearchTokens(search, this.tokenizer);
+  }
+
+  /**
+   * 検索文字列に対するスコアを返します。
+   * - tokenizer の設定で正規化した各 tokenField の値が検索文字列を含む場合に、そのフィールドの weight を加算します。
+   * - 0 の場合、インスタンスは検索文字列を含みません。
+   * @param {string} search - 検索文字列
+   * @returns {number} スコア
+   */
+  searchScore(search) {
+    const tokenizer = resolveTokenizer(this.constructor.tokenizer);
+    const target = normalizeText(search ?? "", tokenizer);
+    return normalizeTokenFields(this.constructor.tokenFields).reduce(
+      (score, { field, weight }) => {
+        const value = this[field];
+        if (typeof value !== "string") return score;
+        return normalizeText(value, tokenizer).includes(target)
+          ? score + weight
+          : score;
+      },
+      0,
+    );
+  }
+
+  /**
+   * インスタンスのいずれかの tokenField が検索文字列を含むかどうかを返します。
+   * - tokenizer の `postFilter` が有効な場合、tokenMap 検索の結果はこのメソッドで絞り込まれます。
+   * @param {string} search - 検索文字列
+   * @returns {boolean}
+   */
+  matchesSearch(search) {
+    return this.searchScore(search) > 0;
+  }
+
+  /**
+   * 検索文字列に対する tokenField ごとの一致状況とスコアを返します。
+   * - tokenField ごとのスコアは `weight × (一致したトークン数 / トークン数 + 含まれている検索語の数)` です。
+   *   検索語は検索文字列を空白で区切ったもので、一致の判定には tokenizer の正規化が適用されます。
+   * - `spans` は元の値での一致範囲で、`value.slice(start, end)` で一致した部分を取得できます。
+   *
+   * 例:
+   * ```javascript
+   * const { score, fields } = customer.getSearchMatch("山田 商店");
+   * // fields.name => { score: 3, tokens: 3, terms: 2, spans: [{ start: 0, end: 2 }, ...] }
+   * ```
+   *
+   * @param {string} search - 検索文字列
+   * @returns {{ score: number, fields: Object<string, { score: number, tokens: number, terms: number, spans: Array<{ start: number, end: number }> }> }}
+   *          一致した tokenField のみを含む結果
+   */
+  getSearchMatch(search) {
+    const tokenizer = this.constructor.tokenizer;
+    const searchTokens = generateSearchTokens(search, tokenizer);
+    const terms = splitSearchTerms(search, tokenizer);
+    const resolved = resolveTokenizer(tokenizer);
+
+    const fields = {};
+    let score = 0;
+    normalizeTokenFields(this.constructor.tokenFields).forEach(
+      ({ field, weight }) => {
+        const value = this[field];
+        if (typeof value !== "string" || !value) return;
+        const tokenMap = generateTokenMap([field], this, tokenizer) || {};
+        const tokens = searchTokens.filter((token) => tokenMap[token]).length;
+        const normalized = normalizeText(value, resolved);
+        const matchedTerms = terms.filter((term) =>
+          normalized.includes(term),
+        ).length;
+        if (!tokens && !matchedTerms) return;
+
+        const tokenRatio = searchTokens.length
+          ? tokens / searchTokens.length
+          : 0;
+        const fieldScore = weight * (tokenRatio + matchedTerms);
+        fields[field] = {
+          score: fieldScore,
+          tokens,
+          terms: matchedTerms,
+          spans: findMatchSpans(value, terms, tokenizer),
+        };
+        score += fieldScore;
+      },
+    );
+    return { score, fields };
+  }
+
+  /**
+   * tokenMap のキー数と、tokenizer の `budget` を超えているかどうかを返します。
+   * - `fields` には tokenField ごとに生成されるトークン数が格納されます（サイズの大きいフィールドの特定に使用します）。
+   * @returns {{ size: number, budget: number|null, exceeded: boolean, fields: Object<string, number> }}
+   */
+  getTokenMapUsage() {
+    const tokenizer = this.constructor.tokenizer;
+    const { budget } = resolveTokenizer(tokenizer);
+    const fields = Object.fromEntries(
+      normalizeTokenFields(this.constructor.tokenFields).map((entry) => [
+        entry.field,
+        Object.keys(generateTokenMap([entry], this, tokenizer) || {}).length,
+      ]),
+    );
+    const size = Object.keys(this.tokenMap || {}).length;
+    return { size, budget, exceeded: budget != null && size > budget, fields };
+  }
+
   constructor(data = {}) {
     this.initialize(data);
     this._defineTokenMap();
@@ -82,10 +334,14 @@ export class BaseClass {
 
   /**
    * tokenFields の定義に従って tokenMap プロパティを用意します。
+   * - tokenMap は tokenFields の値が変更されるまで再生成されません（返される tokenMap は変更できません）。
    */
   _defineTokenMap() {
     const tokenFields = this.constructor.tokenFields;
     if (!Array.isArray(tokenFields) || !tokenFields.length) return;
+
+    // tokenFields の値が変更されるまで生成した tokenMap を再利用する
+    let cache = null;
     Object.defineProperty(this, "tokenMap", {
       enumerable: true,
       configurable: true,
@@ -93,7 +349,17 @@ export class BaseClass {
       // 2025-12-30 - 修正: アロー関数ではなく通常の関数として定義し、this バインディングを正しく設定
       // get: () => generateTokenMap(this.constructor.tokenFields, this),
       get() {
-        return generateTokenMap(this.constructor.tokenFields, this);
+        const fields = normalizeTokenFields(this.constructor.tokenFields);
+        const key = JSON.stringify(fields.map(({ field }) => this[field]));
+        if (cache?.key !== key) {
+          const tokenMap = generateTokenMap(
+            fields,
+            this,
+            this.constructor.tokenizer,
+          );
+          cache = { key, tokenMap: tokenMap && Object.freeze(tokenMap) };
+        }
+        return cache.tokenMap;
       },
 
       // 2025-12-30 - 修正: No-op の set をアロー関数から通常の関数に変更
@@ -128,12 +394,75 @@ export class BaseClass {
       // 既存のプロパティ定義を削除
       delete this[key];
 
+      // coerce が指定されたプロパティは代入時に型を変換するアクセサとして定義
+      if (propConfig.coerce) {
+        this._defineCoercedProperty(key, propConfig.type);
+      }
+
       // デフォルト値で再設定
       this[key] =
         typeof defaultValue === "function" ? defaultValue() : defaultValue;
     });
   }
 
+  /**
+   * `coerce: true` が指定されたプロパティを、代入された値を `_coerceValue` で変換して保持する
+   * アクセサプロパティとして定義します。
+   * - 列挙可能なプロパティとして定義されるため、`toObject()` の対象になります。
+   * @param {string} key - プロパティ名
+   * @param {Function} type - classProps に定義された型
+   */
+  _defineCoercedProperty(key, type) {
+    let current;
+    Object.defineProperty(this, key, {
+      enumerable: true,
+      configurable: true,
+      get() {
+        return current;
+      },
+      set(value) {
+        current = this.constructor._coerceValue(value, type);
+      },
+    });
+  }
+
+  /**
+   * 文字列を `type` に応じた値に変換します。
+   * - Number: 数値に変換できる文字列を数値に変換します。
+   * - Boolean: "true" / "1" を true に、"false" / "0" を false に変換します。
+   * - Date: 日時として解釈できる文字列、または数値（エポックミリ秒）を Date に変換します。
+   * - Number, Date の空文字列は null に変換します。
+   * - 変換できない値はそのまま返します（検証時に TYPE_ERROR となります）。
+   *
+   * @param {*} value - 変換対象の値
+   * @param {Function} type - classProps に定義された型
+   * @returns {*} 変換された値
+   */
+  static _coerceValue(value, type) {
+    if (type === Date && typeof value === "number") {
+      return new Date(value);
+    }
+    if (typeof value !== "string") return value;
+
+    const trimmed = value.trim();
+    if (type === Number) {
+      if (trimmed === "") return null;
+      const number = Number(trimmed);
+      return Number.isFinite(number) ? number : value;
+    }
+    if (type === Boolean) {
+      if (trimmed === "true" || trimmed === "1") return true;
+      if (trimmed === "false" || trimmed === "0") return false;
+      return value;
+    }
+    if (type === Date) {
+      if (trimmed === "") return null;
+      const date = new Date(trimmed);
+      return isNaN(date.getTime()) ? value : date;
+    }
+    return value;
+  }
+
   /**
    * `classProps` に定義されたプロパティをクラスに実装後、`data` で与えられたオブジェクトで
    * 初期化する直前に呼び出されるフックメソッドです。
@@ -172,16 +501,20 @@ export class BaseClass {
     this.beforeInitialize(data);
 
     // data の内容でプロパティを上書きする関数
-    const copyValue = (value, customClass) => {
+    // - GeoPoint 型は Firestore の GeoPoint などを GeoPoint クラスに変換する。
+    // - GeoPoint やドキュメント参照は複製せずにそのまま保持する。
+    const copyValue = (value, customClass, type) => {
       if (value == null) return value;
       if (Array.isArray(value)) {
         return value.map((v) => copyValue(v, customClass));
       }
       if (customClass) return new customClass(value);
+      if (type === GeoPoint) return GeoPoint.from(value);
       if (typeof value.toDate === "function") {
         return value.toDate();
       }
       if (value instanceof Date) return new Date(value);
+      if (isImmutableValue(value)) return value;
       if (typeof value === "object") return { ...value };
       return value;
     };
@@ -192,7 +525,7 @@ export class BaseClass {
         const classProps = this.constructor.classProps?.[key];
         if (classProps) {
           const customClass = classProps?.customClass;
-          this[key] = copyValue(value, customClass);
+          this[key] = copyValue(value, customClass, classProps.type);
         }
       });
     }
@@ -224,6 +557,8 @@ export class BaseClass {
    * - null または undefined はそのまま返却します。
    * - 独自クラスのインスタンスは toObject() を呼び出して複製します。
    * - Date オブジェクトは新規インスタンスを生成して複製します。
+   * - Firestore の Timestamp は Date に変換します。
+   * - GeoPoint やドキュメント参照はイミュータブルなため、そのまま返却します。
    * - 配列は各要素を再帰的にクローンして複製します。
    * - その他のオブジェクトはシャローコピーを行います。
    * - プリミティブ値（文字列・数値・真偽値など）はそのまま返却します。
@@ -245,6 +580,16 @@ export class BaseClass {
       return new Date(value.getTime());
     }
 
+    // Timestamp は Date に変換
+    if (typeof value.toDate === "function") {
+      return value.toDate();
+    }
+
+    // GeoPoint, ドキュメント参照はそのまま返す
+    if (isImmutableValue(value)) {
+      return value;
+    }
+
     // 配列は要素ごとに再帰クローン
     if (Array.isArray(value)) {
       return value.map((v) => this._cloneValue(v));
@@ -310,15 +655,148 @@ export class BaseClass {
     this.initialize(this._beforeData);
   }
 
+  /**
+   * 2 つの値を比較し、差異を `result` に追加します。
+   * - プレーンなオブジェクト（カスタムクラスを `toObject()` したものを含む）と配列は再帰的に比較します。
+   * - Date は時刻で比較します。
+   * - GeoPoint は緯度・経度で、ドキュメント参照はパスで比較します。
+   *
+   * @param {*} oldValue - 変更前の値
+   * @param {*} newValue - 変更後の値
+   * @param {string} path - 差異を表すプロパティのパス（例: `items[2].quantity`）
+   * @param {Array<Object>} result - 差異 `{ field, oldValue, newValue }` を追加する配列
+   */
+  static _diffValues(oldValue, newValue, path, result) {
+    const isPlainObject = (v) =>
+      v != null &&
+      typeof v === "object" &&
+      !Array.isArray(v) &&
+      !(v instanceof Date) &&
+      !isImmutableValue(v);
+
+    if (Array.isArray(oldValue) && Array.isArray(newValue)) {
+      const length = Math.max(oldValue.length, newValue.length);
+      for (let i = 0; i < length; i++) {
+        this._diffValues(oldValue[i], newValue[i], `${path}[${i}]`, result);
+      }
+      return;
+    }
+
+    if (isPlainObject(oldValue) && isPlainObject(newValue)) {
+      const keys = new Set([
+        ...Object.keys(oldValue),
+        ...Object.keys(newValue),
+      ]);
+      keys.forEach((key) => {
+        this._diffValues(
+          oldValue[key],
+          newValue[key],
+          `${path}.${key}`,
+          result,
+        );
+      });
+      return;
+    }
+
+    if (oldValue instanceof Date && newValue instanceof Date) {
+      if (oldValue.getTime() !== newValue.getTime()) {
+        result.push({ field: path, oldValue, newValue });
+      }
+      return;
+    }
+
+    if (isImmutableValue(oldValue) && isImmutableValue(newValue)) {
+      const isSame =
+        oldValue instanceof DocumentReference
+          ? oldValue.path === newValue.path
+          : oldValue.latitude === newValue.latitude &&
+            oldValue.longitude === newValue.longitude;
+      if (!isSame) result.push({ field: path, oldValue, newValue });
+      return;
+    }
+
+    if (oldValue !== newValue) {
+      result.push({ field: path, oldValue, newValue });
+    }
+  }
+
+  /**
+   * 初期化直後の状態（`_beforeData`）からの変更内容を返します。
+   * - `classProps` に定義されたプロパティのみが対象です。
+   * - カスタムクラスのオブジェクトや配列は要素単位で比較し、`address.city` や
+   *   `items[2].quantity` のようなパスで変更箇所を表します。
+   *
+   * 例:
+   * ```javascript
+   * instance.changes();
+   * // => [{ field: "items[2].quantity", oldValue: 1, newValue: 3 }]
+   * ```
+   *
+   * @returns {Array<Object>} 変更内容 `{ field, oldValue, newValue }` の配列
+   */
+  changes() {
+    const before = this._beforeData || {};
+    const current = this.toObject();
+    const result = [];
+    Object.keys(this.constructor.classProps || {}).forEach((key) => {
+      this.constructor._diffValues(before[key], current[key], key, result);
+    });
+    return result;
+  }
+
+  /**
+   * 初期化直後の状態から変更された `classProps` のプロパティ名の配列を返します。
+   * @returns {Array<string>} 変更されたプロパティ名の配列
+   */
+  get dirtyFields() {
+    const fields = this.changes().map(({ field }) => field.split(/[.[]/)[0]);
+    return [...new Set(fields)];
+  }
+
+  /**
+   * 初期化直後の状態から変更されているかどうかを返します。
+   * @returns {boolean} 変更されていれば true
+   */
+  get isDirty() {
+    return this.dirtyFields.length > 0;
+  }
+
   /**
    * `classProps` に基づいてプロパティの値を検証します。
    * - `invalidReasons` を取得し、エラーが存在する場合は改行区切りでスローします。
-   * - required, length, validator のチェックを行います。
+   * - type, required, length, min / max, pattern などのルールと validator のチェックを行います。
    * @return {void}
    * @throws {Error} バリデーション失敗時に全エラーを改行区切りでスローします
    */
   validate() {
-    const detailedErrors = this.invalidReasons;
+    this.constructor._throwValidationError(this.invalidReasons);
+  }
+
+  /**
+   * `validate()` の検証に加えて、非同期の validator（`static validators` のうち `async: true` のもの）を
+   * 実行します。
+   * - Firestore への問い合わせが必要な検証（コードの重複チェックなど）に使用します。
+   * - FireModel の `create()`, `update()` では、beforeCreate / beforeUpdate などのフックの実行後に
+   *   `validate()` の代わりに自動的に実行されます。
+   * - validator がスローした例外（通信エラーや権限エラーなど）は検証エラーに変換されず、そのままスローされます。
+   * @return {Promise<void>}
+   * @throws {Error} バリデーション失敗時に `validate()` と同じ形式のエラーをスローします
+   */
+  async validateAsync() {
+    const asyncReasons = await this._getAsyncInvalidReasons();
+    this.constructor._throwValidationError([
+      ...this.invalidReasons,
+      ...asyncReasons,
+    ]);
+  }
+
+  /**
+   * エラー詳細オブジェクトが 1 件以上あれば ValidationError をスローします。
+   * - `name` は "ValidationError"、`validationErrors` にエラー詳細オブジェクトの配列を持ちます。
+   * @param {Array<Object>} detailedErrors - エラー詳細オブジェクトの配列
+   * @throws {Error} `detailedErrors` が空でない場合
+   */
+  static _throwValidationError(detailedErrors) {
     if (detailedErrors.length > 0) {
       const messages = detailedErrors.map(({ message }) => message);
       const error = new Error(messages.join("\n"));
@@ -365,6 +843,104 @@ export class BaseClass {
         ja: `${fieldLabel}は${length}個以内である必要があります。`,
       },
     }),
+    MIN_LENGTH_ERROR: (fieldLabel, length) => ({
+      code: "MIN_LENGTH_ERROR",
+      message: `${fieldLabel} must be at least ${length} characters.`,
+      messages: {
+        ja: `${fieldLabel}は${length}文字以上である必要があります。`,
+      },
+    }),
+    MIN_LENGTH_ARRAY_ERROR: (fieldLabel, length) => ({
+      code: "MIN_LENGTH_ARRAY_ERROR",
+      message: `${fieldLabel} must have at least ${length} items.`,
+      messages: {
+        ja: `${fieldLabel}は${length}個以上である必要があります。`,
+      },
+    }),
+    MIN_ERROR: (fieldLabel, min) => ({
+      code: "MIN_ERROR",
+      message: `${fieldLabel} must be ${min} or more.`,
+      messages: {
+        ja: `${fieldLabel}は${min}以上である必要があります。`,
+      },
+    }),
+    MAX_ERROR: (fieldLabel, max) => ({
+      code: "MAX_ERROR",
+      message: `${fieldLabel} must be ${max} or less.`,
+      messages: {
+        ja: `${fieldLabel}は${max}以下である必要があります。`,
+      },
+    }),
+    DATE_MIN_ERROR: (fieldLabel, min) => ({
+      code: "DATE_MIN_ERROR",
+      message: `${fieldLabel} must be on or after ${min.toISOString()}.`,
+      messages: {
+        ja: `${fieldLabel}は${min.toLocaleString("ja-JP")}以降である必要があります。`,
+      },
+    }),
+    DATE_MAX_ERROR: (fieldLabel, max) => ({
+      code: "DATE_MAX_ERROR",
+      message: `${fieldLabel} must be on or before ${max.toISOString()}.`,
+      messages: {
+        ja: `${fieldLabel}は${max.toLocaleString("ja-JP")}以前である必要があります。`,
+      },
+    }),
+    PATTERN_ERROR: (fieldLabel) => ({
+      code: "PATTERN_ERROR",
+      message: `${fieldLabel} is not in the correct format.`,
+      messages: {
+        ja: `${fieldLabel}の形式が正しくありません。`,
+      },
+    }),
+    ENUM_ERROR: (fieldLabel, values) => ({
+      code: "ENUM_ERROR",
+      message: `${fieldLabel} must be one of: ${values.join(", ")}.`,
+      messages: {
+        ja: `${fieldLabel}は次のいずれかである必要があります: ${values.join("、")}`,
+      },
+    }),
+    EMAIL_ERROR: (fieldLabel) => ({
+      code: "EMAIL_ERROR",
+      message: `${fieldLabel} must be a valid email address.`,
+      messages: {
+        ja: `${fieldLabel}は有効なメールアドレスである必要があります。`,
+      },
+    }),
+    URL_ERROR: (fieldLabel) => ({
+      code: "URL_ERROR",
+      message: `${fieldLabel} must be a valid URL.`,
+      messages: {
+        ja: `${fieldLabel}は有効なURLである必要があります。`,
+      },
+    }),
+    PHONE_ERROR: (fieldLabel) => ({
+      code: "PHONE_ERROR",
+      message: `${fieldLabel} must be a valid phone number.`,
+      messages: {
+        ja: `${fieldLabel}は有効な電話番号である必要があります。`,
+      },
+    }),
+    UNIQUE_ERROR: (fieldLabel) => ({
+      code: "UNIQUE_ERROR",
+      message: `${fieldLabel} must not contain duplicate items.`,
+      messages: {
+        ja: `${fieldLabel}に重複した項目が含まれています。`,
+      },
+    }),
+    TYPE_ERROR: (fieldLabel, typeName) => ({
+      code: "TYPE_ERROR",
+      message: `${fieldLabel} must be of type ${typeName}.`,
+      messages: {
+        ja: `${fieldLabel}は${typeName}型である必要があります。`,
+      },
+    }),
+    TOKEN_MAP_SIZE_ERROR: (size, budget) => ({
+      code: "TOKEN_MAP_SIZE_ERROR",
+      message: `tokenMap has ${size} tokens, exceeding the budget of ${budget}.`,
+      messages: {
+        ja: `検索用のトークン数（${size}）が上限（${budget}）を超えています。`,
+      },
+    }),
     VALIDATOR_ERROR: (fieldLabel) => ({
       code: "VALIDATOR_ERROR",
       message: `Invalid value for ${fieldLabel}.`,
@@ -377,7 +953,10 @@ export class BaseClass {
   /**
    * クラスのバリデーションエラーを詳細情報付きで返す内部メソッド
    * - `classProps` に定義されたプロパティの全バリデーションを実行します。
-   * - required, length, validator のチェックを行い、エラーがあれば詳細情報を配列にして返します。
+   * - BaseClass のインスタンスを保持するプロパティ（配列の要素を含む）は再帰的に検証され、
+   *   `field` には `address.city` や `items[2].quantity` のようなパスが設定されます。
+   * - type, required, length, minLength, min / max, pattern, email, url, phone, enum, unique, validator
+   *   のチェックを行い、エラーがあれば詳細情報を配列にして返します。
    * - エラーが存在しない場合は空の配列を返します。
    *
    * validator の返却値パターン:
@@ -393,19 +972,40 @@ export class BaseClass {
    *   - code: エラーコード
    *   - message: 英語のエラーメッセージ（デフォルト言語）
    *   - messages: その他の言語のメッセージオブジェクト（例: {ja: '日本語'}）
-   *   - field: エラーが発生したプロパティのキー名
+   *   - field: エラーが発生したプロパティのキー名（ネストしたプロパティは `items[2].quantity` のようなパス）
    */
   _getInvalidReasons() {
     const result = [];
 
     Object.entries(this.constructor.classProps).forEach(([key, config]) => {
-      const { type, required, validator, length, label } = config;
+      const { type, required, validator, length, min, max, label } = config;
       const value = this[key];
       const fieldLabel = label || key;
 
+      // Type validation
+      // - null, undefined は required で検証するため対象外。
+      // - customClass が指定されている場合は配列の要素も含めてインスタンスであることを検証する。
+      if (value != null && !this.constructor._isValidType(value, config)) {
+        const typeName =
+          type === Array && config.customClass
+            ? `Array<${config.customClass.name}>`
+            : config.customClass?.name || type?.name;
+        result.push({
+          ...this.constructor.INVALID_REASON.TYPE_ERROR(fieldLabel, typeName),
+          field: key,
+        });
+      }
+
       // Required validation
       if (required) {
-        if (type === String || type === Number || type === Object) {
+        if (
+          type === String ||
+          type === Number ||
+          type === Object ||
+          type === Date ||
+          type === GeoPoint ||
+          type === DocumentReference
+        ) {
           if (value == null || value === "") {
             result.push({
               ...this.constructor.INVALID_REASON.REQUIRED_ERROR(fieldLabel),
@@ -425,67 +1025,121 @@ export class BaseClass {
         }
       }
 
+      // 以降のルールは null, undefined, 空文字列を対象外とする（required で検証する）。
+      const isEmpty = value == null || value === "";
+      const reasons = this.constructor.INVALID_REASON;
+
       // Length validation
-      if (length != null && value != null) {
-        if (type === String && typeof value === "string") {
-          if (value.length > length) {
-            result.push({
-              ...this.constructor.INVALID_REASON.LENGTH_ERROR(
-                fieldLabel,
-                length,
-              ),
-              field: key,
-            });
-          }
+      // - `length` が数値の場合は最大長、`{ min, max }` の場合は最小長・最大長として扱う。
+      const maxLength = typeof length === "object" ? length?.max : length;
+      const minLength =
+        typeof length === "object"
+          ? (length?.min ?? config.minLength)
+          : config.minLength;
+      if (!isEmpty && (typeof value === "string" || Array.isArray(value))) {
+        const isArray = Array.isArray(value);
+        if (maxLength != null && value.length > maxLength) {
+          result.push({
+            ...(isArray
+              ? reasons.LENGTH_ARRAY_ERROR(fieldLabel, maxLength)
+              : reasons.LENGTH_ERROR(fieldLabel, maxLength)),
+            field: key,
+          });
         }
-        if (type === Array && Array.isArray(value)) {
-          if (value.length > length) {
-            result.push({
-              ...this.constructor.INVALID_REASON.LENGTH_ARRAY_ERROR(
-                fieldLabel,
-                length,
-              ),
-              field: key,
-            });
-          }
+        if (minLength != null && value.length < minLength) {
+          result.push({
+            ...(isArray
+              ? reasons.MIN_LENGTH_ARRAY_ERROR(fieldLabel, minLength)
+              : reasons.MIN_LENGTH_ERROR(fieldLabel, minLength)),
+            field: key,
+          });
+        }
+      }
+
+      // Range validation
+      // - Number, Date が対象。
+      // - min / max が関数の場合はインスタンスを引数に呼び出した結果を使用する。
+      const isNumber = type === Number && typeof value === "number";
+      const isDate = type === Date && value instanceof Date;
+      if (isNumber || isDate) {
+        const resolve = (bound) =>
+          typeof bound === "function" ? bound(this) : bound;
+        const isBound = (bound) =>
+          isDate ? bound instanceof Date : typeof bound === "number";
+        const minValue = resolve(min);
+        const maxValue = resolve(max);
+        if (isBound(minValue) && value < minValue) {
+          result.push({
+            ...(isDate
+              ? reasons.DATE_MIN_ERROR(fieldLabel, minValue)
+              : reasons.MIN_ERROR(fieldLabel, minValue)),
+            field: key,
+          });
+        }
+        if (isBound(maxValue) && value > maxValue) {
+          result.push({
+            ...(isDate
+              ? reasons.DATE_MAX_ERROR(fieldLabel, maxValue)
+              : reasons.MAX_ERROR(fieldLabel, maxValue)),
+            field: key,
+          });
+        }
+      }
+
+      // Format validation（String のみ）
+      if (typeof value === "string" && !isEmpty) {
+        const regex =
+          typeof config.pattern === "string"
+            ? new RegExp(config.pattern)
+            : config.pattern;
+        if (regex instanceof RegExp && !regex.test(value)) {
+          result.push({ ...reasons.PATTERN_ERROR(fieldLabel), field: key });
+        }
+        if (
+          config.email &&
+          !this.constructor.FORMAT_PATTERNS.email.test(value)
+        ) {
+          result.push({ ...reasons.EMAIL_ERROR(fieldLabel), field: key });
+        }
+        if (config.url && !this.constructor._isValidUrl(value)) {
+          result.push({ ...reasons.URL_ERROR(fieldLabel), field: key });
+        }
+        if (config.phone && !this.constructor._isValidPhone(value)) {
+          result.push({ ...reasons.PHONE_ERROR(fieldLabel), field: key });
+        }
+      }
+
+      // Enum validation
+      // - 配列の場合は各要素が許可された値であることを検証する。
+      if (Array.isArray(config.enum) && !isEmpty) {
+        const values = Array.isArray(value) ? value : [value];
+        if (values.some((v) => !config.enum.includes(v))) {
+          result.push({
+            ...reasons.ENUM_ERROR(fieldLabel, config.enum),
+            field: key,
+          });
+        }
+      }
+
+      // Unique validation（Array のみ）
+      // - `unique` に文字列を指定した場合は、要素の当該プロパティで重複を判定する。
+      if (config.unique && Array.isArray(value)) {
+        const keys = value.map((element) =>
+          this.constructor._getUniqueKey(element, config.unique),
+        );
+        if (new Set(keys).size !== keys.length) {
+          result.push({ ...reasons.UNIQUE_ERROR(fieldLabel), field: key });
         }
       }
 
       // Custom validator
       if (validator && typeof validator === "function") {
         try {
-          const validationResult = validator(value, this);
-          if (validationResult !== true) {
-            // パターン1: オブジェクト {code, message, messages}
-            if (
-              typeof validationResult === "object" &&
-              validationResult !== null
-            ) {
-              const defaultError =
-                this.constructor.INVALID_REASON.VALIDATOR_ERROR(fieldLabel);
-              result.push({
-                code: validationResult.code || defaultError.code,
-                message: validationResult.message || defaultError.message,
-                messages: validationResult.messages || defaultError.messages,
-                field: key,
-              });
-            }
-            // パターン2: 文字列
-            else if (typeof validationResult === "string") {
-              result.push({
-                ...this.constructor.INVALID_REASON.VALIDATOR_ERROR(fieldLabel),
-                message: validationResult,
-                field: key,
-              });
-            }
-            // パターン3: false or undefined
-            else {
-              result.push({
-                ...this.constructor.INVALID_REASON.VALIDATOR_ERROR(fieldLabel),
-                field: key,
-              });
-            }
-          }
+          const reason = this.constructor._toValidatorReason(
+            validator(value, this),
+            fieldLabel,
+          );
+          if (reason) result.push({ ...reason, field: key });
         } catch (error) {
           result.push({
             ...this.constructor.INVALID_REASON.VALIDATOR_ERROR(fieldLabel),
@@ -494,11 +1148,269 @@ export class BaseClass {
           });
         }
       }
+
+      // Nested validation
+      // - BaseClass のインスタンス（配列の要素を含む）を再帰的に検証する。
+      result.push(
+        ...this.constructor._collectNestedReasons(
+          key,
+          value,
+          (nested) => nested.invalidReasons,
+        ),
+      );
     });
 
+    // tokenMap budget validation
+    // - tokenizer の onBudgetExceeded が "error" の場合のみエラーとする（"warn" の場合は FireModel が警告を出力する）。
+    const { budget, onBudgetExceeded } = resolveTokenizer(
+      this.constructor.tokenizer,
+    );
+    if (budget != null && onBudgetExceeded === "error") {
+      const size = Object.keys(this.tokenMap || {}).length;
+      if (size > budget) {
+        result.push({
+          ...this.constructor.INVALID_REASON.TOKEN_MAP_SIZE_ERROR(size, budget),
+          field: "tokenMap",
+        });
+      }
+    }
+
+    // Class validators（同期）
+    this.constructor.validators
+      .filter((entry) => !entry.async)
+      .forEach((entry) => {
+        try {
+          const reason = this._toClassValidatorReason(
+            entry,
+            entry.validator(this),
+          );
+          if (reason) result.push(reason);
+        } catch (error) {
+          result.push(this._toClassValidatorReason(entry, error));
+        }
+      });
+
     return result;
   }
 
+  /**
+   * validator の返却値をエラー詳細オブジェクト（`field` を除く）に変換します。
+   * - true の場合は null を返します。
+   * - オブジェクトの場合は `{ code, message, messages }` を、省略された項目は VALIDATOR_ERROR で補って返します。
+   * - 文字列の場合はそれをメッセージとして返します。
+   * - false または undefined の場合は VALIDATOR_ERROR を返します。
+   *
+   * @param {*} validationResult - validator の返却値
+   * @param {string} fieldLabel - メッセージに使用するラベル
+   * @returns {Object|null} エラー詳細オブジェクト
+   */
+  static _toValidatorReason(validationResult, fieldLabel) {
+    if (validationResult === true) return null;
+
+    const defaultError = this.INVALID_REASON.VALIDATOR_ERROR(fieldLabel);
+
+    // パターン1: オブジェクト {code, message, messages}
+    if (typeof validationResult === "object" && validationResult !== null) {
+      return {
+        code: validationResult.code || defaultError.code,
+        message: validationResult.message || defaultError.message,
+        messages: validationResult.messages || defaultError.messages,
+      };
+    }
+
+    // パターン2: 文字列
+    if (typeof validationResult === "string") {
+      return { ...defaultError, message: validationResult };
+    }
+
+    // パターン3: false or undefined
+    return defaultError;
+  }
+
+  /**
+   * `static validators` の 1 件の検証結果をエラー詳細オブジェクトに変換します。
+   * - `field` には `fields` の先頭のプロパティ名、`fields` には対象となるすべてのプロパティ名が設定されます。
+   * - validator が例外をスローした場合は、その Error を `validationResult` として受け取ります。
+   *
+   * @param {Object} entry - `static validators` の要素
+   * @param {*} validationResult - validator の返却値またはスローされた Error
+   * @returns {Object|null} エラー詳細オブジェクト
+   */
+  _toClassValidatorReason(entry, validationResult) {
+    const fields = entry.fields || [];
+    const classProps = this.constructor.classProps || {};
+    const fieldLabel =
+      entry.label ||
+      fields.map((field) => classProps[field]?.label || field).join(", ");
+
+    if (validationResult instanceof Error) {
+      return {
+        ...this.constructor.INVALID_REASON.VALIDATOR_ERROR(fieldLabel),
+        message: `Error validating ${fieldLabel}: ${validationResult.message}`,
+        field: fields[0] ?? null,
+        fields,
+      };
+    }
+
+    const reason = this.constructor._toValidatorReason(
+      validationResult,
+      fieldLabel,
+    );
+    return reason ? { ...reason, field: fields[0] ?? null, fields } : null;
+  }
+
+  /**
+   * 非同期の検証（`static validators` のうち `async: true` のもの）を実行し、
+   * エラー詳細オブジェクトの配列を返します。
+   * - 検証結果は validator の返却値のみから生成します。スローされた例外はそのまま呼び出し元に伝わります。
+   * @returns {Promise<Array<Object>>} エラー詳細オブジェクトの配列
+   * @throws {Error} validator が例外をスローした場合
+   */
+  async _getAsyncInvalidReasons() {
+    // BaseClass のインスタンスを保持するプロパティ（配列の要素を含む）を再帰的に検証する
+    const nestedReasons = await Promise.all(
+      Object.keys(this.constructor.classProps || {}).map(async (key) => {
+        const reasons = this.constructor._collectNestedReasons(
+          key,
+          this[key],
+          (nested) => nested._getAsyncInvalidReasons(),
+        );
+        return (await Promise.all(reasons)).flat();
+      }),
+    );
+
+    const entries = this.constructor.validators.filter((entry) => entry.async);
+    const reasons = await Promise.all(
+      entries.map(async (entry) =>
+        this._toClassValidatorReason(entry, await entry.validator(this)),
+      ),
+    );
+    return [...nestedReasons.flat(), ...reasons.filter(Boolean)];
+  }
+
+  /**
+   * プロパティが保持する BaseClass のインスタンス（配列の要素を含む）のエラー詳細オブジェクトを、
+   * `field` と `fields` にプロパティのパスを付与して返します。
+   * - 例: `address.city`, `items[2].quantity`
+   * - `getReasons` が Promise を返す場合は、Promise の配列を返します。
+   *
+   * @param {string} key - プロパティ名
+   * @param {*} value - プロパティの値
+   * @param {Function} getReasons - インスタンスからエラー詳細オブジェクトの配列を取得する関数
+   * @returns {Array<Object|Promise<Array<Object>>>} パスが付与されたエラー詳細オブジェクトの配列
+   */
+  static _collectNestedReasons(key, value, getReasons) {
+    const withPath = (path, reasons) =>
+      reasons.map((reason) => ({
+        ...reason,
+        field: reason.field != null ? `${path}.${reason.field}` : path,
+        ...(Array.isArray(reason.fields) && {
+          fields: reason.fields.map((field) => `${path}.${field}`),
+        }),
+      }));
+
+    const targets = Array.isArray(value)
+      ? value.map((element, index) => [`${key}[${index}]`, element])
+      : [[key, value]];
+
+    return targets
+      .filter(([, element]) => element instanceof BaseClass)
+      .flatMap(([path, element]) => {
+        const reasons = getReasons(element);
+        return reasons instanceof Promise
+          ? [reasons.then((resolved) => withPath(path, resolved))]
+          : withPath(path, reasons);
+      });
+  }
+
+  /**
+   * `email` などの書式チェックに使用する正規表現です。
+   * - 継承先のクラスで上書きすることができます。
+   */
+  static FORMAT_PATTERNS = {
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    phone: /^\+?[\d\s()-]+$/,
+  };
+
+  /**
+   * 文字列が http(s) の URL かどうかを返します。
+   * @param {string} value
+   * @returns {boolean}
+   */
+  static _isValidUrl(value) {
+    try {
+      const url = new URL(value);
+      return url.protocol === "http:" || url.protocol === "https:";
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * 文字列が電話番号かどうかを返します。
+   * - 数字・ハイフン・空白・括弧・先頭の + で構成され、数字が 10 〜 15 桁であることを確認します。
+   * @param {string} value
+   * @returns {boolean}
+   */
+  static _isValidPhone(value) {
+    if (!this.FORMAT_PATTERNS.phone.test(value)) return false;
+    const digits = value.replace(/\D/g, "").length;
+    return digits >= 10 && digits <= 15;
+  }
+
+  /**
+   * `unique` の重複判定に使用するキーを返します。
+   * @param {*} element - 配列の要素
+   * @param {boolean|string} unique - true または比較に使用するプロパティ名
+   * @returns {*} 比較用のキー
+   */
+  static _getUniqueKey(element, unique) {
+    const target =
+      typeof unique === "string" && element != null ? element[unique] : element;
+    if (target instanceof Date) return `date:${target.getTime()}`;
+    if (target != null && typeof target === "object") {
+      const plain =
+        typeof target.toObject === "function" ? target.toObject() : target;
+      return `json:${JSON.stringify(plain)}`;
+    }
+    return target;
+  }
+
+  /**
+   * 値が classProps に定義された `type`（および `customClass`）に一致するかどうかを返します。
+   * - 未知の型が指定されている場合は常に true を返します。
+   * @param {*} value - 検証する値（null, undefined 以外）
+   * @param {Object} config - classProps のプロパティ定義
+   * @returns {boolean} 一致すれば true
+   */
+  static _isValidType(value, { type, customClass }) {
+    switch (type) {
+      case String:
+        return typeof value === "string";
+      case Number:
+        return typeof value === "number" && !Number.isNaN(value);
+      case Boolean:
+        return typeof value === "boolean";
+      case Date:
+        return value instanceof Date && !isNaN(value.getTime());
+      case GeoPoint:
+        return isGeoPointLike(value);
+      case DocumentReference:
+        return value instanceof DocumentReference;
+      case Array:
+        if (!Array.isArray(value)) return false;
+        return (
+          !customClass ||
+          value.every((element) => element instanceof customClass)
+        );
+      case Object:
+        if (typeof value !== "object" || Array.isArray(value)) return false;
+        return !customClass || value instanceof customClass;
+      default:
+        return true;
+    }
+  }
+
   /**
    * クラス特有のエラーが存在するかどうかを返すゲッター。
    * @returns {boolean} クラス特有のエラーが存在する場合は true、そうでない場合は false
@@ -526,7 +1438,7 @@ export class BaseClass {
    *   - code: エラーコード
    *   - message: 英語のエラーメッセージ（デフォルト言語）
    *   - messages: その他の言語のメッセージオブジェクト（例: {ja: '日本語'}）
-   *   - field: エラーが発生したプロパティのキー名
+   *   - field: エラーが発生したプロパティのキー名（ネストしたプロパティは `items[2].quantity` のようなパス）
    */
   get invalidReasons() {
     return this._getInvalidReasons();
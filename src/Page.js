@@ -0,0 +1,143 @@
+/*****************************************************************************
+ * @class Page
+ * @file ./src/Page.js
+ * @description FireModel の `paginate()` が返すページオブジェクトです。
+ * - `items` にページ内のインスタンスを、`hasNext` / `hasPrev` に前後のページの有無を保持します。
+ * - `cursor`（次のページ）と `prevCursor`（前のページ）は JSON 文字列のカーソルです。
+ *   URL やストレージに保存し、`paginate({ cursor })` に渡して同じ位置から再開できます。
+ *
+ * 例:
+ * ```javascript
+ * const page = await new Customer().paginate({
+ *   constraints: [["orderBy", "code"]],
+ *   pageSize: 20,
+ * });
+ * const nextPage = page.hasNext ? await page.next() : null;
+ * ```
+ *****************************************************************************/
+
+export class Page {
+  /**
+   * @param {Object} params
+   * @param {Array<Object>} params.items - ページ内のインスタンスの配列
+   * @param {number} params.pageSize - 1 ページあたりの件数
+   * @param {boolean} params.hasNext - 次のページが存在するかどうか
+   * @param {boolean} params.hasPrev - 前のページが存在するかどうか
+   * @param {Function} params.getCursorValues - インスタンスからカーソルの値の配列を返す関数
+   * @param {Function} params.fetchPage - カーソルを受け取ってページを取得する関数
+   * @param {Function} params.subscribePage - クエリ条件とコールバックを受け取って購読する関数
+   */
+  constructor({
+    items,
+    pageSize,
+    hasNext,
+    hasPrev,
+    getCursorValues,
+    fetchPage,
+    subscribePage,
+  }) {
+    this.items = items;
+    this.pageSize = pageSize;
+    this.hasNext = hasNext;
+    this.hasPrev = hasPrev;
+    this._getCursorValues = getCursorValues;
+    this._fetchPage = fetchPage;
+    this._subscribePage = subscribePage;
+  }
+
+  /**
+   * 次のページを取得するためのカーソル（最後のドキュメントの orderBy の値）を返します。
+   * @returns {string|null} ページが空の場合は null
+   */
+  get cursor() {
+    const last = this.items[this.items.length - 1];
+    return last ? Page.encodeCursor(this._getCursorValues(last), "next") : null;
+  }
+
+  /**
+   * 前のページを取得するためのカーソル（最初のドキュメントの orderBy の値）を返します。
+   * @returns {string|null} ページが空の場合は null
+   */
+  get prevCursor() {
+    const first = this.items[0];
+    return first
+      ? Page.encodeCursor(this._getCursorValues(first), "prev")
+      : null;
+  }
+
+  /**
+   * 次のページを取得します。
+   * @returns {Promise<Page|null>} 次のページが存在しない場合は null
+   */
+  async next() {
+    if (!this.hasNext || !this.cursor) return null;
+    return await this._fetchPage(this.cursor);
+  }
+
+  /**
+   * 前のページを取得します。
+   * @returns {Promise<Page|null>} 前のページが存在しない場合は null
+   */
+  async prev() {
+    if (!this.hasPrev || !this.prevCursor) return null;
+    return await this._fetchPage(this.prevCursor);
+  }
+
+  /**
+   * このページの範囲（最初のドキュメントから最後のドキュメントまで）を `subscribeDocs` で購読します。
+   * - ページが空の場合は先頭から `pageSize` 件を購読します。
+   * - 戻り値のインスタンスの `docs` が最新の状態に保たれます。`unsubscribe()` で購読を解除してください。
+   *
+   * @param {Function} [callback] - `subscribeDocs` に渡すコールバック関数
+   * @returns {Object} 購読しているモデルのインスタンス
+   */
+  subscribe(callback) {
+    const first = this.items[0];
+    const last = this.items[this.items.length - 1];
+    const range = first
+      ? [
+          ["startAt", ...this._getCursorValues(first)],
+          ["endAt", ...this._getCursorValues(last)],
+        ]
+      : [["limit", this.pageSize]];
+    return this._subscribePage(range, callback);
+  }
+
+  /**
+   * カーソルの値と方向を JSON 文字列に変換します。
+   * - Date は `{ $date: ミリ秒 }` として保存されます。
+   * @param {Array} values - orderBy の順に並んだ値の配列
+   * @param {"next"|"prev"} direction - ページの方向
+   * @returns {string} カーソル
+   */
+  static encodeCursor(values, direction) {
+    const encoded = values.map((value) =>
+      value instanceof Date ? { $date: value.getTime() } : value,
+    );
+    return JSON.stringify({ values: encoded, direction });
+  }
+
+  /**
+   * `encodeCursor` で生成したカーソルを値と方向に戻します。
+   * @param {string|null} cursor - カーソル
+   * @returns {{ values: Array, direction: string }|null} カーソルが無い場合は null
+   * @throws {Error} カーソルが不正な場合
+   */
+  static decodeCursor(cursor) {
+    if (!cursor) return null;
+    try {
+      const { values, direction } = JSON.parse(cursor);
+      if (!Array.isArray(values)) throw new Error("values is not an array");
+      return {
+        values: values.map((value) =>
+          value && typeof value === "object" && "$date" in value
+            ? new Date(value.$date)
+            : value,
+        ),
+        direction: direction === "prev" ? "prev" : "next",
+      };
+    } catch (err) {
+      throw new Error(`[Page.js] Invalid cursor: ${err.message}`);
+    }
+  }
+}
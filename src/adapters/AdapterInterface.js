@@ -0,0 +1,184 @@
+/*****************************************************************************
+ * @file ./src/adapters/AdapterInterface.js
+ * @description FireModel のアダプターが実装すべきインターフェースの定義です。
+ * - FireModel は CRUD 処理を `adapter.<method>.bind(this)(args)` の形でアダプターに委譲します。
+ * - `bind` はメソッド呼び出し時の `this` を表します。
+ *   - "class"    : モデルクラス（FireModel のサブクラス）
+ *   - "instance" : モデルのインスタンス
+ *   - "adapter"  : アダプター自身（バインドされずに呼び出される）
+ * - `GeoPoint` はメソッドではなく、GeoPoint の値を書き込むためのクラスを返すプロパティ（getter）です。
+ * - `required` が false のメソッドは、未実装でも `setAdapter` で拒否されません。
+ *   （呼び出された時点でエラーになります）
+ *
+ * 例:
+ * ```javascript
+ * import { assertAdapter } from "./AdapterInterface.js";
+ * assertAdapter(new MyAdapter()); // 不足メソッドがあれば AdapterInterfaceError をスロー
+ * ```
+ *****************************************************************************/
+
+export const ADAPTER_INTERFACE = {
+  getDocRef: {
+    required: true,
+    bind: "class",
+    returns: "DocumentReference",
+    description:
+      "`{ docId, prefix }` からコンバーター適用済みのドキュメント参照を返す。docId が無ければエラー。",
+  },
+  setAutonumber: {
+    required: true,
+    bind: "instance",
+    returns: "Promise<Function>",
+    description:
+      "`{ transaction, prefix }` で Autonumbers ドキュメントから採番してインスタンスに設定し、採番値を更新する関数を返す。",
+  },
+  create: {
+    required: true,
+    bind: "instance",
+    returns: "Promise<DocumentReference>",
+    description:
+      "beforeCreate → beforeEdit → validate の後、docId / createdAt / updatedAt / uid を設定してドキュメントを作成する。FireModel はフックと検証を実行済みのため、これらを何もしないメソッドに置き換えた Proxy を this に渡す。",
+  },
+  fetch: {
+    required: true,
+    bind: "instance",
+    returns: "Promise<boolean>",
+    description:
+      "`{ docId, transaction, prefix }` のドキュメントでインスタンスを初期化する。存在しなければ初期値に戻して false を返す。",
+  },
+  fetchDoc: {
+    required: true,
+    bind: "instance",
+    returns: "Promise<FireModel|null>",
+    description:
+      "`{ docId, transaction, prefix }` のドキュメントを新しいインスタンスとして返す。存在しなければ null。",
+  },
+  fetchDocs: {
+    required: true,
+    bind: "instance",
+    returns: "Promise<Array<FireModel>>",
+    description:
+      "`{ constraints, options, transaction, prefix }` に一致するドキュメントをインスタンスの配列で返す。constraints が文字列なら `this.createTokenMapQueries(constraints)` と `this.createQueries(options)` の条件で tokenMap 検索する。",
+  },
+  aggregate: {
+    required: false,
+    bind: "instance",
+    returns: "Promise<Object>",
+    description:
+      "`{ aggregations, constraints, options, prefix }` に一致するドキュメントを集計する。aggregations は `{ [alias]: { type: 'count' | 'sum' | 'average', field } }` で、エイリアスをキーとする結果を返す。未実装の場合、FireModel は fetchDocs の結果をメモリ上で集計する。",
+  },
+  fetchDocsByIds: {
+    required: true,
+    bind: "instance",
+    returns: "Promise<Array<FireModel>>",
+    description:
+      "`{ ids, transaction, prefix }` に該当するドキュメントをインスタンスの配列で返す。存在しない ID は無視する。",
+  },
+  update: {
+    required: true,
+    bind: "instance",
+    returns: "Promise<DocumentReference>",
+    description:
+      "beforeUpdate → beforeEdit → validate の後、updatedAt / uid を更新してドキュメントを上書きする。docId が無ければエラー。this は create と同様にフックと検証を何もしないメソッドに置き換えた Proxy。",
+  },
+  delete: {
+    required: true,
+    bind: "instance",
+    returns: "Promise<void>",
+    description:
+      "beforeDelete の後、hasChild で子ドキュメントが無いことを確認して削除する。logicalDelete なら `<collectionPath>_archive` に移動する。",
+  },
+  restore: {
+    required: true,
+    bind: "instance",
+    returns: "Promise<DocumentReference>",
+    description:
+      "`{ docId, prefix, transaction }` のドキュメントを `<collectionPath>_archive` から元のコレクションに戻す。",
+  },
+  hasChild: {
+    required: true,
+    bind: "instance",
+    returns: "Promise<Object|false>",
+    description:
+      "hasMany の定義で子ドキュメントが存在すれば該当する定義を、存在しなければ false を返す。",
+  },
+  createQueries: {
+    required: true,
+    bind: "instance",
+    returns: "Array<Object>",
+    description:
+      "`[['where', field, op, value], ['orderBy', field, dir], ['limit', n]]` をアダプター固有のクエリ制約に変換する。`paginate` が使用するカーソル `['startAt' | 'startAfter' | 'endAt' | 'endBefore', ...values]`（values は orderBy の順）と `['limitToLast', n]` にも対応し、where / orderBy / カーソルの field が `__name__` の場合はドキュメント ID を表す。これらに対応していない場合、`paginate` と denormalize の反映はエラーになる。",
+  },
+  subscribe: {
+    required: true,
+    bind: "instance",
+    returns: "void",
+    description:
+      "`({ docId, prefix }, callback)` のドキュメントを購読し、変更のたびにインスタンスを初期化する。リスナーは `this.listener` に保持する。",
+  },
+  subscribeDocs: {
+    required: true,
+    bind: "instance",
+    returns: "Array<FireModel>",
+    description:
+      "`({ constraints, options, prefix }, callback)` のクエリを購読し、`this.docs` を最新の状態に保つ。`this.docs` を返す。",
+  },
+  unsubscribe: {
+    required: true,
+    bind: "instance",
+    returns: "void",
+    description: "`this.listener` を解除して `this.docs` を空にする。",
+  },
+  GeoPoint: {
+    required: true,
+    bind: "adapter",
+    returns: "Function",
+    description:
+      "`new GeoPoint(latitude, longitude)` で生成した値をそのまま書き込めるクラスを返す。FireModel は書き込み時に本パッケージの GeoPoint をこのクラスに変換する（本パッケージの GeoPoint を保存できる場合はそれを返す）。",
+  },
+  runTransaction: {
+    required: false,
+    bind: "adapter",
+    returns: "Promise<any>",
+    description:
+      "トランザクションオブジェクト（get / set / update / delete）を引数に更新関数を実行し、その結果を返す。get のスナップショットは存在しないドキュメントで `data()` が undefined を返すこと。部分更新・optimisticLock・audit・onDelete の cascade / setNull・belongsToMany・denormalize の反映で使用されるため、これらを使用する場合は実装が必要。",
+  },
+};
+
+/**
+ * アダプターに実装されていない必須メソッド名の配列を返します。
+ * @param {Object} adapter - アダプターインスタンス
+ * @returns {Array<string>} 不足しているメソッド名の配列
+ */
+export function getMissingAdapterMethods(adapter) {
+  return Object.entries(ADAPTER_INTERFACE)
+    .filter(([, { required }]) => required)
+    .map(([name]) => name)
+    .filter((name) => typeof adapter?.[name] !== "function");
+}
+
+/**
+ * アダプターがインターフェースを満たしているかを検証します。
+ * @param {Object} adapter - アダプターインスタンス
+ * @throws {Error} 必須メソッドが不足している場合（`name` は "AdapterInterfaceError"、
+ *                 `missingMethods` に不足しているメソッド名の配列を持ちます）
+ */
+export function assertAdapter(adapter) {
+  if (!adapter || typeof adapter !== "object") {
+    const error = new Error("Invalid adapter: adapter must be an object.");
+    error.name = "AdapterInterfaceError";
+    error.missingMethods = getMissingAdapterMethods(adapter);
+    throw error;
+  }
+
+  const missingMethods = getMissingAdapterMethods(adapter);
+  if (missingMethods.length > 0) {
+    const adapterName = adapter.constructor?.name || "adapter";
+    const error = new Error(
+      `Invalid adapter: ${adapterName} is missing required methods: ${missingMethods.join(", ")}.`,
+    );
+    error.name = "AdapterInterfaceError";
+    error.missingMethods = missingMethods;
+    throw error;
+  }
+}
@@ -0,0 +1,1212 @@
+/*****************************************************************************
+ * @class MemoryAdapter
+ * @file ./src/adapters/MemoryAdapter.js
+ * @description FireModel 用のインメモリアダプターです。
+ * - Firestore を使用せず、プロセス内のメモリ上にドキュメントを保持します。
+ * - `FireModel.setAdapter(new MemoryAdapter())` とするだけで、ClientAdapter / ServerAdapter と
+ *   同様にモデルの CRUD 処理を実行できます（エミュレーター不要のテスト用途を想定）。
+ * - ClientAdapter と同様、各メソッドは FireModel から `this` をモデルのインスタンス（または
+ *   クラス）にバインドして呼び出されます。アダプター自身の状態には
+ *   `this.constructor.getAdapter()` を経由してアクセスします。
+ *
+ * サポートするクエリ:
+ * - where   : ==, !=, <, <=, >, >=, array-contains, array-contains-any, in, not-in
+ *             （`tokenMap.xx` のようなドット区切りのフィールドパスに対応）
+ * - orderBy : asc / desc（orderBy のフィールドを持たないドキュメントは除外されます）
+ * - limit   : 正の整数（limitToLast にも対応）
+ * - cursor  : startAt, startAfter, endAt, endBefore（orderBy の順に値を比較）
+ * - 集計    : count, sum, average（`aggregate`）
+ *
+ * NOTE: トランザクションは書き込みをバッファし、更新関数が正常終了した時点で一括で反映します。
+ *       更新関数がエラーをスローした場合、書き込みはすべて破棄されます。
+ *****************************************************************************/
+import { GeoPoint, isDocumentReference } from "../types.js";
+import { reduceAggregations } from "../utils/aggregate.js";
+
+const CURSOR_TYPES = ["startAt", "startAfter", "endAt", "endBefore"];
+
+const WHERE_OPERATORS = [
+  "==",
+  "!=",
+  "<",
+  "<=",
+  ">",
+  ">=",
+  "array-contains",
+  "array-contains-any",
+  "in",
+  "not-in",
+];
+
+/**
+ * adapter メソッドにバインドされた `this` からモデルクラスを取得します。
+ * - `getDocRef` はクラスに、その他のメソッドはインスタンスにバインドされます。
+ * @param {Function|Object} context
+ * @returns {Function} モデルクラス
+ */
+const getModelClass = (context) =>
+  typeof context === "function" ? context : context.constructor;
+
+/**
+ * `fetchDocs` などの引数からアダプターのクエリ制約を生成します。
+ * - `constraints` が文字列なら tokenMap 検索の制約に `options` の制約を加えます。
+ * @param {Object} context - adapter メソッドにバインドされたインスタンス
+ * @param {Object} args
+ * @param {Array|string} args.constraints - クエリ条件の配列または検索文字列
+ * @param {Array} args.options - 追加のクエリ条件（文字列検索時のみ）
+ * @param {string} caller - エラーメッセージに使用するメソッド名
+ * @returns {Array<Object>} クエリ制約の配列
+ */
+const toQueryConstraints = (context, { constraints, options }, caller) => {
+  if (typeof constraints === "string") {
+    return [
+      ...context.createTokenMapQueries(constraints),
+      ...context.createQueries(options),
+    ];
+  }
+  if (Array.isArray(constraints)) return context.createQueries(constraints);
+  throw new Error(`[MemoryAdapter - ${caller}] Invalid query constraints.`);
+};
+
+/**
+ * 保存用に値をディープコピーします。
+ * - `toObject()` を持つオブジェクトはプレーンなオブジェクトに変換されます。
+ * - `undefined` のプロパティは保存されません（Firestore と同様）。
+ * - プレーンなオブジェクト以外のインスタンス（GeoPoint など）はそのまま保持します。
+ * @param {*} value
+ * @returns {*}
+ */
+const clonePlain = (value) => {
+  if (value == null) return value;
+  if (value instanceof Date) return new Date(value.getTime());
+  if (isDocumentReference(value)) return value;
+  if (typeof value.toObject === "function") return clonePlain(value.toObject());
+  if (Array.isArray(value)) return value.map((v) => clonePlain(v));
+  if (typeof value === "object") {
+    const proto = Object.getPrototypeOf(value);
+    if (proto !== Object.prototype && proto !== null) return value;
+    return Object.entries(value).reduce((obj, [key, v]) => {
+      if (v !== undefined) obj[key] = clonePlain(v);
+      return obj;
+    }, {});
+  }
+  return value;
+};
+
+/**
+ * ドット区切りのフィールドパスで値を取得します。
+ * @param {Object} data
+ * @param {string} path - 例: `tokenMap.検索`
+ * @returns {*} 値（存在しない場合は undefined）
+ */
+const getField = (data, path) => {
+  return path.split(".").reduce((current, segment) => {
+    if (current == null || typeof current !== "object") return undefined;
+    return current[segment];
+  }, data);
+};
+
+/**
+ * ドット区切りのフィールドパスで値を設定します。
+ * @param {Object} data
+ * @param {string} path
+ * @param {*} value
+ */
+const setField = (data, path, value) => {
+  const segments = path.split(".");
+  const last = segments.pop();
+  const target = segments.reduce((current, segment) => {
+    if (current[segment] == null || typeof current[segment] !== "object") {
+      current[segment] = {};
+    }
+    return current[segment];
+  }, data);
+  target[last] = value;
+};
+
+/**
+ * Firestore の型順序に準じた値のランクを返します。
+ * @param {*} value
+ * @returns {number}
+ */
+const typeRank = (value) => {
+  if (value === null) return 0;
+  if (typeof value === "boolean") return 1;
+  if (typeof value === "number") return 2;
+  if (value instanceof Date) return 3;
+  if (typeof value === "string") return 4;
+  if (Array.isArray(value)) return 6;
+  return 7;
+};
+
+/**
+ * 2 つの値を比較します。
+ * @returns {number} a < b なら負、a > b なら正、等しければ 0
+ */
+const compareValues = (a, b) => {
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) return rankA - rankB;
+  if (a instanceof Date) return a.getTime() - b.getTime();
+  if (typeof a === "number") return a - b;
+  if (typeof a === "string") return a < b ? -1 : a > b ? 1 : 0;
+  if (typeof a === "boolean") return Number(a) - Number(b);
+  if (Array.isArray(a)) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const result = compareValues(a[i], b[i]);
+      if (result !== 0) return result;
+    }
+    return a.length - b.length;
+  }
+  return 0;
+};
+
+/**
+ * 2 つの値が等しいかどうかを判定します（配列・オブジェクトは再帰的に比較）。
+ * @returns {boolean}
+ */
+const isEqual = (a, b) => {
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((v, i) => isEqual(v, b[i]));
+  }
+  if (a && b && typeof a === "object" && typeof b === "object") {
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return (
+      keysA.length === keysB.length &&
+      keysA.every((key) => isEqual(a[key], b[key]))
+    );
+  }
+  return a === b;
+};
+
+/**
+ * where 条件にドキュメントデータが一致するかを判定します。
+ * @param {Object} data - ドキュメントデータ
+ * @param {Object} constraint - `{ field, op, value }`
+ * @returns {boolean}
+ */
+const matchesWhere = (data, { field, op, value }) => {
+  const fieldValue = getField(data, field);
+  if (fieldValue === undefined) return false;
+
+  switch (op) {
+    case "==":
+      return isEqual(fieldValue, value);
+    case "!=":
+      return fieldValue !== null && !isEqual(fieldValue, value);
+    case "<":
+    case "<=":
+    case ">":
+    case ">=": {
+      if (typeRank(fieldValue) !== typeRank(value)) return false;
+      const result = compareValues(fieldValue, value);
+      if (op === "<") return result < 0;
+      if (op === "<=") return result <= 0;
+      if (op === ">") return result > 0;
+      return result >= 0;
+    }
+    case "array-contains":
+      return (
+        Array.isArray(fieldValue) && fieldValue.some((v) => isEqual(v, value))
+      );
+    case "array-contains-any":
+      return (
+        Array.isArray(fieldValue) &&
+        fieldValue.some((v) => value.some((target) => isEqual(v, target)))
+      );
+    case "in":
+      return value.some((target) => isEqual(fieldValue, target));
+    case "not-in":
+      return (
+        fieldValue !== null &&
+        !value.some((target) => isEqual(fieldValue, target))
+      );
+    default:
+      return false;
+  }
+};
+
+/**
+ * トランザクション内の読み取り・書き込みを扱うクラスです。
+ * - Firestore の Transaction と同じ `get`, `set`, `update`, `delete` を提供します。
+ * - 書き込みは `runTransaction` の更新関数が正常終了した時点で反映されます。
+ */
+class MemoryTransaction {
+  constructor(adapter) {
+    this._adapter = adapter;
+    this._writes = [];
+  }
+
+  async get(docRef) {
+    return this._adapter.getSnapshot(docRef);
+  }
+
+  set(docRef, data, options = {}) {
+    this._writes.push({
+      type: options.merge ? "merge" : "set",
+      docRef,
+      data: MemoryAdapter.toStoredData(docRef, data),
+    });
+    return this;
+  }
+
+  update(docRef, data) {
+    this._writes.push({ type: "update", docRef, data: clonePlain(data) });
+    return this;
+  }
+
+  delete(docRef) {
+    this._writes.push({ type: "delete", docRef });
+    return this;
+  }
+}
+
+export class MemoryAdapter {
+  /**
+   * @param {Object} [options={}]
+   * @param {string} [options.uid="unknown"] - 作成・更新時に `uid` として記録される値
+   */
+  constructor({ uid = "unknown" } = {}) {
+    /** コレクションパス → (ドキュメントID → ドキュメントデータ) */
+    this._collections = new Map();
+
+    /** 書き込み反映時に呼び出されるリスナー関数 */
+    this._listeners = new Set();
+
+    /** 自動生成するドキュメントIDの連番 */
+    this._autoIdSeq = 0;
+
+    this.uid = uid;
+  }
+
+  get type() {
+    return "MEMORY";
+  }
+
+  /**
+   * GeoPoint クラスを返します。
+   * - MemoryAdapter では本パッケージの GeoPoint をそのまま保存します。
+   */
+  get GeoPoint() {
+    return GeoPoint;
+  }
+
+  /**
+   * console を返します。
+   * FireModel でコンソールを出力するために使用します。
+   */
+  get logger() {
+    return console;
+  }
+
+  /***************************************************************************
+   * ストレージ操作（アダプター自身の公開メソッド）
+   ***************************************************************************/
+
+  /**
+   * 保持しているすべてのドキュメントを削除します。
+   * - リスナーは解除されません。
+   */
+  clear() {
+    this._collections.clear();
+    this._notify();
+  }
+
+  /**
+   * ドキュメントを直接書き込みます。
+   * - テストデータや `Autonumbers` ドキュメントの準備に使用します。
+   * @param {string} collectionPath - コレクションパス
+   * @param {string} docId - ドキュメントID
+   * @param {Object} data - ドキュメントデータ
+   */
+  setDocument(collectionPath, docId, data) {
+    this._getCollection(collectionPath, true).set(docId, clonePlain(data));
+    this._notify();
+  }
+
+  /**
+   * ドキュメントデータを直接取得します。
+   * @param {string} collectionPath - コレクションパス
+   * @param {string} docId - ドキュメントID
+   * @returns {Object|null} ドキュメントデータのコピー（存在しなければ null）
+   */
+  getDocument(collectionPath, docId) {
+    const data = this._getCollection(collectionPath)?.get(docId);
+    return data ? clonePlain(data) : null;
+  }
+
+  /**
+   * コレクション内のすべてのドキュメントデータを取得します。
+   * @param {string} collectionPath - コレクションパス
+   * @returns {Array<Object>} ドキュメントデータのコピーの配列
+   */
+  listDocuments(collectionPath) {
+    const collection = this._getCollection(collectionPath);
+    if (!collection) return [];
+    return Array.from(collection.values()).map((data) => clonePlain(data));
+  }
+
+  /**
+   * ドキュメント参照を生成します。
+   * - `docId` が省略された場合は自動生成されます。
+   * @param {string} collectionPath - コレクションパス
+   * @param {string|null} [docId=null] - ドキュメントID
+   * @param {Object|null} [converter=null] - `toFirestore`, `fromFirestore` を持つコンバーター
+   * @returns {Object} ドキュメント参照
+   */
+  doc(collectionPath, docId = null, converter = null) {
+    const id = docId || this._generateId();
+    const adapter = this;
+    return {
+      id,
+      path: `${collectionPath}/${id}`,
+      collectionPath,
+      converter,
+      withConverter(newConverter) {
+        return adapter.doc(collectionPath, id, newConverter);
+      },
+    };
+  }
+
+  /**
+   * ドキュメント参照からスナップショットを取得します。
+   * - 参照にコンバーターが設定されている場合、`data()` は `fromFirestore` の結果を返します。
+   * @param {Object} docRef - ドキュメント参照
+   * @returns {Object} `id`, `ref`, `exists()`, `data()` を持つスナップショット
+   */
+  getSnapshot(docRef) {
+    const data = this._getCollection(docRef.collectionPath)?.get(docRef.id);
+    return this._createSnapshot(docRef, data);
+  }
+
+  /**
+   * コレクション（またはコレクショングループ）に対してクエリを実行します。
+   * @param {Object} target - `{ collectionPath }` または `{ collectionGroup }`
+   * @param {Array<Object>} [constraints=[]] - `createQueries` が生成したクエリ制約の配列
+   * @param {Object|null} [converter=null] - スナップショットに適用するコンバーター
+   * @returns {Array<Object>} スナップショットの配列
+   */
+  query(target, constraints = [], converter = null) {
+    const entries = [];
+    for (const [path, collection] of this._collections) {
+      const isTarget = target.collectionGroup
+        ? path.split("/").pop() === target.collectionGroup
+        : path === target.collectionPath;
+      if (!isTarget) continue;
+      for (const [id, data] of collection) {
+        entries.push({ path, id, data });
+      }
+    }
+
+    const wheres = constraints.filter(({ type }) => type === "where");
+    const orderBys = constraints.filter(({ type }) => type === "orderBy");
+    const limits = constraints.filter(({ type }) =>
+      ["limit", "limitToLast"].includes(type),
+    );
+    const cursors = constraints.filter(({ type }) =>
+      CURSOR_TYPES.includes(type),
+    );
+
+    // `__name__` はドキュメント ID を表す（Firestore の FieldPath.documentId() と同様）
+    const valueOf = ({ id, data }, field) =>
+      field === "__name__" ? id : getField(data, field);
+
+    let result = entries.filter(({ data }) =>
+      wheres.every((constraint) => matchesWhere(data, constraint)),
+    );
+
+    // orderBy のフィールドを持たないドキュメントは Firestore と同様に除外
+    result = result.filter((entry) =>
+      orderBys.every(({ field }) => valueOf(entry, field) !== undefined),
+    );
+
+    result.sort((a, b) => {
+      for (const { field, direction } of orderBys) {
+        const diff = compareValues(valueOf(a, field), valueOf(b, field));
+        if (diff !== 0) return direction === "desc" ? -diff : diff;
+      }
+      return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+    });
+
+    // カーソルの値は orderBy の順に比較する
+    const compareCursor = (entry, values) => {
+      for (let i = 0; i < values.length && i < orderBys.length; i++) {
+        const { field, direction } = orderBys[i];
+        const diff = compareValues(valueOf(entry, field), values[i]);
+        if (diff !== 0) return direction === "desc" ? -diff : diff;
+      }
+      return 0;
+    };
+    cursors.forEach(({ type, values }) => {
+      result = result.filter((entry) => {
+        const diff = compareCursor(entry, values);
+        if (type === "startAt") return diff >= 0;
+        if (type === "startAfter") return diff > 0;
+        if (type === "endAt") return diff <= 0;
+        return diff < 0;
+      });
+    });
+
+    if (limits.length) {
+      const { type, value } = limits[limits.length - 1];
+      result =
+        type === "limitToLast"
+          ? result.slice(Math.max(result.length - value, 0))
+          : result.slice(0, value);
+    }
+
+    return result.map(({ path, id, data }) =>
+      this._createSnapshot(this.doc(path, id, converter), data),
+    );
+  }
+
+  /**
+   * 書き込み内容を保存する形式に変換します。
+   * - 参照にコンバーターが設定されている場合は `toFirestore` を適用します。
+   * @param {Object} docRef - ドキュメント参照
+   * @param {Object} data - 書き込むデータ
+   * @returns {Object} 保存用のプレーンなオブジェクト
+   */
+  static toStoredData(docRef, data) {
+    const raw = docRef.converter ? docRef.converter.toFirestore(data) : data;
+    return clonePlain(raw);
+  }
+
+  _getCollection(collectionPath, create = false) {
+    if (!this._collections.has(collectionPath) && create) {
+      this._collections.set(collectionPath, new Map());
+    }
+    return this._collections.get(collectionPath);
+  }
+
+  _generateId() {
+    this._autoIdSeq += 1;
+    const random = Math.random().toString(36).slice(2, 10);
+    return `${Date.now().toString(36)}${this._autoIdSeq.toString(36)}${random}`;
+  }
+
+  _createSnapshot(docRef, data) {
+    const rawSnapshot = {
+      id: docRef.id,
+      ref: docRef,
+      exists: () => data !== undefined,
+      data: () => (data === undefined ? undefined : clonePlain(data)),
+    };
+    if (!docRef.converter) return rawSnapshot;
+    return {
+      ...rawSnapshot,
+      data: () =>
+        data === undefined
+          ? undefined
+          : docRef.converter.fromFirestore(rawSnapshot),
+    };
+  }
+
+  /**
+   * トランザクションの書き込みを反映します。
+   * - `update` の対象ドキュメントが存在しない場合は何も反映せずにエラーをスローします。
+   * @param {Array<Object>} writes
+   */
+  _commit(writes) {
+    const pending = new Map();
+    const read = (docRef) =>
+      pending.has(docRef.path)
+        ? pending.get(docRef.path)
+        : this._getCollection(docRef.collectionPath)?.get(docRef.id);
+
+    for (const { type, docRef, data } of writes) {
+      const current = read(docRef);
+      if (type === "set") {
+        pending.set(docRef.path, data);
+      } else if (type === "merge" || type === "update") {
+        if (type === "update" && current === undefined) {
+          throw new Error(
+            `[MemoryAdapter - runTransaction] No document to update: ${docRef.path}`,
+          );
+        }
+        const merged = clonePlain(current || {});
+        Object.entries(data).forEach(([path, value]) => {
+          setField(merged, path, value);
+        });
+        pending.set(docRef.path, merged);
+      } else if (type === "delete") {
+        pending.set(docRef.path, undefined);
+      }
+    }
+
+    for (const { docRef } of writes) {
+      if (!pending.has(docRef.path)) continue;
+      const data = pending.get(docRef.path);
+      if (data === undefined) {
+        this._getCollection(docRef.collectionPath)?.delete(docRef.id);
+      } else {
+        this._getCollection(docRef.collectionPath, true).set(docRef.id, data);
+      }
+      pending.delete(docRef.path);
+    }
+
+    if (writes.length) this._notify();
+  }
+
+  _addListener(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
+
+  _notify() {
+    Array.from(this._listeners).forEach((listener) => listener());
+  }
+
+  /***************************************************************************
+   * FireModel から呼び出されるメソッド（`this` はモデルのインスタンスまたはクラス）
+   ***************************************************************************/
+
+  /**
+   * 指定されたドキュメントIDからドキュメント参照を取得します。
+   * - コンバーターを適用したドキュメント参照を返します。
+   * - このメソッドは FireModel クラスから静的に呼び出されることを想定しています。
+   *
+   * @param {Object} args - パラメータオブジェクト
+   * @param {string} args.docId - ドキュメントID（必須）
+   * @param {string|null} [args.prefix=null] - パスのプレフィックス（任意）
+   * @returns {Object} ドキュメント参照
+   * @throws {Error} `docId` が指定されていない場合
+   */
+  getDocRef({ docId, prefix = null } = {}) {
+    if (!docId) {
+      throw new Error("[MemoryAdapter - getDocRef] docId is required.");
+    }
+    const Model = getModelClass(this);
+    const adapter = Model.getAdapter();
+    return adapter.doc(
+      Model.getCollectionPath(prefix),
+      docId,
+      Model.converter(),
+    );
+  }
+
+  /**
+   * `Autonumbers` コレクションのドキュメントを使用して採番します。
+   * - `Autonumbers/{collectionPath}` ドキュメントの `current` をインクリメントし、
+   *   `field` に指定されたプロパティにゼロ埋めした採番値を設定します。
+   * - 採番値の更新は返される関数を呼び出すことで行われます。
+   *
+   * @param {Object} args - パラメータオブジェクト
+   * @param {Object} args.transaction - トランザクションオブジェクト（必須）
+   * @param {string|null} [args.prefix=null] - コレクションパスのプレフィックス（任意）
+   * @returns {Promise<Function>} 採番値を更新する関数
+   * @throws {Error} ドキュメントが存在しない、無効なステータス、最大値到達時など
+   */
+  async setAutonumber({ transaction, prefix = null } = {}) {
+    if (!transaction) {
+      throw new Error(
+        "[MemoryAdapter - setAutonumber] transaction is required.",
+      );
+    }
+
+    const Model = getModelClass(this);
+    const adapter = Model.getAdapter();
+    const effectivePrefix = Model.getEffectivePrefix(prefix);
+    const docRef = adapter.doc(
+      `${effectivePrefix}Autonumbers`,
+      Model.collectionPath,
+    );
+    const docSnap = await transaction.get(docRef);
+    if (!docSnap.exists()) {
+      throw new Error(
+        `[MemoryAdapter - setAutonumber] Autonumber document not found: ${docRef.path}`,
+      );
+    }
+
+    const data = docSnap.data();
+    if (!data?.status) {
+      throw new Error(
+        `[MemoryAdapter - setAutonumber] Autonumber is disabled: ${docRef.path}`,
+      );
+    }
+
+    const newNumber = data.current + 1;
+    const length = data.length;
+    const maxValue = Math.pow(10, length) - 1;
+    if (newNumber > maxValue) {
+      throw new Error(
+        `[MemoryAdapter - setAutonumber] Autonumber has reached its maximum value: ${docRef.path}`,
+      );
+    }
+
+    this[data.field] = String(newNumber).padStart(length, "0");
+
+    return () => transaction.update(docRef, { current: newNumber });
+  }
+
+  /**
+   * ドキュメントを作成します。
+   * @param {Object} args - Creation options.
+   * @param {string} [args.docId] - Document ID to use (optional).
+   * @param {boolean} [args.useAutonumber=true] - Whether to use auto-numbering.
+   * @param {Object} [args.transaction] - Transaction object.
+   * @param {Function} [args.callback] - Callback function.
+   * @param {string} [args.prefix] - Path prefix.
+   * @returns {Promise<Object>} Reference to the created document.
+   * @throws {Error} If creation fails or `callback` is not a function.
+   */
+  async create(args = {}) {
+    const { docId, useAutonumber = true, transaction, callback, prefix } = args;
+    if (callback && typeof callback !== "function") {
+      throw new Error("[MemoryAdapter - create] callback must be a function.");
+    }
+
+    const Model = getModelClass(this);
+    const adapter = Model.getAdapter();
+
+    await this.beforeCreate(args);
+    await this.beforeEdit(args);
+    this.validate();
+
+    const performTransaction = async (txn) => {
+      const updateAutonumber =
+        Model.useAutonumber && useAutonumber
+          ? await this.setAutonumber({ transaction: txn, prefix })
+          : null;
+
+      const docRef = adapter.doc(
+        Model.getCollectionPath(prefix),
+        docId || null,
+        Model.converter(),
+      );
+
+      this.docId = docRef.id;
+      this.createdAt = new Date();
+      this.updatedAt = new Date();
+      this.uid = adapter.uid || "unknown";
+
+      txn.set(docRef, this);
+
+      if (updateAutonumber) await updateAutonumber();
+      if (callback) await callback(txn);
+
+      return docRef;
+    };
+
+    return transaction
+      ? await performTransaction(transaction)
+      : await adapter.runTransaction(performTransaction);
+  }
+
+  /**
+   * ドキュメントを取得してインスタンスに読み込みます。
+   * - ドキュメントが存在しない場合、インスタンスは初期化されます。
+   * @param {Object} args - Fetch options.
+   * @param {string} args.docId - Document ID to fetch.
+   * @param {Object|null} [args.transaction=null] - Transaction object (optional).
+   * @param {string|null} [args.prefix=null] - Path prefix (optional).
+   * @returns {Promise<boolean>} True if document was found and loaded, false if not found.
+   * @throws {Error} If `docId` is not specified.
+   */
+  async fetch({ docId, transaction = null, prefix = null } = {}) {
+    if (!docId) {
+      throw new Error("[MemoryAdapter - fetch] docId is required.");
+    }
+    const Model = getModelClass(this);
+    const docRef = Model.getDocRef({ docId, prefix });
+    const docSnap = transaction
+      ? await transaction.get(docRef)
+      : Model.getAdapter().getSnapshot(docRef);
+    this.initialize(docSnap.exists() ? docSnap.data() : null);
+    return docSnap.exists();
+  }
+
+  /**
+   * ドキュメントを取得して新しいインスタンスとして返します。
+   * @param {Object} args - Fetch options.
+   * @param {string} args.docId - Document ID to fetch.
+   * @param {Object|null} [args.transaction=null] - Transaction object (optional).
+   * @param {string|null} [args.prefix=null] - Path prefix (optional).
+   * @returns {Promise<Object|null>} Document data, or null if not found.
+   * @throws {Error} If `docId` is not specified.
+   */
+  async fetchDoc({ docId, transaction = null, prefix = null } = {}) {
+    if (!docId) {
+      throw new Error("[MemoryAdapter - fetchDoc] docId is required.");
+    }
+    const Model = getModelClass(this);
+    const docRef = Model.getDocRef({ docId, prefix });
+    const docSnap = transaction
+      ? await transaction.get(docRef)
+      : Model.getAdapter().getSnapshot(docRef);
+    return docSnap.exists() ? docSnap.data() : null;
+  }
+
+  /**
+   * クエリ条件の配列を受け取り、クエリ制約オブジェクトの配列を生成して返します。
+   * - 例：`[['where', 'age', '>=', 18], ['orderBy', 'age', 'desc'], ['limit', 10]]`
+   * - カーソル（`startAt`, `startAfter`, `endAt`, `endBefore`）と `limitToLast` にも対応します。
+   *   例：`[['orderBy', 'age'], ['startAfter', 18], ['limit', 10]]`
+   *
+   * @param {Array} constraints - クエリ条件の配列です。
+   * @returns {Array<Object>} - クエリ制約オブジェクトの配列を返します。
+   * @throws {Error} - 不明なクエリタイプや不正な引数が指定された場合。
+   */
+  createQueries(constraints) {
+    return constraints.map((constraint) => {
+      const [type, ...args] = constraint;
+      switch (type) {
+        case "where":
+          if (!WHERE_OPERATORS.includes(args[1])) {
+            throw new Error(
+              `[MemoryAdapter - createQueries] Invalid where operator: ${args[1]}`,
+            );
+          }
+          return { type, field: args[0], op: args[1], value: args[2] };
+        case "orderBy":
+          if (!["asc", "desc"].includes(args[1] || "asc")) {
+            throw new Error(
+              "[MemoryAdapter - createQueries] orderBy direction must be 'asc' or 'desc'.",
+            );
+          }
+          return { type, field: args[0], direction: args[1] || "asc" };
+        case "limit":
+        case "limitToLast":
+          if (typeof args[0] !== "number" || args[0] <= 0) {
+            throw new Error(
+              `[MemoryAdapter - createQueries] ${type} must be a positive number.`,
+            );
+          }
+          return { type, value: args[0] };
+        case "startAt":
+        case "startAfter":
+        case "endAt":
+        case "endBefore":
+          if (args.length === 0) {
+            throw new Error(
+              `[MemoryAdapter - createQueries] ${type} requires at least one value.`,
+            );
+          }
+          return { type, values: args };
+        default:
+          throw new Error(
+            `[MemoryAdapter - createQueries] Invalid query type: ${type}`,
+          );
+      }
+    });
+  }
+
+  /**
+   * クエリ条件に一致するドキュメントを取得します。
+   * - `constraints` が文字列なら N-gram 検索を実行します。
+   * - 配列なら通常のクエリ検索を行います。
+   *
+   * @param {Object} args - Fetch options.
+   * @param {Array|string} args.constraints - Query condition array or search string.
+   * @param {Array} [args.options=[]] - Additional query filters (ignored if constraints is an array).
+   * @param {Object|null} [args.transaction=null] - Transaction object (unused).
+   * @param {string|null} [args.prefix=null] - Optional path prefix.
+   * @returns {Promise<Array<Object>>} Array of document data.
+   * @throws {Error} If constraints are invalid.
+   */
+  async fetchDocs({ constraints = [], options = [], prefix = null } = {}) {
+    const queryConstraints = toQueryConstraints(
+      this,
+      { constraints, options },
+      "fetchDocs",
+    );
+
+    const Model = getModelClass(this);
+    const snapshots = Model.getAdapter().query(
+      { collectionPath: Model.getCollectionPath(prefix) },
+      queryConstraints,
+      Model.converter(),
+    );
+    return snapshots.map((snapshot) => snapshot.data());
+  }
+
+  /**
+   * クエリ条件に一致するドキュメントを集計します。
+   * - `constraints` / `options` は `fetchDocs` と同じです。
+   * - Firestore の集計クエリと同様、sum / average は数値以外の値を無視します。
+   *
+   * @param {Object} args - Aggregate options.
+   * @param {Object} args.aggregations - `{ [alias]: { type, field } }` の形式の集計の定義
+   * @param {Array|string} [args.constraints=[]] - Query condition array or search string.
+   * @param {Array} [args.options=[]] - Additional query filters (ignored if constraints is an array).
+   * @param {string|null} [args.prefix=null] - Optional path prefix.
+   * @returns {Promise<Object<string, number|null>>} エイリアスをキーとする集計結果
+   * @throws {Error} If constraints are invalid.
+   */
+  async aggregate({
+    aggregations = {},
+    constraints = [],
+    options = [],
+    prefix = null,
+  } = {}) {
+    const queryConstraints = toQueryConstraints(
+      this,
+      { constraints, options },
+      "aggregate",
+    );
+
+    const Model = getModelClass(this);
+    const snapshots = Model.getAdapter().query(
+      { collectionPath: Model.getCollectionPath(prefix) },
+      queryConstraints,
+    );
+    return reduceAggregations(
+      snapshots.map((snapshot) => snapshot.data()),
+      aggregations,
+      getField,
+    );
+  }
+
+  /**
+   * 指定されたドキュメント ID の配列に該当するドキュメントを取得して返します。
+   * @param {Object} args - Fetch options.
+   * @param {Array<string>} args.ids - Document ID の配列。
+   * @param {Object|null} [args.transaction=null] - Transaction object (unused).
+   * @param {string|null} [args.prefix=null] - Optional path prefix.
+   * @returns {Promise<Array<Object>>} Array of document data.
+   */
+  async fetchDocsByIds({ ids = [], prefix = null } = {}) {
+    if (!Array.isArray(ids) || ids.length === 0) return [];
+    const Model = getModelClass(this);
+    const adapter = Model.getAdapter();
+    return Array.from(new Set(ids))
+      .map((docId) => adapter.getSnapshot(Model.getDocRef({ docId, prefix })))
+      .filter((snapshot) => snapshot.exists())
+      .map((snapshot) => snapshot.data());
+  }
+
+  /**
+   * 現在のインスタンスの内容でドキュメントを更新します。
+   * @param {Object} args - Parameters for update operation.
+   * @param {Object|null} [args.transaction=null] - Transaction object.
+   * @param {function|null} [args.callback=null] - Callback executed after update.
+   * @param {string|null} [args.prefix=null] - Optional path prefix.
+   * @returns {Promise<Object>} Reference to the updated document.
+   * @throws {Error} If `docId` is not set, or if `callback` is not a function.
+   */
+  async update(args = {}) {
+    const { transaction = null, callback = null, prefix = null } = args;
+    if (callback !== null && typeof callback !== "function") {
+      throw new Error("[MemoryAdapter - update] callback must be a function.");
+    }
+    if (!this.docId) {
+      throw new Error("[MemoryAdapter - update] docId is required.");
+    }
+
+    const Model = getModelClass(this);
+    const adapter = Model.getAdapter();
+
+    await this.beforeUpdate(args);
+    await this.beforeEdit(args);
+    this.validate();
+
+    const performTransaction = async (txn) => {
+      const docRef = Model.getDocRef({ docId: this.docId, prefix });
+      this.updatedAt = new Date();
+      this.uid = adapter.uid || "unknown";
+      txn.set(docRef, this);
+      if (callback) await callback(txn);
+      return docRef;
+    };
+
+    return transaction
+      ? await performTransaction(transaction)
+      : await adapter.runTransaction(performTransaction);
+  }
+
+  /**
+   * `hasMany` の定義に基づき、子ドキュメントが存在するかを確認します。
+   * - `type` が `"collection"` の場合はプレフィックスを付与したコレクションを検索します。
+   * - それ以外の場合はコレクショングループとして検索します。
+   * - `condition` の値に `"$docId"` が指定されている場合はこのドキュメントの ID に置き換えます。
+   * @param {Object} args - Options for the check.
+   * @param {Object|null} [args.transaction=null] - Transaction object (unused).
+   * @param {string|null} [args.prefix=null] - Optional path prefix.
+   * @returns {Promise<object|boolean>} Matching `hasMany` item if found, otherwise false.
+   * @throws {Error} If `docId` is not set.
+   */
+  async hasChild({ prefix = null } = {}) {
+    if (!this.docId) {
+      throw new Error("[MemoryAdapter - hasChild] docId is required.");
+    }
+
+    const Model = getModelClass(this);
+    const adapter = Model.getAdapter();
+
+    for (const item of Model.hasMany) {
+      const target =
+        item.type === "collection"
+          ? {
+              collectionPath: `${Model.getEffectivePrefix(prefix)}${item.collectionPath}`,
+            }
+          : { collectionGroup: item.collectionPath };
+
+      // `condition` は演算子（ClientAdapter と同様）または [フィールド, 演算子, 値] の配列
+      const [field, op, value] = Array.isArray(item.condition)
+        ? item.condition
+        : [item.field, item.condition, "$docId"];
+      const constraints = [
+        {
+          type: "where",
+          field,
+          op,
+          value: value === "$docId" ? this.docId : value,
+        },
+        { type: "limit", value: 1 },
+      ];
+      if (adapter.query(target, constraints).length) return item;
+    }
+
+    return false;
+  }
+
+  /**
+   * 現在の `docId` に該当するドキュメントを削除します。
+   * - `logicalDelete` が true の場合、ドキュメントは `<collectionPath>_archive` に移動されます。
+   * - 子ドキュメントが存在する場合は削除できません。
+   * @param {Object} args - Parameters for deletion.
+   * @param {Object|null} [args.transaction=null] - Transaction object (optional).
+   * @param {function|null} [args.callback=null] - Callback executed after deletion (optional).
+   * @param {string|null} [args.prefix=null] - Optional path prefix.
+   * @returns {Promise<void>} Resolves when deletion is complete.
+   * @throws {Error} If `docId` is missing, `callback` is not a function, or child documents exist.
+   */
+  async delete(args = {}) {
+    const { transaction = null, callback = null, prefix = null } = args;
+    if (callback !== null && typeof callback !== "function") {
+      throw new Error("[MemoryAdapter - delete] callback must be a function.");
+    }
+    if (!this.docId) {
+      throw new Error("[MemoryAdapter - delete] docId is required.");
+    }
+
+    const Model = getModelClass(this);
+    const adapter = Model.getAdapter();
+
+    await this.beforeDelete(args);
+
+    const collectionPath = Model.getCollectionPath(prefix);
+    const docRef = adapter.doc(collectionPath, this.docId);
+
+    const performTransaction = async (txn) => {
+      const hasChild = await this.hasChild({ transaction: txn, prefix });
+      if (hasChild) {
+        throw new Error(
+          `[MemoryAdapter - delete] Child documents exist in ${hasChild.collectionPath}.`,
+        );
+      }
+
+      if (Model.logicalDelete) {
+        const sourceDocSnap = await txn.get(docRef);
+        if (!sourceDocSnap.exists()) {
+          throw new Error(
+            `[MemoryAdapter - delete] Document not found: ${docRef.path}`,
+          );
+        }
+        const archiveDocRef = adapter.doc(
+          `${collectionPath}_archive`,
+          this.docId,
+        );
+        txn.set(archiveDocRef, sourceDocSnap.data());
+      }
+
+      txn.delete(docRef);
+
+      if (callback) await callback(txn);
+    };
+
+    if (transaction) {
+      await performTransaction(transaction);
+    } else {
+      await adapter.runTransaction(performTransaction);
+    }
+  }
+
+  /**
+   * アーカイブコレクションから削除されたドキュメントを元のコレクションに復元します。
+   * @param {Object} args - Restore options.
+   * @param {string} args.docId - Document ID to restore.
+   * @param {string|null} [args.prefix=null] - Optional path prefix.
+   * @param {Object|null} [args.transaction=null] - Transaction object (optional).
+   * @returns {Promise<Object>} Reference to the restored document.
+   * @throws {Error} If document is not found in the archive.
+   */
+  async restore({ docId, prefix = null, transaction = null } = {}) {
+    if (!docId) {
+      throw new Error("[MemoryAdapter - restore] docId is required.");
+    }
+
+    const Model = getModelClass(this);
+    const adapter = Model.getAdapter();
+
+    const performTransaction = async (txn) => {
+      const collectionPath = Model.getCollectionPath(prefix);
+      const archiveDocRef = adapter.doc(`${collectionPath}_archive`, docId);
+      const docSnapshot = await txn.get(archiveDocRef);
+      if (!docSnapshot.exists()) {
+        throw new Error(
+          `[MemoryAdapter - restore] Document not found: ${archiveDocRef.path}`,
+        );
+      }
+      const docRef = adapter.doc(collectionPath, docId);
+      txn.delete(archiveDocRef);
+      txn.set(docRef, docSnapshot.data());
+      return docRef;
+    };
+
+    return transaction
+      ? await performTransaction(transaction)
+      : await adapter.runTransaction(performTransaction);
+  }
+
+  /**
+   * リアルタイムリスナーを解除し、`this.docs` をクリアします。
+   * @returns {void}
+   */
+  unsubscribe() {
+    if (this.listener) {
+      this.listener();
+      this.listener = null;
+    }
+    this.docs.splice(0);
+  }
+
+  /**
+   * ドキュメントに対してリアルタイムリスナーを設定し、ドキュメントのデータでインスタンスを初期化します。
+   * - 既存のリスナーが存在する場合は解除してから再設定します。
+   * - リスナーは設定直後に一度、その後は書き込みが反映されるたびに呼び出されます。
+   * @param {Object} args - Subscribe options.
+   * @param {string} args.docId - Document ID to subscribe to.
+   * @param {string|null} [args.prefix=null] - Optional path prefix.
+   * @param {function|null} [callback=null] - Callback executed on document changes.
+   * @returns {void}
+   * @throws {Error} If docId is missing.
+   */
+  subscribe({ docId, prefix = null } = {}, callback = null) {
+    this.unsubscribe();
+
+    if (!docId) {
+      throw new Error("[MemoryAdapter - subscribe] docId is required.");
+    }
+
+    const Model = getModelClass(this);
+    const adapter = Model.getAdapter();
+    const docRef = Model.getDocRef({ docId, prefix });
+
+    const onChange = () => {
+      const docSnapshot = adapter.getSnapshot(docRef);
+      this.initialize(docSnapshot.data());
+      if (callback) callback(docSnapshot.data());
+    };
+
+    this.listener = adapter._addListener(onChange);
+    onChange();
+  }
+
+  /**
+   * コレクションに対してリアルタイムリスナーを設定し、変更を `this.docs` に反映します。
+   * - `constraints` が文字列の場合は `tokenMap` を使用した N-Gram 検索を行います。
+   * - `constraints` が配列の場合はクエリ条件として扱います。
+   * @param {Object} args - Subscribe options.
+   * @param {Array|string} args.constraints - Query condition array or search string.
+   * @param {Array} [args.options=[]] - Additional query conditions.
+   * @param {string|null} [args.prefix=null] - Optional path prefix.
+   * @param {function|null} [args.callback=null] - [deprecated] Callback executed on document changes.
+   * @param {function|null} [callback=null] - Callback executed on document changes.
+   * @returns {Array<Object>} Live-updated document data.
+   */
+  subscribeDocs(
+    {
+      constraints = [],
+      options = [],
+      prefix = null,
+      callback: deprecatedCallback = null,
+    } = {},
+    callback = null,
+  ) {
+    if (deprecatedCallback) {
+      console.warn(
+        "[FireModel-subscribeDocs] The 'callback' parameter has been moved from the options object to a separate parameter. Please update your code accordingly.",
+      );
+      if (!callback) callback = deprecatedCallback;
+    }
+
+    this.unsubscribe();
+    const queryConstraints = [];
+
+    if (typeof constraints === "string") {
+      if (!constraints) return this.docs;
+      queryConstraints.push(...this.createTokenMapQueries(constraints));
+      queryConstraints.push(...this.createQueries(options));
+    } else if (Array.isArray(constraints)) {
+      queryConstraints.push(...this.createQueries(constraints));
+    } else if (constraints == null) {
+      return this.docs;
+    } else {
+      throw new Error(
+        "[MemoryAdapter - subscribeDocs] Invalid query constraints.",
+      );
+    }
+
+    const Model = getModelClass(this);
+    const adapter = Model.getAdapter();
+    const collectionPath = Model.getCollectionPath(prefix);
+    const converter = Model.converter();
+
+    // 前回通知時のドキュメントデータ（変更検知用）
+    let previous = new Map();
+
+    const onChange = () => {
+      const snapshots = adapter.query({ collectionPath }, queryConstraints);
+      const current = new Map(
+        snapshots.map((snapshot) => [snapshot.id, snapshot.data()]),
+      );
+      const toItem = (id, data) =>
+        converter.fromFirestore(
+          adapter._createSnapshot(adapter.doc(collectionPath, id), data),
+        );
+
+      for (const [id, data] of previous) {
+        if (current.has(id)) continue;
+        const index = this.docs.findIndex(({ docId }) => docId === id);
+        const item = toItem(id, data);
+        if (index >= 0) this.docs.splice(index, 1);
+        if (callback) callback(item, "removed");
+      }
+      for (const [id, data] of current) {
+        if (previous.has(id) && isEqual(previous.get(id), data)) continue;
+        const item = toItem(id, data);
+        const index = this.docs.findIndex(({ docId }) => docId === id);
+        const type = previous.has(id) ? "modified" : "added";
+        if (type === "added") this.docs.push(item);
+        if (type === "modified") this.docs.splice(index, 1, item);
+        if (callback) callback(item, type);
+      }
+      previous = current;
+    };
+
+    this.listener = adapter._addListener(onChange);
+    onChange();
+
+    return this.docs;
+  }
+
+  /**
+   * トランザクションを実行します。
+   * - このメソッドは FireModel.runTransaction からアダプターをレシーバーとして呼び出されます。
+   * @param {Function} updateFunction - トランザクション内で実行する関数
+   * @returns {Promise<any>} トランザクションの結果
+   */
+  async runTransaction(updateFunction) {
+    const transaction = new MemoryTransaction(this);
+    const result = await updateFunction(transaction);
+    this._commit(transaction._writes);
+    return result;
+  }
+}
+
+export default MemoryAdapter;
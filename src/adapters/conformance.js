@@ -0,0 +1,623 @@
+/*****************************************************************************
+ * @file ./src/adapters/conformance.js
+ * @description アダプターの適合性テストスイートです。
+ * - `ADAPTER_INTERFACE` に定義された契約をアダプターが守っているかを、実際に CRUD 処理を
+ *   実行して検証します。ClientAdapter / ServerAdapter / MemoryAdapter / 独自アダプターの
+ *   いずれに対しても実行できます。
+ * - テストデータは実行ごとに一意な prefix（`ConformanceRuns/{runId}/`）配下に作成されるため、
+ *   エミュレーターや検証用プロジェクトに対して実行しても既存データには影響しません。
+ * - テスト用のモデルにのみ `withAdapter()` で対象のアダプターを設定するため、
+ *   `FireModel.setAdapter()` で設定されたアダプターには影響しません。
+ *
+ * 例:
+ * ```javascript
+ * import { runAdapterConformance, MemoryAdapter } from "@shisyamo4131/air-firebase-v2";
+ * const { failed, results } = await runAdapterConformance(new MemoryAdapter(), {
+ *   logger: console,
+ * });
+ * ```
+ *****************************************************************************/
+import FireModel from "../../index.js";
+import { GeoPoint } from "../types.js";
+import { getMissingAdapterMethods } from "./AdapterInterface.js";
+
+/**
+ * 条件が満たされるまで待機します（リアルタイムリスナーの反映待ち）。
+ * @param {Function} predicate - 真偽値を返す関数
+ * @param {number} timeout - タイムアウト（ミリ秒）
+ * @returns {Promise<boolean>} タイムアウトまでに条件が満たされれば true
+ */
+const waitFor = async (predicate, timeout) => {
+  const start = Date.now();
+  while (Date.now() - start < timeout) {
+    if (predicate()) return true;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  return predicate();
+};
+
+/**
+ * 条件が満たされない場合にエラーをスローします。
+ * @param {boolean} condition
+ * @param {string} message
+ */
+const check = (condition, message) => {
+  if (!condition) throw new Error(message);
+};
+
+/**
+ * Promise がリジェクトされることを確認します。
+ * @param {Promise} promise
+ * @param {string} message
+ */
+const checkRejects = async (promise, message) => {
+  let rejected = false;
+  try {
+    await promise;
+  } catch (err) {
+    rejected = true;
+  }
+  check(rejected, message);
+};
+
+/**
+ * テスト用のモデルクラスを生成します。
+ * @param {Object} adapter - テスト用モデルに設定するアダプター
+ * @returns {Object} テスト用モデルクラスのマップ
+ * @throws {Error} 必須メソッドが不足している場合（AdapterInterfaceError）
+ */
+const createModels = (adapter) => {
+  const ConformanceBase = FireModel.withAdapter(adapter);
+
+  class ConformanceChild extends ConformanceBase {
+    static className = "ConformanceChild";
+    static collectionPath = "ConformanceChildren";
+    static classProps = {
+      parentId: { type: String, default: "" },
+    };
+  }
+
+  class ConformanceItem extends ConformanceBase {
+    static className = "ConformanceItem";
+    static collectionPath = "ConformanceItems";
+    static tokenFields = ["name"];
+    static hasMany = [
+      {
+        collectionPath: "ConformanceChildren",
+        field: "parentId",
+        condition: "==",
+        type: "collection",
+      },
+    ];
+    static classProps = {
+      name: { type: String, default: "", required: true },
+      rank: { type: Number, default: 0 },
+      location: { type: GeoPoint, default: null },
+    };
+  }
+
+  class ConformanceArchivedItem extends ConformanceBase {
+    static className = "ConformanceArchivedItem";
+    static collectionPath = "ConformanceArchivedItems";
+    static logicalDelete = true;
+    static classProps = {
+      name: { type: String, default: "" },
+    };
+  }
+
+  class ConformanceSearchItem extends ConformanceBase {
+    static className = "ConformanceSearchItem";
+    static collectionPath = "ConformanceSearchItems";
+    static tokenFields = ["name"];
+    static tokenizer = { ngram: [2, 3], caseFold: true };
+    static classProps = {
+      name: { type: String, default: "" },
+    };
+  }
+
+  return {
+    ConformanceChild,
+    ConformanceItem,
+    ConformanceArchivedItem,
+    ConformanceSearchItem,
+  };
+};
+
+/**
+ * 適合性テストのケース定義です。
+ * - 各ケースは `{ name, run }` を持ち、`run` は失敗時にエラーをスローします。
+ */
+const CASES = [
+  {
+    name: "implements all required methods",
+    run: async ({ adapter }) => {
+      const missing = getMissingAdapterMethods(adapter);
+      check(missing.length === 0, `Missing methods: ${missing.join(", ")}`);
+    },
+  },
+  {
+    name: "create assigns docId, createdAt and updatedAt",
+    run: async ({ models, prefix }) => {
+      const item = new models.ConformanceItem({ name: "create" });
+      const docRef = await item.create({ prefix });
+      check(!!item.docId, "docId is not assigned.");
+      check(docRef?.id === item.docId, "Returned reference id mismatch.");
+      check(item.createdAt instanceof Date, "createdAt is not a Date.");
+      check(item.updatedAt instanceof Date, "updatedAt is not a Date.");
+    },
+  },
+  {
+    name: "create honours the docId argument",
+    run: async ({ models, prefix }) => {
+      const item = new models.ConformanceItem({ name: "fixed-id" });
+      await item.create({ docId: "fixed-id", prefix });
+      check(item.docId === "fixed-id", "docId argument is ignored.");
+    },
+  },
+  {
+    name: "create rejects an invalid instance without writing",
+    run: async ({ models, prefix }) => {
+      const item = new models.ConformanceItem({ rank: -1 });
+      await checkRejects(
+        item.create({ prefix }),
+        "Invalid instance was created.",
+      );
+      const docs = await new models.ConformanceItem().fetchDocs({
+        constraints: [["where", "rank", "==", -1]],
+        prefix,
+      });
+      check(docs.length === 0, "Invalid instance was written.");
+    },
+  },
+  {
+    name: "fetch loads an existing document and resets on a missing one",
+    run: async ({ models, prefix }) => {
+      const item = new models.ConformanceItem({ name: "fetch", rank: 7 });
+      await item.create({ prefix });
+      const loaded = new models.ConformanceItem();
+      const found = await loaded.fetch({ docId: item.docId, prefix });
+      check(found === true, "fetch did not return true.");
+      check(loaded.name === "fetch" && loaded.rank === 7, "Data mismatch.");
+      check(loaded.docId === item.docId, "docId mismatch.");
+      const missing = await loaded.fetch({ docId: "missing-doc", prefix });
+      check(missing === false, "fetch did not return false.");
+      check(loaded.name === "", "Instance was not reset.");
+    },
+  },
+  {
+    name: "fetchDoc returns a model instance or null",
+    run: async ({ models, prefix }) => {
+      const item = new models.ConformanceItem({ name: "fetchDoc" });
+      await item.create({ prefix });
+      const doc = await new models.ConformanceItem().fetchDoc({
+        docId: item.docId,
+        prefix,
+      });
+      check(doc instanceof models.ConformanceItem, "Not a model instance.");
+      check(doc.name === "fetchDoc", "Data mismatch.");
+      const missing = await new models.ConformanceItem().fetchDoc({
+        docId: "missing-doc",
+        prefix,
+      });
+      check(missing === null, "Missing document did not return null.");
+    },
+  },
+  {
+    name: "fetchDocs applies where, orderBy and limit",
+    run: async ({ models, prefix }) => {
+      for (const rank of [101, 103, 102]) {
+        await new models.ConformanceItem({ name: "query", rank }).create({
+          prefix,
+        });
+      }
+      const docs = await new models.ConformanceItem().fetchDocs({
+        constraints: [
+          ["where", "rank", ">", 100],
+          ["orderBy", "rank", "desc"],
+          ["limit", 2],
+        ],
+        prefix,
+      });
+      check(docs.length === 2, `Expected 2 documents, got ${docs.length}.`);
+      check(
+        docs[0].rank === 103 && docs[1].rank === 102,
+        "orderBy is not applied.",
+      );
+      check(
+        docs.every((doc) => doc instanceof models.ConformanceItem),
+        "Results are not model instances.",
+      );
+    },
+  },
+  {
+    name: "fetchDocs applies cursors and limitToLast",
+    run: async ({ models, prefix }) => {
+      for (const rank of [201, 202, 203, 204]) {
+        await new models.ConformanceItem({ name: "cursor", rank }).create({
+          prefix,
+        });
+      }
+      const fetchRanks = async (constraints) => {
+        const docs = await new models.ConformanceItem().fetchDocs({
+          constraints: [
+            ["where", "rank", ">", 200],
+            ["orderBy", "rank", "asc"],
+            ...constraints,
+          ],
+          prefix,
+        });
+        return docs.map(({ rank }) => rank).join(",");
+      };
+      check(
+        (await fetchRanks([["startAfter", 202]])) === "203,204",
+        "startAfter is not applied.",
+      );
+      check(
+        (await fetchRanks([
+          ["startAt", 202],
+          ["endAt", 203],
+        ])) === "202,203",
+        "startAt / endAt are not applied.",
+      );
+      check(
+        (await fetchRanks([
+          ["endBefore", 204],
+          ["limitToLast", 2],
+        ])) === "202,203",
+        "endBefore / limitToLast are not applied.",
+      );
+    },
+  },
+  {
+    name: "fetchDocs orders and pages by __name__",
+    run: async ({ models, prefix }) => {
+      for (const docId of ["name-c", "name-a", "name-b"]) {
+        await new models.ConformanceItem({ name: "name", rank: 251 }).create({
+          docId,
+          prefix,
+        });
+      }
+      const fetchIds = async (constraints) => {
+        const docs = await new models.ConformanceItem().fetchDocs({
+          constraints: [
+            ["where", "rank", "==", 251],
+            ["orderBy", "rank", "asc"],
+            ["orderBy", "__name__", "asc"],
+            ...constraints,
+          ],
+          prefix,
+        });
+        return docs.map(({ docId }) => docId).join(",");
+      };
+      check(
+        (await fetchIds([])) === "name-a,name-b,name-c",
+        "orderBy __name__ is not applied.",
+      );
+      check(
+        (await fetchIds([
+          ["startAfter", 251, "name-a"],
+          ["limit", 1],
+        ])) === "name-b",
+        "Cursor values for __name__ are not applied.",
+      );
+      check(
+        (await fetchIds([
+          ["endBefore", 251, "name-c"],
+          ["limitToLast", 1],
+        ])) === "name-b",
+        "endBefore / limitToLast with __name__ are not applied.",
+      );
+    },
+  },
+  {
+    name: "fetchDocs performs a tokenMap search for string constraints",
+    run: async ({ models, prefix }) => {
+      await new models.ConformanceItem({ name: "conformance-apple" }).create({
+        prefix,
+      });
+      await new models.ConformanceItem({ name: "conformance-grape" }).create({
+        prefix,
+      });
+      const docs = await new models.ConformanceItem().fetchDocs({
+        constraints: "apple",
+        prefix,
+      });
+      check(docs.length === 1, `Expected 1 document, got ${docs.length}.`);
+      check(docs[0].name === "conformance-apple", "Wrong document matched.");
+    },
+  },
+  {
+    name: "fetchDocs searches with the model's tokenizer",
+    run: async ({ models, prefix }) => {
+      const { ConformanceSearchItem } = models;
+      await new ConformanceSearchItem({ name: "Conformance-Orange" }).create({
+        prefix,
+      });
+      await new ConformanceSearchItem({ name: "Conformance-Melon" }).create({
+        prefix,
+      });
+      const docs = await new ConformanceSearchItem().fetchDocs({
+        constraints: "ORANGE",
+        prefix,
+      });
+      check(docs.length === 1, `Expected 1 document, got ${docs.length}.`);
+      check(docs[0].name === "Conformance-Orange", "Wrong document matched.");
+    },
+  },
+  {
+    name: "aggregate counts, sums and averages matching documents",
+    run: async ({ models, prefix }) => {
+      for (const rank of [301, 302, 306]) {
+        await new models.ConformanceItem({ name: "aggregate", rank }).create({
+          prefix,
+        });
+      }
+      const constraints = [["where", "rank", ">", 300]];
+      const result = await models.ConformanceItem.aggregate(
+        {
+          count: ["count"],
+          total: ["sum", "rank"],
+          mean: ["average", "rank"],
+        },
+        { constraints, prefix },
+      );
+      check(result.count === 3, `Expected count 3, got ${result.count}.`);
+      check(result.total === 909, `Expected sum 909, got ${result.total}.`);
+      check(result.mean === 303, `Expected average 303, got ${result.mean}.`);
+      const empty = await models.ConformanceItem.average("rank", {
+        constraints: [["where", "rank", ">", 400]],
+        prefix,
+      });
+      check(empty === null, "Average of no documents must be null.");
+    },
+  },
+  {
+    name: "GeoPoint values are written and read back",
+    run: async ({ adapter, models, prefix }) => {
+      const native = new adapter.GeoPoint(35.68, 139.76);
+      check(
+        native.latitude === 35.68 && native.longitude === 139.76,
+        "adapter.GeoPoint does not expose latitude / longitude.",
+      );
+      const item = new models.ConformanceItem({
+        name: "geo",
+        location: new GeoPoint(35.68, 139.76),
+      });
+      await item.create({ prefix });
+      const doc = await new models.ConformanceItem().fetchDoc({
+        docId: item.docId,
+        prefix,
+      });
+      check(doc?.location instanceof GeoPoint, "location is not a GeoPoint.");
+      check(
+        doc.location.latitude === 35.68 && doc.location.longitude === 139.76,
+        "GeoPoint value mismatch.",
+      );
+    },
+  },
+  {
+    name: "fetchDocsByIds ignores unknown ids",
+    run: async ({ models, prefix }) => {
+      const item = new models.ConformanceItem({ name: "byIds" });
+      await item.create({ prefix });
+      const docs = await new models.ConformanceItem().fetchDocsByIds({
+        ids: [item.docId, "missing-doc"],
+        prefix,
+      });
+      check(docs.length === 1, `Expected 1 document, got ${docs.length}.`);
+      check(docs[0].docId === item.docId, "Wrong document returned.");
+    },
+  },
+  {
+    name: "update persists changes",
+    run: async ({ models, prefix }) => {
+      const item = new models.ConformanceItem({ name: "before" });
+      await item.create({ prefix });
+      item.name = "after";
+      await item.update({ prefix });
+      const doc = await new models.ConformanceItem().fetchDoc({
+        docId: item.docId,
+        prefix,
+      });
+      check(doc?.name === "after", "Update was not persisted.");
+      await checkRejects(
+        new models.ConformanceItem({ name: "no-id" }).update({ prefix }),
+        "update without docId did not reject.",
+      );
+    },
+  },
+  {
+    name: "partial update writes only changed fields",
+    run: async ({ models, prefix }) => {
+      const item = new models.ConformanceItem({ name: "partial", rank: 1 });
+      await item.create({ prefix });
+      const other = await new models.ConformanceItem().fetchDoc({
+        docId: item.docId,
+        prefix,
+      });
+      other.rank = 2;
+      await other.update({ prefix });
+      item.name = "partial-updated";
+      check(
+        item.dirtyFields.join(",") === "name",
+        "dirtyFields does not match the changed field.",
+      );
+      await item.update({ prefix, partial: true });
+      const doc = await new models.ConformanceItem().fetchDoc({
+        docId: item.docId,
+        prefix,
+      });
+      check(doc?.name === "partial-updated", "Changed field was not written.");
+      check(doc?.rank === 2, "Unchanged field was overwritten.");
+      check(!item.isDirty, "Instance is still dirty after update.");
+    },
+  },
+  {
+    name: "delete removes the document",
+    run: async ({ models, prefix }) => {
+      const item = new models.ConformanceItem({ name: "delete" });
+      await item.create({ prefix });
+      await item.delete({ prefix });
+      const doc = await new models.ConformanceItem().fetchDoc({
+        docId: item.docId,
+        prefix,
+      });
+      check(doc === null, "Document still exists.");
+    },
+  },
+  {
+    name: "delete is refused while child documents exist",
+    run: async ({ models, prefix }) => {
+      const item = new models.ConformanceItem({ name: "parent" });
+      await item.create({ prefix });
+      await new models.ConformanceChild({ parentId: item.docId }).create({
+        prefix,
+      });
+      const hasChild = await item.hasChild({ prefix });
+      check(!!hasChild, "hasChild did not detect the child document.");
+      await checkRejects(
+        item.delete({ prefix }),
+        "Parent with children was deleted.",
+      );
+    },
+  },
+  {
+    name: "logicalDelete archives and restore brings the document back",
+    run: async ({ models, prefix }) => {
+      const item = new models.ConformanceArchivedItem({ name: "archive" });
+      await item.create({ prefix });
+      await item.delete({ prefix });
+      const deleted = await new models.ConformanceArchivedItem().fetchDoc({
+        docId: item.docId,
+        prefix,
+      });
+      check(deleted === null, "Document still exists after delete.");
+      await new models.ConformanceArchivedItem().restore({
+        docId: item.docId,
+        prefix,
+      });
+      const restored = await new models.ConformanceArchivedItem().fetchDoc({
+        docId: item.docId,
+        prefix,
+      });
+      check(restored?.name === "archive", "Document was not restored.");
+    },
+  },
+  {
+    name: "subscribe reflects document changes",
+    run: async ({ models, prefix, timeout }) => {
+      const item = new models.ConformanceItem({ name: "subscribe" });
+      await item.create({ prefix });
+      const subscriber = new models.ConformanceItem();
+      subscriber.subscribe({ docId: item.docId, prefix });
+      try {
+        check(
+          await waitFor(() => subscriber.name === "subscribe", timeout),
+          "Initial data was not loaded.",
+        );
+        item.name = "subscribed";
+        await item.update({ prefix });
+        check(
+          await waitFor(() => subscriber.name === "subscribed", timeout),
+          "Change was not reflected.",
+        );
+      } finally {
+        subscriber.unsubscribe();
+      }
+      check(subscriber.listener === null, "listener was not cleared.");
+    },
+  },
+  {
+    name: "subscribeDocs keeps docs in sync",
+    run: async ({ models, prefix, timeout }) => {
+      const subscriber = new models.ConformanceItem();
+      const docs = subscriber.subscribeDocs({
+        constraints: [["where", "rank", "==", 500]],
+        prefix,
+      });
+      try {
+        check(docs === subscriber.docs, "Returned array is not this.docs.");
+        const item = new models.ConformanceItem({ name: "live", rank: 500 });
+        await item.create({ prefix });
+        check(
+          await waitFor(() => subscriber.docs.length === 1, timeout),
+          "Added document was not reflected.",
+        );
+        item.rank = 501;
+        await item.update({ prefix });
+        check(
+          await waitFor(() => subscriber.docs.length === 0, timeout),
+          "Removed document was not reflected.",
+        );
+      } finally {
+        subscriber.unsubscribe();
+      }
+    },
+  },
+  {
+    name: "runTransaction discards writes when the update function throws",
+    run: async ({ adapter, models, prefix }) => {
+      if (typeof adapter.runTransaction !== "function") return;
+      const item = new models.ConformanceItem({ name: "rollback", rank: 900 });
+      await checkRejects(
+        models.ConformanceItem.runTransaction(async (transaction) => {
+          await item.create({ transaction, prefix });
+          throw new Error("rollback");
+        }),
+        "runTransaction did not propagate the error.",
+      );
+      const docs = await new models.ConformanceItem().fetchDocs({
+        constraints: [["where", "rank", "==", 900]],
+        prefix,
+      });
+      check(docs.length === 0, "Writes were not discarded.");
+    },
+  },
+];
+
+/**
+ * アダプターの適合性テストを実行します。
+ *
+ * @param {Object} adapter - 検証対象のアダプターインスタンス
+ * @param {Object} [options={}]
+ * @param {string|null} [options.prefix=null] - テストデータを作成する prefix（省略時は実行ごとに生成）
+ * @param {number} [options.timeout=5000] - リアルタイムリスナーの反映待ち時間（ミリ秒）
+ * @param {Object|null} [options.logger=null] - 結果を出力する logger（console など）
+ * @returns {Promise<Object>} `{ passed, failed, results }`
+ *   - results: `{ name, ok, error }` の配列
+ */
+export async function runAdapterConformance(adapter, options = {}) {
+  const {
+    prefix = `ConformanceRuns/${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}/`,
+    timeout = 5000,
+    logger = null,
+  } = options;
+
+  const results = [];
+
+  // 必須メソッドが不足している場合は withAdapter がエラーをスローするため、以降のケースは実行しない
+  let models;
+  try {
+    models = createModels(adapter);
+  } catch (error) {
+    results.push({ name: CASES[0].name, ok: false, error });
+    logger?.log(`❌ ${CASES[0].name}: ${error.message}`);
+    return { passed: 0, failed: 1, results };
+  }
+
+  const context = { adapter, models, prefix, timeout };
+
+  for (const { name, run } of CASES) {
+    try {
+      await run(context);
+      results.push({ name, ok: true, error: null });
+      logger?.log(`✅ ${name}`);
+    } catch (error) {
+      results.push({ name, ok: false, error });
+      logger?.log(`❌ ${name}: ${error.message}`);
+    }
+  }
+
+  const passed = results.filter(({ ok }) => ok).length;
+  return { passed, failed: results.length - passed, results };
+}
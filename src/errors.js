@@ -0,0 +1,37 @@
+/*****************************************************************************
+ * @file ./src/errors.js
+ * @description FireModel がスローするエラークラスの定義です。
+ *****************************************************************************/
+
+/**
+ * 楽観的排他制御（`static optimisticLock`）で競合が検出された場合にスローされるエラーです。
+ * - `serverDoc` には競合時点で Firestore に保存されているドキュメント（モデルのインスタンス）が
+ *   格納されます。ドキュメントが既に削除されていた場合は null です。
+ * - UI 側では `serverDoc` と編集中のインスタンスを比較してマージを提案することができます。
+ *
+ * 例:
+ * ```javascript
+ * try {
+ *   await instance.update();
+ * } catch (err) {
+ *   if (err instanceof ConflictError) {
+ *     console.log(err.serverDoc); // 他のユーザーが保存した内容
+ *   }
+ * }
+ * ```
+ */
+export class ConflictError extends Error {
+  /**
+   * @param {string} message - エラーメッセージ
+   * @param {Object} [details={}]
+   * @param {string} [details.docId] - 競合したドキュメントの ID
+   * @param {Object|null} [details.serverDoc=null] - Firestore に保存されているドキュメント
+   */
+  constructor(message, { docId = null, serverDoc = null } = {}) {
+    super(message);
+    this.name = "ConflictError";
+    this.code = "CONFLICT_ERROR";
+    this.docId = docId;
+    this.serverDoc = serverDoc;
+  }
+}
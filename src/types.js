@@ -0,0 +1,125 @@
+/*****************************************************************************
+ * @file ./src/types.js
+ * @description classProps の `type` に指定できる Firestore 固有の型の定義です。
+ * - `Date`（Firestore では Timestamp として保存）はグローバルの Date をそのまま使用します。
+ * - Firestore SDK に依存しないよう、GeoPoint と DocumentReference は本パッケージで定義します。
+ *
+ * 例:
+ * ```javascript
+ * import { GeoPoint, DocumentReference } from "@shisyamo4131/air-firebase-v2";
+ * static classProps = {
+ *   startAt: { type: Date, default: null, required: true },
+ *   location: { type: GeoPoint, default: null },
+ *   siteRef: { type: DocumentReference, default: null },
+ * };
+ * ```
+ *****************************************************************************/
+
+/**
+ * 緯度・経度を表すクラスです。
+ * - Firestore の GeoPoint と同じ `latitude`, `longitude`, `isEqual()` を持ちます。
+ * - Firestore への書き込み時は、アダプターが提供する GeoPoint（`adapter.GeoPoint`）に変換されます。
+ * - イミュータブルです。
+ */
+export class GeoPoint {
+  /**
+   * @param {number} latitude - 緯度（-90 〜 90）
+   * @param {number} longitude - 経度（-180 〜 180）
+   * @throws {Error} 範囲外の値が指定された場合
+   */
+  constructor(latitude, longitude) {
+    if (typeof latitude !== "number" || latitude < -90 || latitude > 90) {
+      throw new Error(`[GeoPoint] Invalid latitude: ${latitude}`);
+    }
+    if (typeof longitude !== "number" || longitude < -180 || longitude > 180) {
+      throw new Error(`[GeoPoint] Invalid longitude: ${longitude}`);
+    }
+    this.latitude = latitude;
+    this.longitude = longitude;
+    Object.freeze(this);
+  }
+
+  /**
+   * 値から GeoPoint を生成します。
+   * - Firestore の GeoPoint や `{ latitude, longitude }` 形式のオブジェクトを変換します。
+   * @param {*} value
+   * @returns {GeoPoint|null|undefined} 変換できない値はそのまま返します
+   */
+  static from(value) {
+    if (value == null || value instanceof GeoPoint) return value;
+    if (isGeoPointLike(value)) {
+      return new GeoPoint(value.latitude, value.longitude);
+    }
+    return value;
+  }
+
+  /**
+   * @param {Object} other
+   * @returns {boolean} 緯度・経度が一致すれば true
+   */
+  isEqual(other) {
+    return (
+      isGeoPointLike(other) &&
+      other.latitude === this.latitude &&
+      other.longitude === this.longitude
+    );
+  }
+
+  toJSON() {
+    return { latitude: this.latitude, longitude: this.longitude };
+  }
+}
+
+/**
+ * Firestore のドキュメント参照を表す型です。
+ * - インスタンス化はせず、classProps の `type` に指定するために使用します。
+ * - `instanceof DocumentReference` は Firestore（Client / Admin）のドキュメント参照や
+ *   MemoryAdapter のドキュメント参照に対して true を返します。
+ */
+export class DocumentReference {
+  static [Symbol.hasInstance](value) {
+    return isDocumentReference(value);
+  }
+}
+
+/**
+ * 値が緯度・経度を持つオブジェクトかどうかを判定します。
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isGeoPointLike(value) {
+  return (
+    value != null &&
+    typeof value === "object" &&
+    typeof value.latitude === "number" &&
+    typeof value.longitude === "number"
+  );
+}
+
+/**
+ * 値がドキュメント参照かどうかを判定します。
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isDocumentReference(value) {
+  return (
+    value != null &&
+    typeof value === "object" &&
+    typeof value.id === "string" &&
+    typeof value.path === "string" &&
+    typeof value.withConverter === "function"
+  );
+}
+
+/**
+ * 複製せずにそのまま保持するべき値（GeoPoint・ドキュメント参照）かどうかを判定します。
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isImmutableValue(value) {
+  return (
+    value instanceof GeoPoint ||
+    (isGeoPointLike(value) && typeof value.isEqual === "function") ||
+    isDocumentReference(value)
+  );
+}
@@ -0,0 +1,60 @@
+/** サポートする集計の種類 */
+export const AGGREGATE_TYPES = ["count", "sum", "average"];
+
+/**
+ * 集計の定義を検証し、`{ [alias]: { type, field } }` の形式に変換します。
+ * - 定義は `{ total: ["sum", "amount"], count: ["count"] }` のように、
+ *   エイリアスをキーとして `[type, field]` の配列で指定します。
+ *
+ * @param {Object<string, Array>} aggregations - 集計の定義
+ * @returns {Object<string, { type: string, field: string|null }>} 変換後の集計の定義
+ * @throws {Error} 定義が空の場合、未対応の種類の場合、または sum / average に field が無い場合
+ */
+export function normalizeAggregations(aggregations) {
+  const entries = Object.entries(aggregations || {});
+  if (entries.length === 0) {
+    throw new Error("[aggregate.js] At least one aggregation is required.");
+  }
+  return Object.fromEntries(
+    entries.map(([alias, definition]) => {
+      const [type, field = null] = Array.isArray(definition)
+        ? definition
+        : [definition];
+      if (!AGGREGATE_TYPES.includes(type)) {
+        throw new Error(
+          `[aggregate.js] Unsupported aggregation type "${type}" for "${alias}".`,
+        );
+      }
+      if (type !== "count" && (typeof field !== "string" || !field)) {
+        throw new Error(
+          `[aggregate.js] Aggregation "${alias}" (${type}) requires a field.`,
+        );
+      }
+      return [alias, { type, field }];
+    }),
+  );
+}
+
+/**
+ * 取得済みのドキュメントの配列をメモリ上で集計します。
+ * - Firestore の集計クエリと同様、sum / average は数値以外の値（null や未定義を含む）を無視します。
+ * - 対象の値が無い場合、sum は 0、average は null を返します。
+ *
+ * @param {Array<Object>} items - ドキュメント（データまたはインスタンス）の配列
+ * @param {Object} aggregations - `normalizeAggregations` で変換した集計の定義
+ * @param {Function} getValue - `(item, field)` からフィールドの値を返す関数
+ * @returns {Object<string, number|null>} エイリアスをキーとする集計結果
+ */
+export function reduceAggregations(items, aggregations, getValue) {
+  return Object.fromEntries(
+    Object.entries(aggregations).map(([alias, { type, field }]) => {
+      if (type === "count") return [alias, items.length];
+      const values = items
+        .map((item) => getValue(item, field))
+        .filter((value) => typeof value === "number" && !Number.isNaN(value));
+      const total = values.reduce((sum, value) => sum + value, 0);
+      if (type === "sum") return [alias, total];
+      return [alias, values.length ? total / values.length : null];
+    }),
+  );
+}
@@ -0,0 +1,169 @@
+/** 変更履歴に記録する操作 */
+export const HISTORY_OPERATIONS = ["create", "update", "delete", "restore"];
+
+/** 変更履歴のドキュメントのプロパティ定義 */
+export const HISTORY_CLASS_PROPS = {
+  operation: { type: String, default: null, enum: HISTORY_OPERATIONS },
+  actor: { type: String, default: null },
+  changes: { type: Array, default: () => [] },
+};
+
+/** 同じミリ秒に書き込まれた変更履歴の順序を保つための連番 */
+let historySequence = 0;
+
+/**
+ * 作成日時の順に並ぶ変更履歴のドキュメント ID を返します。
+ * @param {Date} at - 作成日時
+ * @returns {string}
+ */
+const toHistoryId = (at) => {
+  historySequence = (historySequence + 1) % 36 ** 4;
+  return [
+    at.getTime().toString(36).padStart(9, "0"),
+    historySequence.toString(36).padStart(4, "0"),
+    Math.random().toString(36).slice(2, 8),
+  ].join("");
+};
+
+/**
+ * 設定の `currentUser` から操作者の ID を取得します。
+ * - `currentUser` は `({ model })` で呼び出され、ID の文字列、`uid` または `id` を持つオブジェクト、
+ *   null のいずれか（またはそれを返す Promise）を返す関数です。
+ *
+ * @param {Function} ModelClass - FireModel を継承したクラス
+ * @returns {Promise<string|null>} 操作者の ID（取得できない場合は null）
+ * @throws {Error} `currentUser` が関数でない場合
+ */
+export async function resolveActor(ModelClass) {
+  const provider = ModelClass.getConfig()?.currentUser;
+  if (provider == null) return null;
+  if (typeof provider !== "function") {
+    throw new Error("[audit.js] config.currentUser must be a function.");
+  }
+  const user = await provider({ model: ModelClass });
+  if (user == null) return null;
+  const id = typeof user === "object" ? (user.uid ?? user.id) : user;
+  return id == null ? null : String(id);
+}
+
+/**
+ * 変更前後のプレーンなオブジェクトから、classProps のプロパティの変更内容を返します。
+ * - `changes()` と同じ形式で、undefined は null に変換されます（Firestore は undefined を保存できないため）。
+ *
+ * @param {Function} ModelClass - FireModel を継承したクラス
+ * @param {Object} before - 変更前の `toObject()` の結果（作成時は空のオブジェクト）
+ * @param {Object} after - 変更後の `toObject()` の結果（削除時は空のオブジェクト）
+ * @returns {Array<{ field: string, oldValue: any, newValue: any }>}
+ */
+export function diffForHistory(ModelClass, before, after) {
+  const result = [];
+  Object.keys(ModelClass.classProps || {}).forEach((key) => {
+    ModelClass._diffValues(before[key], after[key], key, result);
+  });
+  return result
+    .map(({ field, oldValue, newValue }) => ({
+      field,
+      oldValue: oldValue ?? null,
+      newValue: newValue ?? null,
+    }))
+    .filter(({ oldValue, newValue }) => oldValue !== newValue);
+}
+
+/**
+ * 変更履歴のドキュメントをトランザクションに書き込みます。
+ * - 書き込み先は `<collection>/{docId}/history` で、ドキュメント ID は作成日時の順に並ぶ値です。
+ * - 書き込みのみを行うため、他の書き込みの後に呼び出すことができます。
+ *
+ * @param {Function} ModelClass - 変更されたドキュメントのモデルクラス
+ * @param {Object} params
+ * @param {Object} params.transaction - Firestore トランザクション
+ * @param {string} params.docId - 変更されたドキュメントの ID
+ * @param {string|null} [params.prefix=null] - パスのプレフィックス
+ * @param {string} params.operation - 操作（`HISTORY_OPERATIONS` のいずれか）
+ * @param {string|null} params.actor - 操作者の ID
+ * @param {Array<Object>} params.changes - 変更内容の配列
+ * @returns {Object} 書き込んだ変更履歴のインスタンス
+ */
+export function writeHistory(
+  ModelClass,
+  { transaction, docId, prefix = null, operation, actor, changes },
+) {
+  const History = ModelClass.getHistoryModel(docId);
+  const at = new Date();
+  const history = new History({
+    docId: toHistoryId(at),
+    uid: ModelClass.getAdapter().uid || "unknown",
+    createdAt: at,
+    updatedAt: at,
+    operation,
+    actor,
+    changes,
+  });
+  transaction.set(History.getDocRef({ docId: history.docId, prefix }), history);
+  return history;
+}
+
+/**
+ * 削除の履歴に記録する変更内容を返します。
+ * - 論理削除（logicalDelete）のモデルはドキュメントがアーカイブに移動するだけのため、変更内容は空です。
+ * - それ以外は削除前の値から null への変更として記録します。
+ *
+ * @param {Function} ModelClass - 削除されたドキュメントのモデルクラス
+ * @param {Object} before - 削除前の `toObject()` の結果
+ * @returns {Array<Object>} 変更内容の配列
+ */
+export function diffForDelete(ModelClass, before) {
+  return ModelClass.logicalDelete ? [] : diffForHistory(ModelClass, before, {});
+}
+
+/**
+ * 削除の計画（`collectDeletePlan`）によって削除・更新される子孫ドキュメントのうち、
+ * 監査モード（`static audit`）のモデルのドキュメントについて変更履歴をトランザクションに書き込みます。
+ * - cascade で削除されるドキュメントは `delete`、setNull で更新されるドキュメントは `update` として記録します。
+ * - 操作者は親ドキュメントの削除と同様に、各モデルの設定の `currentUser` から取得します。
+ *
+ * @param {{ cascade: Array<Object>, setNull: Array<Object> }} plan - 削除の計画
+ * @param {Object} transaction - Firestore トランザクション
+ * @param {Object} [options={}]
+ * @param {string|null} [options.prefix=null] - パスのプレフィックス
+ * @returns {Promise<void>}
+ */
+export async function writeDeletePlanHistory(
+  plan,
+  transaction,
+  { prefix = null } = {},
+) {
+  const actors = new Map();
+  const getActor = async (ModelClass) => {
+    if (!actors.has(ModelClass)) {
+      actors.set(ModelClass, await resolveActor(ModelClass));
+    }
+    return actors.get(ModelClass);
+  };
+
+  for (const { docId, doc } of plan.cascade) {
+    const ModelClass = doc.constructor;
+    if (!ModelClass.audit) continue;
+    writeHistory(ModelClass, {
+      transaction,
+      docId,
+      prefix,
+      operation: "delete",
+      actor: await getActor(ModelClass),
+      changes: diffForDelete(ModelClass, doc.toObject()),
+    });
+  }
+  for (const { docId, field, doc } of plan.setNull) {
+    const ModelClass = doc.constructor;
+    if (!ModelClass.audit) continue;
+    const before = doc.toObject();
+    writeHistory(ModelClass, {
+      transaction,
+      docId,
+      prefix,
+      operation: "update",
+      actor: await getActor(ModelClass),
+      changes: diffForHistory(ModelClass, before, { ...before, [field]: null }),
+    });
+  }
+}
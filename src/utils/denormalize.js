@@ -0,0 +1,241 @@
+import { toModelClass } from "./relations.js";
+
+/** 1 回のトランザクションで書き込むドキュメント数の初期値（Firestore の書き込み件数の上限） */
+export const DEFAULT_BATCH_SIZE = 500;
+
+/**
+ * モデルクラスの `denormalize` 定義を検証し、配列に変換します。
+ * - `fields` はコピー先とコピー元のプロパティ名が同じ場合は配列で、
+ *   異なる場合は `{ コピー先: コピー元 }` のオブジェクトで指定します。
+ *
+ * @param {Function} ModelClass - FireModel を継承したクラス（コピー先）
+ * @returns {Array<{ name: string, Source: Function, foreignKey: string, fields: Array<[string, string]> }>}
+ *   `fields` は `[コピー先, コピー元]` の配列
+ * @throws {Error} 定義が不正な場合、またはコピー先のプロパティが classProps に無い場合
+ */
+export function resolveDenormalize(ModelClass) {
+  return Object.entries(ModelClass.denormalize || {}).map(
+    ([name, { model, foreignKey, fields }]) => {
+      const Source = toModelClass(model);
+      const pairs = Array.isArray(fields)
+        ? fields.map((field) => [field, field])
+        : Object.entries(fields || {});
+      if (!Source || typeof foreignKey !== "string" || !foreignKey) {
+        throw new Error(
+          `[denormalize.js] Denormalize "${name}" of ${ModelClass.name} requires model and foreignKey.`,
+        );
+      }
+      if (!pairs.length) {
+        throw new Error(
+          `[denormalize.js] Denormalize "${name}" of ${ModelClass.name} requires fields.`,
+        );
+      }
+      const missing = pairs.find(
+        ([target]) => !ModelClass.classProps?.[target],
+      );
+      if (missing) {
+        throw new Error(
+          `[denormalize.js] Field "${missing[0]}" of denormalize "${name}" is not defined in ${ModelClass.name}.classProps.`,
+        );
+      }
+      return { name, Source, foreignKey, fields: pairs };
+    },
+  );
+}
+
+/**
+ * コピー元のドキュメントの値をインスタンスに設定します。
+ * @param {Object} doc - コピー先のインスタンス
+ * @param {Array<[string, string]>} fields - `[コピー先, コピー元]` の配列
+ * @param {Object} source - コピー元のインスタンス
+ * @returns {boolean} 値が変更されたかどうか
+ */
+const copyFields = (doc, fields, source) => {
+  let changed = false;
+  for (const [target, from] of fields) {
+    const value = source[from] ?? null;
+    if (JSON.stringify(doc[target] ?? null) === JSON.stringify(value)) continue;
+    doc[target] = value;
+    changed = true;
+  }
+  return changed;
+};
+
+/**
+ * 値を変更したインスタンスの変更されたプロパティ（と tokenMap）を 1 つのトランザクションで書き込みます。
+ * - 利用者による編集ではないため、beforeUpdate などのフックは実行されず、updatedAt / uid も変更されません。
+ *   監査モード（`static audit`）の場合も、updatedBy の更新と変更履歴の書き込みは行われません。
+ * - コピー先のモデルの `optimisticLock` が有効な場合は、読み取り後に他で更新されていないことを
+ *   トランザクション内で確認し（更新されていれば ConflictError）、`lockField` を更新します
+ *   （`"updatedAt"` の場合は現在日時、それ以外はバージョン番号を加算）。
+ *   古い値を保持している利用者の `update()` がコピーした値を元に戻さないようにするためです。
+ * @param {Array<Object>} docs - 値を変更したインスタンスの配列
+ * @param {string|null} prefix - パスのプレフィックス
+ * @throws {ConflictError} `optimisticLock` が有効で、ドキュメントが他で更新されていた場合
+ */
+const writeChanges = async (docs, prefix) => {
+  if (!docs.length) return;
+  const ModelClass = docs[0].constructor;
+  const { optimisticLock, lockField } = ModelClass;
+  const lockValues = new Map();
+  await ModelClass.runTransaction(async (transaction) => {
+    if (optimisticLock) {
+      for (const doc of docs) {
+        await doc._assertNoConflict({ transaction, prefix });
+      }
+    }
+    docs.forEach((doc) => {
+      const data = doc.getPartialUpdateData();
+      if (optimisticLock) {
+        const value =
+          lockField === "updatedAt"
+            ? new Date()
+            : (Number(doc[lockField]) || 0) + 1;
+        data[lockField] = value;
+        lockValues.set(doc, value);
+      }
+      transaction.update(
+        doc.constructor.getDocRef({ docId: doc.docId, prefix }),
+        data,
+      );
+    });
+  });
+  docs.forEach((doc) => {
+    if (lockValues.has(doc)) doc[lockField] = lockValues.get(doc);
+    doc._beforeData = doc.toObject();
+  });
+};
+
+/**
+ * 検証済みの batchSize を返します。
+ * @param {number} batchSize
+ * @returns {number}
+ */
+const toBatchSize = (batchSize = DEFAULT_BATCH_SIZE) => {
+  if (!Number.isInteger(batchSize) || batchSize <= 0) {
+    throw new Error("[denormalize.js] batchSize must be a positive integer.");
+  }
+  return batchSize;
+};
+
+/**
+ * コピー元のドキュメントの値を、`denormalizedBy` に指定されたモデルのドキュメントに反映します。
+ * - コピー先のドキュメントは `foreignKey` がコピー元の docId と一致するものです。
+ * - `batchSize` 件ずつ取得し、値が異なるドキュメントのみを 1 つのトランザクションで更新します。
+ *
+ * @param {Object} source - コピー元のインスタンス
+ * @param {Object} [options={}]
+ * @param {Array<string>|null} [options.fields=null] - 変更されたコピー元のプロパティ名（null はすべて）
+ * @param {string|null} [options.prefix=null] - パスのプレフィックス
+ * @param {number} [options.batchSize=500] - 1 回のトランザクションで書き込むドキュメント数
+ * @returns {Promise<{ updated: number }>} 更新したドキュメントの件数
+ * @throws {Error} denormalize の定義が不正な場合
+ */
+export async function propagateDenormalized(
+  source,
+  { fields = null, prefix = null, batchSize } = {},
+) {
+  const size = toBatchSize(batchSize);
+  let updated = 0;
+  for (const model of source.constructor.denormalizedBy || []) {
+    const ModelClass = toModelClass(model);
+    for (const entry of resolveDenormalize(ModelClass)) {
+      if (!(source instanceof entry.Source)) continue;
+      const pairs = fields
+        ? entry.fields.filter(([, from]) => fields.includes(from))
+        : entry.fields;
+      if (!pairs.length) continue;
+
+      let page = await new ModelClass().paginate({
+        constraints: [["where", entry.foreignKey, "==", source.docId]],
+        pageSize: size,
+        prefix,
+      });
+      while (page) {
+        const changed = page.items.filter((doc) =>
+          copyFields(doc, pairs, source),
+        );
+        await writeChanges(changed, prefix);
+        updated += changed.length;
+        page = await page.next();
+      }
+    }
+  }
+  return { updated };
+}
+
+/**
+ * モデルのすべてのドキュメントについて、`denormalize` のコピー元の値を再取得して反映します。
+ * - 既存データへの反映（バックフィル）や、反映に失敗した場合の修復に使用します。
+ * - ドキュメント ID の順に `batchSize` 件ずつ処理し、各ページの書き込みは 1 つのトランザクションで行われます。
+ * - ページごとに `onProgress` が呼び出されます。`cursor` を保存しておくと、中断した位置から再開できます。
+ * - コピー元のドキュメントが存在しない場合、値は変更されません。
+ *
+ * @param {Function} ModelClass - FireModel を継承したクラス（コピー先）
+ * @param {Object} [options={}]
+ * @param {string|null} [options.name=null] - 対象とする denormalize の名前（null はすべて）
+ * @param {string|null} [options.prefix=null] - パスのプレフィックス
+ * @param {number} [options.batchSize=500] - 1 ページ（1 回のトランザクション）で処理するドキュメント数
+ * @param {string|null} [options.cursor=null] - 再開する位置（前回の `onProgress` / 戻り値の `cursor`）
+ * @param {Function|null} [options.onProgress=null] - ページごとに `(progress)` で呼び出される関数
+ * @returns {Promise<{ processed: number, updated: number, cursor: string|null, done: boolean }>}
+ *   この呼び出しで処理・更新した件数と、次に処理する位置（完了した場合は null）
+ * @throws {Error} denormalize が定義されていない場合、または定義が不正な場合
+ */
+export async function resyncDenormalized(
+  ModelClass,
+  {
+    name = null,
+    prefix = null,
+    batchSize,
+    cursor = null,
+    onProgress = null,
+  } = {},
+) {
+  const size = toBatchSize(batchSize);
+  const entries = resolveDenormalize(ModelClass).filter(
+    (entry) => name === null || entry.name === name,
+  );
+  if (!entries.length) {
+    throw new Error(
+      `[denormalize.js] Denormalize ${name ? `"${name}" ` : ""}is not defined in ${ModelClass.name}.`,
+    );
+  }
+
+  const progress = { processed: 0, updated: 0, cursor, done: false };
+  do {
+    const page = await new ModelClass().paginate({
+      pageSize: size,
+      cursor: progress.cursor,
+      prefix,
+    });
+
+    const changed = new Set();
+    for (const { Source, foreignKey, fields } of entries) {
+      const ids = [
+        ...new Set(
+          page.items
+            .map((doc) => doc[foreignKey])
+            .filter((id) => typeof id === "string" && id),
+        ),
+      ];
+      const sources = ids.length
+        ? await new Source().fetchDocsByIds({ ids, prefix })
+        : [];
+      const byId = new Map(sources.map((source) => [source.docId, source]));
+      page.items.forEach((doc) => {
+        const source = byId.get(doc[foreignKey]);
+        if (source && copyFields(doc, fields, source)) changed.add(doc);
+      });
+    }
+    await writeChanges([...changed], prefix);
+
+    progress.processed += page.items.length;
+    progress.updated += changed.size;
+    progress.cursor = page.hasNext ? page.cursor : null;
+    progress.done = !progress.cursor;
+    if (onProgress) await onProgress({ ...progress });
+  } while (!progress.done);
+
+  return progress;
+}
@@ -0,0 +1,100 @@
+/** 等価条件として扱う where 演算子 */
+const EQUALITY_OPERATORS = ["==", "in"];
+
+/** 配列条件として扱う where 演算子（インデックスでは arrayConfig: CONTAINS） */
+const ARRAY_OPERATORS = ["array-contains", "array-contains-any"];
+
+/**
+ * クエリ条件の配列から、必要な複合インデックスのフィールド定義を生成します。
+ * - 等価条件・配列条件のフィールド、orderBy のフィールド、範囲条件のフィールドの順に並べます。
+ * - 単一フィールドのクエリと、等価条件（配列条件を含む）のみのクエリは自動作成されるインデックスで
+ *   実行できるため null を返します。
+ *
+ * @param {Array<Array>} constraints - `static queries` に定義されたクエリ条件（とプラグインの条件）の配列
+ * @returns {Array<Object>|null} インデックスのフィールド定義の配列
+ */
+const toIndexFields = (constraints) => {
+  const equalities = [];
+  const ranges = [];
+  const orders = [];
+
+  constraints.forEach(([type, field, opOrDirection]) => {
+    if (type === "where") {
+      if (EQUALITY_OPERATORS.includes(opOrDirection)) {
+        equalities.push({ fieldPath: field, order: "ASCENDING" });
+      } else if (ARRAY_OPERATORS.includes(opOrDirection)) {
+        equalities.push({ fieldPath: field, arrayConfig: "CONTAINS" });
+      } else {
+        ranges.push({ fieldPath: field, order: "ASCENDING" });
+      }
+    } else if (type === "orderBy") {
+      const order = opOrDirection === "desc" ? "DESCENDING" : "ASCENDING";
+      orders.push({ fieldPath: field, order });
+    }
+  });
+
+  const fields = [];
+  [...equalities, ...orders, ...ranges].forEach((field) => {
+    if (!fields.some(({ fieldPath }) => fieldPath === field.fieldPath)) {
+      fields.push(field);
+    }
+  });
+
+  const onlyEqualities = orders.length === 0 && ranges.length === 0;
+  if (fields.length < 2 || onlyEqualities) return null;
+  return fields;
+};
+
+/**
+ * FireModel を継承したクラスの `static queries` から firestore.indexes.json の内容を生成します。
+ * - コレクション ID（collectionGroup）は `getCollectionPath(prefix)` の最後のセグメントです。
+ * - `prefixes` に複数の prefix を指定すると、それぞれのパス構成でのコレクション ID について生成します。
+ * - プラグイン（`static plugins` / `use()`）の `constraints` による条件も、クエリ条件に加えて生成します。
+ * - 同じ内容のインデックスは 1 件にまとめられます。
+ *
+ * 例:
+ * ```javascript
+ * const indexes = generateFirestoreIndexes([Customer, Site], {
+ *   prefixes: [null, "Companies/{companyId}"],
+ * });
+ * fs.writeFileSync("firestore.indexes.json", JSON.stringify(indexes, null, 2));
+ * ```
+ *
+ * @param {Array<Function>} models - FireModel を継承したクラスの配列
+ * @param {Object} [options={}]
+ * @param {Array<string|null>} [options.prefixes=[null]] - コレクションパスのプレフィックスの配列
+ * @returns {{ indexes: Array<Object>, fieldOverrides: Array }} firestore.indexes.json の内容
+ */
+export function generateFirestoreIndexes(
+  models = [],
+  { prefixes = [null] } = {},
+) {
+  const indexes = [];
+  const keys = new Set();
+
+  models.forEach((ModelClass) => {
+    prefixes.forEach((prefix) => {
+      const collectionGroup = ModelClass.getCollectionPath(prefix)
+        .split("/")
+        .pop();
+
+      Object.values(ModelClass.queries || {}).forEach((queryConstraints) => {
+        // プラグインの constraints（マルチテナントの where 条件など）も実行時と同様に加える
+        const { constraints } = ModelClass._withPluginConstraints(
+          { constraints: queryConstraints, prefix },
+          "fetchDocs",
+        );
+        const fields = toIndexFields(constraints);
+        if (!fields) return;
+
+        const index = { collectionGroup, queryScope: "COLLECTION", fields };
+        const key = JSON.stringify(index);
+        if (keys.has(key)) return;
+        keys.add(key);
+        indexes.push(index);
+      });
+    });
+  });
+
+  return { indexes, fieldOverrides: [] };
+}
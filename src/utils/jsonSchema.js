@@ -0,0 +1,303 @@
+import { GeoPoint, DocumentReference } from "../types.js";
+
+const JSON_SCHEMA_DRAFT = "https://json-schema.org/draft/2020-12/schema";
+
+/**
+ * JSON Schema の `$defs` や `title` に使用するクラス名を返します。
+ * - クラス自身に `className` が定義されていればそれを、なければクラスの name を返します。
+ * @param {Function} cls - BaseClass を継承したクラス
+ * @returns {string}
+ */
+const getSchemaName = (cls) =>
+  Object.prototype.hasOwnProperty.call(cls, "className")
+    ? cls.className
+    : cls.name;
+
+/**
+ * 初期値が JSON として表現できる場合に返します。
+ * @param {*} defaultValue - classProps の default（関数の場合は呼び出した結果を使用）
+ * @returns {*} JSON として表現できない場合は undefined
+ */
+const toJSONDefault = (defaultValue) => {
+  const value =
+    typeof defaultValue === "function" ? defaultValue() : defaultValue;
+  if (value === undefined || typeof value === "function") return undefined;
+  if (value instanceof Date || value instanceof GeoPoint) return undefined;
+  return JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * classProps のプロパティ定義 1 件を JSON Schema に変換します。
+ * @param {Object} config - classProps のプロパティ定義
+ * @param {Function} registerDef - customClass を `$defs` に登録し、参照を返す関数
+ * @returns {Object} JSON Schema
+ */
+const propToSchema = (config, registerDef) => {
+  const { type, customClass, length, label } = config;
+  const maxLength = typeof length === "object" ? length?.max : length;
+  const minLength =
+    typeof length === "object"
+      ? (length?.min ?? config.minLength)
+      : config.minLength;
+  let schema;
+
+  switch (type) {
+    case String:
+      schema = { type: "string" };
+      if (maxLength != null) schema.maxLength = maxLength;
+      if (minLength != null) schema.minLength = minLength;
+      else if (config.required) schema.minLength = 1;
+      if (config.pattern != null) {
+        schema.pattern =
+          config.pattern instanceof RegExp
+            ? config.pattern.source
+            : config.pattern;
+      }
+      if (config.email) schema.format = "email";
+      if (config.url) schema.format = "uri";
+      if (config.phone) schema.format = "phone";
+      if (Array.isArray(config.enum)) schema.enum = [...config.enum];
+      break;
+    case Number:
+      schema = { type: "number" };
+      if (typeof config.min === "number") schema.minimum = config.min;
+      if (typeof config.max === "number") schema.maximum = config.max;
+      if (Array.isArray(config.enum)) schema.enum = [...config.enum];
+      break;
+    case Boolean:
+      schema = { type: "boolean" };
+      break;
+    case Date:
+      schema = { type: "string", format: "date-time" };
+      break;
+    case GeoPoint:
+      schema = {
+        type: "object",
+        "x-type": "GeoPoint",
+        properties: {
+          latitude: { type: "number", minimum: -90, maximum: 90 },
+          longitude: { type: "number", minimum: -180, maximum: 180 },
+        },
+        required: ["latitude", "longitude"],
+      };
+      break;
+    case DocumentReference:
+      schema = { type: "string", "x-type": "DocumentReference" };
+      break;
+    case Array:
+      schema = {
+        type: "array",
+        items: customClass ? registerDef(customClass) : {},
+      };
+      if (Array.isArray(config.enum)) schema.items.enum = [...config.enum];
+      if (maxLength != null) schema.maxItems = maxLength;
+      if (minLength != null) schema.minItems = minLength;
+      else if (config.required) schema.minItems = 1;
+      if (config.unique === true) schema.uniqueItems = true;
+      break;
+    case Object:
+      schema = customClass ? registerDef(customClass) : { type: "object" };
+      break;
+    default:
+      schema = {};
+  }
+
+  // default が null（または未指定）のプロパティは null を許容する
+  const defaultValue = toJSONDefault(config.default);
+  if (defaultValue == null && !config.required) {
+    if (schema.$ref) {
+      schema = { anyOf: [schema, { type: "null" }] };
+    } else if (schema.type) {
+      schema.type = [schema.type, "null"];
+    }
+  }
+
+  if (label) schema.title = label;
+  if (defaultValue !== undefined) schema.default = defaultValue;
+  return schema;
+};
+
+/**
+ * BaseClass を継承したクラスの classProps から JSON Schema を生成します。
+ * - customClass は `$defs` に定義され、`$ref` で参照されます。
+ * - 関数で指定された min / max や validator など、JSON Schema で表現できないルールは出力されません。
+ *
+ * @param {Function} cls - BaseClass を継承したクラス
+ * @returns {Object} JSON Schema（draft 2020-12）
+ */
+export function toJSONSchema(cls) {
+  const defs = {};
+
+  const classToSchema = (target) => {
+    // FireModel のプラグインの classProps を反映する
+    target._applyPlugins?.();
+    const properties = {};
+    const required = [];
+    Object.entries(target.classProps || {}).forEach(([key, config]) => {
+      properties[key] = propToSchema(config, registerDef);
+      if (config.required) required.push(key);
+    });
+    return {
+      type: "object",
+      title: getSchemaName(target),
+      properties,
+      ...(required.length && { required }),
+    };
+  };
+
+  const registerDef = (customClass) => {
+    const name = getSchemaName(customClass);
+    if (!defs[name]) {
+      defs[name] = {}; // 循環参照に備えて先に登録する
+      defs[name] = classToSchema(customClass);
+    }
+    return { $ref: `#/$defs/${name}` };
+  };
+
+  const schema = classToSchema(cls);
+  return {
+    $schema: JSON_SCHEMA_DRAFT,
+    ...schema,
+    ...(Object.keys(defs).length && { $defs: defs }),
+  };
+}
+
+/**
+ * JSON Schema のプロパティ定義 1 件を classProps のプロパティ定義に変換します。
+ * @param {Object} schema - JSON Schema
+ * @param {boolean} required - 必須プロパティかどうか
+ * @param {Function} resolveRef - `$ref` からクラスを返す関数
+ * @returns {Object} classProps のプロパティ定義
+ */
+const schemaToProp = (schema, required, resolveRef) => {
+  // `anyOf: [{ $ref }, { type: "null" }]` や `type: [type, "null"]` を展開する
+  let target = schema;
+  let nullable = false;
+  if (Array.isArray(schema.anyOf)) {
+    nullable = schema.anyOf.some(({ type }) => type === "null");
+    target = {
+      ...schema,
+      ...schema.anyOf.find(({ type }) => type !== "null"),
+    };
+  }
+  let type = target.type;
+  if (Array.isArray(type)) {
+    nullable = nullable || type.includes("null");
+    type = type.find((t) => t !== "null");
+  }
+
+  const config = {};
+  if (target.$ref) {
+    config.type = Object;
+    config.customClass = resolveRef(target.$ref);
+  } else if (target["x-type"] === "GeoPoint") {
+    config.type = GeoPoint;
+  } else if (target["x-type"] === "DocumentReference") {
+    config.type = DocumentReference;
+  } else if (type === "string" && target.format === "date-time") {
+    config.type = Date;
+  } else if (type === "string") {
+    config.type = String;
+    if (target.maxLength != null) config.length = target.maxLength;
+    if (target.minLength != null && !(required && target.minLength === 1)) {
+      config.minLength = target.minLength;
+    }
+    if (target.pattern != null) config.pattern = new RegExp(target.pattern);
+    if (target.format === "email") config.email = true;
+    if (target.format === "uri") config.url = true;
+    if (target.format === "phone") config.phone = true;
+  } else if (type === "number" || type === "integer") {
+    config.type = Number;
+    if (target.minimum != null) config.min = target.minimum;
+    if (target.maximum != null) config.max = target.maximum;
+  } else if (type === "boolean") {
+    config.type = Boolean;
+  } else if (type === "array") {
+    config.type = Array;
+    const items = target.items || {};
+    if (items.$ref) config.customClass = resolveRef(items.$ref);
+    if (Array.isArray(items.enum)) config.enum = [...items.enum];
+    if (target.maxItems != null) config.length = target.maxItems;
+    if (target.minItems != null && !(required && target.minItems === 1)) {
+      config.minLength = target.minItems;
+    }
+    if (target.uniqueItems) config.unique = true;
+  } else {
+    config.type = Object;
+  }
+
+  if (Array.isArray(target.enum) && config.type !== Array) {
+    config.enum = [...target.enum];
+  }
+  if (required) config.required = true;
+  if (target.title) config.label = target.title;
+
+  // default: オブジェクトや配列はインスタンスごとに複製されるよう関数にする
+  if (target.default !== undefined) {
+    const value = target.default;
+    config.default =
+      value !== null && typeof value === "object"
+        ? () => JSON.parse(JSON.stringify(value))
+        : value;
+  } else if (config.type === Array) {
+    config.default = () => [];
+  } else if (nullable || config.type !== String) {
+    config.default = null;
+  } else {
+    config.default = "";
+  }
+
+  return config;
+};
+
+/**
+ * JSON Schema から classProps を持つクラスを生成します。
+ * - `$defs` に定義されたスキーマは `NestedBase` を継承したクラスとして生成され、customClass に設定されます。
+ * - `toJSONSchema` で出力されたスキーマを読み込むと、元のクラスと同等の classProps が得られます。
+ *
+ * @param {Object} schema - JSON Schema（type: "object"）
+ * @param {Object} options
+ * @param {Function} options.Base - 生成するクラスの基底クラス
+ * @param {Function} options.NestedBase - `$defs` から生成するクラスの基底クラス
+ * @param {string} [options.name] - 生成するクラスの名前（省略時は schema.title）
+ * @returns {Function} 生成されたクラス
+ * @throws {Error} `$ref` の参照先が見つからない場合
+ */
+export function fromJSONSchema(schema, { Base, NestedBase, name } = {}) {
+  const defs = schema?.$defs || {};
+  const classes = {};
+
+  const createClass = (Parent, className) => {
+    const cls = class extends Parent {};
+    Object.defineProperty(cls, "name", { value: className });
+    cls.className = className;
+    return cls;
+  };
+
+  const assignClassProps = (cls, target) => {
+    const required = target.required || [];
+    cls.classProps = Object.fromEntries(
+      Object.entries(target.properties || {}).map(([key, prop]) => [
+        key,
+        schemaToProp(prop, required.includes(key), resolveRef),
+      ]),
+    );
+    return cls;
+  };
+
+  const resolveRef = (ref) => {
+    const defName = ref.replace(/^#\/\$defs\//, "");
+    if (!defs[defName]) {
+      throw new Error(`[jsonSchema.js] Unresolved $ref: ${ref}`);
+    }
+    if (!classes[defName]) {
+      // 循環参照に備えて classProps の生成前に登録する
+      classes[defName] = createClass(NestedBase, defName);
+      assignClassProps(classes[defName], defs[defName]);
+    }
+    return classes[defName];
+  };
+
+  const cls = createClass(Base, name || schema?.title || Base.name);
+  return assignClassProps(cls, schema);
+}
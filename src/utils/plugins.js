@@ -0,0 +1,123 @@
+/** プラグインに指定できるプロパティ */
+const PLUGIN_KEYS = [
+  "name",
+  "classProps",
+  "on",
+  "wrap",
+  "constraints",
+  "install",
+];
+
+/**
+ * プラグインの定義を検証します。
+ * - `name`: プラグインの名前（エラーメッセージに使用されます）
+ * - `classProps`: モデルに追加するプロパティの定義（モデル自身の定義が優先されます）
+ * - `on`: `{ イベント名: ハンドラー }`（`FireModel.on()` と同じイベント・引数）
+ * - `wrap`: `{ アダプターのメソッド名: (next, { model }) => function (...args) {} }`
+ * - `constraints`: `({ model, prefix, operation }) => Array` クエリに追加する where 条件を返す関数
+ * - `install`: `(Model) => void` プラグインを登録したクラスごとに一度だけ呼び出される関数
+ *
+ * @param {Object} plugin - プラグイン
+ * @param {Array<string>} events - `on` に指定できるイベント名
+ * @throws {Error} 定義が不正な場合
+ */
+export function assertPlugin(plugin, events) {
+  if (!plugin || typeof plugin !== "object") {
+    throw new Error("[plugins.js] Plugin must be an object.");
+  }
+  const label = plugin.name ? `Plugin "${plugin.name}"` : "Plugin";
+  const unknown = Object.keys(plugin).find((key) => !PLUGIN_KEYS.includes(key));
+  if (unknown) {
+    throw new Error(`[plugins.js] ${label} has an unknown key "${unknown}".`);
+  }
+  Object.entries(plugin.on || {}).forEach(([event, handler]) => {
+    if (!events.includes(event)) {
+      throw new Error(
+        `[plugins.js] ${label} has an unsupported event "${event}".`,
+      );
+    }
+    if (typeof handler !== "function") {
+      throw new Error(
+        `[plugins.js] ${label} handler for "${event}" must be a function.`,
+      );
+    }
+  });
+  Object.entries(plugin.wrap || {}).forEach(([method, wrapper]) => {
+    if (typeof wrapper !== "function") {
+      throw new Error(
+        `[plugins.js] ${label} wrapper for "${method}" must be a function.`,
+      );
+    }
+  });
+  ["constraints", "install"].forEach((key) => {
+    if (plugin[key] != null && typeof plugin[key] !== "function") {
+      throw new Error(`[plugins.js] ${label} ${key} must be a function.`);
+    }
+  });
+}
+
+/**
+ * プラグインの classProps をモデルの classProps とマージして返します。
+ * - 同じプロパティがある場合は、モデル、後に指定されたプラグインの順に優先されます。
+ * @param {Object} classProps - モデルに定義された classProps
+ * @param {Array<Object>} plugins - プラグインの配列
+ * @returns {Object} マージした classProps
+ */
+export function mergePluginClassProps(classProps, plugins) {
+  return Object.assign(
+    {},
+    ...plugins.map((plugin) => plugin.classProps || {}),
+    classProps,
+  );
+}
+
+/**
+ * プラグインの `wrap` を適用したアダプターを返します。
+ * - 元のアダプターをラップした Proxy を返します。ラップされていないメソッドやプロパティは元のアダプターのものです。
+ * - ラッパーは `(next, { model })` で呼び出され、`next` の代わりに呼び出される関数を返します。
+ *   アダプターのメソッドはインスタンス（getDocRef はクラス）を `this` として呼び出されるため、
+ *   ラッパーが返す関数は `function` で定義し、`next.call(this, ...args)` で元のメソッドを呼び出します。
+ * - 複数のプラグインがラップした場合は、後に指定されたプラグインが外側になります。
+ *
+ * @param {Object} adapter - アダプター
+ * @param {Array<Object>} plugins - プラグインの配列
+ * @param {Function} model - モデルクラス
+ * @returns {Object} ラップしたアダプター（ラップするメソッドが無い場合は元のアダプター）
+ */
+export function wrapAdapter(adapter, plugins, model) {
+  const wrapped = new Map();
+  plugins.forEach((plugin) => {
+    Object.entries(plugin.wrap || {}).forEach(([method, wrapper]) => {
+      const next = wrapped.get(method) || adapter[method];
+      if (typeof next !== "function") return;
+      wrapped.set(method, wrapper(next, { model }));
+    });
+  });
+  if (!wrapped.size) return adapter;
+  return new Proxy(adapter, {
+    get: (target, key, receiver) =>
+      wrapped.has(key) ? wrapped.get(key) : Reflect.get(target, key, receiver),
+  });
+}
+
+/**
+ * プラグインの `constraints` が返す where 条件をクエリの引数に追加します。
+ * - 文字列検索（tokenMap 検索）の場合は `options` に追加します。
+ *
+ * @param {Object} args - fetchDocs などに渡された引数
+ * @param {Array<Object>} plugins - プラグインの配列
+ * @param {Object} context - `{ model, operation }`
+ * @returns {Object} 条件を追加した引数（追加する条件が無い場合は元の引数）
+ */
+export function applyPluginConstraints(args, plugins, context) {
+  const extra = plugins.flatMap((plugin) =>
+    plugin.constraints
+      ? plugin.constraints({ ...context, prefix: args.prefix ?? null }) || []
+      : [],
+  );
+  if (!extra.length) return args;
+  if (typeof args.constraints === "string") {
+    return { ...args, options: [...(args.options || []), ...extra] };
+  }
+  return { ...args, constraints: [...(args.constraints || []), ...extra] };
+}
@@ -0,0 +1,650 @@
+import { ConflictError } from "../errors.js";
+
+/** Firestore の `in` 演算子に指定できる値の最大数 */
+const IN_QUERY_LIMIT = 30;
+
+/** 1 回のトランザクションで書き込めるドキュメント数の上限（Firestore の制約） */
+export const MAX_TRANSACTION_WRITES = 500;
+
+/** リレーションの種類と、定義を保持する static プロパティ名 */
+const RELATION_KINDS = ["belongsTo", "hasOne", "belongsToMany"];
+
+/**
+ * リレーション定義の `model` からモデルクラスを返します。
+ * - 循環参照に対応するため、`model` にはクラスまたはクラスを返す関数を指定できます。
+ * @param {Function} model - モデルクラス、またはモデルクラスを返す関数
+ * @returns {Function} モデルクラス
+ */
+export const toModelClass = (model) =>
+  typeof model?.getCollectionPath === "function" ? model : model?.();
+
+/**
+ * 指定した static プロパティのみを置き換えたモデルクラスの Proxy を返します。
+ * - 派生クラスを生成しないため、それ以外の static プロパティやメソッドは元のクラスのものが使用されます。
+ * @param {Function} ModelClass - FireModel を継承したクラス
+ * @param {Object} overrides - 置き換える static プロパティ
+ * @returns {Function} モデルクラスの Proxy
+ */
+export const overrideStatics = (ModelClass, overrides) =>
+  new Proxy(ModelClass, {
+    get: (target, key, receiver) =>
+      Object.hasOwn(overrides, key)
+        ? overrides[key]
+        : Reflect.get(target, key, receiver),
+  });
+
+/**
+ * モデルクラスに定義されたリレーションを名前で取得します。
+ *
+ * @param {Function} ModelClass - FireModel を継承したクラス
+ * @param {string} name - リレーション名（`belongsTo` / `hasOne` / `belongsToMany` のキー）
+ * @returns {{ name: string, kind: string, Model: Function, foreignKey: string }} リレーションの定義
+ *   （belongsToMany の場合は `relatedKey`, `JoinModel`, `onDelete` を含みます）
+ * @throws {Error} リレーションが定義されていない場合、または定義が不正な場合
+ */
+export function resolveRelation(ModelClass, name) {
+  const kind = RELATION_KINDS.find((key) =>
+    Object.prototype.hasOwnProperty.call(ModelClass[key] || {}, name),
+  );
+  if (!kind) {
+    throw new Error(
+      `[relations.js] Relation "${name}" is not defined in ${ModelClass.name}.`,
+    );
+  }
+  if (ModelClass.classProps?.[name]) {
+    throw new Error(
+      `[relations.js] Relation "${name}" conflicts with a property of ${ModelClass.name}.`,
+    );
+  }
+
+  const { model, foreignKey, relatedKey, onDelete } = ModelClass[kind][name];
+  const Model = toModelClass(model);
+  if (!Model || typeof foreignKey !== "string" || !foreignKey) {
+    throw new Error(
+      `[relations.js] Relation "${name}" of ${ModelClass.name} requires model and foreignKey.`,
+    );
+  }
+  if (kind !== "belongsToMany") return { name, kind, Model, foreignKey };
+
+  if (typeof relatedKey !== "string" || !relatedKey) {
+    throw new Error(
+      `[relations.js] Relation "${name}" of ${ModelClass.name} requires relatedKey.`,
+    );
+  }
+  if (onDelete && !["restrict", "cascade"].includes(onDelete)) {
+    throw new Error(
+      `[relations.js] Invalid onDelete "${onDelete}" in ${ModelClass.name}.belongsToMany.`,
+    );
+  }
+  return {
+    name,
+    kind,
+    Model,
+    foreignKey,
+    relatedKey,
+    JoinModel: ModelClass.getJoinModel(name),
+    onDelete: onDelete || "restrict",
+  };
+}
+
+/**
+ * 関連ドキュメントをインスタンスの列挙されないプロパティとして設定します。
+ * @param {Object} doc - インスタンス
+ * @param {string} name - リレーション名
+ * @param {Object|null} value - 関連ドキュメント
+ */
+const attach = (doc, name, value) => {
+  Object.defineProperty(doc, name, {
+    value,
+    enumerable: false,
+    configurable: true,
+    writable: true,
+  });
+};
+
+/**
+ * 配列を指定した件数ごとに分割します。
+ * @param {Array} array
+ * @param {number} size
+ * @returns {Array<Array>}
+ */
+const chunk = (array, size) =>
+  Array.from({ length: Math.ceil(array.length / size) }, (_, i) =>
+    array.slice(i * size, (i + 1) * size),
+  );
+
+/**
+ * インスタンスの配列に、リレーションで関連付けられたドキュメントを読み込みます。
+ * - belongsTo は各インスタンスの `foreignKey` の値を ID として `fetchDocsByIds` でまとめて取得します。
+ * - hasOne は関連モデルの `foreignKey` がインスタンスの docId と一致するドキュメントを
+ *   `in` 条件でまとめて取得します（30 件ごとに分割してクエリを実行します）。
+ * - belongsToMany は中間コレクションのドキュメントを `in` 条件でまとめて取得し、
+ *   `relatedKey` の値を ID として `fetchDocsByIds` で関連ドキュメントを取得します。
+ * - 取得した関連ドキュメントは、リレーション名の列挙されないプロパティとして設定されます。
+ *   関連ドキュメントが存在しない場合は null（belongsToMany の場合は空の配列）が設定されます。
+ *
+ * @param {Function} ModelClass - FireModel を継承したクラス
+ * @param {Array<Object>} docs - インスタンスの配列
+ * @param {string|Array<string>} include - 読み込むリレーション名（の配列）
+ * @param {Object} [options={}]
+ * @param {string|null} [options.prefix=null] - パスのプレフィックス
+ * @returns {Promise<Array<Object>>} 引数の `docs`
+ * @throws {Error} リレーションが定義されていない場合
+ */
+export async function loadRelations(
+  ModelClass,
+  docs,
+  include,
+  { prefix = null } = {},
+) {
+  const names = Array.isArray(include) ? include : [include];
+  const relations = names
+    .filter(Boolean)
+    .map((name) => resolveRelation(ModelClass, name));
+  const targets = docs.filter(Boolean);
+  if (!targets.length) return docs;
+
+  for (const relation of relations) {
+    const { name, kind, Model, foreignKey } = relation;
+    if (kind === "belongsTo") {
+      const ids = [
+        ...new Set(
+          targets
+            .map((doc) => doc[foreignKey])
+            .filter((id) => typeof id === "string" && id),
+        ),
+      ];
+      const related = ids.length
+        ? await new Model().fetchDocsByIds({ ids, prefix })
+        : [];
+      const byId = new Map(related.map((item) => [item.docId, item]));
+      targets.forEach((doc) =>
+        attach(doc, name, byId.get(doc[foreignKey]) ?? null),
+      );
+      continue;
+    }
+
+    if (kind === "belongsToMany") {
+      const relatedIds = await fetchJoinedIds(
+        relation,
+        targets.map((doc) => doc.docId),
+        { prefix },
+      );
+      const ids = [...new Set([...relatedIds.values()].flat())];
+      const related = ids.length
+        ? await new Model().fetchDocsByIds({ ids, prefix })
+        : [];
+      const byId = new Map(related.map((item) => [item.docId, item]));
+      targets.forEach((doc) =>
+        attach(
+          doc,
+          name,
+          (relatedIds.get(doc.docId) || [])
+            .map((id) => byId.get(id))
+            .filter(Boolean),
+        ),
+      );
+      continue;
+    }
+
+    // hasOne
+    const ids = [...new Set(targets.map((doc) => doc.docId).filter(Boolean))];
+    const byKey = new Map();
+    for (const group of chunk(ids, IN_QUERY_LIMIT)) {
+      const related = await new Model().fetchDocs({
+        constraints: [["where", foreignKey, "in", group]],
+        prefix,
+      });
+      related.forEach((item) => {
+        if (!byKey.has(item[foreignKey])) byKey.set(item[foreignKey], item);
+      });
+    }
+    targets.forEach((doc) => attach(doc, name, byKey.get(doc.docId) ?? null));
+  }
+
+  return docs;
+}
+
+/**
+ * belongsToMany の中間ドキュメントを、このモデル側のキーの値でまとめて取得します（30 件ごとに分割します）。
+ * @param {Object} relation - `resolveRelation` で取得した belongsToMany の定義
+ * @param {Array<string>} ownerIds - このモデルのドキュメントの docId の配列
+ * @param {Object} [options={}]
+ * @param {string|null} [options.prefix=null] - パスのプレフィックス
+ * @returns {Promise<Array<Object>>} 中間ドキュメントのインスタンスの配列
+ */
+const fetchJoinDocs = async (
+  { JoinModel, foreignKey },
+  ownerIds,
+  { prefix = null } = {},
+) => {
+  const ids = [...new Set(ownerIds.filter(Boolean))];
+  const joins = [];
+  for (const group of chunk(ids, IN_QUERY_LIMIT)) {
+    joins.push(
+      ...(await new JoinModel().fetchDocs({
+        constraints: [["where", foreignKey, "in", group]],
+        prefix,
+      })),
+    );
+  }
+  return joins;
+};
+
+/**
+ * belongsToMany で関連付けられたドキュメントの ID を、このモデルの docId ごとに返します。
+ * @param {Object} relation - `resolveRelation` で取得した belongsToMany の定義
+ * @param {Array<string>} ownerIds - このモデルのドキュメントの docId の配列
+ * @param {Object} [options={}]
+ * @param {string|null} [options.prefix=null] - パスのプレフィックス
+ * @returns {Promise<Map<string, Array<string>>>} docId → 関連ドキュメントの ID の配列
+ */
+const fetchJoinedIds = async (relation, ownerIds, options = {}) => {
+  const { foreignKey, relatedKey } = relation;
+  const result = new Map();
+  for (const join of await fetchJoinDocs(relation, ownerIds, options)) {
+    const relatedId = join[relatedKey];
+    if (typeof relatedId !== "string" || !relatedId) continue;
+    const ids = result.get(join[foreignKey]) || [];
+    if (!ids.includes(relatedId)) ids.push(relatedId);
+    result.set(join[foreignKey], ids);
+  }
+  return result;
+};
+
+/**
+ * belongsToMany の中間ドキュメントの docId を返します。
+ * - キー名の順に ID を `_` で連結するため、逆方向のリレーション（キーを入れ替えた定義）から
+ *   関連付けた場合も同じ docId になります。
+ * @param {Object} relation - `resolveRelation` で取得した belongsToMany の定義
+ * @param {string} ownerId - このモデルのドキュメントの docId
+ * @param {string} relatedId - 関連ドキュメントの docId
+ * @returns {string}
+ */
+export const toJoinDocId = ({ foreignKey, relatedKey }, ownerId, relatedId) =>
+  foreignKey < relatedKey
+    ? `${ownerId}_${relatedId}`
+    : `${relatedId}_${ownerId}`;
+
+/**
+ * 関連ドキュメントの ID（またはインスタンス）を重複のない ID の配列に変換します。
+ * @param {string|Object|Array<string|Object>} ids
+ * @returns {Array<string>}
+ */
+const toRelatedIds = (ids) => [
+  ...new Set(
+    (Array.isArray(ids) ? ids : [ids])
+      .map((id) => (typeof id === "string" ? id : id?.docId))
+      .filter((id) => typeof id === "string" && id),
+  ),
+];
+
+/**
+ * belongsToMany の中間ドキュメントを作成・削除します。
+ * - すべての書き込みを 1 つのトランザクションで実行します（`transaction` が指定されていない場合は
+ *   モデルの `runTransaction` を使用します）。
+ * - 中間ドキュメントは `create` / `delete` で書き込まれるため、createdAt などの共通プロパティが設定されます。
+ *
+ * @param {Object} doc - このモデルのインスタンス
+ * @param {string} name - リレーション名
+ * @param {{ attach?: Array<string>, detach?: Array<string> }} changes - 追加・削除する関連ドキュメントの ID
+ * @param {Object} [options={}]
+ * @param {string|null} [options.prefix=null] - パスのプレフィックス
+ * @param {Object|null} [options.transaction=null] - トランザクション
+ * @returns {Promise<{ attached: Array<string>, detached: Array<string> }>}
+ */
+const writeJoins = async (
+  doc,
+  name,
+  { attach: attachIds = [], detach: detachIds = [] },
+  { prefix = null, transaction = null } = {},
+) => {
+  const relation = resolveRelation(doc.constructor, name);
+  const { JoinModel, foreignKey, relatedKey } = relation;
+  const write = async (txn) => {
+    for (const id of attachIds) {
+      const join = new JoinModel({ [foreignKey]: doc.docId, [relatedKey]: id });
+      await join.create({
+        docId: toJoinDocId(relation, doc.docId, id),
+        transaction: txn,
+        prefix,
+      });
+    }
+    for (const id of detachIds) {
+      const join = new JoinModel({
+        docId: toJoinDocId(relation, doc.docId, id),
+      });
+      await join.delete({ transaction: txn, prefix });
+    }
+  };
+
+  if (attachIds.length || detachIds.length) {
+    if (transaction) await write(transaction);
+    else await doc.constructor.runTransaction(write);
+  }
+  return { attached: attachIds, detached: detachIds };
+};
+
+/**
+ * belongsToMany で関連ドキュメントを関連付けます（中間ドキュメントを作成します）。
+ * - 中間ドキュメントの docId は `toJoinDocId` で決まるため、同じ関連付けを繰り返しても重複しません。
+ *
+ * @param {Object} doc - このモデルのインスタンス
+ * @param {string} name - リレーション名
+ * @param {string|Object|Array<string|Object>} ids - 関連ドキュメントの ID またはインスタンス（の配列）
+ * @param {Object} [options={}] - `prefix`, `transaction`
+ * @returns {Promise<{ attached: Array<string>, detached: Array<string> }>}
+ */
+export async function attachRelated(doc, name, ids, options = {}) {
+  return await writeJoins(doc, name, { attach: toRelatedIds(ids) }, options);
+}
+
+/**
+ * belongsToMany の関連付けを解除します（中間ドキュメントを削除します）。
+ * - 関連ドキュメント自体は削除されません。
+ *
+ * @param {Object} doc - このモデルのインスタンス
+ * @param {string} name - リレーション名
+ * @param {string|Object|Array<string|Object>} ids - 関連ドキュメントの ID またはインスタンス（の配列）
+ * @param {Object} [options={}] - `prefix`, `transaction`
+ * @returns {Promise<{ attached: Array<string>, detached: Array<string> }>}
+ */
+export async function detachRelated(doc, name, ids, options = {}) {
+  return await writeJoins(doc, name, { detach: toRelatedIds(ids) }, options);
+}
+
+/**
+ * belongsToMany の関連付けを指定した ID の集合に揃えます。
+ * - 現在の中間ドキュメントを取得し、不足しているものを作成、余分なものを削除します。
+ *
+ * @param {Object} doc - このモデルのインスタンス
+ * @param {string} name - リレーション名
+ * @param {string|Object|Array<string|Object>} ids - 関連ドキュメントの ID またはインスタンス（の配列）
+ * @param {Object} [options={}] - `prefix`, `transaction`
+ * @returns {Promise<{ attached: Array<string>, detached: Array<string> }>}
+ */
+export async function syncRelated(doc, name, ids, options = {}) {
+  const relation = resolveRelation(doc.constructor, name);
+  const next = toRelatedIds(ids);
+  const current =
+    (
+      await fetchJoinedIds(relation, [doc.docId], {
+        prefix: options.prefix ?? null,
+      })
+    ).get(doc.docId) || [];
+  return await writeJoins(
+    doc,
+    name,
+    {
+      attach: next.filter((id) => !current.includes(id)),
+      detach: current.filter((id) => !next.includes(id)),
+    },
+    options,
+  );
+}
+
+/**
+ * 削除を妨げる（onDelete が `"restrict"` の）belongsToMany の中間ドキュメントが存在するかを確認します。
+ * @param {Object} doc - このモデルのインスタンス
+ * @param {Object} [options={}]
+ * @param {string|null} [options.prefix=null] - パスのプレフィックス
+ * @returns {Promise<Object|false>} 中間ドキュメントが存在すれば hasMany と同じ形式の定義、なければ false
+ */
+export async function findRestrictingJoin(doc, { prefix = null } = {}) {
+  const ModelClass = doc.constructor;
+  for (const name of Object.keys(ModelClass.belongsToMany || {})) {
+    const { JoinModel, foreignKey, onDelete } = resolveRelation(
+      ModelClass,
+      name,
+    );
+    if (onDelete !== "restrict") continue;
+    const joins = await new JoinModel().fetchDocs({
+      constraints: [
+        ["where", foreignKey, "==", doc.docId],
+        ["limit", 1],
+      ],
+      prefix,
+    });
+    if (joins.length) {
+      return {
+        collectionPath: JoinModel.collectionPath,
+        field: foreignKey,
+        condition: "==",
+        type: "collection",
+        relation: name,
+      };
+    }
+  }
+  return false;
+}
+
+/** hasMany の onDelete に指定できる値 */
+const DELETE_POLICIES = ["restrict", "cascade", "setNull"];
+
+/**
+ * hasMany の定義 1 件から、子ドキュメントを検索する where 条件を返します。
+ * - `condition` は演算子、または [フィールド, 演算子, 値] の配列です（値の `$docId` は親の docId）。
+ * @param {Object} item - hasMany の定義
+ * @param {string} docId - 親ドキュメントの ID
+ * @returns {Array} `["where", field, op, value]`
+ */
+const toChildCondition = (item, docId) => {
+  const [field, op, value] = Array.isArray(item.condition)
+    ? item.condition
+    : [item.field, item.condition, "$docId"];
+  return ["where", field, op, value === "$docId" ? docId : value];
+};
+
+/**
+ * ドキュメントを削除した場合に影響を受ける子孫ドキュメントを、hasMany の `onDelete` に従って収集します。
+ * - restrict : 子ドキュメントが存在する場合、`restrict` に親ドキュメントと子コレクションを追加します。
+ * - cascade  : 子ドキュメントを `cascade` に追加し、子ドキュメントの hasMany を再帰的にたどります。
+ * - setNull  : 子ドキュメントを `setNull` に追加します（削除されるドキュメントは除きます）。
+ * - cascade / setNull には `model` と `type: "collection"` の指定が必要です。
+ * - belongsToMany の中間ドキュメントも同様に扱います（onDelete は restrict / cascade のみ）。
+ *
+ * @param {Object} doc - 削除するインスタンス
+ * @param {Object} [options={}]
+ * @param {string|null} [options.prefix=null] - パスのプレフィックス
+ * @returns {Promise<{ restrict: Array<Object>, cascade: Array<Object>, setNull: Array<Object> }>}
+ *   - restrict: `{ collectionPath, docId, child }`（child は子ドキュメントが存在する子コレクション）
+ *   - cascade: `{ collectionPath, docId, archive, doc }`（archive は論理削除されるかどうか）
+ *   - setNull: `{ collectionPath, docId, field, doc }`
+ * @throws {Error} onDelete の値、または cascade / setNull の定義が不正な場合
+ */
+export async function collectDeletePlan(doc, { prefix = null } = {}) {
+  const plan = { restrict: [], cascade: [], setNull: [] };
+  const visited = new Set();
+  const nullTargets = new Map();
+
+  const visit = async (target) => {
+    const Model = target.constructor;
+    const collectionPath = Model.getCollectionPath(prefix);
+    const key = `${collectionPath}/${target.docId}`;
+    if (visited.has(key)) return;
+    visited.add(key);
+
+    const blocking = await target.hasChild({ prefix });
+    if (blocking) {
+      plan.restrict.push({
+        collectionPath,
+        docId: target.docId,
+        child: blocking.collectionPath,
+      });
+    }
+
+    for (const item of Model.hasMany || []) {
+      const onDelete = item.onDelete || "restrict";
+      if (!DELETE_POLICIES.includes(onDelete)) {
+        throw new Error(
+          `[relations.js] Invalid onDelete "${onDelete}" in ${Model.name}.hasMany.`,
+        );
+      }
+      if (onDelete === "restrict") continue;
+
+      const ChildModel = toModelClass(item.model);
+      if (!ChildModel || item.type !== "collection") {
+        throw new Error(
+          `[relations.js] hasMany "${item.collectionPath}" of ${Model.name} requires model and type "collection" for onDelete "${onDelete}".`,
+        );
+      }
+      const condition = toChildCondition(item, target.docId);
+      const children = await new ChildModel().fetchDocs({
+        constraints: [condition],
+        prefix,
+      });
+      const childPath = ChildModel.getCollectionPath(prefix);
+
+      for (const child of children) {
+        if (onDelete === "cascade") {
+          plan.cascade.push({
+            collectionPath: childPath,
+            docId: child.docId,
+            archive: !!ChildModel.logicalDelete,
+            doc: child,
+          });
+          await visit(child);
+        } else {
+          nullTargets.set(`${childPath}/${child.docId}`, {
+            collectionPath: childPath,
+            docId: child.docId,
+            field: condition[1],
+            doc: child,
+          });
+        }
+      }
+    }
+
+    for (const name of Object.keys(Model.belongsToMany || {})) {
+      const relation = resolveRelation(Model, name);
+      if (relation.onDelete !== "cascade") continue;
+      const { JoinModel } = relation;
+      const joinPath = JoinModel.getCollectionPath(prefix);
+      for (const join of await fetchJoinDocs(relation, [target.docId], {
+        prefix,
+      })) {
+        plan.cascade.push({
+          collectionPath: joinPath,
+          docId: join.docId,
+          archive: !!JoinModel.logicalDelete,
+          doc: join,
+        });
+        await visit(join);
+      }
+    }
+  };
+
+  await visit(doc);
+
+  // 削除されるドキュメントは null に更新しない
+  nullTargets.forEach((entry, key) => {
+    if (!visited.has(key)) plan.setNull.push(entry);
+  });
+  return plan;
+}
+
+/**
+ * 削除の計画を実行するトランザクションの書き込み件数が、Firestore の上限を超えないことを確認します。
+ * - 削除・更新するドキュメント 1 件につき 1 件、論理削除のアーカイブと監査モードの変更履歴をそれぞれ 1 件と数えます。
+ * - 親ドキュメント（`doc`）の書き込みを含みます。`callback` による書き込みは含みません。
+ *
+ * @param {Object} doc - 削除するインスタンス
+ * @param {{ cascade: Array<Object>, setNull: Array<Object> }} plan - 削除の計画
+ * @throws {Error} 書き込み件数が `MAX_TRANSACTION_WRITES` を超える場合
+ */
+export function assertDeletePlanSize(doc, plan) {
+  const countWrites = (ModelClass, archive) =>
+    1 + (archive ? 1 : 0) + (ModelClass.audit ? 1 : 0);
+  const Model = doc.constructor;
+  const writes =
+    countWrites(Model, Model.logicalDelete) +
+    plan.cascade.reduce(
+      (sum, { archive, doc: child }) =>
+        sum + countWrites(child.constructor, archive),
+      0,
+    ) +
+    plan.setNull.reduce(
+      (sum, { doc: child }) => sum + countWrites(child.constructor, false),
+      0,
+    );
+  if (writes > MAX_TRANSACTION_WRITES) {
+    throw new Error(
+      `[relations.js] Deleting ${Model.name} (${doc.docId}) requires ${writes} writes, exceeding the limit of ${MAX_TRANSACTION_WRITES} per transaction. Delete the child documents in smaller batches first.`,
+    );
+  }
+}
+
+/**
+ * 削除の計画に含まれる子孫ドキュメントをトランザクション内で読み取り、計画の収集後に変更されていないかを確認します。
+ * - Firestore のトランザクションでは読み取りを書き込みより前に行う必要があるため、`applyDeletePlan` より前に呼び出します。
+ * - `updatedAt` が収集時と異なる、またはドキュメントが存在しない場合は変更されたものとします。
+ * - 計画の収集後に追加された子ドキュメントは検出されません（トランザクション内でクエリを実行しないため）。
+ *
+ * @param {{ cascade: Array<Object>, setNull: Array<Object> }} plan - 削除の計画
+ * @param {Object} transaction - トランザクション
+ * @param {Object} [options={}]
+ * @param {string|null} [options.prefix=null] - パスのプレフィックス
+ * @returns {Promise<void>}
+ * @throws {ConflictError} 子孫ドキュメントが削除または更新されていた場合
+ */
+export async function verifyDeletePlan(
+  plan,
+  transaction,
+  { prefix = null } = {},
+) {
+  const toTime = (value) => (value instanceof Date ? value.getTime() : null);
+  const entries = [...plan.cascade, ...plan.setNull];
+  const snapshots = await Promise.all(
+    entries.map(({ docId, doc }) =>
+      transaction.get(doc.constructor.getDocRef({ docId, prefix })),
+    ),
+  );
+  entries.forEach(({ collectionPath, docId, doc }, index) => {
+    // Admin SDK の `exists` はプロパティのため、`data()` で存在を判定する
+    const serverDoc = snapshots[index].data() ?? null;
+    if (!serverDoc || toTime(serverDoc.updatedAt) !== toTime(doc.updatedAt)) {
+      throw new ConflictError(
+        `[relations.js] ${collectionPath}/${docId} has been changed since the delete plan was collected.`,
+        { docId, serverDoc },
+      );
+    }
+  });
+}
+
+/**
+ * `collectDeletePlan` で収集した子孫ドキュメントの削除・更新をトランザクションに追加します。
+ * - 読み取りを行わず書き込みのみを追加するため、親ドキュメントの削除と同じトランザクションで実行できます。
+ * - 論理削除（logicalDelete）のモデルは `<collectionPath>_archive` に移動されます。
+ * - 子孫ドキュメントの beforeDelete は実行されません。
+ *
+ * @param {{ cascade: Array<Object>, setNull: Array<Object> }} plan - 削除の計画
+ * @param {Object} transaction - トランザクション
+ * @param {Object} [options={}]
+ * @param {string|null} [options.prefix=null] - パスのプレフィックス
+ */
+export function applyDeletePlan(plan, transaction, { prefix = null } = {}) {
+  const archives = new Map();
+  const toArchive = (Model) => {
+    if (!archives.has(Model)) {
+      archives.set(
+        Model,
+        overrideStatics(Model, {
+          collectionPath: `${Model.collectionPath}_archive`,
+        }),
+      );
+    }
+    return archives.get(Model);
+  };
+  plan.cascade.forEach(({ docId, archive, doc }) => {
+    const Model = doc.constructor;
+    if (archive) {
+      transaction.set(toArchive(Model).getDocRef({ docId, prefix }), doc);
+    }
+    transaction.delete(Model.getDocRef({ docId, prefix }));
+  });
+  plan.setNull.forEach(({ docId, field, doc }) => {
+    transaction.update(doc.constructor.getDocRef({ docId, prefix }), {
+      [field]: null,
+    });
+  });
+}
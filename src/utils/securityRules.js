@@ -0,0 +1,284 @@
+import { GeoPoint, DocumentReference } from "../types.js";
+
+/** FireModel がすべてのドキュメントに書き込むフィールドとその型 */
+const CORE_FIELDS = {
+  docId: "string",
+  uid: "string",
+  createdAt: "timestamp",
+  updatedAt: "timestamp",
+};
+
+/** 監査モード（`static audit`）のモデルが書き込むフィールドとその型 */
+const AUDIT_FIELDS = {
+  createdBy: "string",
+  updatedBy: "string",
+};
+
+/**
+ * セキュリティルールの文字列リテラルを返します。
+ * @param {string} value
+ * @returns {string} シングルクォートで囲まれた文字列
+ */
+const quote = (value) =>
+  `'${String(value).replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`;
+
+/**
+ * enum の値をセキュリティルールのリテラルに変換します。
+ * @param {*} value
+ * @returns {string}
+ */
+const literal = (value) =>
+  typeof value === "string" ? quote(value) : String(value);
+
+/**
+ * 正規表現をセキュリティルールの `matches()` で使用する文字列に変換します。
+ * - `matches()` は文字列全体との一致を判定するため、アンカーの無いパターンは前後に `.*` を補います。
+ * @param {RegExp|string} pattern
+ * @returns {string}
+ */
+const toRulesPattern = (pattern) => {
+  let source = pattern instanceof RegExp ? pattern.source : String(pattern);
+  if (!source.startsWith("^")) source = `.*${source}`;
+  if (!source.endsWith("$")) source = `${source}.*`;
+  return quote(source);
+};
+
+/**
+ * classProps のプロパティ定義 1 件から、値を検証する条件式の配列を生成します。
+ * @param {string} ref - 値を参照する式（例: `data.name`）
+ * @param {Object} config - classProps のプロパティ定義
+ * @param {Function} ModelClass - モデルクラス（書式チェック用の正規表現の参照に使用）
+ * @returns {Array<string>} 条件式の配列
+ */
+const propToConditions = (ref, config, ModelClass) => {
+  const { type, length, required } = config;
+  const maxLength = typeof length === "object" ? length?.max : length;
+  const minLength =
+    typeof length === "object"
+      ? (length?.min ?? config.minLength)
+      : config.minLength;
+  const conditions = [];
+
+  switch (type) {
+    case String:
+      conditions.push(`${ref} is string`);
+      if (required) conditions.push(`${ref}.size() > 0`);
+      if (config.pattern != null) {
+        conditions.push(`${ref}.matches(${toRulesPattern(config.pattern)})`);
+      }
+      if (config.email) {
+        conditions.push(
+          `${ref}.matches(${toRulesPattern(ModelClass.FORMAT_PATTERNS.email)})`,
+        );
+      }
+      break;
+    case Number:
+      conditions.push(`${ref} is number`);
+      if (typeof config.min === "number") {
+        conditions.push(`${ref} >= ${config.min}`);
+      }
+      if (typeof config.max === "number") {
+        conditions.push(`${ref} <= ${config.max}`);
+      }
+      break;
+    case Boolean:
+      conditions.push(`${ref} is bool`);
+      break;
+    case Date:
+      conditions.push(`${ref} is timestamp`);
+      break;
+    case GeoPoint:
+      conditions.push(`${ref} is latlng`);
+      break;
+    case DocumentReference:
+      conditions.push(`${ref} is path`);
+      break;
+    case Array:
+      conditions.push(`${ref} is list`);
+      if (required) conditions.push(`${ref}.size() > 0`);
+      if (Array.isArray(config.enum)) {
+        conditions.push(
+          `${ref}.toSet().difference([${config.enum.map(literal).join(", ")}].toSet()).size() == 0`,
+        );
+      }
+      break;
+    case Object:
+      conditions.push(`${ref} is map`);
+      break;
+    default:
+      return conditions;
+  }
+
+  if ((type === String || type === Array) && maxLength != null) {
+    conditions.push(`${ref}.size() <= ${maxLength}`);
+  }
+  if ((type === String || type === Array) && minLength != null) {
+    conditions.push(`${ref}.size() >= ${minLength}`);
+  }
+  if (type !== Array && Array.isArray(config.enum)) {
+    conditions.push(`${ref} in [${config.enum.map(literal).join(", ")}]`);
+  }
+  return conditions;
+};
+
+/**
+ * モデルクラス 1 件の `match` ブロックを生成します。
+ * @param {Function} ModelClass - FireModel を継承したクラス
+ * @param {Object} options
+ * @returns {Array<string>} `match` ブロックの行の配列（インデント無し）
+ */
+const modelToRules = (ModelClass, { prefix, auth, strict }) => {
+  // プラグインの classProps を反映する
+  ModelClass._applyPlugins?.();
+  const collectionPath = ModelClass.getCollectionPath(prefix);
+  const classProps = ModelClass.classProps || {};
+  const requiredKeys = Object.keys(classProps).filter(
+    (key) => classProps[key].required,
+  );
+
+  const systemFields = {
+    ...CORE_FIELDS,
+    ...(ModelClass.audit ? AUDIT_FIELDS : {}),
+  };
+
+  const checks = [];
+  if (requiredKeys.length) {
+    checks.push(`data.keys().hasAll([${requiredKeys.map(quote).join(", ")}])`);
+  }
+  if (strict) {
+    const keys = [
+      ...Object.keys(systemFields),
+      ...Object.keys(classProps),
+      ...(ModelClass.tokenFields?.length ? ["tokenMap"] : []),
+    ];
+    checks.push(`data.keys().hasOnly([${keys.map(quote).join(", ")}])`);
+  }
+  Object.entries(systemFields).forEach(([key, rulesType]) => {
+    checks.push(
+      `(!(${quote(key)} in data) || data.${key} == null || data.${key} is ${rulesType})`,
+    );
+  });
+  Object.entries(classProps).forEach(([key, config]) => {
+    const conditions = propToConditions(`data.${key}`, config, ModelClass);
+    if (!conditions.length) return;
+    if (config.required) {
+      checks.push(`(data.${key} != null && ${conditions.join(" && ")})`);
+    } else {
+      checks.push(
+        `(!(${quote(key)} in data) || data.${key} == null || (${conditions.join(" && ")}))`,
+      );
+    }
+  });
+
+  const immutableKeys = [
+    "docId",
+    "createdAt",
+    ...(ModelClass.audit ? ["createdBy"] : []),
+  ];
+  const lines = [
+    `// ${ModelClass.name}`,
+    `match /${collectionPath}/{docId} {`,
+    `  function isValidData(data) {`,
+    `    return ${checks.join("\n      && ")};`,
+    `  }`,
+    `  allow read: if ${auth};`,
+    `  allow create: if ${auth}`,
+    `    && isValidData(request.resource.data)`,
+    `    && request.resource.data.docId == docId;`,
+    `  allow update: if ${auth}`,
+    `    && isValidData(request.resource.data)`,
+    ...immutableKeys.map(
+      (key, index) =>
+        `    && request.resource.data.${key} == resource.data.${key}${
+          index === immutableKeys.length - 1 ? ";" : ""
+        }`,
+    ),
+    `  allow delete: if ${auth};`,
+    `}`,
+  ];
+
+  if (ModelClass.audit) {
+    lines.push(
+      `match /${collectionPath}/{docId}/history/{historyId} {`,
+      `  allow read, create: if ${auth};`,
+      `}`,
+    );
+  }
+
+  if (ModelClass.logicalDelete) {
+    lines.push(
+      `match /${collectionPath}_archive/{docId} {`,
+      `  allow read, write: if ${auth};`,
+      `}`,
+    );
+  }
+  return lines;
+};
+
+/**
+ * FireModel を継承したクラスの定義から Firestore のセキュリティルール（firestore.rules）を生成します。
+ * - コレクションごとに `match` ブロックを生成し、classProps の型・必須・文字列長・範囲・enum・pattern を検証します。
+ * - docId はドキュメント ID と一致すること、更新時は docId と createdAt が変更されないことを検証します。
+ * - audit が有効なモデルは createdBy / updatedBy を検証し（更新時は createdBy が変更されないこと）、
+ *   変更履歴（history）のサブコレクションには読み取りと作成のみを許可します。
+ * - パスは `getCollectionPath(prefix)` で解決されます。`{companyId}` のようなワイルドカードを prefix に指定できます。
+ * - logicalDelete が有効なモデルはアーカイブコレクション、useAutonumber が有効なモデルは Autonumbers の
+ *   ルールも生成されます。
+ * - 関数で指定された min / max や validator など、ルールで表現できない検証は出力されません。
+ *
+ * 例:
+ * ```javascript
+ * const rules = generateSecurityRules([Customer, Site], {
+ *   prefix: "Companies/{companyId}",
+ *   auth: "request.auth != null && request.auth.token.companyId == companyId",
+ * });
+ * fs.writeFileSync("firestore.rules", rules);
+ * ```
+ *
+ * @param {Array<Function>} models - FireModel を継承したクラスの配列
+ * @param {Object} [options={}]
+ * @param {string|null} [options.prefix=null] - コレクションパスのプレフィックス
+ * @param {string} [options.auth="request.auth != null"] - 読み書きを許可する条件式
+ * @param {boolean} [options.strict=false] - true の場合、classProps とシステムフィールド以外のフィールドを拒否します
+ * @returns {string} セキュリティルールの文字列
+ */
+export function generateSecurityRules(
+  models = [],
+  { prefix = null, auth = "request.auth != null", strict = false } = {},
+) {
+  const blocks = models.map((ModelClass) =>
+    modelToRules(ModelClass, { prefix, auth, strict }),
+  );
+
+  const autonumberPaths = [
+    ...new Set(
+      models
+        .filter((ModelClass) => ModelClass.useAutonumber)
+        .map((ModelClass) => ModelClass.getEffectivePrefix(prefix)),
+    ),
+  ];
+  autonumberPaths.forEach((effectivePrefix) => {
+    blocks.push([
+      `// Autonumbers`,
+      `match /${effectivePrefix}Autonumbers/{collectionId} {`,
+      `  allow read, update: if ${auth};`,
+      `}`,
+    ]);
+  });
+
+  const indent = (line) => (line ? `    ${line}` : line);
+  const body = blocks
+    .map((lines) => lines.flatMap((line) => line.split("\n")).map(indent))
+    .map((lines) => lines.join("\n"))
+    .join("\n\n");
+
+  return [
+    `rules_version = '2';`,
+    `service cloud.firestore {`,
+    `  match /databases/{database}/documents {`,
+    body,
+    `  }`,
+    `}`,
+    ``,
+  ].join("\n");
+}
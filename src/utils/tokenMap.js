@@ -1,41 +1,241 @@
 /**
- * 指定した文字列フィールドから1文字および2文字のN-gramを生成し、tokenMapを構築して返します。
+ * tokenizer の初期値です。
+ * - 初期値は従来どおり、文字列を正規化せずに1文字および2文字のN-gramを生成します。
+ *   正規化を有効にする場合は、既存ドキュメントの tokenMap を再生成（update）する必要があります。
  *
- * @param {string[]} fields - tokenMap生成対象のプロパティ名の配列
+ * @property {number[]} ngram - 生成するN-gramの文字数
+ * @property {boolean} caseFold - 英字を小文字に揃える
+ * @property {boolean} normalizeWidth - 全角英数字・記号を半角に、半角カナを全角に揃える（NFKC 正規化。互換漢字も統合されます）
+ * @property {boolean} normalizeKana - カタカナをひらがなに揃える
+ * @property {boolean} postFilter - 取得したドキュメントが検索文字列を実際に含むかを再確認する
+ * @property {Function|null} normalize - 独自の正規化関数 `(text) => string`（組み込みの正規化の後に実行）
+ * @property {Function|null} tokenize - 独自のトークン分割関数 `(text, { ngram }) => string[]`
+ * @property {number|null} budget - tokenMap のキー数の上限（null は無制限）
+ * @property {"warn"|"error"} onBudgetExceeded - budget を超えた場合に、書き込み前に警告を出力する（"warn"）か
+ *                                              バリデーションエラーとする（"error"）か
+ */
+export const DEFAULT_TOKENIZER = Object.freeze({
+  ngram: [1, 2],
+  caseFold: false,
+  normalizeWidth: false,
+  normalizeKana: false,
+  postFilter: false,
+  normalize: null,
+  tokenize: null,
+  budget: null,
+  onBudgetExceeded: "warn",
+});
+
+/**
+ * モデルの tokenizer の設定を初期値とマージして返します。
+ * @param {Object|null} tokenizer - モデルの `static tokenizer`
+ * @returns {Object} tokenizer の設定
+ */
+export function resolveTokenizer(tokenizer) {
+  const resolved = { ...DEFAULT_TOKENIZER, ...(tokenizer || {}) };
+  const sizes = Array.isArray(resolved.ngram)
+    ? resolved.ngram
+    : [resolved.ngram];
+  resolved.ngram = [...new Set(sizes)]
+    .filter((size) => Number.isInteger(size) && size > 0)
+    .sort((a, b) => a - b);
+  if (!resolved.ngram.length) {
+    throw new Error(
+      "[tokenMap.js] tokenizer.ngram must contain positive integers.",
+    );
+  }
+  return resolved;
+}
+
+/**
+ * tokenFields の定義を `{ field, weight, maxLength, maxTokens }` の配列に変換します。
+ * - 文字列で指定されたプロパティの weight は 1、maxLength / maxTokens は null（無制限）です。
+ * @param {Array<string|Object>} tokenFields - モデルの `static tokenFields`
+ * @returns {Array<{ field: string, weight: number, maxLength: number|null, maxTokens: number|null }>}
+ */
+export function normalizeTokenFields(tokenFields = []) {
+  if (!Array.isArray(tokenFields)) return [];
+  return tokenFields
+    .map((entry) => (typeof entry === "string" ? { field: entry } : entry))
+    .map((entry) => ({
+      ...entry,
+      weight: entry?.weight ?? 1,
+      maxLength: entry?.maxLength ?? null,
+      maxTokens: entry?.maxTokens ?? null,
+    }))
+    .filter(({ field }) => typeof field === "string" && field);
+}
+
+/**
+ * tokenizer の設定に従って文字列を正規化します。
+ * - 高サロゲート／低サロゲート／記号（~ * [ ]）／空白は常に除去されます。
+ * @param {string} text - 対象の文字列
+ * @param {Object} tokenizer - `resolveTokenizer` で取得した設定
+ * @returns {string} 正規化された文字列
+ */
+export function normalizeText(text, tokenizer) {
+  let result = String(text);
+  if (tokenizer.normalizeWidth) result = result.normalize("NFKC");
+  if (tokenizer.caseFold) result = result.toLowerCase();
+  if (tokenizer.normalizeKana) {
+    result = result.replace(/[ァ-ヶ]/g, (char) =>
+      String.fromCharCode(char.charCodeAt(0) - 0x60),
+    );
+  }
+  if (typeof tokenizer.normalize === "function") {
+    result = String(tokenizer.normalize(result) ?? "");
+  }
+  return result.replace(/[\uD800-\uDBFF]|[\uDC00-\uDFFF]|~|\*|\[|\]|\s+/g, "");
+}
+
+/**
+ * 正規化済みの文字列をトークンに分割します。
+ * @param {string} text - 正規化済みの文字列
+ * @param {Object} tokenizer - `resolveTokenizer` で取得した設定
+ * @param {number[]} [sizes=tokenizer.ngram] - 生成するN-gramの文字数
+ * @returns {string[]} トークンの配列
+ */
+const tokenize = (text, tokenizer, sizes = tokenizer.ngram) => {
+  if (typeof tokenizer.tokenize === "function") {
+    return tokenizer.tokenize(text, { ngram: sizes }) || [];
+  }
+  const tokens = [];
+  for (let i = 0; i < text.length; i++) {
+    for (const size of sizes) {
+      if (i + size <= text.length) tokens.push(text.substring(i, i + size));
+    }
+  }
+  return tokens;
+};
+
+/**
+ * 指定した文字列フィールドからN-gramを生成し、tokenMapを構築して返します。
+ * - トークンの生成方法は tokenizer の設定に従います（省略時は1文字および2文字のN-gram）。
+ * - フィールドごとの `maxLength` を指定すると正規化後の先頭から maxLength 文字のみを、
+ *   `maxTokens` を指定すると先頭から maxTokens 件のトークンのみを使用します。
+ *
+ * @param {Array<string|Object>} fields - tokenMap生成対象のプロパティ名（または `{ field, weight, maxLength, maxTokens }`）の配列
  * @param {object} instance - 対象インスタンスオブジェクト
+ * @param {Object|null} [tokenizer=null] - モデルの `static tokenizer`
  * @returns {{ [token: string]: true } | null}
  *   生成したtokenMapオブジェクト（トークンなしならnull）
  */
-export function generateTokenMap(fields = [], instance) {
-  if (!Array.isArray(fields) || fields.length === 0) {
+export function generateTokenMap(fields = [], instance, tokenizer = null) {
+  const tokenFields = normalizeTokenFields(fields);
+  if (tokenFields.length === 0) {
     return null;
   }
 
+  const resolved = resolveTokenizer(tokenizer);
+
   // N-gramトークンを一意に保持
   const tokenMap = new Map();
 
-  // サニタイズ：高サロゲート／低サロゲート／記号／空白を除去
-  const sanitize = (text) =>
-    text.replace(/[\uD800-\uDBFF]|[\uDC00-\uDFFF]|~|\*|\[|\]|\s+/g, "");
-
-  for (const field of fields) {
+  for (const { field, maxLength, maxTokens } of tokenFields) {
     const raw = instance[field];
     if (typeof raw !== "string" || !raw) continue;
 
-    const str = sanitize(raw);
-    const len = str.length;
-
-    for (let i = 0; i < len; i++) {
-      // 1文字トークン
-      tokenMap.set(str.substring(i, i + 1), true);
-
-      // 2文字トークン（範囲内でのみ）
-      if (i + 2 <= len) {
-        tokenMap.set(str.substring(i, i + 2), true);
-      }
+    let text = normalizeText(raw, resolved);
+    if (maxLength != null) text = text.slice(0, maxLength);
+    const tokens = [...new Set(tokenize(text, resolved))].filter(Boolean);
+    const limited = maxTokens != null ? tokens.slice(0, maxTokens) : tokens;
+    for (const token of limited) {
+      tokenMap.set(token, true);
     }
   }
 
   // Map → オブジェクトに変換。サイズ0ならnull
   return tokenMap.size > 0 ? Object.fromEntries(tokenMap) : null;
 }
+
+/**
+ * 検索文字列から tokenMap 検索に使用するトークンを生成します。
+ * - 検索文字列の長さ以下で最大のN-gramのみを使用します。
+ *   最小のN-gramより短い検索文字列はトークンを生成しません（FireModel の検索はエラーになります）。
+ *   （短いN-gramは長いN-gramのいずれかに含まれるため、検索結果は変わらずクエリ条件が少なくなります）
+ * - 独自の tokenize 関数が設定されている場合は、その結果をそのまま使用します。
+ *
+ * @param {string} search - 検索文字列
+ * @param {Object|null} [tokenizer=null] - モデルの `static tokenizer`
+ * @returns {string[]} 重複を除いたトークンの配列
+ */
+export function generateSearchTokens(search, tokenizer = null) {
+  const resolved = resolveTokenizer(tokenizer);
+  const text = normalizeText(search ?? "", resolved);
+  if (!text) return [];
+  const fitting = resolved.ngram.filter((size) => size <= text.length);
+  if (!fitting.length && typeof resolved.tokenize !== "function") return [];
+  const sizes = fitting.length
+    ? [fitting[fitting.length - 1]]
+    : [resolved.ngram[0]];
+  return [...new Set(tokenize(text, resolved, sizes))].filter(Boolean);
+}
+
+/**
+ * 検索文字列を空白で区切った検索語の配列を返します（検索語は正規化されます）。
+ * @param {string} search - 検索文字列
+ * @param {Object|null} [tokenizer=null] - モデルの `static tokenizer`
+ * @returns {string[]} 正規化された検索語の配列
+ */
+export function splitSearchTerms(search, tokenizer = null) {
+  const resolved = resolveTokenizer(tokenizer);
+  return String(search ?? "")
+    .split(/\s+/)
+    .map((term) => normalizeText(term, resolved))
+    .filter(Boolean);
+}
+
+/**
+ * 文字列の中で検索語に一致する範囲を、元の文字列の位置で返します。
+ * - 正規化後の文字列で検索し、一致した範囲を正規化前の位置に戻します（空白などを除去した分も考慮されます）。
+ * - 濁点・半濁点や結合文字は直前の文字とまとめて正規化します。
+ *   文字単位の正規化結果が文字列全体の正規化結果と一致しない場合（独自の normalize 関数が複数の文字を
+ *   置換する場合など）は、位置を特定できないため空の配列を返します。
+ *
+ * @param {string} text - 対象の文字列
+ * @param {string[]} terms - `splitSearchTerms` で取得した検索語の配列
+ * @param {Object|null} [tokenizer=null] - モデルの `static tokenizer`
+ * @returns {Array<{ start: number, end: number }>} 一致した範囲（`text.slice(start, end)`）の配列。重なる範囲は結合されます。
+ */
+export function findMatchSpans(text, terms, tokenizer = null) {
+  if (typeof text !== "string" || !text || !terms.length) return [];
+  const resolved = resolveTokenizer(tokenizer);
+
+  // 正規化後の文字の位置 → 元の文字列での範囲
+  const positions = [];
+  let normalized = "";
+  let offset = 0;
+  for (const segment of text.match(/[\s\S][\uFF9E\uFF9F\p{M}]*/gu)) {
+    const part = normalizeText(segment, resolved);
+    for (let i = 0; i < part.length; i++) {
+      positions.push({ start: offset, end: offset + segment.length });
+    }
+    normalized += part;
+    offset += segment.length;
+  }
+  if (normalized !== normalizeText(text, resolved)) return [];
+
+  const spans = [];
+  terms.forEach((term) => {
+    let index = normalized.indexOf(term);
+    while (index !== -1) {
+      spans.push({
+        start: positions[index].start,
+        end: positions[index + term.length - 1].end,
+      });
+      index = normalized.indexOf(term, index + term.length);
+    }
+  });
+
+  return spans
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, span) => {
+      const last = merged[merged.length - 1];
+      if (last && span.start <= last.end) {
+        last.end = Math.max(last.end, span.end);
+      } else {
+        merged.push({ ...span });
+      }
+      return merged;
+    }, []);
+}
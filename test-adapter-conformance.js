@@ -0,0 +1,47 @@
+/**
+ * アダプターの適合性テストスイートと setAdapter の検証をテストします。
+ *
+ * 実行方法:
+ *   node test-adapter-conformance.js
+ */
+
+import FireModel, { MemoryAdapter, runAdapterConformance } from "./index.js";
+
+console.log("=== アダプター適合性テスト ===\n");
+
+// テストケース1: MemoryAdapter に対して適合性テストを実行
+console.log("【テスト1】MemoryAdapter の適合性");
+const { passed, failed } = await runAdapterConformance(new MemoryAdapter(), {
+  logger: console,
+});
+console.log(`\n  - passed: ${passed}, failed: ${failed}`);
+if (failed > 0) process.exitCode = 1;
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース2: 必須メソッドが不足しているアダプター
+console.log("【テスト2】必須メソッドが不足しているアダプター");
+try {
+  FireModel.setAdapter({ create() {}, fetch() {} });
+  console.log("❌ エラーがスローされませんでした");
+  process.exitCode = 1;
+} catch (err) {
+  console.log("✅ エラーがスローされました");
+  console.log("  - err.name:", err.name);
+  console.log("  - err.message:", err.message);
+  console.log("  - err.missingMethods:", err.missingMethods);
+}
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース3: 不足したアダプターの適合性テストは失敗として報告される
+console.log("【テスト3】不足したアダプターの適合性");
+const incomplete = await runAdapterConformance({ create() {} });
+if (incomplete.failed === 1 && incomplete.passed === 0) {
+  console.log("✅ 失敗として報告されました");
+} else {
+  console.log("❌ 失敗として報告されませんでした");
+  process.exitCode = 1;
+}
+
+console.log("\n=== テスト完了 ===");
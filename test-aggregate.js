@@ -0,0 +1,162 @@
+/**
+ * 集計クエリ（count / sum / average）をテストします。
+ *
+ * 実行方法:
+ *   node test-aggregate.js
+ */
+
+import FireModel, { MemoryAdapter } from "./index.js";
+import { assert, useMemoryAdapter } from "./test/helpers.js";
+
+class Order extends FireModel {
+  static collectionPath = "Orders";
+  static tokenFields = ["customerName"];
+  static classProps = {
+    customerName: { type: String, default: "" },
+    status: { type: String, default: "open" },
+    amount: { type: Number, default: null },
+    detail: { type: Object, default: () => ({}) },
+  };
+}
+
+const adapter = useMemoryAdapter();
+const orders = [
+  { customerName: "山田商店", status: "shipped", amount: 1000 },
+  { customerName: "山田工業", status: "shipped", amount: 2500 },
+  { customerName: "佐藤商店", status: "open", amount: 500 },
+  { customerName: "鈴木商店", status: "shipped", amount: null },
+];
+for (const order of orders) {
+  await new Order({ ...order, detail: { tax: order.amount / 10 } }).create();
+}
+await new Order({
+  customerName: "支店",
+  status: "shipped",
+  amount: 9999,
+}).create({ prefix: "Branches/b1/" });
+
+console.log("=== 集計クエリのテスト ===\n");
+
+// テストケース1: count / sum / average
+console.log("【テスト1】count / sum / average");
+const shipped = [["where", "status", "==", "shipped"]];
+assert((await Order.count()) === 4, "全件の件数が取得される");
+assert(
+  (await Order.count({ constraints: shipped })) === 3,
+  "条件に一致する件数が取得される",
+);
+assert(
+  (await Order.sum("amount", { constraints: shipped })) === 3500,
+  "合計が取得される（null は無視される）",
+);
+assert(
+  (await Order.average("amount", { constraints: shipped })) === 1750,
+  "平均が取得される（null は無視される）",
+);
+assert(
+  (await Order.sum("detail.tax")) === 400,
+  "ネストしたフィールドを集計できる",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース2: 対象が無い場合・prefix・文字列検索
+console.log("【テスト2】対象が無い場合・prefix・文字列検索");
+const none = [["where", "status", "==", "cancelled"]];
+assert((await Order.count({ constraints: none })) === 0, "件数は 0");
+assert((await Order.sum("amount", { constraints: none })) === 0, "合計は 0");
+assert(
+  (await Order.average("amount", { constraints: none })) === null,
+  "平均は null",
+);
+assert(
+  (await Order.sum("amount", { prefix: "Branches/b1/" })) === 9999,
+  "prefix を指定して集計できる",
+);
+assert(
+  (await Order.count({ constraints: "山田", options: shipped })) === 2,
+  "文字列検索の結果を集計できる",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース3: 複数の集計と定義の検証
+console.log("【テスト3】aggregate");
+const result = await Order.aggregate(
+  { count: ["count"], total: ["sum", "amount"], mean: ["average", "amount"] },
+  { constraints: shipped },
+);
+console.log("  - result:", result);
+assert(
+  result.count === 3 && result.total === 3500 && result.mean === 1750,
+  "複数の集計を一度に取得できる",
+);
+for (const [label, aggregations] of [
+  ["空の定義はエラー", {}],
+  ["未対応の種類はエラー", { max: ["max", "amount"] }],
+  ["field の無い sum はエラー", { total: ["sum"] }],
+]) {
+  let error = null;
+  try {
+    await Order.aggregate(aggregations);
+  } catch (err) {
+    error = err;
+  }
+  assert(error !== null, label);
+}
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース4: aggregate を実装していないアダプター
+console.log("【テスト4】メモリ上での集計へのフォールバック");
+let fetchCount = 0;
+const fallbackAdapter = new MemoryAdapter();
+fallbackAdapter.aggregate = undefined;
+const originalFetchDocs = fallbackAdapter.fetchDocs;
+fallbackAdapter.fetchDocs = function (args) {
+  fetchCount++;
+  return originalFetchDocs.bind(this)(args);
+};
+const FallbackOrder = Order.withAdapter(fallbackAdapter);
+for (const order of orders) {
+  await new FallbackOrder(order).create();
+}
+const fallback = await FallbackOrder.aggregate(
+  { count: ["count"], total: ["sum", "amount"], mean: ["average", "amount"] },
+  { constraints: shipped },
+);
+assert(fetchCount === 1, "fetchDocs で取得したドキュメントが集計される");
+assert(
+  fallback.count === 3 && fallback.total === 3500 && fallback.mean === 1750,
+  "アダプターの集計と同じ結果になる",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース5: tokenizer の postFilter
+console.log("【テスト5】postFilter が有効な文字列検索");
+class FilteredOrder extends Order {
+  static collectionPath = "FilteredOrders";
+  static tokenizer = { ngram: [2], postFilter: true };
+}
+for (const [customerName, amount] of [
+  ["山田商店", 1000],
+  ["山田と田商と商店", 500],
+  ["山田商店本店", 2000],
+]) {
+  await new FilteredOrder({ customerName, amount }).create();
+}
+const searched = await new FilteredOrder().fetchDocs({
+  constraints: "山田商店",
+});
+const filteredResult = await FilteredOrder.aggregate(
+  { count: ["count"], total: ["sum", "amount"] },
+  { constraints: "山田商店" },
+);
+assert(
+  filteredResult.count === searched.length && filteredResult.count === 2,
+  "件数が fetchDocs の結果と一致する",
+);
+assert(filteredResult.total === 3000, "除外されたドキュメントは集計されない");
+
+console.log("\n=== テスト完了 ===");
@@ -0,0 +1,301 @@
+/**
+ * 監査モード（static audit）による createdBy / updatedBy の記録と、
+ * 変更履歴（history サブコレクション）の書き込みをテストします。
+ *
+ * 実行方法:
+ *   node test-audit.js
+ */
+
+import FireModel, { generateSecurityRules } from "./index.js";
+import { assert, useMemoryAdapter } from "./test/helpers.js";
+
+class Customer extends FireModel {
+  static collectionPath = "Customers";
+  static audit = true;
+  static logicalDelete = true;
+  static classProps = {
+    name: { type: String, default: "" },
+    tags: { type: Array, default: () => [] },
+  };
+}
+
+class Site extends FireModel {
+  static collectionPath = "Sites";
+  static classProps = {
+    name: { type: String, default: "" },
+  };
+}
+
+const adapter = useMemoryAdapter();
+let transactions = 0;
+const runTransaction = adapter.runTransaction.bind(adapter);
+adapter.runTransaction = (fn) => {
+  transactions++;
+  return runTransaction(fn);
+};
+
+let currentUser = { uid: "u1", name: "山田" };
+FireModel.setConfig({ currentUser: () => currentUser });
+
+console.log("=== 監査モードのテスト ===\n");
+
+// テストケース1: createdBy / updatedBy
+console.log("【テスト1】createdBy / updatedBy");
+const customer = new Customer({ name: "山田商店" });
+assert(
+  customer.createdBy === null && customer.updatedBy === null,
+  "監査モードのモデルは createdBy / updatedBy を持つ",
+);
+assert(!("createdBy" in new Site()), "監査モードでないモデルは持たない");
+transactions = 0;
+await customer.create({ docId: "c1" });
+assert(transactions === 1, "作成と履歴の書き込みは 1 つのトランザクション");
+assert(
+  customer.createdBy === "u1" && customer.updatedBy === "u1",
+  "作成時に createdBy / updatedBy が記録される",
+);
+let stored = await new Customer().fetchDoc({ docId: "c1" });
+assert(
+  stored.createdBy === "u1" && stored.updatedBy === "u1",
+  "Firestore に保存され、取得時に復元される",
+);
+
+currentUser = "u2";
+customer.name = "山田ホールディングス";
+await customer.update();
+stored = await new Customer().fetchDoc({ docId: "c1" });
+assert(
+  stored.createdBy === "u1" && stored.updatedBy === "u2",
+  "更新時は updatedBy のみが変更される（文字列も指定できる）",
+);
+currentUser = { id: 3 };
+customer.tags = ["重要"];
+await customer.update({ partial: true });
+stored = await new Customer().fetchDoc({ docId: "c1" });
+assert(stored.updatedBy === "3", "部分更新でも updatedBy が書き込まれる");
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース2: 変更履歴
+console.log("【テスト2】変更履歴");
+currentUser = "u4";
+await customer.delete();
+await new Customer().restore({ docId: "c1" });
+const histories = await customer.fetchHistory();
+assert(
+  histories.map(({ operation }) => operation).join() ===
+    "restore,delete,update,update,create",
+  "create / update / delete / restore の履歴が新しい順に取得される",
+);
+assert(
+  histories.map(({ actor }) => actor).join() === "u4,u4,3,u2,u1",
+  "履歴に操作者が記録される",
+);
+const [restored, deleted, tagged, renamed, created] = histories;
+assert(
+  created.changes.length === 2 &&
+    created.changes.some(
+      ({ field, oldValue, newValue }) =>
+        field === "name" && oldValue === null && newValue === "山田商店",
+    ),
+  "作成の履歴には設定された値が記録される",
+);
+assert(
+  JSON.stringify(renamed.changes) ===
+    JSON.stringify([
+      { field: "name", oldValue: "山田商店", newValue: "山田ホールディングス" },
+    ]),
+  "更新の履歴には _beforeData からの差分が記録される",
+);
+assert(
+  tagged.changes.length === 1 && tagged.changes[0].field === "tags[0]",
+  "変更されていないプロパティは記録されない",
+);
+assert(
+  deleted.changes.length === 0,
+  "論理削除の履歴の変更内容は空（アーカイブに移動するのみ）",
+);
+assert(restored.changes.length === 0, "復元の履歴の変更内容は空");
+assert(
+  created.createdAt instanceof Date &&
+    created.createdAt.getTime() <= restored.createdAt.getTime(),
+  "履歴に日時が記録される",
+);
+assert(
+  Customer.getHistoryModel("c1").getCollectionPath() === "Customers/c1/history",
+  "履歴は <collection>/{docId}/history に書き込まれる",
+);
+assert(
+  (await customer.fetchHistory({ limit: 2 })).length === 2,
+  "limit を指定して取得できる",
+);
+
+const prefixed = new Customer({ name: "佐藤工業" });
+await prefixed.create({ docId: "c2", prefix: "Companies/001" });
+assert(
+  (await prefixed.fetchHistory({ prefix: "Companies/001" })).length === 1 &&
+    (await prefixed.fetchHistory()).length === 0,
+  "prefix を指定した場合は prefix のパスに書き込まれる",
+);
+const site = new Site({ name: "本店" });
+await site.create({ docId: "s1" });
+assert(
+  (await site.fetchHistory()).length === 0,
+  "監査モードでないモデルは履歴を書き込まない",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース3: トランザクション
+console.log("【テスト3】トランザクション");
+currentUser = "u5";
+customer.name = "山田商事";
+let error = null;
+try {
+  await customer.update({
+    callback: () => {
+      throw new Error("callback failed");
+    },
+  });
+} catch (err) {
+  error = err;
+}
+assert(error?.message === "callback failed", "書き込みのエラーはスローされる");
+assert(
+  (await customer.fetchHistory()).length === 5,
+  "書き込みに失敗した場合は履歴も書き込まれない",
+);
+assert(customer.updatedBy === "3", "失敗した場合は updatedBy が元に戻される");
+
+transactions = 0;
+await adapter.runTransaction(async (transaction) => {
+  await customer.update({ transaction });
+});
+assert(transactions === 1, "渡されたトランザクションで履歴が書き込まれる");
+assert(
+  (await customer.fetchHistory({ limit: 1 }))[0].actor === "u5",
+  "トランザクションを指定した場合も履歴が記録される",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース4: currentUser の指定
+console.log("【テスト4】currentUser の指定");
+Customer.setConfig({ currentUser: async ({ model }) => `${model.name}:u6` });
+const third = new Customer({ name: "鈴木建設" });
+await third.create({ docId: "c3" });
+assert(
+  third.createdBy === "Customer:u6",
+  "非同期の関数を指定でき、モデルクラスが渡される",
+);
+Customer.setConfig({ currentUser: () => null });
+third.name = "鈴木組";
+await third.update();
+assert(third.updatedBy === null, "操作者が無い場合は null が記録される");
+Customer.setConfig({ currentUser: "u7" });
+error = null;
+try {
+  await new Customer({ name: "高橋電機" }).create({ docId: "c4" });
+} catch (err) {
+  error = err;
+}
+assert(
+  error?.message.includes("currentUser must be a function"),
+  "currentUser が関数でない場合はエラー",
+);
+assert(
+  !(await new Customer().fetchDoc({ docId: "c4" })),
+  "エラーの場合はドキュメントも作成されない",
+);
+Customer.setConfig({});
+
+const rules = generateSecurityRules([Customer, Site], { strict: true });
+assert(
+  rules.includes("match /Customers/{docId}/history/{historyId}") &&
+    !rules.includes("match /Sites/{docId}/history"),
+  "セキュリティルールに履歴のルールが生成される",
+);
+assert(
+  rules.includes(
+    "request.resource.data.createdBy == resource.data.createdBy",
+  ) && rules.includes("'updatedBy'"),
+  "セキュリティルールで createdBy / updatedBy が許可・検証される",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース5: 物理削除と、削除に伴う子ドキュメントの削除・更新
+console.log("【テスト5】物理削除と cascade / setNull");
+class Contact extends FireModel {
+  static collectionPath = "Contacts";
+  static audit = true;
+  static classProps = {
+    accountId: { type: String, default: null },
+    name: { type: String, default: "" },
+  };
+}
+class Note extends FireModel {
+  static collectionPath = "Notes";
+  static audit = true;
+  static classProps = {
+    accountId: { type: String, default: null },
+    text: { type: String, default: "" },
+  };
+}
+class Account extends FireModel {
+  static collectionPath = "Accounts";
+  static audit = true;
+  static hasMany = [
+    {
+      collectionPath: "Contacts",
+      field: "accountId",
+      condition: "==",
+      type: "collection",
+      model: () => Contact,
+      onDelete: "cascade",
+    },
+    {
+      collectionPath: "Notes",
+      field: "accountId",
+      condition: "==",
+      type: "collection",
+      model: () => Note,
+      onDelete: "setNull",
+    },
+  ];
+  static classProps = {
+    name: { type: String, default: "" },
+  };
+}
+currentUser = "u6";
+const account = new Account({ name: "鈴木建設" });
+await account.create({ docId: "a1" });
+const contact = new Contact({ accountId: "a1", name: "鈴木" });
+await contact.create({ docId: "ct1" });
+const note = new Note({ accountId: "a1", text: "商談メモ" });
+await note.create({ docId: "n1" });
+currentUser = "u7";
+await account.delete();
+const [accountDeleted] = await account.fetchHistory();
+assert(
+  accountDeleted.operation === "delete" &&
+    accountDeleted.changes.some(
+      ({ field, oldValue, newValue }) =>
+        field === "name" && oldValue === "鈴木建設" && newValue === null,
+    ),
+  "物理削除の履歴には削除前の値が記録される",
+);
+const [contactDeleted] = await contact.fetchHistory();
+assert(
+  contactDeleted?.operation === "delete" && contactDeleted.actor === "u7",
+  "cascade で削除された子ドキュメントにも削除の履歴が書き込まれる",
+);
+const [noteUpdated] = await note.fetchHistory();
+assert(
+  noteUpdated?.operation === "update" &&
+    JSON.stringify(noteUpdated.changes) ===
+      JSON.stringify([{ field: "accountId", oldValue: "a1", newValue: null }]),
+  "setNull で更新された子ドキュメントにも更新の履歴が書き込まれる",
+);
+
+console.log("\n=== テスト完了 ===");
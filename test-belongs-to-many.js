@@ -0,0 +1,313 @@
+/**
+ * belongsToMany リレーション（中間コレクション）と attach / detach / sync / fetchRelated をテストします。
+ *
+ * 実行方法:
+ *   node test-belongs-to-many.js
+ */
+
+import FireModel from "./index.js";
+import { assert, useMemoryAdapter } from "./test/helpers.js";
+
+class Staff extends FireModel {
+  static collectionPath = "Staffs";
+  static classProps = {
+    name: { type: String, default: "" },
+  };
+  static belongsToMany = {
+    sites: {
+      model: () => Site,
+      through: "SiteAssignments",
+      foreignKey: "staffId",
+      relatedKey: "siteId",
+    },
+  };
+}
+
+class Site extends FireModel {
+  static collectionPath = "Sites";
+  static classProps = {
+    name: { type: String, default: "" },
+  };
+  static belongsToMany = {
+    staffs: {
+      model: () => Staff,
+      through: "SiteAssignments",
+      foreignKey: "siteId",
+      relatedKey: "staffId",
+      onDelete: "cascade",
+    },
+  };
+}
+
+const adapter = useMemoryAdapter();
+let transactions = 0;
+const runTransaction = adapter.runTransaction.bind(adapter);
+adapter.runTransaction = (fn) => {
+  transactions++;
+  return runTransaction(fn);
+};
+
+for (const [docId, name] of [
+  ["st1", "山田"],
+  ["st2", "佐藤"],
+]) {
+  await new Staff({ name }).create({ docId });
+}
+for (const [docId, name] of [
+  ["s1", "本店"],
+  ["s2", "支店"],
+  ["s3", "工場"],
+]) {
+  await new Site({ name }).create({ docId });
+}
+const yamada = new Staff();
+await yamada.fetch({ docId: "st1" });
+const sato = new Staff();
+await sato.fetch({ docId: "st2" });
+
+const fetchJoins = async () =>
+  await new (Staff.getJoinModel("sites"))().fetchDocs({
+    constraints: [["orderBy", "createdAt"]],
+  });
+
+console.log("=== belongsToMany のテスト ===\n");
+
+// テストケース1: attach
+console.log("【テスト1】attach");
+transactions = 0;
+let result = await yamada.attach("sites", ["s1", "s2"]);
+assert(transactions === 1, "1 つのトランザクションで実行される");
+assert(
+  JSON.stringify(result) ===
+    JSON.stringify({ attached: ["s1", "s2"], detached: [] }),
+  "関連付けた ID が返される",
+);
+let joins = await fetchJoins();
+assert(joins.length === 2, "中間ドキュメントが作成される");
+assert(
+  joins[0].staffId === "st1" && joins[0].siteId === "s1",
+  "中間ドキュメントにキーが設定される",
+);
+assert(joins[0].createdAt instanceof Date, "共通プロパティが設定される");
+await yamada.attach("sites", "s1");
+assert((await fetchJoins()).length === 2, "同じ関連付けは重複しない");
+await new Site({ docId: "s3" }).attach("staffs", sato);
+joins = await fetchJoins();
+assert(
+  joins.length === 3 && joins.some((join) => join.docId === "s3_st2"),
+  "逆方向の定義から関連付けた場合も同じ中間コレクションを共有する",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース2: fetchRelated / include
+console.log("【テスト2】fetchRelated / include");
+const related = await yamada.fetchRelated("sites");
+assert(
+  related.map((site) => site.name).join(",") === "本店,支店",
+  "関連ドキュメントが取得される",
+);
+assert(related[0] instanceof Site, "関連モデルのインスタンスが返される");
+assert(yamada.sites === related, "リレーション名のプロパティにも設定される");
+const staffs = await new Staff().fetchDocs({
+  constraints: [["orderBy", "name"]],
+  include: "sites",
+});
+const byName = Object.fromEntries(staffs.map((staff) => [staff.name, staff]));
+assert(
+  byName["山田"].sites.length === 2 &&
+    byName["佐藤"].sites.map((site) => site.docId).join() === "s3",
+  "include で複数のドキュメントの関連ドキュメントが読み込まれる",
+);
+assert(
+  !("sites" in byName["山田"].toObject()),
+  "関連ドキュメントは toObject() に含まれない",
+);
+const site1 = new Site();
+await site1.fetch({ docId: "s1", include: "staffs" });
+assert(
+  site1.staffs.map((staff) => staff.name).join() === "山田",
+  "逆方向のリレーションで読み込まれる",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース3: detach / sync
+console.log("【テスト3】detach / sync");
+result = await yamada.detach("sites", ["s2"]);
+assert(result.detached.join() === "s2", "解除した ID が返される");
+assert(
+  (await yamada.fetchRelated("sites")).map((site) => site.docId).join() ===
+    "s1",
+  "中間ドキュメントが削除される",
+);
+assert(
+  !!(await new Site().fetchDoc({ docId: "s2" })),
+  "関連ドキュメントは削除されない",
+);
+transactions = 0;
+result = await yamada.sync("sites", ["s2", "s3"]);
+assert(transactions === 1, "sync は 1 つのトランザクションで実行される");
+assert(
+  result.attached.join() === "s2,s3" && result.detached.join() === "s1",
+  "追加と解除の差分が返される",
+);
+assert(
+  (await yamada.fetchRelated("sites"))
+    .map((site) => site.docId)
+    .sort()
+    .join() === "s2,s3",
+  "関連付けが指定した ID に揃えられる",
+);
+transactions = 0;
+result = await yamada.sync("sites", ["s2", "s3"]);
+assert(
+  transactions === 0 && !result.attached.length && !result.detached.length,
+  "差分が無い場合は書き込まない",
+);
+await adapter.runTransaction(async (transaction) => {
+  await sato.attach("sites", "s1", { transaction });
+});
+assert(
+  (await sato.fetchRelated("sites")).length === 2,
+  "既存のトランザクションで実行できる",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース4: 削除の制限（restrict）
+console.log("【テスト4】削除の制限");
+const child = await yamada.hasChild();
+assert(
+  child?.collectionPath === "SiteAssignments" && child.relation === "sites",
+  "hasChild が中間コレクションを返す",
+);
+let error = null;
+try {
+  await yamada.delete();
+} catch (err) {
+  error = err;
+}
+assert(
+  error?.message.includes("SiteAssignments"),
+  "中間ドキュメントが存在する場合は削除できない",
+);
+const plan = await yamada.delete({ dryRun: true });
+assert(
+  plan.restrict[0]?.child === "SiteAssignments",
+  "dryRun の restrict に中間コレクションが含まれる",
+);
+await yamada.sync("sites", []);
+assert((await yamada.hasChild()) === false, "関連付けを解除すると子は無い");
+await yamada.delete();
+assert(
+  !(await new Staff().fetchDoc({ docId: "st1" })),
+  "関連付けが無い場合は削除できる",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース5: 削除時の中間ドキュメントの削除（cascade）
+console.log("【テスト5】削除時の中間ドキュメントの削除");
+const site3 = new Site();
+await site3.fetch({ docId: "s3" });
+const cascadePlan = await site3.getDeletePlan();
+assert(
+  cascadePlan.cascade.length === 1 &&
+    cascadePlan.cascade[0].collectionPath === "SiteAssignments" &&
+    cascadePlan.cascade[0].docId === "s3_st2",
+  "dryRun の cascade に中間ドキュメントが含まれる",
+);
+await site3.delete();
+assert(
+  (await fetchJoins()).every((join) => join.siteId !== "s3"),
+  "中間ドキュメントも削除される",
+);
+assert(
+  !!(await new Staff().fetchDoc({ docId: "st2" })),
+  "関連ドキュメントは削除されない",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース6: 定義のエラー
+console.log("【テスト6】定義のエラー");
+error = null;
+try {
+  await sato.attach("unknown", "s1");
+} catch (err) {
+  error = err;
+}
+assert(
+  error?.message.includes('Relation "unknown" is not defined'),
+  "未定義のリレーションはエラー",
+);
+error = null;
+try {
+  await new Staff().attach("sites", "s1");
+} catch (err) {
+  error = err;
+}
+assert(
+  error?.message.includes("docId is required"),
+  "docId が無い場合はエラー",
+);
+class InvalidStaff extends Staff {
+  static belongsToMany = {
+    sites: {
+      model: () => Site,
+      through: "SiteAssignments",
+      foreignKey: "staffId",
+    },
+  };
+}
+error = null;
+try {
+  await new InvalidStaff({ docId: "st2" }).fetchRelated("sites");
+} catch (err) {
+  error = err;
+}
+assert(
+  error?.message.includes("requires relatedKey"),
+  "relatedKey が無い場合はエラー",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース7: プラグインを使用するモデル
+console.log("【テスト7】プラグインを使用するモデル");
+const stamped = [];
+class TenantStaff extends Staff {
+  static plugins = [
+    {
+      name: "tenant",
+      classProps: { tenantId: { type: String, default: null } },
+      wrap: {
+        create: (next) =>
+          function (args) {
+            this.tenantId = "t1";
+            stamped.push(this.constructor.name);
+            return next.call(this, args);
+          },
+      },
+    },
+  ];
+}
+const TenantJoin = TenantStaff.getJoinModel("sites");
+assert(
+  TenantJoin.getAdapter() === adapter,
+  "中間コレクションのモデルはラップされていないアダプターを使用する",
+);
+const tenantStaff = new TenantStaff({ name: "田中" });
+await tenantStaff.create({ docId: "st3" });
+assert(tenantStaff.tenantId === "t1", "モデル自身にはプラグインが適用される");
+await tenantStaff.attach("sites", "s1");
+const [tenantJoin] = await new TenantJoin().fetchDocs({
+  constraints: [["where", "staffId", "==", "st3"]],
+});
+assert(
+  !!tenantJoin && stamped.join(",") === "TenantStaff",
+  "中間ドキュメントにはプラグインが適用されない",
+);
+
+console.log("\n=== テスト完了 ===");
@@ -0,0 +1,220 @@
+/**
+ * クラス単位の検証ルール（static validators）と validateAsync をテストします。
+ *
+ * 実行方法:
+ *   node test-class-validators.js
+ */
+
+import FireModel from "./index.js";
+import { assert, useMemoryAdapter } from "./test/helpers.js";
+
+class Customer extends FireModel {
+  static collectionPath = "Customers";
+  static classProps = {
+    code: { type: String, default: "", required: true, label: "コード" },
+    startAt: { type: Date, default: null, label: "開始日" },
+    endAt: { type: Date, default: null, label: "終了日" },
+  };
+  static validators = [
+    {
+      fields: ["startAt", "endAt"],
+      validator: ({ startAt, endAt }) =>
+        !startAt ||
+        !endAt ||
+        startAt < endAt || {
+          code: "DATE_ORDER_ERROR",
+          message: "endAt must be after startAt.",
+          messages: { ja: "終了日は開始日より後である必要があります。" },
+        },
+    },
+    {
+      fields: ["code"],
+      async: true,
+      validator: async (instance) => {
+        const docs = await new Customer().fetchDocs({
+          constraints: [["where", "code", "==", instance.code]],
+        });
+        return (
+          docs.every(({ docId }) => docId === instance.docId) ||
+          "code is already used."
+        );
+      },
+    },
+  ];
+}
+
+useMemoryAdapter();
+
+console.log("=== クラス単位の検証ルールのテスト ===\n");
+
+// テストケース1: 複数のプロパティにまたがる検証
+console.log("【テスト1】複数のプロパティにまたがる検証");
+const customer = new Customer({
+  code: "C001",
+  startAt: new Date("2025-04-01"),
+  endAt: new Date("2025-03-01"),
+});
+const reason = customer.invalidReasons.find(
+  ({ code }) => code === "DATE_ORDER_ERROR",
+);
+assert(!!reason, "invalidReasons に含まれる");
+assert(
+  reason?.field === "startAt" && reason?.fields.join(",") === "startAt,endAt",
+  "field と fields が設定される",
+);
+try {
+  customer.validate();
+  assert(false, "validate() でエラーがスローされる");
+} catch (err) {
+  assert(err.name === "ValidationError", "validate() でエラーがスローされる");
+}
+customer.endAt = new Date("2025-05-01");
+assert(!customer.isInvalid, "修正するとエラーが解消される");
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース2: 非同期の検証
+console.log("【テスト2】非同期の検証");
+await customer.create();
+assert(!!customer.docId, "重複がなければ作成できる");
+await customer.validateAsync();
+assert(true, "自身のドキュメントは重複と判定されない");
+const duplicate = new Customer({ code: "C001" });
+assert(
+  !duplicate.isInvalid,
+  "非同期の validator は invalidReasons では実行されない",
+);
+try {
+  await duplicate.validateAsync();
+  assert(false, "validateAsync() でエラーがスローされる");
+} catch (err) {
+  assert(
+    err.name === "ValidationError" &&
+      err.validationErrors[0].message === "code is already used.",
+    "validateAsync() でエラーがスローされる",
+  );
+}
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース3: create / update での自動実行
+console.log("【テスト3】create / update での自動実行");
+try {
+  await duplicate.create();
+  assert(false, "重複したコードでは作成できない");
+} catch (err) {
+  assert(err.name === "ValidationError", "重複したコードでは作成できない");
+}
+assert(
+  (await new Customer().fetchDocs()).length === 1,
+  "ドキュメントは書き込まれない",
+);
+duplicate.code = "C002";
+await duplicate.create();
+duplicate.code = "C001";
+try {
+  await duplicate.update();
+  assert(false, "重複したコードには更新できない");
+} catch (err) {
+  assert(err.name === "ValidationError", "重複したコードには更新できない");
+}
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース4: フックの実行後の値での検証
+console.log("【テスト4】フックの実行後の値での検証");
+class NormalizedCustomer extends Customer {
+  async beforeEdit() {
+    this.code = this.code.trim().toUpperCase();
+  }
+}
+try {
+  await new NormalizedCustomer({ code: " c001 " }).create();
+  assert(false, "beforeEdit で変更された値が検証される（create）");
+} catch (err) {
+  assert(
+    err.name === "ValidationError",
+    "beforeEdit で変更された値が検証される（create）",
+  );
+}
+const normalized = new NormalizedCustomer({ code: "c003" });
+await normalized.create();
+assert(normalized.code === "C003", "検証後に書き込まれる");
+normalized.code = "c002";
+try {
+  await normalized.update();
+  assert(false, "beforeEdit で変更された値が検証される（update）");
+} catch (err) {
+  assert(
+    err.name === "ValidationError",
+    "beforeEdit で変更された値が検証される（update）",
+  );
+}
+assert(
+  !Object.hasOwn(normalized, "beforeEdit"),
+  "インスタンスに beforeEdit が追加されない",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース5: 同期と非同期の検証エラーの統合
+console.log("【テスト5】同期と非同期の検証エラーの統合");
+let hookCalls = 0;
+class CountedCustomer extends Customer {
+  async beforeCreate() {
+    hookCalls++;
+  }
+  async beforeEdit() {
+    hookCalls++;
+  }
+}
+try {
+  await new CountedCustomer({
+    code: "C001",
+    startAt: new Date("2025-04-01"),
+    endAt: new Date("2025-03-01"),
+  }).create();
+  assert(false, "同期と非同期のエラーが 1 つの ValidationError になる");
+} catch (err) {
+  const messages = err.validationErrors?.map(({ message }) => message) || [];
+  assert(
+    err.name === "ValidationError" &&
+      messages.includes("endAt must be after startAt.") &&
+      messages.includes("code is already used."),
+    "同期と非同期のエラーが 1 つの ValidationError になる",
+  );
+}
+assert(hookCalls === 2, "フックは 1 回ずつ実行される");
+hookCalls = 0;
+const counted = new CountedCustomer({ code: "C004" });
+await counted.create();
+assert(hookCalls === 2, "作成時もフックは 1 回ずつ実行される");
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース6: validator がスローした例外
+console.log("【テスト6】validator がスローした例外");
+class UnreachableCustomer extends FireModel {
+  static collectionPath = "UnreachableCustomers";
+  static classProps = { code: { type: String, default: "" } };
+  static validators = [
+    {
+      fields: ["code"],
+      async: true,
+      validator: async () => {
+        throw new Error("permission-denied");
+      },
+    },
+  ];
+}
+try {
+  await new UnreachableCustomer({ code: "X" }).create();
+  assert(false, "例外は検証エラーに変換されずにスローされる");
+} catch (err) {
+  assert(
+    err.name !== "ValidationError" && err.message === "permission-denied",
+    "例外は検証エラーに変換されずにスローされる",
+  );
+}
+
+console.log("\n=== テスト完了 ===");
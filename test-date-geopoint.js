@@ -0,0 +1,155 @@
+/**
+ * Date / GeoPoint / DocumentReference 型のプロパティをテストします。
+ *
+ * 実行方法:
+ *   node test-date-geopoint.js
+ */
+
+import FireModel, {
+  DocumentReference,
+  GeoPoint,
+  MemoryAdapter,
+} from "./index.js";
+import { assert, useMemoryAdapter } from "./test/helpers.js";
+
+class Site extends FireModel {
+  static collectionPath = "Sites";
+  static classProps = {
+    name: { type: String, default: "" },
+  };
+}
+
+class Operation extends FireModel {
+  static collectionPath = "Operations";
+  static classProps = {
+    startAt: { type: Date, default: null, required: true },
+    endAt: {
+      type: Date,
+      default: null,
+      min: (instance) => instance.startAt,
+      max: new Date("2100-01-01T00:00:00Z"),
+    },
+    location: { type: GeoPoint, default: null, required: true },
+    siteRef: { type: DocumentReference, default: null },
+  };
+}
+
+const adapter = useMemoryAdapter();
+
+console.log("=== Date / GeoPoint / DocumentReference 型のテスト ===\n");
+
+// テストケース1: 初期化とクローン
+console.log("【テスト1】初期化とクローン");
+const timestamp = {
+  toDate: () => new Date("2025-04-01T09:00:00Z"),
+};
+const operation = new Operation({
+  startAt: timestamp,
+  location: { latitude: 35.68, longitude: 139.76 },
+});
+assert(operation.startAt instanceof Date, "Timestamp は Date に変換される");
+assert(operation.location instanceof GeoPoint, "GeoPoint に変換される");
+const cloned = operation.clone();
+assert(
+  cloned.startAt !== operation.startAt &&
+    cloned.startAt.getTime() === operation.startAt.getTime(),
+  "Date は複製される",
+);
+assert(cloned.location.isEqual(operation.location), "GeoPoint は保持される");
+assert(!operation.isDirty, "初期化直後は変更なしと判定される");
+operation.location = new GeoPoint(34.69, 135.5);
+assert(
+  operation.dirtyFields.join(",") === "location",
+  "GeoPoint の変更が検知される",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース2: 検証
+console.log("【テスト2】required / min / max");
+const empty = new Operation();
+const codes = empty.invalidReasons.map(({ field, code }) => `${field}:${code}`);
+assert(codes.includes("startAt:REQUIRED_ERROR"), "Date の required");
+assert(codes.includes("location:REQUIRED_ERROR"), "GeoPoint の required");
+operation.endAt = new Date("2025-03-31T00:00:00Z");
+assert(
+  operation.invalidReasons.some(({ code }) => code === "DATE_MIN_ERROR"),
+  "min にはインスタンスを受け取る関数を指定できる",
+);
+operation.endAt = new Date("2100-01-02T00:00:00Z");
+assert(
+  operation.invalidReasons.some(({ code }) => code === "DATE_MAX_ERROR"),
+  "max を超える日時はエラー",
+);
+operation.endAt = new Date("2025-04-01T18:00:00Z");
+assert(!operation.isInvalid, "範囲内の日時はエラーにならない");
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース3: 保存と読み込み
+console.log("【テスト3】保存と読み込み");
+const site = new Site({ name: "本社" });
+await site.create();
+operation.siteRef = Site.getDocRef({ docId: site.docId });
+assert(
+  operation.siteRef instanceof DocumentReference,
+  "ドキュメント参照の判定",
+);
+await operation.create();
+const fetched = await new Operation().fetchDoc({ docId: operation.docId });
+assert(fetched.startAt instanceof Date, "Date として読み込まれる");
+assert(
+  fetched.location.isEqual(operation.location),
+  "GeoPoint として読み込まれる",
+);
+assert(fetched.siteRef.path === operation.siteRef.path, "参照先が保持される");
+const fetchedSite = await new Site().fetchDoc({ docId: fetched.siteRef.id });
+assert(fetchedSite?.name === "本社", "参照先のドキュメントを取得できる");
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース4: アダプターの GeoPoint への変換
+console.log("【テスト4】アダプターの GeoPoint への変換");
+class NativeGeoPoint {
+  constructor(latitude, longitude) {
+    this.latitude = latitude;
+    this.longitude = longitude;
+  }
+  isEqual(other) {
+    return (
+      other.latitude === this.latitude && other.longitude === this.longitude
+    );
+  }
+}
+class NativeAdapter extends MemoryAdapter {
+  get GeoPoint() {
+    return NativeGeoPoint;
+  }
+}
+const NativeOperation = Operation.withAdapter(new NativeAdapter());
+const data = NativeOperation.converter().toFirestore(
+  new NativeOperation(operation.toObject()),
+);
+assert(
+  data.location instanceof NativeGeoPoint,
+  "書き込み時にアダプターの GeoPoint に変換される",
+);
+const restored = NativeOperation.fromFirestore({ data: () => data });
+assert(restored.location instanceof GeoPoint, "読み込み時に GeoPoint に戻る");
+class NoGeoPointAdapter extends MemoryAdapter {
+  get GeoPoint() {
+    return undefined;
+  }
+}
+let geoError = null;
+try {
+  Operation.withAdapter(new NoGeoPointAdapter());
+} catch (err) {
+  geoError = err;
+}
+assert(
+  geoError?.missingMethods?.includes("GeoPoint"),
+  "GeoPoint を提供しないアダプターは設定できない",
+);
+
+console.log("\n=== テスト完了 ===");
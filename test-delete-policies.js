@@ -0,0 +1,303 @@
+/**
+ * hasMany の onDelete（restrict / cascade / setNull）と削除の dry-run をテストします。
+ *
+ * 実行方法:
+ *   node test-delete-policies.js
+ */
+
+import FireModel, { ConflictError } from "./index.js";
+import { assert, useMemoryAdapter } from "./test/helpers.js";
+
+class Comment extends FireModel {
+  static collectionPath = "Comments";
+  static classProps = {
+    taskId: { type: String, default: null },
+    body: { type: String, default: "" },
+  };
+}
+
+class Task extends FireModel {
+  static collectionPath = "Tasks";
+  static logicalDelete = true;
+  static hasMany = [
+    {
+      collectionPath: "Comments",
+      field: "taskId",
+      condition: "==",
+      type: "collection",
+      model: () => Comment,
+      onDelete: "cascade",
+    },
+    {
+      collectionPath: "Reports",
+      field: "taskId",
+      condition: "==",
+      type: "collection",
+    },
+  ];
+  static classProps = {
+    projectId: { type: String, default: null },
+    title: { type: String, default: "" },
+  };
+}
+
+class Memo extends FireModel {
+  static collectionPath = "Memos";
+  static classProps = {
+    projectId: { type: String, default: null },
+    text: { type: String, default: "" },
+  };
+}
+
+class Project extends FireModel {
+  static collectionPath = "Projects";
+  static hasMany = [
+    {
+      collectionPath: "Tasks",
+      field: "projectId",
+      condition: ["projectId", "==", "$docId"],
+      type: "collection",
+      model: Task,
+      onDelete: "cascade",
+    },
+    {
+      collectionPath: "Memos",
+      field: "projectId",
+      condition: "==",
+      type: "collection",
+      model: () => Memo,
+      onDelete: "setNull",
+    },
+  ];
+  static classProps = {
+    name: { type: String, default: "" },
+  };
+}
+
+class Report extends FireModel {
+  static collectionPath = "Reports";
+  static classProps = {
+    taskId: { type: String, default: null },
+  };
+}
+
+const adapter = useMemoryAdapter();
+
+const project = new Project({ name: "新築工事" });
+await project.create({ docId: "p1" });
+await new Task({ projectId: "p1", title: "基礎" }).create({ docId: "t1" });
+await new Task({ projectId: "p1", title: "内装" }).create({ docId: "t2" });
+await new Task({ projectId: "p2", title: "別案件" }).create({ docId: "t3" });
+await new Comment({ taskId: "t1", body: "確認済み" }).create({ docId: "m1" });
+await new Comment({ taskId: "t2", body: "未着手" }).create({ docId: "m2" });
+await new Memo({ projectId: "p1", text: "打合せ" }).create({ docId: "n1" });
+
+console.log("=== 削除ポリシーのテスト ===\n");
+
+// テストケース1: dry-run
+console.log("【テスト1】dry-run");
+const plan = await project.delete({ dryRun: true });
+console.log(
+  "  - cascade:",
+  plan.cascade.map(({ collectionPath, docId }) => `${collectionPath}/${docId}`),
+);
+assert(
+  plan.cascade.map(({ docId }) => docId).join(",") === "t1,m1,t2,m2",
+  "子・孫ドキュメントが再帰的に列挙される",
+);
+assert(
+  plan.cascade.find(({ docId }) => docId === "t1").archive === true,
+  "論理削除のモデルは archive として列挙される",
+);
+assert(
+  plan.setNull.length === 1 && plan.setNull[0].field === "projectId",
+  "setNull の対象とフィールドが列挙される",
+);
+assert(plan.restrict.length === 0, "削除を妨げる子ドキュメントは無い");
+assert(
+  (await new Project().fetchDoc({ docId: "p1" })) !== null,
+  "dry-run では削除されない",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース2: 孫の restrict
+console.log("【テスト2】孫ドキュメントの restrict");
+await new Report({ taskId: "t2" }).create({ docId: "r1" });
+const blocked = await project.getDeletePlan();
+assert(
+  blocked.restrict.length === 1 && blocked.restrict[0].docId === "t2",
+  "孫ドキュメントの restrict が列挙される",
+);
+let error = null;
+try {
+  await project.delete();
+} catch (err) {
+  error = err;
+}
+console.log("  - error:", error?.message);
+assert(error !== null, "restrict の子ドキュメントが存在すると削除できない");
+assert(
+  (await new Task().fetchDoc({ docId: "t1" })) !== null,
+  "エラーの場合は子ドキュメントも削除されない",
+);
+const t2 = await new Task().fetchDoc({ docId: "t2" });
+assert(
+  (await t2.hasChild())?.collectionPath === "Reports",
+  "hasChild は restrict の子ドキュメントを返す",
+);
+await new Report({ docId: "r1" }).delete();
+assert(
+  (await adapter.hasChild.bind(t2)())?.collectionPath === "Comments",
+  "アダプターの hasChild は onDelete を区別しない",
+);
+assert(
+  (await t2.hasChild()) === false,
+  "cascade / setNull の子ドキュメントは hasChild の対象外",
+);
+const hasChild = adapter.hasChild;
+let context = null;
+adapter.hasChild = function (args) {
+  context = this;
+  return hasChild.call(this, args);
+};
+t2.note = "インスタンスの状態";
+await t2.hasChild();
+adapter.hasChild = hasChild;
+assert(
+  context.constructor.hasMany.length === 1 && Task.hasMany.length === 2,
+  "アダプターには restrict の定義のみが渡され、モデルの定義は変更されない",
+);
+assert(
+  Object.getPrototypeOf(context) === Task.prototype &&
+    context.note === "インスタンスの状態",
+  "アダプターに渡されるのはコピーではなくインスタンス自身",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース3: cascade / setNull
+console.log("【テスト3】cascade / setNull");
+await project.delete();
+assert(
+  (await new Project().fetchDoc({ docId: "p1" })) === null,
+  "親ドキュメントが削除される",
+);
+const tasks = await new Task().fetchDocs();
+assert(
+  tasks.length === 1 && tasks[0].docId === "t3",
+  "子ドキュメントが削除される",
+);
+assert(
+  adapter.getDocument("Tasks_archive", "t1")?.title === "基礎",
+  "論理削除の子ドキュメントはアーカイブに移動する",
+);
+assert(
+  (await new Comment().fetchDocs()).length === 0,
+  "孫ドキュメントも削除される",
+);
+const memo = await new Memo().fetchDoc({ docId: "n1" });
+assert(
+  memo?.projectId === null && memo.text === "打合せ",
+  "setNull の子ドキュメントはキーのみ null になる",
+);
+const restored = await new Task().restore({ docId: "t1" });
+assert(
+  restored !== null &&
+    (await new Task().fetchDoc({ docId: "t1" }))?.title === "基礎",
+  "アーカイブした子ドキュメントを復元できる",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース4: 計画の収集後の変更と書き込み件数の上限
+console.log("【テスト4】計画の収集後の変更と書き込み件数の上限");
+const renovation = new Project({ name: "改修工事" });
+await renovation.create({ docId: "p3" });
+await new Task({ projectId: "p3", title: "解体" }).create({ docId: "t5" });
+const runTransaction = adapter.runTransaction;
+adapter.runTransaction = async function (updateFunction) {
+  // 削除の計画の収集後、トランザクションの開始前に子ドキュメントを更新する
+  adapter.runTransaction = runTransaction;
+  const changed = await new Task().fetchDoc({ docId: "t5" });
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  changed.title = "解体（変更）";
+  await changed.update();
+  return await runTransaction.call(this, updateFunction);
+};
+error = null;
+try {
+  await renovation.delete();
+} catch (err) {
+  error = err;
+}
+assert(
+  error instanceof ConflictError,
+  "計画の収集後に子ドキュメントが変更されていると ConflictError",
+);
+assert(
+  (await new Project().fetchDoc({ docId: "p3" })) !== null &&
+    (await new Task().fetchDoc({ docId: "t5" }))?.title === "解体（変更）",
+  "競合した場合は何も書き込まれない",
+);
+await renovation.delete();
+assert(
+  (await new Task().fetchDoc({ docId: "t5" })) === null,
+  "再実行すると削除できる",
+);
+
+const large = new Project({ name: "大規模工事" });
+await large.create({ docId: "p4" });
+for (let i = 0; i < 250; i++) {
+  await new Task({ projectId: "p4", title: `工程${i}` }).create();
+}
+error = null;
+try {
+  await large.delete();
+} catch (err) {
+  error = err;
+}
+console.log("  - error:", error?.message);
+assert(
+  error?.message.includes("exceeding the limit of 500"),
+  "書き込み件数が 500 件を超える場合はエラー",
+);
+assert(
+  (
+    await new Task().fetchDocs({
+      constraints: [["where", "projectId", "==", "p4"]],
+    })
+  ).length === 250,
+  "上限を超える場合は何も書き込まれない",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース5: 定義の検証
+console.log("【テスト5】定義の検証");
+class InvalidProject extends FireModel {
+  static collectionPath = "InvalidProjects";
+  static hasMany = [
+    {
+      collectionPath: "Tasks",
+      field: "projectId",
+      condition: "==",
+      type: "collection",
+      onDelete: "cascade",
+    },
+  ];
+}
+const invalid = new InvalidProject();
+await invalid.create({ docId: "x1" });
+error = null;
+try {
+  await invalid.delete();
+} catch (err) {
+  error = err;
+}
+assert(
+  error?.message.includes("requires model"),
+  "cascade に model が無い場合はエラー",
+);
+
+console.log("\n=== テスト完了 ===");
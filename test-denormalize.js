@@ -0,0 +1,382 @@
+/**
+ * denormalize（非正規化したプロパティの同期）と resyncDenormalized をテストします。
+ *
+ * 実行方法:
+ *   node test-denormalize.js
+ */
+
+import FireModel, { ConflictError } from "./index.js";
+import { assert, useMemoryAdapter } from "./test/helpers.js";
+
+class Customer extends FireModel {
+  static collectionPath = "Customers";
+  static classProps = {
+    code: { type: String, default: "" },
+    name: { type: String, default: "" },
+  };
+  static denormalizedBy = [() => Site, () => Invoice];
+}
+
+class Site extends FireModel {
+  static collectionPath = "Sites";
+  static classProps = {
+    name: { type: String, default: "" },
+    customerId: { type: String, default: null },
+    customerName: { type: String, default: "" },
+  };
+  static tokenFields = ["name", "customerName"];
+  static denormalize = {
+    customer: {
+      model: () => Customer,
+      foreignKey: "customerId",
+      fields: { customerName: "name" },
+    },
+  };
+}
+
+class Invoice extends FireModel {
+  static collectionPath = "Invoices";
+  static classProps = {
+    customerId: { type: String, default: null },
+    name: { type: String, default: "" },
+    amount: { type: Number, default: 0 },
+  };
+  static denormalize = {
+    customer: { model: Customer, foreignKey: "customerId", fields: ["name"] },
+  };
+}
+
+const adapter = useMemoryAdapter();
+let transactions = 0;
+const runTransaction = adapter.runTransaction.bind(adapter);
+adapter.runTransaction = (fn) => {
+  transactions++;
+  return runTransaction(fn);
+};
+
+const customer = new Customer({ code: "001", name: "山田商店" });
+await customer.create({ docId: "c1" });
+await new Customer({ code: "002", name: "佐藤工業" }).create({ docId: "c2" });
+for (const [docId, customerId, customerName] of [
+  ["s1", "c1", "山田商店"],
+  ["s2", "c1", "山田商店"],
+  ["s3", "c1", "山田商店"],
+  ["s4", "c2", "佐藤工業"],
+]) {
+  await new Site({ name: "現場", customerId, customerName }).create({ docId });
+}
+await new Invoice({ customerId: "c1", name: "山田商店", amount: 100 }).create({
+  docId: "i1",
+});
+
+const fetchSite = async (docId) => await new Site().fetchDoc({ docId });
+
+console.log("=== denormalize のテスト ===\n");
+
+// テストケース1: update による反映
+console.log("【テスト1】update による反映");
+const before = await fetchSite("s1");
+await customer.fetch({ docId: "c1" });
+customer.name = "山田ホールディングス";
+await customer.update();
+const s1 = await fetchSite("s1");
+assert(s1.customerName === "山田ホールディングス", "コピー先に反映される");
+assert(
+  (await fetchSite("s3")).customerName === "山田ホールディングス",
+  "参照しているすべてのドキュメントに反映される",
+);
+assert(
+  (await fetchSite("s4")).customerName === "佐藤工業",
+  "他のドキュメントを参照しているドキュメントは変更されない",
+);
+assert(
+  (await new Invoice().fetchDoc({ docId: "i1" })).name ===
+    "山田ホールディングス",
+  "同じ名前のプロパティ（fields の配列指定）に反映される",
+);
+assert(
+  !!s1.tokenMap["ホー"] && !s1.tokenMap["商店"],
+  "コピー先の tokenMap も更新される",
+);
+assert(
+  s1.updatedAt.getTime() === before.updatedAt.getTime(),
+  "コピー先の updatedAt は変更されない",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース2: 反映の対象
+console.log("【テスト2】反映の対象");
+transactions = 0;
+customer.code = "100";
+await customer.update();
+assert(transactions === 1, "コピーされないプロパティの変更は反映しない");
+customer.name = "山田商事";
+await customer.update({ propagate: false });
+assert(
+  (await fetchSite("s1")).customerName === "山田ホールディングス",
+  "propagate: false の場合は反映しない",
+);
+transactions = 0;
+let result = await customer.propagateDenormalized({ batchSize: 2 });
+assert(result.updated === 4, "更新した件数が返される");
+assert(
+  transactions === 3,
+  "batchSize ごとにトランザクションが分けられる（Site 2 回 + Invoice 1 回）",
+);
+transactions = 0;
+result = await customer.propagateDenormalized();
+assert(
+  result.updated === 0 && transactions === 0,
+  "値が同じ場合は書き込まない",
+);
+await adapter.runTransaction(async (transaction) => {
+  customer.name = "山田物産";
+  await customer.update({ transaction });
+});
+assert(
+  (await fetchSite("s1")).customerName === "山田商事",
+  "transaction を指定した場合は自動で反映しない",
+);
+await customer.propagateDenormalized({ fields: ["name"] });
+assert(
+  (await fetchSite("s1")).customerName === "山田物産",
+  "コミット後に propagateDenormalized で反映できる",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース3: resyncDenormalized
+console.log("【テスト3】resyncDenormalized");
+for (const docId of ["s1", "s2", "s4"]) {
+  const site = await fetchSite(docId);
+  site.customerName = "古い名前";
+  await site.update();
+}
+await new Site({ name: "未設定", customerId: "missing" }).create({
+  docId: "s5",
+});
+const progresses = [];
+let error = null;
+try {
+  await Site.resyncDenormalized({
+    batchSize: 2,
+    onProgress: (progress) => {
+      progresses.push(progress);
+      throw new Error("interrupted");
+    },
+  });
+} catch (err) {
+  error = err;
+}
+assert(
+  error?.message === "interrupted",
+  "onProgress でエラーが発生すると中断される",
+);
+assert(
+  progresses[0].processed === 2 &&
+    progresses[0].updated === 2 &&
+    !progresses[0].done &&
+    typeof progresses[0].cursor === "string",
+  "ページごとに進捗とカーソルが通知される",
+);
+assert(
+  (await fetchSite("s4")).customerName === "古い名前",
+  "中断した位置より後は未処理",
+);
+result = await Site.resyncDenormalized({
+  batchSize: 2,
+  cursor: progresses[0].cursor,
+  onProgress: (progress) => progresses.push(progress),
+});
+assert(
+  result.processed === 3 && result.updated === 1 && result.done,
+  "カーソルの位置から再開される",
+);
+assert(
+  result.cursor === null && progresses[progresses.length - 1].done,
+  "完了するとカーソルが null になる",
+);
+assert(
+  (await fetchSite("s2")).customerName === "山田物産" &&
+    (await fetchSite("s4")).customerName === "佐藤工業",
+  "すべてのドキュメントにコピー元の値が反映される",
+);
+assert(
+  (await fetchSite("s5")).customerName === "",
+  "コピー元が存在しない場合は変更しない",
+);
+result = await Site.resyncDenormalized({ name: "customer" });
+assert(
+  result.processed === 5 && result.updated === 0,
+  "名前を指定して実行できる",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース4: 定義のエラー
+console.log("【テスト4】定義のエラー");
+error = null;
+try {
+  await Customer.resyncDenormalized();
+} catch (err) {
+  error = err;
+}
+assert(
+  error?.message.includes("is not defined in Customer"),
+  "denormalize が無いモデルの resync はエラー",
+);
+class InvalidSite extends Site {
+  static denormalize = {
+    customer: {
+      model: () => Customer,
+      foreignKey: "customerId",
+      fields: { unknown: "name" },
+    },
+  };
+}
+error = null;
+try {
+  await InvalidSite.resyncDenormalized();
+} catch (err) {
+  error = err;
+}
+assert(
+  error?.message.includes('Field "unknown"'),
+  "classProps に無いプロパティへのコピーはエラー",
+);
+error = null;
+try {
+  await customer.propagateDenormalized({ batchSize: 0 });
+} catch (err) {
+  error = err;
+}
+assert(
+  error?.message.includes("batchSize must be a positive integer"),
+  "batchSize が不正な場合はエラー",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース5: コピー先の optimisticLock
+console.log("【テスト5】コピー先の optimisticLock");
+class Supplier extends FireModel {
+  static collectionPath = "Suppliers";
+  static classProps = { name: { type: String, default: "" } };
+  static denormalizedBy = [() => Order, () => Contract];
+}
+class Order extends FireModel {
+  static collectionPath = "Orders";
+  static optimisticLock = true;
+  static classProps = {
+    supplierId: { type: String, default: null },
+    supplierName: { type: String, default: "" },
+    memo: { type: String, default: "" },
+  };
+  static denormalize = {
+    supplier: {
+      model: Supplier,
+      foreignKey: "supplierId",
+      fields: { supplierName: "name" },
+    },
+  };
+}
+class Contract extends FireModel {
+  static collectionPath = "Contracts";
+  static optimisticLock = true;
+  static lockField = "version";
+  static classProps = {
+    supplierId: { type: String, default: null },
+    supplierName: { type: String, default: "" },
+    version: { type: Number, default: 0 },
+  };
+  static denormalize = {
+    supplier: {
+      model: Supplier,
+      foreignKey: "supplierId",
+      fields: { supplierName: "name" },
+    },
+  };
+}
+const supplier = new Supplier({ name: "田中製作所" });
+await supplier.create({ docId: "sp1" });
+await new Order({ supplierId: "sp1", supplierName: "田中製作所" }).create({
+  docId: "o1",
+});
+await new Contract({ supplierId: "sp1", supplierName: "田中製作所" }).create({
+  docId: "k1",
+});
+const staleOrder = await new Order().fetchDoc({ docId: "o1" });
+const staleContract = await new Contract().fetchDoc({ docId: "k1" });
+// updatedAt を比較するため、作成時とは異なる時刻に更新する
+await new Promise((resolve) => setTimeout(resolve, 5));
+supplier.name = "田中工業";
+await supplier.update();
+const order = await new Order().fetchDoc({ docId: "o1" });
+const contract = await new Contract().fetchDoc({ docId: "k1" });
+assert(
+  order.supplierName === "田中工業" &&
+    order.updatedAt.getTime() !== staleOrder.updatedAt.getTime(),
+  "lockField が updatedAt の場合は updatedAt が更新される",
+);
+assert(
+  contract.supplierName === "田中工業" && contract.version === 1,
+  "lockField がバージョン番号の場合は加算される",
+);
+for (const [label, stale] of [
+  ["updatedAt", staleOrder],
+  ["version", staleContract],
+]) {
+  stale.supplierName = "田中製作所";
+  error = null;
+  try {
+    await stale.update();
+  } catch (err) {
+    error = err;
+  }
+  assert(
+    error instanceof ConflictError,
+    `古い値を保持したインスタンスの update は ConflictError（${label}）`,
+  );
+}
+assert(
+  (await new Order().fetchDoc({ docId: "o1" })).supplierName === "田中工業",
+  "コピーした値は元に戻されない",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース6: カーソルのクエリに対応していないアダプター
+console.log("【テスト6】カーソルのクエリに対応していないアダプター");
+const cursorless = useMemoryAdapter();
+const createQueries = cursorless.createQueries;
+cursorless.createQueries = function (constraints) {
+  if (constraints.some(([type]) => type === "startAfter")) {
+    throw new Error("VALIDATION_INVALID_QUERY_TYPE: startAfter");
+  }
+  return createQueries.call(this, constraints);
+};
+const legacyCustomer = new Customer({ code: "003", name: "鈴木商会" });
+await legacyCustomer.create({ docId: "c3" });
+legacyCustomer.name = "鈴木商事";
+error = null;
+try {
+  await legacyCustomer.update();
+} catch (err) {
+  error = err;
+}
+assert(
+  error?.message.includes("[FireModel.js - paginate]"),
+  "反映先を取得できない場合は update がエラーになる",
+);
+assert(
+  (await new Customer().fetchDoc({ docId: "c3" })).name === "鈴木商会",
+  "エラーの場合はドキュメントも書き込まれない",
+);
+await legacyCustomer.update({ propagate: false });
+assert(
+  (await new Customer().fetchDoc({ docId: "c3" })).name === "鈴木商事",
+  "propagate: false なら更新できる",
+);
+
+console.log("\n=== テスト完了 ===");
@@ -0,0 +1,110 @@
+/**
+ * 変更検知（isDirty / dirtyFields / changes）と部分更新をテストします。
+ *
+ * 実行方法:
+ *   node test-dirty-tracking.js
+ */
+
+import FireModel, { BaseClass } from "./index.js";
+import { assert, useMemoryAdapter } from "./test/helpers.js";
+
+class Item extends BaseClass {
+  static classProps = {
+    name: { type: String, default: "" },
+    quantity: { type: Number, default: 0 },
+  };
+}
+
+class Address extends BaseClass {
+  static classProps = {
+    city: { type: String, default: "" },
+  };
+}
+
+class Invoice extends FireModel {
+  static collectionPath = "Invoices";
+  static partialUpdate = true;
+  static classProps = {
+    title: { type: String, default: "" },
+    note: { type: String, default: "" },
+    address: { type: Object, default: null, customClass: Address },
+    items: { type: Array, default: () => [], customClass: Item },
+  };
+}
+
+console.log("=== 変更検知と部分更新のテスト ===\n");
+
+// テストケース1: 変更検知
+console.log("【テスト1】isDirty / dirtyFields / changes");
+const invoice = new Invoice({
+  title: "請求書",
+  address: { city: "東京" },
+  items: [
+    { name: "A", quantity: 1 },
+    { name: "B", quantity: 2 },
+  ],
+});
+assert(!invoice.isDirty, "初期化直後は変更なし");
+invoice.address.city = "大阪";
+invoice.items[1].quantity = 5;
+invoice.items.push(new Item({ name: "C", quantity: 1 }));
+console.log("  - changes:", invoice.changes());
+assert(invoice.isDirty, "変更ありと判定される");
+assert(
+  invoice.dirtyFields.join(",") === "address,items",
+  "変更されたプロパティ名が返される",
+);
+assert(
+  invoice
+    .changes()
+    .some(
+      ({ field, oldValue, newValue }) =>
+        field === "items[1].quantity" && oldValue === 2 && newValue === 5,
+    ),
+  "配列内のカスタムクラスの変更がパス付きで返される",
+);
+invoice.undo();
+assert(!invoice.isDirty, "undo で変更なしに戻る");
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース2: 部分更新
+console.log("【テスト2】部分更新");
+useMemoryAdapter();
+await invoice.create();
+const another = await new Invoice().fetchDoc({ docId: invoice.docId });
+another.note = "別の画面で編集";
+await another.update();
+invoice.title = "請求書（修正）";
+await invoice.update();
+const stored = await new Invoice().fetchDoc({ docId: invoice.docId });
+assert(stored.title === "請求書（修正）", "変更したプロパティが書き込まれる");
+assert(stored.note === "別の画面で編集", "他の画面の変更が上書きされない");
+assert(!invoice.isDirty, "更新後は変更なしと判定される");
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース3: トランザクション内の部分更新
+console.log("【テスト3】トランザクション内の部分更新");
+let reads = 0;
+invoice.title = "請求書（再修正）";
+await Invoice.runTransaction(async (transaction) => {
+  const get = transaction.get.bind(transaction);
+  transaction.get = async (docRef) => {
+    reads++;
+    return await get(docRef);
+  };
+  await invoice.update({ transaction });
+});
+const restored = await new Invoice().fetchDoc({ docId: invoice.docId });
+assert(reads === 0, "部分更新はドキュメントを読み取らない");
+assert(
+  restored.title === "請求書（再修正）",
+  "変更したプロパティが書き込まれる",
+);
+assert(
+  restored.note === "別の画面で編集",
+  "変更していないプロパティは保持される",
+);
+
+console.log("\n=== テスト完了 ===");
@@ -0,0 +1,114 @@
+/**
+ * JSON Schema の出力（toJSONSchema）と読み込み（fromJSONSchema）をテストします。
+ *
+ * 実行方法:
+ *   node test-json-schema.js
+ */
+
+import FireModel, { BaseClass, GeoPoint } from "./index.js";
+import { assert } from "./test/helpers.js";
+
+class Item extends BaseClass {
+  static classProps = {
+    name: { type: String, default: "", required: true, length: 20 },
+    quantity: { type: Number, default: 1, min: 1 },
+  };
+}
+
+class Customer extends FireModel {
+  static collectionPath = "Customers";
+  static classProps = {
+    code: { type: String, default: "", required: true, pattern: /^C\d{3}$/ },
+    name: { type: String, default: "", label: "名前", length: 50 },
+    email: { type: String, default: "", email: true },
+    rank: { type: String, default: "A", enum: ["A", "B", "C"] },
+    isActive: { type: Boolean, default: true },
+    startAt: { type: Date, default: null },
+    location: { type: GeoPoint, default: null },
+    address: { type: Object, default: null, customClass: Item },
+    items: {
+      type: Array,
+      default: () => [],
+      customClass: Item,
+      length: { min: 1, max: 10 },
+    },
+  };
+}
+
+console.log("=== JSON Schema のテスト ===\n");
+
+// テストケース1: 出力
+console.log("【テスト1】toJSONSchema");
+const schema = Customer.toJSONSchema();
+console.log(JSON.stringify(schema.properties.items, null, 2));
+assert(schema.title === "Customer", "title にクラス名が設定される");
+assert(schema.required.join(",") === "code", "required が出力される");
+assert(
+  schema.properties.code.pattern === "^C\\d{3}$" &&
+    schema.properties.code.minLength === 1,
+  "pattern と必須の文字列の minLength が出力される",
+);
+assert(schema.properties.name.maxLength === 50, "length が maxLength になる");
+assert(schema.properties.name.title === "名前", "label が title になる");
+assert(schema.properties.rank.enum.join(",") === "A,B,C", "enum が出力される");
+assert(
+  schema.properties.startAt.format === "date-time" &&
+    schema.properties.startAt.type.includes("null"),
+  "Date は null を許容する date-time 文字列になる",
+);
+assert(
+  schema.properties.address.anyOf[0].$ref === "#/$defs/Item",
+  "customClass は $ref で参照される",
+);
+assert(
+  schema.properties.items.items.$ref === "#/$defs/Item" &&
+    schema.properties.items.minItems === 1 &&
+    schema.properties.items.maxItems === 10,
+  "配列の customClass と要素数が出力される",
+);
+assert(
+  schema.$defs.Item.properties.quantity.minimum === 1,
+  "$defs に customClass の定義が出力される",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース2: 読み込み
+console.log("【テスト2】fromJSONSchema");
+const json = JSON.parse(JSON.stringify(schema));
+class ImportedCustomer extends FireModel.fromJSONSchema(json) {
+  static collectionPath = "ImportedCustomers";
+}
+assert(
+  ImportedCustomer.prototype instanceof FireModel,
+  "呼び出したクラスを継承したクラスが生成される",
+);
+const { classProps } = ImportedCustomer;
+assert(
+  classProps.code.required && classProps.code.pattern.test("C001"),
+  "required と pattern が復元される",
+);
+assert(classProps.startAt.type === Date, "Date が復元される");
+assert(classProps.location.type === GeoPoint, "GeoPoint が復元される");
+assert(
+  classProps.items.customClass === classProps.address.customClass &&
+    classProps.items.customClass.name === "Item",
+  "$defs が同じクラスとして復元される",
+);
+const imported = new ImportedCustomer({
+  code: "X1",
+  items: [{ name: "A", quantity: 0 }],
+});
+assert(imported.rank === "A" && imported.isActive, "default が復元される");
+assert(
+  imported.invalidReasons.map(({ field }) => field).join(",") ===
+    "code,items[0].quantity",
+  "復元されたクラスで検証できる",
+);
+assert(
+  JSON.stringify(ImportedCustomer.toJSONSchema()) ===
+    JSON.stringify({ ...json, title: "ImportedCustomer" }),
+  "再度出力すると同じスキーマになる",
+);
+
+console.log("\n=== テスト完了 ===");
@@ -0,0 +1,220 @@
+/**
+ * after フック（afterCreate / afterUpdate / afterDelete / afterRestore）と
+ * FireModel.on() によるイベントハンドラーの登録をテストします。
+ *
+ * 実行方法:
+ *   node test-lifecycle-events.js
+ */
+
+import FireModel from "./index.js";
+import { assert, useMemoryAdapter } from "./test/helpers.js";
+
+const hookCalls = [];
+
+class Customer extends FireModel {
+  static collectionPath = "Customers";
+  static logicalDelete = true;
+  static classProps = {
+    name: { type: String, default: "" },
+  };
+
+  afterCreate(args) {
+    hookCalls.push(["afterCreate", this.docId, args.prefix ?? null]);
+    return Promise.resolve();
+  }
+  afterUpdate() {
+    hookCalls.push(["afterUpdate", this.docId]);
+    return Promise.resolve();
+  }
+  afterDelete() {
+    hookCalls.push(["afterDelete", this.docId]);
+    return Promise.resolve();
+  }
+  afterRestore(args) {
+    hookCalls.push(["afterRestore", args.docId]);
+    return Promise.resolve();
+  }
+}
+
+class Site extends FireModel {
+  static collectionPath = "Sites";
+  static classProps = {
+    name: { type: String, default: "" },
+  };
+}
+
+const adapter = useMemoryAdapter();
+const logged = [];
+Object.defineProperty(adapter, "logger", {
+  get: () => ({ warn: () => {}, error: (...args) => logged.push(args) }),
+});
+
+const events = [];
+const offGlobal = FireModel.on("afterCreate", (payload) =>
+  events.push(["global", payload]),
+);
+const offCustomer = Customer.on("afterCreate", (payload) =>
+  events.push(["customer", payload]),
+);
+
+console.log("=== ライフサイクルイベントのテスト ===\n");
+
+// テストケース1: afterCreate
+console.log("【テスト1】afterCreate");
+const customer = new Customer({ name: "山田商店" });
+await customer.create({ docId: "c1" });
+assert(
+  JSON.stringify(hookCalls[0]) === JSON.stringify(["afterCreate", "c1", null]),
+  "afterCreate フックが docId が設定された状態で実行される",
+);
+assert(
+  events.length === 2 &&
+    events[0][0] === "global" &&
+    events[1][0] === "customer",
+  "親クラスに登録されたハンドラーから順に実行される",
+);
+const [, payload] = events[0];
+assert(
+  payload.event === "afterCreate" &&
+    payload.model === Customer &&
+    payload.instance === customer &&
+    payload.docId === "c1" &&
+    payload.prefix === null,
+  "ハンドラーにモデルクラス・インスタンス・docId・prefix が渡される",
+);
+events.length = 0;
+await new Site({ name: "本店" }).create({ prefix: "Companies/001" });
+assert(
+  events.length === 1 &&
+    events[0][0] === "global" &&
+    events[0][1].model === Site &&
+    events[0][1].prefix === "Companies/001" &&
+    typeof events[0][1].docId === "string",
+  "FireModel.on のハンドラーはすべてのモデルで実行される",
+);
+events.length = 0;
+const Staging = Customer.withAdapter(adapter);
+await new Staging({ name: "佐藤工業" }).create({ docId: "c2" });
+assert(
+  events.map(([scope]) => scope).join() === "global,customer",
+  "派生クラスでも親クラスのハンドラーが実行される",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース2: afterUpdate / afterDelete / afterRestore
+console.log("【テスト2】afterUpdate / afterDelete / afterRestore");
+const received = [];
+const offs = ["afterUpdate", "afterDelete", "afterRestore"].map((event) =>
+  Customer.on(event, ({ event: name, docId }) => received.push([name, docId])),
+);
+hookCalls.length = 0;
+customer.name = "山田ホールディングス";
+await customer.update();
+await customer.delete();
+await new Customer().restore({ docId: "c1" });
+assert(
+  JSON.stringify(hookCalls) ===
+    JSON.stringify([
+      ["afterUpdate", "c1"],
+      ["afterDelete", "c1"],
+      ["afterRestore", "c1"],
+    ]),
+  "after フックが実行される",
+);
+assert(
+  JSON.stringify(received) ===
+    JSON.stringify([
+      ["afterUpdate", "c1"],
+      ["afterDelete", "c1"],
+      ["afterRestore", "c1"],
+    ]),
+  "各イベントのハンドラーが実行される",
+);
+received.length = 0;
+await customer.delete({ dryRun: true });
+assert(received.length === 0, "dryRun の場合は実行されない");
+let transactionPayload = null;
+const offTransaction = Customer.on(
+  "afterUpdate",
+  (item) => (transactionPayload = item),
+);
+await adapter.runTransaction(async (transaction) => {
+  customer.name = "山田商事";
+  await customer.update({ transaction });
+});
+assert(
+  !!transactionPayload?.transaction,
+  "transaction を指定した操作ではハンドラーに transaction が渡される",
+);
+offTransaction();
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース3: 登録の解除とエラー
+console.log("【テスト3】登録の解除とエラー");
+offs.forEach((off) => off());
+offCustomer();
+events.length = 0;
+received.length = 0;
+customer.name = "山田物産";
+await customer.update();
+await new Customer({ name: "鈴木建設" }).create({ docId: "c3" });
+assert(received.length === 0, "解除したハンドラーは実行されない");
+assert(
+  events.map(([scope]) => scope).join() === "global",
+  "他のハンドラーは解除されない",
+);
+offGlobal();
+
+const offError = Site.on("afterCreate", () => {
+  throw new Error("handler failed");
+});
+let error = null;
+try {
+  await new Site({ name: "支店" }).create();
+} catch (err) {
+  error = err;
+}
+assert(error === null, "ハンドラーのエラーは操作の結果に影響しない");
+assert(
+  logged.some(([, err]) => err?.message === "handler failed"),
+  "ハンドラーのエラーは logger に出力される",
+);
+offError();
+
+class FailingSite extends Site {
+  afterCreate() {
+    return Promise.reject(new Error("hook failed"));
+  }
+}
+error = null;
+try {
+  await new FailingSite({ name: "工場" }).create();
+} catch (err) {
+  error = err;
+}
+assert(error?.message === "hook failed", "after フックのエラーはスローされる");
+
+error = null;
+try {
+  FireModel.on("beforeSave", () => {});
+} catch (err) {
+  error = err;
+}
+assert(
+  error?.message.includes('Unsupported event "beforeSave"'),
+  "未対応のイベント名はエラー",
+);
+error = null;
+try {
+  FireModel.on("afterCreate", null);
+} catch (err) {
+  error = err;
+}
+assert(
+  error?.message.includes("handler must be a function"),
+  "ハンドラーが関数でない場合はエラー",
+);
+
+console.log("\n=== テスト完了 ===");
@@ -0,0 +1,161 @@
+/**
+ * MemoryAdapter の動作をテストします。
+ *
+ * 実行方法:
+ *   node test-memory-adapter.js
+ */
+
+import FireModel, { BaseClass, MemoryAdapter } from "./index.js";
+import { assert, useMemoryAdapter } from "./test/helpers.js";
+
+class Address extends BaseClass {
+  static classProps = {
+    city: { type: String, default: "" },
+  };
+}
+
+class Customer extends FireModel {
+  static collectionPath = "Customers";
+  static useAutonumber = true;
+  static logicalDelete = true;
+  static tokenFields = ["name"];
+  static hasMany = [
+    {
+      collectionPath: "Sites",
+      field: "customerId",
+      condition: "==",
+      type: "collection",
+    },
+  ];
+  static classProps = {
+    code: { type: String, default: "" },
+    name: { type: String, default: "", required: true },
+    rank: { type: Number, default: 0 },
+    address: { type: Object, default: null, customClass: Address },
+  };
+}
+
+class Site extends FireModel {
+  static collectionPath = "Sites";
+  static classProps = {
+    customerId: { type: String, default: "" },
+    name: { type: String, default: "" },
+  };
+}
+
+const adapter = useMemoryAdapter({ uid: "tester" });
+adapter.setDocument("Autonumbers", "Customers", {
+  current: 0,
+  length: 3,
+  field: "code",
+  status: true,
+});
+
+console.log("=== MemoryAdapter のテスト ===\n");
+
+// テストケース1: create / fetch
+console.log("【テスト1】create / fetch");
+const customer = new Customer({ name: "山田商事", address: { city: "東京" } });
+const docRef = await customer.create();
+assert(customer.docId === docRef.id, "docId が設定される");
+assert(customer.code === "001", "自動採番される");
+assert(customer.uid === "tester", "uid が設定される");
+const fetched = new Customer();
+assert(await fetched.fetch({ docId: customer.docId }), "fetch が true を返す");
+assert(fetched.address instanceof Address, "customClass が復元される");
+assert(fetched.createdAt instanceof Date, "createdAt が Date で復元される");
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース2: ValidationError
+console.log("【テスト2】ValidationError");
+try {
+  await new Customer().create();
+  assert(false, "エラーがスローされる");
+} catch (err) {
+  assert(err.name === "ValidationError", "ValidationError がスローされる");
+}
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース3: fetchDocs（where / orderBy / limit / tokenMap）
+console.log("【テスト3】fetchDocs");
+await new Customer({ name: "鈴木工業", rank: 3 }).create();
+await new Customer({ name: "山田電機", rank: 2 }).create();
+const ranked = await new Customer().fetchDocs({
+  constraints: [
+    ["where", "rank", ">", 0],
+    ["orderBy", "rank", "desc"],
+    ["limit", 1],
+  ],
+});
+assert(
+  ranked.length === 1 && ranked[0].name === "鈴木工業",
+  "並び替えと件数制限",
+);
+const searched = await new Customer().fetchDocs({ constraints: "山田" });
+assert(searched.length === 2, "tokenMap による検索");
+const byIds = await new Customer().fetchDocsByIds({
+  ids: [customer.docId, "unknown"],
+});
+assert(byIds.length === 1, "fetchDocsByIds");
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース4: subscribeDocs / update
+console.log("【テスト4】subscribeDocs / update");
+const listInstance = new Customer();
+const changes = [];
+listInstance.subscribeDocs(
+  { constraints: [["where", "rank", "==", 0]] },
+  (item, type) => changes.push(type),
+);
+assert(listInstance.docs.length === 1, "初期データが読み込まれる");
+fetched.rank = 5;
+await fetched.update();
+assert(
+  listInstance.docs.length === 0,
+  "条件から外れたドキュメントが除外される",
+);
+assert(changes.join(",") === "added,removed", "変更種別が通知される");
+listInstance.unsubscribe();
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース5: hasChild / delete / restore
+console.log("【テスト5】hasChild / delete / restore");
+await new Site({ customerId: customer.docId, name: "本社" }).create();
+try {
+  await customer.delete();
+  assert(false, "子ドキュメントがある場合は削除できない");
+} catch (err) {
+  assert(true, "子ドキュメントがある場合は削除できない");
+}
+const other = ranked[0];
+await other.delete();
+assert(adapter.getDocument("Customers", other.docId) === null, "削除される");
+assert(
+  adapter.getDocument("Customers_archive", other.docId) !== null,
+  "アーカイブされる",
+);
+await new Customer().restore({ docId: other.docId });
+assert(adapter.getDocument("Customers", other.docId) !== null, "復元される");
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース6: runTransaction のロールバック
+console.log("【テスト6】runTransaction のロールバック");
+try {
+  await FireModel.runTransaction(async (transaction) => {
+    await new Site({ name: "破棄" }).create({ transaction });
+    throw new Error("rollback");
+  });
+} catch (err) {
+  assert(err.message === "rollback", "エラーが伝播する");
+}
+const sites = await new Site().fetchDocs({
+  constraints: [["where", "name", "==", "破棄"]],
+});
+assert(sites.length === 0, "書き込みが破棄される");
+
+console.log("\n=== テスト完了 ===");
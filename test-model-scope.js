@@ -0,0 +1,94 @@
+/**
+ * モデルごとのアダプター・設定（setAdapter / setConfig / withAdapter / withConfig）をテストします。
+ *
+ * 実行方法:
+ *   node test-model-scope.js
+ */
+
+import FireModel, { MemoryAdapter } from "./index.js";
+import { assert } from "./test/helpers.js";
+
+class Customer extends FireModel {
+  static collectionPath = "Customers";
+  static classProps = {
+    name: { type: String, default: "" },
+  };
+}
+
+class AuditLog extends FireModel {
+  static collectionPath = "AuditLogs";
+  static classProps = {
+    message: { type: String, default: "" },
+  };
+}
+
+const production = new MemoryAdapter();
+const staging = new MemoryAdapter();
+const audit = new MemoryAdapter();
+
+console.log("=== モデルごとのアダプター・設定のテスト ===\n");
+
+// テストケース1: グローバルなアダプターとモデル固有のアダプター
+console.log("【テスト1】setAdapter");
+FireModel.setAdapter(production);
+AuditLog.setAdapter(audit);
+assert(Customer.getAdapter() === production, "未設定のモデルは親を継承する");
+assert(AuditLog.getAdapter() === audit, "モデル固有のアダプターが使用される");
+await new AuditLog({ message: "hello" }).create();
+assert(
+  audit.listDocuments("AuditLogs").length === 1,
+  "固有のアダプターに書き込まれる",
+);
+assert(
+  production.listDocuments("AuditLogs").length === 0,
+  "グローバルには書き込まれない",
+);
+AuditLog.setAdapter(null);
+assert(AuditLog.getAdapter() === production, "解除すると親のアダプターに戻る");
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース2: withAdapter
+console.log("【テスト2】withAdapter");
+const StagingCustomer = Customer.withAdapter(staging);
+const customer = new StagingCustomer({ name: "山田商事" });
+await customer.create();
+assert(
+  staging.listDocuments("Customers").length === 1,
+  "派生クラスのアダプターに書き込まれる",
+);
+assert(
+  production.listDocuments("Customers").length === 0,
+  "元のクラスには影響しない",
+);
+assert(
+  customer instanceof Customer,
+  "派生クラスのインスタンスは元のクラスのインスタンス",
+);
+const fetched = await new StagingCustomer().fetchDoc({ docId: customer.docId });
+assert(fetched instanceof StagingCustomer, "取得したインスタンスも派生クラス");
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース3: setConfig / withConfig
+console.log("【テスト3】setConfig / withConfig");
+FireModel.setConfig({ prefix: "Companies/001" });
+Customer.setConfig({ locale: "ja" });
+assert(
+  Customer.getConfig().prefix === "Companies/001/",
+  "未設定の項目は親を継承する",
+);
+assert(Customer.getConfig().locale === "ja", "モデル固有の設定が使用される");
+assert(FireModel.getConfig().locale === undefined, "親の設定には影響しない");
+const Company2Customer = Customer.withConfig({ prefix: "Companies/002" });
+assert(
+  Company2Customer.getCollectionPath() === "Companies/002/Customers",
+  "派生クラスの prefix が使用される",
+);
+assert(
+  Customer.getCollectionPath() === "Companies/001/Customers",
+  "元のクラスの prefix は変わらない",
+);
+FireModel.setConfig({});
+
+console.log("\n=== テスト完了 ===");
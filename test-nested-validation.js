@@ -0,0 +1,98 @@
+/**
+ * customClass を持つプロパティの再帰的なバリデーションをテストします。
+ *
+ * 実行方法:
+ *   node test-nested-validation.js
+ */
+
+import FireModel, { BaseClass } from "./index.js";
+import { assert, useMemoryAdapter } from "./test/helpers.js";
+
+class Address extends BaseClass {
+  static classProps = {
+    zipcode: { type: String, default: "", pattern: /^\d{3}-\d{4}$/ },
+    city: { type: String, default: "", required: true },
+  };
+}
+
+class Item extends BaseClass {
+  static classProps = {
+    name: { type: String, default: "", required: true },
+    quantity: { type: Number, default: 1, min: 1 },
+  };
+  static validators = [
+    {
+      fields: ["name"],
+      async: true,
+      validator: async ({ name }) => name !== "廃番" || "discontinued",
+    },
+  ];
+}
+
+class Invoice extends FireModel {
+  static collectionPath = "Invoices";
+  static classProps = {
+    title: { type: String, default: "", required: true },
+    address: { type: Object, default: null, customClass: Address },
+    items: { type: Array, default: () => [], customClass: Item },
+  };
+}
+
+const fieldsOf = (reasons) => reasons.map(({ field }) => field).join(",");
+
+useMemoryAdapter();
+
+console.log("=== 再帰的なバリデーションのテスト ===\n");
+
+// テストケース1: パス付きのエラー
+console.log("【テスト1】パス付きのエラー");
+const invoice = new Invoice({
+  title: "請求書",
+  address: { zipcode: "1000001", city: "" },
+  items: [
+    { name: "A", quantity: 1 },
+    { name: "B", quantity: 2 },
+    { name: "C", quantity: 0 },
+  ],
+});
+console.log("  -", fieldsOf(invoice.invalidReasons));
+assert(
+  fieldsOf(invoice.invalidReasons) ===
+    "address.zipcode,address.city,items[2].quantity",
+  "ネストしたプロパティのエラーがパス付きで返される",
+);
+try {
+  invoice.validate();
+  assert(false, "ルートの validate() でエラーがスローされる");
+} catch (err) {
+  assert(
+    err.validationErrors.length === 3,
+    "ルートの validate() でエラーがスローされる",
+  );
+}
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース2: 修正後
+console.log("【テスト2】修正後");
+invoice.address.zipcode = "100-0001";
+invoice.address.city = "千代田区";
+invoice.items[2].quantity = 3;
+assert(!invoice.isInvalid, "エラーが解消される");
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース3: 非同期の validator
+console.log("【テスト3】非同期の validator");
+invoice.items[1].name = "廃番";
+try {
+  await invoice.create();
+  assert(false, "ネストしたインスタンスの非同期 validator も実行される");
+} catch (err) {
+  assert(
+    fieldsOf(err.validationErrors) === "items[1].name",
+    "ネストしたインスタンスの非同期 validator も実行される",
+  );
+}
+
+console.log("\n=== テスト完了 ===");
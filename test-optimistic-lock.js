@@ -0,0 +1,133 @@
+/**
+ * 楽観的排他制御（optimisticLock）をテストします。
+ *
+ * 実行方法:
+ *   node test-optimistic-lock.js
+ */
+
+import FireModel, { ConflictError } from "./index.js";
+import { assert, useMemoryAdapter } from "./test/helpers.js";
+
+class Shift extends FireModel {
+  static collectionPath = "Shifts";
+  static optimisticLock = true;
+  static classProps = {
+    staff: { type: String, default: "" },
+    note: { type: String, default: "" },
+  };
+}
+
+class VersionedShift extends FireModel {
+  static collectionPath = "VersionedShifts";
+  static optimisticLock = true;
+  static lockField = "version";
+  static classProps = {
+    staff: { type: String, default: "" },
+    version: { type: Number, default: 0 },
+  };
+}
+
+useMemoryAdapter();
+
+console.log("=== 楽観的排他制御のテスト ===\n");
+
+// テストケース1: updatedAt による競合検出
+console.log("【テスト1】updatedAt による競合検出");
+const shift = new Shift({ staff: "山田" });
+await shift.create();
+const screenA = await new Shift().fetchDoc({ docId: shift.docId });
+const screenB = await new Shift().fetchDoc({ docId: shift.docId });
+await new Promise((resolve) => setTimeout(resolve, 5));
+screenA.note = "画面A";
+await screenA.update();
+assert(true, "先に保存した画面は成功する");
+screenB.note = "画面B";
+try {
+  await screenB.update();
+  assert(false, "後から保存した画面は ConflictError になる");
+} catch (err) {
+  assert(
+    err instanceof ConflictError,
+    "後から保存した画面は ConflictError になる",
+  );
+  assert(
+    err.serverDoc?.note === "画面A",
+    "serverDoc に保存済みの内容が格納される",
+  );
+}
+const stored = await new Shift().fetchDoc({ docId: shift.docId });
+assert(stored.note === "画面A", "競合した更新は書き込まれない");
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース2: 削除時の競合検出
+console.log("【テスト2】削除時の競合検出");
+try {
+  await screenB.delete();
+  assert(false, "古いインスタンスでは削除できない");
+} catch (err) {
+  assert(err instanceof ConflictError, "古いインスタンスでは削除できない");
+}
+await screenA.delete();
+assert(
+  (await new Shift().fetchDoc({ docId: shift.docId })) === null,
+  "最新のインスタンスでは削除できる",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース3: バージョン番号による競合検出
+console.log("【テスト3】バージョン番号による競合検出");
+const versioned = new VersionedShift({ staff: "鈴木" });
+await versioned.create();
+const copyA = await new VersionedShift().fetchDoc({ docId: versioned.docId });
+const copyB = await new VersionedShift().fetchDoc({ docId: versioned.docId });
+copyA.staff = "佐藤";
+await copyA.update();
+assert(copyA.version === 1, "更新のたびにバージョン番号が加算される");
+copyB.staff = "田中";
+try {
+  await copyB.update();
+  assert(false, "古いバージョンでは更新できない");
+} catch (err) {
+  assert(err instanceof ConflictError, "古いバージョンでは更新できない");
+  assert(copyB.version === 0, "失敗した場合はバージョン番号が戻る");
+}
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース4: exists がプロパティのスナップショット（Admin SDK の形式）
+console.log("【テスト4】exists がプロパティのスナップショット");
+const withAdminSnapshots = (operation) =>
+  Shift.runTransaction(async (transaction) => {
+    const get = transaction.get.bind(transaction);
+    transaction.get = async (docRef) => {
+      const snapshot = await get(docRef);
+      return {
+        id: snapshot.id,
+        ref: snapshot.ref,
+        exists: snapshot.exists(),
+        data: () => snapshot.data(),
+      };
+    };
+    await operation(transaction);
+  });
+const adminShift = new Shift({ staff: "伊藤" });
+await adminShift.create();
+adminShift.note = "サーバーから更新";
+await withAdminSnapshots((transaction) => adminShift.update({ transaction }));
+assert(
+  (await new Shift().fetchDoc({ docId: adminShift.docId })).note ===
+    "サーバーから更新",
+  "競合が無ければ更新できる",
+);
+const removed = await new Shift().fetchDoc({ docId: adminShift.docId });
+await removed.delete();
+try {
+  await withAdminSnapshots((transaction) => adminShift.update({ transaction }));
+  assert(false, "削除されたドキュメントは更新できない");
+} catch (err) {
+  assert(err instanceof ConflictError, "削除されたドキュメントは更新できない");
+}
+
+console.log("\n=== テスト完了 ===");
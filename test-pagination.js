@@ -0,0 +1,199 @@
+/**
+ * カーソルを使用したページング（paginate）をテストします。
+ *
+ * 実行方法:
+ *   node test-pagination.js
+ */
+
+import FireModel, { MemoryAdapter, Page } from "./index.js";
+import { assert, useMemoryAdapter } from "./test/helpers.js";
+
+class Customer extends FireModel {
+  static collectionPath = "Customers";
+  static tokenFields = ["name"];
+  static classProps = {
+    name: { type: String, default: "" },
+    rank: { type: Number, default: 0 },
+    registeredAt: { type: Date, default: null },
+  };
+}
+
+const namesOf = (page) => page.items.map(({ name }) => name).join(",");
+
+useMemoryAdapter();
+for (let i = 1; i <= 7; i++) {
+  await new Customer({
+    name: `顧客${i}`,
+    rank: i % 3,
+    registeredAt: new Date(2025, 0, i),
+  }).create({ docId: `c${i}` });
+}
+
+console.log("=== ページングのテスト ===\n");
+
+// テストケース1: 次のページ・前のページ
+console.log("【テスト1】next / prev");
+const first = await new Customer().paginate({
+  constraints: [["orderBy", "registeredAt", "desc"]],
+  pageSize: 3,
+});
+assert(namesOf(first) === "顧客7,顧客6,顧客5", "1 ページ目が取得される");
+assert(first.hasNext && !first.hasPrev, "1 ページ目は次のページのみ存在する");
+const second = await first.next();
+assert(namesOf(second) === "顧客4,顧客3,顧客2", "2 ページ目が取得される");
+assert(second.hasNext && second.hasPrev, "2 ページ目は前後のページが存在する");
+const third = await second.next();
+assert(namesOf(third) === "顧客1" && !third.hasNext, "最終ページが取得される");
+assert((await third.next()) === null, "最終ページの next() は null を返す");
+const back = await third.prev();
+assert(namesOf(back) === "顧客4,顧客3,顧客2", "前のページに戻れる");
+const top = await back.prev();
+assert(
+  namesOf(top) === "顧客7,顧客6,顧客5" && !top.hasPrev,
+  "先頭のページに戻れる",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース2: カーソルの保存と再開
+console.log("【テスト2】カーソル");
+const cursor = first.cursor;
+assert(typeof cursor === "string", "カーソルは文字列");
+console.log("  - cursor:", cursor);
+const resumed = await new Customer().paginate({
+  constraints: [["orderBy", "registeredAt", "desc"]],
+  pageSize: 3,
+  cursor: JSON.parse(JSON.stringify(cursor)),
+});
+assert(namesOf(resumed) === namesOf(second), "カーソルから再開できる");
+assert(
+  Page.decodeCursor(cursor).values[0] instanceof Date,
+  "Date の値が復元される",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース3: 同じ値の並び順と where
+console.log("【テスト3】同じ値を持つドキュメント");
+const seen = [];
+let page = await new Customer().paginate({
+  constraints: [
+    ["where", "rank", ">=", 1],
+    ["orderBy", "rank"],
+  ],
+  pageSize: 2,
+});
+while (page) {
+  seen.push(...page.items.map(({ docId }) => docId));
+  page = await page.next();
+}
+assert(
+  seen.join(",") === "c1,c4,c7,c2,c5",
+  "同じ値のドキュメントも重複・欠落なく取得される",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース4: tokenMap 検索と購読
+console.log("【テスト4】tokenMap 検索と購読");
+const search = await new Customer().paginate({
+  constraints: "顧客",
+  pageSize: 4,
+});
+assert(
+  search.items.length === 4 && search.hasNext,
+  "文字列検索でページングできる",
+);
+assert(
+  (await search.next()).items.length === 3,
+  "文字列検索の次のページが取得される",
+);
+const watcher = first.subscribe();
+assert(watcher.docs.length === 3, "ページの範囲を購読できる");
+await new Customer({
+  name: "顧客6.5",
+  registeredAt: new Date(2025, 0, 6, 12),
+}).create();
+assert(watcher.docs.length === 4, "範囲内に追加されたドキュメントが反映される");
+watcher.unsubscribe();
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース5: tokenizer の postFilter
+console.log("【テスト5】postFilter で除外されるドキュメント");
+class FilteredCustomer extends FireModel {
+  static collectionPath = "FilteredCustomers";
+  static tokenFields = ["name"];
+  static tokenizer = { ngram: [2], postFilter: true };
+  static classProps = {
+    name: { type: String, default: "" },
+  };
+}
+const filteredNames = [
+  "エアーショップ",
+  "エアーとアーショ",
+  "アーショとエアー",
+  "新エアーショップ",
+  "エアーのアーショ",
+  "エアーショールーム",
+];
+for (const [index, name] of filteredNames.entries()) {
+  await new FilteredCustomer({ name }).create({ docId: `f${index + 1}` });
+}
+const firstFiltered = await new FilteredCustomer().paginate({
+  constraints: "エアーショ",
+  pageSize: 2,
+});
+assert(
+  namesOf(firstFiltered) === "エアーショップ,新エアーショップ",
+  "除外されたドキュメントの分も取得してページを満たす",
+);
+assert(
+  firstFiltered.hasNext,
+  "一致するドキュメントが残っていれば次のページがある",
+);
+const lastFiltered = await firstFiltered.next();
+assert(
+  namesOf(lastFiltered) === "エアーショールーム" && !lastFiltered.hasNext,
+  "最終ページまで一致するドキュメントのみ取得される",
+);
+const backFiltered = await lastFiltered.prev();
+assert(
+  namesOf(backFiltered) === namesOf(firstFiltered) && !backFiltered.hasPrev,
+  "前のページも除外されたドキュメントを飛ばして取得される",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース6: カーソルのクエリに対応していないアダプター
+console.log("【テスト6】カーソルのクエリに対応していないアダプター");
+class CursorlessAdapter extends MemoryAdapter {
+  createQueries(constraints) {
+    const unsupported = constraints.find(([type, field]) =>
+      type === "orderBy"
+        ? field === "__name__"
+        : ["startAfter", "endBefore", "limitToLast"].includes(type),
+    );
+    if (unsupported) {
+      throw new Error(`VALIDATION_INVALID_QUERY_TYPE: ${unsupported[0]}`);
+    }
+    return super.createQueries(constraints);
+  }
+}
+const LegacyCustomer = Customer.withAdapter(new CursorlessAdapter());
+try {
+  await new LegacyCustomer().paginate({ pageSize: 2 });
+  assert(false, "カーソルに対応していない場合はエラーになる");
+} catch (err) {
+  assert(
+    err.message.includes("[FireModel.js - paginate]") &&
+      err.message.includes("VALIDATION_INVALID_QUERY_TYPE"),
+    "カーソルに対応していない場合はエラーになる",
+  );
+}
+assert(
+  Array.isArray(await new LegacyCustomer().fetchDocs()),
+  "fetchDocs は引き続き使用できる",
+);
+
+console.log("\n=== テスト完了 ===");
@@ -0,0 +1,220 @@
+/**
+ * FireModel.use() / static plugins によるプラグインをテストします。
+ *
+ * 実行方法:
+ *   node test-plugins.js
+ */
+
+import FireModel, { generateSecurityRules } from "./index.js";
+import { assert, useMemoryAdapter } from "./test/helpers.js";
+
+// マルチテナントのプラグイン
+let currentTenant = "t1";
+const tenantPlugin = {
+  name: "tenant",
+  classProps: {
+    tenantId: { type: String, default: null, required: true },
+  },
+  wrap: {
+    create: (next) =>
+      function (args) {
+        this.tenantId = currentTenant;
+        return next.call(this, args);
+      },
+  },
+  constraints: () => [["where", "tenantId", "==", currentTenant]],
+};
+
+// 監査のプラグイン
+const audits = [];
+const installed = [];
+const auditPlugin = {
+  name: "audit",
+  on: {
+    afterCreate: ({ model, docId }) =>
+      audits.push(["create", model.name, docId]),
+    afterDelete: ({ model, docId }) =>
+      audits.push(["delete", model.name, docId]),
+  },
+  install: (Model) => installed.push(Model.name),
+};
+
+class Site extends FireModel {
+  static collectionPath = "Sites";
+  static plugins = [tenantPlugin];
+  static classProps = {
+    name: { type: String, default: "" },
+    tenantId: { type: String, default: "default", required: true },
+  };
+}
+
+class Customer extends FireModel {
+  static collectionPath = "Customers";
+  static classProps = {
+    name: { type: String, default: "" },
+  };
+}
+
+const adapter = useMemoryAdapter();
+
+console.log("=== プラグインのテスト ===\n");
+
+// テストケース1: classProps
+console.log("【テスト1】classProps");
+const site = new Site({ name: "本店" });
+assert("tenantId" in site, "プラグインの classProps が追加される");
+assert(site.tenantId === "default", "モデル自身の定義が優先される");
+class Branch extends Site {
+  static classProps = { name: { type: String, default: "" } };
+}
+assert(
+  new Branch().tenantId === null,
+  "継承先のモデルにもプラグインの classProps が追加される",
+);
+assert(!("tenantId" in new Customer()), "他のモデルには追加されない");
+const rules = generateSecurityRules([Site]);
+assert(
+  rules.includes("tenantId"),
+  "インスタンスを生成していなくてもセキュリティルールに反映される",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース2: wrap / constraints
+console.log("【テスト2】wrap / constraints");
+await site.create({ docId: "s1" });
+assert(site.tenantId === "t1", "アダプターの呼び出しをラップできる");
+currentTenant = "t2";
+await new Site({ name: "支店" }).create({ docId: "s2" });
+let sites = await new Site().fetchDocs();
+assert(
+  sites.map(({ docId }) => docId).join() === "s2",
+  "プラグインの条件がクエリに追加される",
+);
+currentTenant = "t1";
+sites = await new Site().fetchDocs({ constraints: [["orderBy", "name"]] });
+assert(
+  sites.map(({ docId }) => docId).join() === "s1",
+  "指定した条件と組み合わされる",
+);
+assert((await Site.count()) === 1, "aggregate にも条件が追加される");
+const page = await new Site().paginate({ pageSize: 10 });
+assert(page.items.length === 1, "paginate にも条件が追加される");
+const watcher = new Site();
+watcher.subscribeDocs();
+await new Promise((resolve) => setTimeout(resolve, 0));
+assert(
+  watcher.docs.map(({ docId }) => docId).join() === "s1",
+  "subscribeDocs にも条件が追加される",
+);
+watcher.unsubscribe();
+assert(
+  !!(await new Site().fetchDoc({ docId: "s2" })),
+  "ID を指定した取得には条件は追加されない",
+);
+assert(
+  Site.getAdapter() !== adapter,
+  "wrap がある場合はラップしたアダプターを返す",
+);
+assert(
+  Customer.getAdapter() === adapter,
+  "wrap が無いモデルは元のアダプターを返す",
+);
+assert(
+  Site.getAdapter().type === "MEMORY",
+  "ラップしていないプロパティは元のアダプターのもの",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース3: FireModel.use / on / install
+console.log("【テスト3】FireModel.use");
+assert(FireModel.use(auditPlugin) === FireModel, "use はクラスを返す");
+FireModel.use(auditPlugin);
+assert(installed.join() === "FireModel", "install は一度だけ呼び出される");
+const customer = new Customer({ name: "山田商店" });
+await customer.create({ docId: "c1" });
+await new Site({ name: "工場" }).create({ docId: "s3" });
+await customer.delete();
+assert(
+  JSON.stringify(audits) ===
+    JSON.stringify([
+      ["create", "Customer", "c1"],
+      ["create", "Site", "s3"],
+      ["delete", "Customer", "c1"],
+    ]),
+  "すべてのモデルのイベントでプラグインのハンドラーが実行される",
+);
+assert(
+  Site.getPlugins().length === 2 &&
+    Site.getPlugins()[0] === auditPlugin &&
+    Site.getPlugins()[1] === tenantPlugin,
+  "親クラスのプラグインから順に適用される",
+);
+
+const calls = [];
+const tracePlugin = (label) => ({
+  name: label,
+  wrap: {
+    update: (next) =>
+      async function (...args) {
+        calls.push(`${label}:before`);
+        const result = await next.call(this, ...args);
+        calls.push(`${label}:after`);
+        return result;
+      },
+  },
+});
+Customer.use(tracePlugin("inner")).use(tracePlugin("outer"));
+const c2 = new Customer({ name: "佐藤工業" });
+await c2.create({ docId: "c2" });
+c2.name = "佐藤建設";
+await c2.update();
+assert(
+  calls.join() === "outer:before,inner:before,inner:after,outer:after",
+  "後に登録したプラグインが外側になる",
+);
+assert(
+  (await new Customer().fetchDoc({ docId: "c2" })).name === "佐藤建設",
+  "ラップしたメソッドから元の処理が実行される",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース4: 定義のエラー
+console.log("【テスト4】定義のエラー");
+const expectError = (fn, text, label) => {
+  let error = null;
+  try {
+    fn();
+  } catch (err) {
+    error = err;
+  }
+  assert(error?.message.includes(text), label);
+};
+expectError(
+  () => Customer.use({ name: "bad", before: {} }),
+  'unknown key "before"',
+  "未知のプロパティはエラー",
+);
+expectError(
+  () => Customer.use({ on: { beforeCreate: () => {} } }),
+  'unsupported event "beforeCreate"',
+  "未対応のイベントはエラー",
+);
+expectError(
+  () => Customer.use({ wrap: { create: null } }),
+  'wrapper for "create" must be a function',
+  "ラッパーが関数でない場合はエラー",
+);
+class InvalidModel extends FireModel {
+  static collectionPath = "Invalid";
+  static plugins = [{ constraints: [] }];
+}
+expectError(
+  () => new InvalidModel(),
+  "constraints must be a function",
+  "static plugins の定義も検証される",
+);
+
+console.log("\n=== テスト完了 ===");
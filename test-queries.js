@@ -0,0 +1,167 @@
+/**
+ * クエリ定義（static queries）と firestore.indexes.json の生成をテストします。
+ *
+ * 実行方法:
+ *   node test-queries.js
+ */
+
+import FireModel, { generateFirestoreIndexes } from "./index.js";
+import { assert, useMemoryAdapter } from "./test/helpers.js";
+
+class Customer extends FireModel {
+  static collectionPath = "Customers";
+  static classProps = {
+    name: { type: String, default: "" },
+    status: { type: String, default: "active" },
+    rank: { type: Number, default: 0 },
+    tags: { type: Array, default: () => [] },
+  };
+  static queries = {
+    byStatus: [
+      ["where", "status", "=="],
+      ["orderBy", "rank", "desc"],
+    ],
+    byStatusAndRank: [
+      ["where", "status", "=="],
+      ["where", "rank", ">="],
+    ],
+    activeByTag: [
+      ["where", "status", "==", "active"],
+      ["where", "tags", "array-contains"],
+    ],
+    ranked: [["orderBy", "rank", "desc"]],
+  };
+}
+
+class Site extends FireModel {
+  static collectionPath = "Sites";
+  static classProps = {
+    customerId: { type: String, default: "" },
+    code: { type: String, default: "" },
+  };
+  static queries = {
+    byCustomer: [
+      ["where", "customerId", "=="],
+      ["orderBy", "code", "asc"],
+    ],
+  };
+}
+
+useMemoryAdapter();
+
+console.log("=== クエリ定義のテスト ===\n");
+
+// テストケース1: クエリの実行
+console.log("【テスト1】Model.query");
+await new Customer({
+  name: "A",
+  status: "active",
+  rank: 1,
+  tags: ["vip"],
+}).create();
+await new Customer({ name: "B", status: "active", rank: 3 }).create();
+await new Customer({
+  name: "C",
+  status: "closed",
+  rank: 2,
+  tags: ["vip"],
+}).create();
+const active = await Customer.query.byStatus("active");
+assert(
+  active.map(({ name }) => name).join(",") === "B,A",
+  "where と orderBy が適用される",
+);
+const ranked = await Customer.query.byStatusAndRank("active", 2);
+assert(
+  ranked.map(({ name }) => name).join(",") === "B",
+  "複数の値が順に当てはめられる",
+);
+const vip = await Customer.query.activeByTag("vip");
+assert(
+  vip.map(({ name }) => name).join(",") === "A",
+  "値が定義されている条件はそのまま使用される",
+);
+const limited = await Customer.query.ranked({ constraints: [["limit", 1]] });
+assert(
+  limited.length === 1 && limited[0].name === "B",
+  "追加の constraints が末尾に適用される",
+);
+assert(
+  JSON.stringify(Customer.getQueryConstraints("byStatus", ["closed"])) ===
+    JSON.stringify([
+      ["where", "status", "==", "closed"],
+      ["orderBy", "rank", "desc"],
+    ]),
+  "getQueryConstraints でクエリ条件を取得できる",
+);
+try {
+  Customer.getQueryConstraints("byStatus");
+  assert(false, "値が不足しているとエラーになる");
+} catch (err) {
+  assert(true, "値が不足しているとエラーになる");
+}
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース2: インデックスの生成
+console.log("【テスト2】generateFirestoreIndexes");
+const { indexes, fieldOverrides } = generateFirestoreIndexes([Customer, Site], {
+  prefixes: [null, "Companies/{companyId}"],
+});
+console.log(JSON.stringify(indexes, null, 2));
+assert(Array.isArray(fieldOverrides), "fieldOverrides が出力される");
+assert(indexes.length === 3, "複合インデックスが必要なクエリのみ出力される");
+assert(
+  JSON.stringify(indexes[0]) ===
+    JSON.stringify({
+      collectionGroup: "Customers",
+      queryScope: "COLLECTION",
+      fields: [
+        { fieldPath: "status", order: "ASCENDING" },
+        { fieldPath: "rank", order: "DESCENDING" },
+      ],
+    }),
+  "等価条件と orderBy のインデックスが生成される",
+);
+assert(
+  indexes[1].fields.map(({ fieldPath }) => fieldPath).join(",") ===
+    "status,rank",
+  "範囲条件のフィールドは等価条件の後に並ぶ",
+);
+assert(
+  indexes.filter(({ collectionGroup }) => collectionGroup === "Sites")
+    .length === 1,
+  "prefix が異なっても同じコレクション ID のインデックスは 1 件にまとめられる",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース3: プラグインの条件を含むインデックス
+console.log("【テスト3】プラグインの constraints");
+class TenantCustomer extends Customer {
+  static collectionPath = "TenantCustomers";
+  static plugins = [
+    {
+      name: "tenant",
+      constraints: () => [["where", "tenantId", "==", "t1"]],
+    },
+  ];
+}
+const tenantIndexes = generateFirestoreIndexes([TenantCustomer]).indexes;
+console.log(JSON.stringify(tenantIndexes, null, 2));
+assert(
+  tenantIndexes.length > 0 &&
+    tenantIndexes.every(({ fields }) =>
+      fields.some(({ fieldPath }) => fieldPath === "tenantId"),
+    ),
+  "プラグインの where 条件のフィールドがインデックスに含まれる",
+);
+assert(
+  tenantIndexes.some(
+    ({ fields }) =>
+      fields.map(({ fieldPath }) => fieldPath).join(",") === "tenantId,rank",
+  ),
+  "単一フィールドのクエリもプラグインの条件と合わせたインデックスが出力される",
+);
+
+console.log("\n=== テスト完了 ===");
@@ -0,0 +1,159 @@
+/**
+ * belongsTo / hasOne リレーションと include オプションによる関連ドキュメントの読み込みをテストします。
+ *
+ * 実行方法:
+ *   node test-relations.js
+ */
+
+import FireModel from "./index.js";
+import { assert, useMemoryAdapter } from "./test/helpers.js";
+
+class Customer extends FireModel {
+  static collectionPath = "Customers";
+  static hasOne = {
+    contract: { model: () => Contract, foreignKey: "customerId" },
+  };
+  static classProps = {
+    name: { type: String, default: "" },
+  };
+}
+
+class Contract extends FireModel {
+  static collectionPath = "Contracts";
+  static classProps = {
+    customerId: { type: String, default: null },
+    plan: { type: String, default: "" },
+  };
+}
+
+class Site extends FireModel {
+  static collectionPath = "Sites";
+  static belongsTo = {
+    customer: { model: Customer, foreignKey: "customerId" },
+  };
+  static classProps = {
+    name: { type: String, default: "" },
+    customerId: { type: String, default: null },
+  };
+}
+
+const adapter = useMemoryAdapter();
+const calls = { fetchDocs: 0, fetchDocsByIds: 0 };
+for (const method of Object.keys(calls)) {
+  const original = adapter[method];
+  adapter[method] = function (args) {
+    calls[method]++;
+    return original.bind(this)(args);
+  };
+}
+const resetCalls = () => Object.keys(calls).forEach((key) => (calls[key] = 0));
+
+await new Customer({ name: "山田商店" }).create({ docId: "c1" });
+await new Customer({ name: "佐藤工業" }).create({ docId: "c2" });
+await new Contract({ customerId: "c1", plan: "basic" }).create();
+for (const [name, customerId] of [
+  ["本店", "c1"],
+  ["支店", "c1"],
+  ["工場", "c2"],
+  ["倉庫", "missing"],
+  ["未設定", null],
+]) {
+  await new Site({ name, customerId }).create();
+}
+
+console.log("=== リレーションのテスト ===\n");
+
+// テストケース1: belongsTo
+console.log("【テスト1】belongsTo");
+resetCalls();
+const sites = await new Site().fetchDocs({
+  constraints: [["orderBy", "createdAt"]],
+  include: ["customer"],
+});
+assert(
+  calls.fetchDocsByIds === 1,
+  "関連ドキュメントが 1 回の取得でまとめて読み込まれる",
+);
+assert(
+  sites[0].customer instanceof Customer &&
+    sites[0].customer.name === "山田商店",
+  "関連ドキュメントのインスタンスが設定される",
+);
+assert(
+  sites[0].customer === sites[1].customer,
+  "同じ関連ドキュメントは共有される",
+);
+assert(
+  sites[3].customer === null && sites[4].customer === null,
+  "存在しない場合は null",
+);
+assert(
+  !Object.keys(sites[0]).includes("customer") &&
+    !("customer" in sites[0].toObject()),
+  "関連ドキュメントは列挙されず、toObject() に含まれない",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース2: hasOne と fetch / fetchDoc
+console.log("【テスト2】hasOne");
+const customers = await new Customer().fetchDocs({ include: "contract" });
+const c1 = customers.find(({ docId }) => docId === "c1");
+const c2 = customers.find(({ docId }) => docId === "c2");
+assert(
+  c1.contract?.plan === "basic",
+  "関連モデルから参照されるドキュメントが設定される",
+);
+assert(c2.contract === null, "参照するドキュメントが無ければ null");
+const customer = new Customer();
+await customer.fetch({ docId: "c1", include: ["contract"] });
+assert(customer.contract?.plan === "basic", "fetch() で include を指定できる");
+const site = await new Site().fetchDoc({
+  docId: sites[2].docId,
+  include: "customer",
+});
+assert(site.customer?.docId === "c2", "fetchDoc() で include を指定できる");
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース3: subscribeDocs
+console.log("【テスト3】subscribeDocs");
+resetCalls();
+const events = [];
+const listener = new Site();
+listener.subscribeDocs(
+  { constraints: [["where", "customerId", "==", "c1"]], include: ["customer"] },
+  (item, type) => events.push({ type, customer: item.customer?.name }),
+);
+await new Promise((resolve) => setTimeout(resolve, 0));
+assert(
+  events.length === 2 &&
+    events.every(({ customer }) => customer === "山田商店"),
+  "関連ドキュメントの読み込み後に callback が呼び出される",
+);
+assert(
+  calls.fetchDocsByIds === 1,
+  "同じスナップショットの変更はまとめて読み込まれる",
+);
+await new Site({ name: "営業所", customerId: "c1" }).create();
+await new Promise((resolve) => setTimeout(resolve, 0));
+assert(
+  events.length === 3 &&
+    listener.docs.every((doc) => doc.customer?.docId === "c1"),
+  "追加されたドキュメントにも関連ドキュメントが設定される",
+);
+listener.unsubscribe();
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース4: 定義の検証
+console.log("【テスト4】定義の検証");
+let error = null;
+try {
+  await new Site().fetchDocs({ include: ["unknown"] });
+} catch (err) {
+  error = err;
+}
+assert(error?.message.includes('"unknown"'), "未定義のリレーション名はエラー");
+
+console.log("\n=== テスト完了 ===");
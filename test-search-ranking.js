@@ -0,0 +1,131 @@
+/**
+ * tokenMap 検索結果のスコアによる並べ替えと一致範囲（ハイライト）をテストします。
+ *
+ * 実行方法:
+ *   node test-search-ranking.js
+ */
+
+import FireModel from "./index.js";
+import { assert, useMemoryAdapter } from "./test/helpers.js";
+
+class Customer extends FireModel {
+  static collectionPath = "Customers";
+  static tokenFields = ["name", { field: "remarks", weight: 0.5 }];
+  static tokenizer = {
+    caseFold: true,
+    normalizeWidth: true,
+    normalizeKana: true,
+  };
+  static classProps = {
+    name: { type: String, default: "" },
+    remarks: { type: String, default: "" },
+  };
+}
+
+const highlight = (text, spans) =>
+  spans.reduceRight(
+    (result, { start, end }) =>
+      result.slice(0, start) +
+      `[${result.slice(start, end)}]` +
+      result.slice(end),
+    text,
+  );
+
+useMemoryAdapter();
+await new Customer({
+  name: "田中商店",
+  remarks: "山田商店の紹介",
+}).create({ docId: "c1" });
+await new Customer({ name: "山田 商店", remarks: "" }).create({ docId: "c2" });
+await new Customer({ name: "山田商店", remarks: "山田商店 本店" }).create({
+  docId: "c3",
+});
+await new Customer({ name: "商店山田", remarks: "" }).create({ docId: "c4" });
+
+console.log("=== 検索結果のランキングのテスト ===\n");
+
+// テストケース1: スコアと並べ替え
+console.log("【テスト1】スコア順の並べ替え");
+const docs = await new Customer().fetchDocs({
+  constraints: "山田商店",
+  rank: true,
+});
+console.log(
+  "  - order:",
+  docs.map(({ docId, searchMatch }) => `${docId}:${searchMatch.score}`),
+);
+assert(
+  docs[0].docId === "c3",
+  "複数のフィールドで一致したドキュメントが先頭になる",
+);
+assert(
+  docs.map(({ docId }) => docId).join(",") === "c3,c2,c1",
+  "スコアの高い順に並ぶ",
+);
+assert(
+  docs[1].searchMatch.fields.name.tokens === 3 &&
+    docs[1].searchMatch.fields.name.terms === 1,
+  "一致したトークン数と検索語の数が返される",
+);
+assert(
+  docs[2].searchMatch.fields.remarks.score === 1 &&
+    docs[2].searchMatch.fields.name.terms === 0 &&
+    docs[2].searchMatch.fields.name.spans.length === 0,
+  "weight が適用され、トークンの一部のみ一致したフィールドは検索語の一致を含まない",
+);
+assert(
+  !Object.keys(docs[0]).includes("searchMatch") &&
+    !("searchMatch" in docs[0].toObject()),
+  "searchMatch は列挙されず、保存データに含まれない",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース2: 一致範囲
+console.log("【テスト2】一致範囲");
+const c2 = docs.find(({ docId }) => docId === "c2");
+const spans = c2.searchMatch.fields.name.spans;
+console.log("  - spans:", spans, highlight(c2.name, spans));
+assert(
+  highlight(c2.name, spans) === "[山田 商店]",
+  "空白を除去した一致でも元の文字列の範囲が返される",
+);
+const terms = new Customer({ name: "山田 ABC 商店" }).getSearchMatch(
+  "山田 商店",
+);
+assert(
+  highlight("山田 ABC 商店", terms.fields.name.spans) === "[山田] ABC [商店]",
+  "空白で区切った検索語ごとに一致範囲が返される",
+);
+const kana = new Customer({ name: "ﾔﾏﾀﾞ ＳＨＯＰ" }).getSearchMatch(
+  "やまだ shop",
+);
+console.log(
+  "  - highlight:",
+  highlight("ﾔﾏﾀﾞ ＳＨＯＰ", kana.fields.name.spans),
+);
+assert(
+  highlight("ﾔﾏﾀﾞ ＳＨＯＰ", kana.fields.name.spans) === "[ﾔﾏﾀﾞ] [ＳＨＯＰ]",
+  "正規化された文字（半角カナの濁点・全角英字）の範囲が元の位置で返される",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース3: rank を指定しない場合
+console.log("【テスト3】rank を指定しない場合");
+const plain = await new Customer().fetchDocs({ constraints: "山田商店" });
+assert(
+  plain.every((doc) => doc.searchMatch === undefined),
+  "searchMatch は設定されない",
+);
+const page = await new Customer().paginate({
+  constraints: "山田商店",
+  rank: true,
+  pageSize: 2,
+});
+assert(
+  page.items.map(({ docId }) => docId).join(",") === "c1,c2",
+  "paginate では rank が無視され、カーソルの並び順が維持される",
+);
+
+console.log("\n=== テスト完了 ===");
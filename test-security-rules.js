@@ -0,0 +1,107 @@
+/**
+ * モデル定義からのセキュリティルール生成（generateSecurityRules）をテストします。
+ *
+ * 実行方法:
+ *   node test-security-rules.js
+ */
+
+import FireModel, { GeoPoint, generateSecurityRules } from "./index.js";
+import { assert } from "./test/helpers.js";
+
+class Customer extends FireModel {
+  static collectionPath = "Customers";
+  static useAutonumber = true;
+  static logicalDelete = true;
+  static tokenFields = ["name"];
+  static classProps = {
+    code: { type: String, default: "", required: true, pattern: /^C\d{3}$/ },
+    name: { type: String, default: "", required: true, length: 50 },
+    rank: { type: String, default: "A", enum: ["A", "B", "C"] },
+    age: { type: Number, default: null, min: 0, max: 120 },
+    location: { type: GeoPoint, default: null },
+    tags: { type: Array, default: () => [], length: 5 },
+  };
+}
+
+class Setting extends FireModel {
+  static collectionPath = "Settings";
+  static usePrefix = false;
+  static classProps = {
+    isActive: { type: Boolean, default: true },
+  };
+}
+
+console.log("=== セキュリティルール生成のテスト ===\n");
+
+// テストケース1: ルールの生成
+console.log("【テスト1】ルールの生成");
+const rules = generateSecurityRules([Customer, Setting], {
+  prefix: "Companies/{companyId}",
+});
+console.log(rules);
+assert(rules.startsWith("rules_version = '2';"), "rules_version が出力される");
+assert(
+  rules.includes("match /Companies/{companyId}/Customers/{docId} {"),
+  "prefix を含むパスで match ブロックが生成される",
+);
+assert(
+  rules.includes("match /Settings/{docId} {"),
+  "usePrefix が false のモデルは prefix を使用しない",
+);
+assert(
+  rules.includes("data.keys().hasAll(['code', 'name'])"),
+  "必須フィールドが検証される",
+);
+assert(
+  rules.includes("data.name.size() <= 50") &&
+    rules.includes("data.code.matches('^C\\\\d{3}$')"),
+  "文字列長と pattern が検証される",
+);
+assert(
+  rules.includes("data.rank in ['A', 'B', 'C']") &&
+    rules.includes("data.age >= 0") &&
+    rules.includes("data.location is latlng"),
+  "enum・範囲・GeoPoint が検証される",
+);
+assert(
+  rules.includes("request.resource.data.docId == docId") &&
+    rules.includes(
+      "request.resource.data.createdAt == resource.data.createdAt",
+    ),
+  "docId と createdAt の不変性が検証される",
+);
+assert(
+  rules.includes("match /Companies/{companyId}/Customers_archive/{docId} {") &&
+    rules.includes("match /Companies/{companyId}/Autonumbers/{collectionId} {"),
+  "アーカイブと Autonumbers のルールが生成される",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース2: オプション
+console.log("【テスト2】オプション");
+const strictRules = generateSecurityRules([Customer], {
+  auth: "request.auth.token.admin == true",
+  strict: true,
+});
+assert(
+  strictRules.includes("match /Customers/{docId} {"),
+  "prefix を省略した場合は collectionPath が使用される",
+);
+assert(
+  strictRules.includes("allow read: if request.auth.token.admin == true;"),
+  "auth で許可条件を指定できる",
+);
+assert(
+  strictRules.includes("data.keys().hasOnly([") &&
+    strictRules.includes("'tokenMap'"),
+  "strict で未定義のフィールドが拒否される",
+);
+try {
+  generateSecurityRules([Customer], { prefix: "Companies" });
+  assert(false, "無効な prefix はエラーになる");
+} catch (err) {
+  assert(true, "無効な prefix はエラーになる");
+}
+
+console.log("\n=== テスト完了 ===");
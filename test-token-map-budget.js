@@ -0,0 +1,118 @@
+/**
+ * tokenMap のサイズの制限・メモ化・上限超過時の警告とエラーをテストします。
+ *
+ * 実行方法:
+ *   node test-token-map-budget.js
+ */
+
+import FireModel from "./index.js";
+import { generateTokenMap } from "./src/utils/tokenMap.js";
+import { assert, useMemoryAdapter } from "./test/helpers.js";
+
+const longText = "あいうえおかきくけこさしすせそたちつてとなにぬねの".repeat(4);
+
+class Article extends FireModel {
+  static collectionPath = "Articles";
+  static tokenFields = [
+    "title",
+    { field: "body", maxLength: 10 },
+    { field: "summary", maxTokens: 5 },
+  ];
+  static tokenizer = { budget: 30 };
+  static classProps = {
+    title: { type: String, default: "" },
+    body: { type: String, default: "" },
+    summary: { type: String, default: "" },
+  };
+}
+
+class StrictArticle extends Article {
+  static tokenizer = { budget: 30, onBudgetExceeded: "error" };
+}
+
+const warnings = [];
+const adapter = useMemoryAdapter();
+Object.defineProperty(adapter, "logger", {
+  get: () => ({ warn: (...args) => warnings.push(args) }),
+});
+
+console.log("=== tokenMap のサイズ制限のテスト ===\n");
+
+// テストケース1: フィールドごとの制限
+console.log("【テスト1】maxLength / maxTokens");
+const article = new Article({ body: longText, summary: longText });
+const usage = article.getTokenMapUsage();
+console.log("  - usage:", usage);
+assert(usage.fields.body === 19, "maxLength の文字数のみトークン化される");
+assert(usage.fields.summary === 5, "maxTokens の件数のみトークンが生成される");
+assert(
+  Object.keys(
+    generateTokenMap([{ field: "body", maxLength: 2 }], { body: "abc" }),
+  ).join(",") === "a,ab,b",
+  "generateTokenMap でも制限が適用される",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース2: メモ化
+console.log("【テスト2】メモ化");
+const first = article.tokenMap;
+assert(
+  article.tokenMap === first,
+  "tokenFields が変更されなければ同じ tokenMap が返される",
+);
+assert(Object.isFrozen(first), "tokenMap は変更できない");
+article.title = "見出し";
+assert(article.tokenMap !== first, "tokenFields が変更されると再生成される");
+assert(article.tokenMap["見出"] === true, "変更後の値でトークンが生成される");
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース3: budget の超過（警告）
+console.log("【テスト3】budget の超過（警告）");
+await new Article({ title: "短い" }).create();
+assert(warnings.length === 0, "budget 以内なら警告は出力されない");
+const large = new Article({ title: longText.slice(0, 20) });
+assert(
+  large.getTokenMapUsage().exceeded,
+  "budget を超えていることを確認できる",
+);
+await large.create();
+console.log("  - warning:", warnings[0]?.[0]);
+assert(warnings.length === 1, "書き込み前に警告が出力される");
+assert(
+  (await new Article().fetchDoc({ docId: large.docId })) !== null,
+  "警告の場合は書き込まれる",
+);
+assert(large.invalidReasons.length === 0, "警告の場合は検証エラーにならない");
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース4: budget の超過（エラー）
+console.log("【テスト4】budget の超過（エラー）");
+const strict = new StrictArticle({ title: longText.slice(0, 20) });
+assert(
+  strict.invalidReasons.some(({ code }) => code === "TOKEN_MAP_SIZE_ERROR"),
+  "TOKEN_MAP_SIZE_ERROR が検証エラーに含まれる",
+);
+let error = null;
+try {
+  await strict.create();
+} catch (err) {
+  error = err;
+}
+assert(
+  error?.name === "ValidationError",
+  "create() で ValidationError がスローされる",
+);
+assert(
+  (await new StrictArticle().fetchDocs()).length === 2,
+  "エラーの場合は書き込まれない",
+);
+strict.title = "短い";
+assert(
+  strict.invalidReasons.length === 0,
+  "budget 以内に収まればエラーは解消される",
+);
+
+console.log("\n=== テスト完了 ===");
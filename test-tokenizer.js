@@ -0,0 +1,184 @@
+/**
+ * tokenizer の設定による tokenMap の生成と文字列検索をテストします。
+ *
+ * 実行方法:
+ *   node test-tokenizer.js
+ */
+
+import FireModel from "./index.js";
+import { generateTokenMap } from "./src/utils/tokenMap.js";
+import { assert, useMemoryAdapter } from "./test/helpers.js";
+
+class LegacyCustomer extends FireModel {
+  static collectionPath = "LegacyCustomers";
+  static tokenFields = ["name"];
+  static classProps = {
+    name: { type: String, default: "" },
+  };
+}
+
+class Customer extends FireModel {
+  static collectionPath = "Customers";
+  static tokenFields = ["name", { field: "nameKana", weight: 0.5 }];
+  static tokenizer = {
+    ngram: [2, 3],
+    caseFold: true,
+    normalizeWidth: true,
+    normalizeKana: true,
+    postFilter: true,
+  };
+  static classProps = {
+    name: { type: String, default: "" },
+    nameKana: { type: String, default: "" },
+    status: { type: String, default: "active" },
+  };
+}
+
+useMemoryAdapter();
+
+console.log("=== tokenizer のテスト ===\n");
+
+// テストケース1: 既定の tokenizer（従来の動作）
+console.log("【テスト1】既定の tokenizer");
+const legacy = new LegacyCustomer({ name: "Air 商事" });
+assert(
+  Object.keys(legacy.tokenMap).join(",") === "A,Ai,i,ir,r,r商,商,商事,事",
+  "従来どおり1文字・2文字のトークンが生成される",
+);
+assert(
+  JSON.stringify(generateTokenMap(["name"], { name: "ab" })) ===
+    JSON.stringify({ a: true, ab: true, b: true }),
+  "generateTokenMap は tokenizer 省略時に従来の結果を返す",
+);
+await legacy.create();
+await new LegacyCustomer({ name: "Air 物産" }).create();
+const legacyDocs = await new LegacyCustomer().fetchDocs({ constraints: "air" });
+assert(legacyDocs.length === 0, "既定では大文字・小文字を区別する");
+assert(
+  (await new LegacyCustomer().fetchDocs({ constraints: "Air商" })).length === 1,
+  "既定の検索が従来どおり動作する",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース2: 正規化
+console.log("【テスト2】正規化と N-gram の文字数");
+const customer = new Customer({
+  name: "ＡＩＲ　ｼｮｳｼﾞ",
+  nameKana: "エアショウジ",
+});
+const tokens = Object.keys(customer.tokenMap);
+assert(tokens.includes("air"), "全角英字が半角小文字に正規化される");
+assert(tokens.includes("しょう"), "半角カナ・カタカナがひらがなに正規化される");
+assert(
+  tokens.every((token) => token.length >= 2 && token.length <= 3),
+  "ngram で指定した文字数のトークンのみ生成される",
+);
+assert(
+  Customer.getSearchTokens("Ａｉｒｼｮ").join(",") === "air,irし,rしょ",
+  "検索文字列も同じ規則で正規化され、最大の N-gram が使用される",
+);
+assert(
+  Customer.getSearchTokens("エ").length === 0,
+  "最小の N-gram より短い検索文字列はトークンを生成しない",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース3: postFilter
+console.log("【テスト3】postFilter");
+await customer.create();
+await new Customer({ name: "エアー商事", nameKana: "えあーしょうじ" }).create();
+await new Customer({ name: "エアーとアーショ", nameKana: "" }).create();
+await new Customer({
+  name: "ショウジエアーショ",
+  nameKana: "",
+  status: "inactive",
+}).create();
+const found = await new Customer().fetchDocs({ constraints: "air" });
+assert(
+  found.length === 1 && found[0].docId === customer.docId,
+  "大文字・小文字や全角・半角を区別せずに検索できる",
+);
+class UnfilteredCustomer extends Customer {
+  static tokenizer = { ...Customer.tokenizer, postFilter: false };
+}
+const candidates = await new UnfilteredCustomer().fetchDocs({
+  constraints: "エアーショ",
+});
+assert(candidates.length === 3, "tokenMap 検索では 3 件の候補が取得される");
+const kana = await new Customer().fetchDocs({ constraints: "エアーショ" });
+console.log(
+  "  - results:",
+  kana.map(({ name }) => name),
+);
+assert(
+  kana.length === 2 && kana.every((doc) => doc.matchesSearch("エアーショ")),
+  "検索文字列を含まない候補が除外される",
+);
+const filtered = await new Customer().fetchDocs({
+  constraints: "エアーショ",
+  options: [["where", "status", "==", "active"]],
+});
+assert(filtered.length === 1, "options の条件と組み合わせられる");
+
+const shortSearches = [
+  [
+    "fetchDocs",
+    () => new UnfilteredCustomer().fetchDocs({ constraints: "エ" }),
+  ],
+  ["paginate", () => new UnfilteredCustomer().paginate({ constraints: "エ" })],
+  ["count", () => UnfilteredCustomer.count({ constraints: "エ" })],
+  [
+    "subscribeDocs",
+    async () => new UnfilteredCustomer().subscribeDocs({ constraints: "エ" }),
+  ],
+];
+for (const [label, search] of shortSearches) {
+  let error = null;
+  try {
+    await search();
+  } catch (err) {
+    error = err;
+  }
+  assert(
+    error?.message.includes("produces no search tokens"),
+    `最小の N-gram より短い検索文字列はエラー（${label}）`,
+  );
+}
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース4: weight とカスタム関数
+console.log("【テスト4】weight とカスタム関数");
+const scored = new Customer({ name: "エア商事", nameKana: "えあしょうじ" });
+assert(
+  scored.searchScore("えあ") === 1.5,
+  "一致したフィールドの weight が加算される",
+);
+assert(scored.searchScore("ショウジ") === 0.5, "正規化後の値で一致を判定する");
+assert(scored.searchScore("物産") === 0, "一致しなければ 0");
+
+class Tagged extends FireModel {
+  static collectionPath = "Tagged";
+  static tokenFields = ["tags"];
+  static tokenizer = {
+    normalize: (text) => text.replace(/髙/g, "高"),
+    tokenize: (text) => text.split(","),
+  };
+  static classProps = {
+    tags: { type: String, default: "" },
+  };
+}
+const tagged = new Tagged({ tags: "髙橋,営業部" });
+assert(
+  Object.keys(tagged.tokenMap).join(",") === "高橋,営業部",
+  "独自の normalize / tokenize 関数を使用できる",
+);
+await tagged.create();
+assert(
+  (await new Tagged().fetchDocs({ constraints: "髙橋" })).length === 1,
+  "検索文字列にも独自の関数が適用される",
+);
+
+console.log("\n=== テスト完了 ===");
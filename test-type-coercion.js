@@ -0,0 +1,96 @@
+/**
+ * 型チェック（TYPE_ERROR）と型変換（coerce）をテストします。
+ *
+ * 実行方法:
+ *   node test-type-coercion.js
+ */
+
+import { BaseClass } from "./index.js";
+import { assert } from "./test/helpers.js";
+
+class Item extends BaseClass {
+  static classProps = {
+    name: { type: String, default: "" },
+  };
+}
+
+class Order extends BaseClass {
+  static classProps = {
+    title: { type: String, default: "" },
+    quantity: { type: Number, default: 0 },
+    isPaid: { type: Boolean, default: false },
+    items: { type: Array, default: () => [], customClass: Item },
+  };
+}
+
+class OrderForm extends BaseClass {
+  static classProps = {
+    quantity: { type: Number, default: null, coerce: true },
+    isPaid: { type: Boolean, default: false, coerce: true },
+    orderedAt: { type: Date, default: null, coerce: true },
+  };
+}
+
+const typeErrors = (instance) =>
+  instance.invalidReasons
+    .filter(({ code }) => code === "TYPE_ERROR")
+    .map(({ field }) => field);
+
+console.log("=== 型チェックと型変換のテスト ===\n");
+
+// テストケース1: 型チェック
+console.log("【テスト1】TYPE_ERROR");
+const order = new Order({ title: "注文", quantity: 1, items: [{ name: "A" }] });
+assert(!order.isInvalid, "型が一致していればエラーにならない");
+order.quantity = "12";
+order.isPaid = "true";
+assert(
+  typeErrors(order).join(",") === "quantity,isPaid",
+  "型が一致しないプロパティが TYPE_ERROR になる",
+);
+console.log("  -", order.invalidReasons[0].message);
+order.quantity = null;
+order.isPaid = false;
+order.items.push({ name: "B" });
+assert(
+  typeErrors(order).join(",") === "items",
+  "配列にカスタムクラス以外の要素が含まれると TYPE_ERROR になる",
+);
+assert(
+  order.invalidReasons[0].message.includes("Array<Item>"),
+  "メッセージに要素の型が含まれる",
+);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース2: 初期化時の型変換
+console.log("【テスト2】初期化時の coerce");
+const form = new OrderForm({
+  quantity: " 12 ",
+  isPaid: "true",
+  orderedAt: "2025-04-01T09:00:00Z",
+});
+assert(form.quantity === 12, "文字列が数値に変換される");
+assert(form.isPaid === true, "文字列が真偽値に変換される");
+assert(form.orderedAt instanceof Date, "文字列が Date に変換される");
+assert(!form.isInvalid, "変換後はエラーにならない");
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース3: 代入時の型変換
+console.log("【テスト3】代入時の coerce");
+form.quantity = "";
+assert(form.quantity === null, "空文字列は null に変換される");
+form.isPaid = "0";
+assert(form.isPaid === false, "'0' は false に変換される");
+form.quantity = "abc";
+assert(form.quantity === "abc", "変換できない値はそのまま保持される");
+assert(
+  typeErrors(form).join(",") === "quantity",
+  "変換できない値は TYPE_ERROR",
+);
+form.quantity = "3";
+assert(form.toObject().quantity === 3, "toObject に変換後の値が含まれる");
+assert(form.clone().quantity === 3, "clone でも変換後の値が保持される");
+
+console.log("\n=== テスト完了 ===");
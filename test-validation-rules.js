@@ -0,0 +1,123 @@
+/**
+ * classProps の宣言的なバリデーションルールをテストします。
+ *
+ * 実行方法:
+ *   node test-validation-rules.js
+ */
+
+import { BaseClass } from "./index.js";
+import { assert } from "./test/helpers.js";
+
+class Member extends BaseClass {
+  static classProps = {
+    code: { type: String, default: "", length: { min: 4, max: 8 } },
+    zipcode: { type: String, default: "", pattern: /^\d{3}-\d{4}$/ },
+    rank: { type: String, default: "", enum: ["A", "B", "C"] },
+    email: { type: String, default: "", email: true },
+    website: { type: String, default: "", url: true },
+    tel: { type: String, default: "", phone: true },
+    age: { type: Number, default: null, min: 0, max: 120 },
+    tags: {
+      type: Array,
+      default: () => [],
+      minLength: 1,
+      unique: true,
+      enum: ["new", "vip", "staff"],
+    },
+  };
+}
+
+const codesOf = (instance) =>
+  instance.invalidReasons.map(({ field, code }) => `${field}:${code}`);
+
+console.log("=== 宣言的バリデーションルールのテスト ===\n");
+
+// テストケース1: 正常な値
+console.log("【テスト1】正常な値");
+const valid = new Member({
+  code: "M001",
+  zipcode: "100-0001",
+  rank: "A",
+  email: "taro@example.com",
+  website: "https://example.com",
+  tel: "03-1234-5678",
+  age: 30,
+  tags: ["new", "vip"],
+});
+assert(!valid.isInvalid, "エラーにならない");
+const empty = new Member({ tags: ["new"] });
+assert(!empty.isInvalid, "空文字列や null はルールの対象外");
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース2: 不正な値
+console.log("【テスト2】不正な値");
+const invalid = new Member({
+  code: "M1",
+  zipcode: "1000001",
+  rank: "D",
+  email: "taro@",
+  website: "ftp://example.com",
+  tel: "123",
+  age: 130,
+  tags: ["new", "new", "guest"],
+});
+const codes = codesOf(invalid);
+[
+  "code:MIN_LENGTH_ERROR",
+  "zipcode:PATTERN_ERROR",
+  "rank:ENUM_ERROR",
+  "email:EMAIL_ERROR",
+  "website:URL_ERROR",
+  "tel:PHONE_ERROR",
+  "age:MAX_ERROR",
+  "tags:ENUM_ERROR",
+  "tags:UNIQUE_ERROR",
+].forEach((expected) => assert(codes.includes(expected), expected));
+invalid.code = "M0000001X";
+invalid.age = -1;
+invalid.tags = [];
+const codes2 = codesOf(invalid);
+assert(codes2.includes("code:LENGTH_ERROR"), "code:LENGTH_ERROR");
+assert(codes2.includes("age:MIN_ERROR"), "age:MIN_ERROR");
+assert(
+  codes2.includes("tags:MIN_LENGTH_ARRAY_ERROR"),
+  "tags:MIN_LENGTH_ARRAY_ERROR",
+);
+const reason = invalid.invalidReasons.find(({ code }) => code === "MIN_ERROR");
+console.log("  -", reason.message, "/", reason.messages.ja);
+
+console.log("\n" + "=".repeat(50) + "\n");
+
+// テストケース3: プロパティ名を指定した unique
+console.log("【テスト3】プロパティ名を指定した unique");
+class Line extends BaseClass {
+  static classProps = {
+    productId: { type: String, default: "" },
+    quantity: { type: Number, default: 1 },
+  };
+}
+class Cart extends BaseClass {
+  static classProps = {
+    lines: {
+      type: Array,
+      default: () => [],
+      customClass: Line,
+      unique: "productId",
+    },
+  };
+}
+const cart = new Cart({
+  lines: [
+    { productId: "P1", quantity: 1 },
+    { productId: "P2", quantity: 1 },
+  ],
+});
+assert(!cart.isInvalid, "productId が異なれば重複しない");
+cart.lines.push(new Line({ productId: "P1", quantity: 3 }));
+assert(
+  codesOf(cart).includes("lines:UNIQUE_ERROR"),
+  "productId が同じ要素は重複と判定される",
+);
+
+console.log("\n=== テスト完了 ===");
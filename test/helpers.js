@@ -0,0 +1,27 @@
+/**
+ * テストスクリプト（test-*.js）で共通に使用するヘルパーです。
+ */
+import FireModel, { MemoryAdapter } from "../index.js";
+
+/**
+ * 条件の結果を ✅ / ❌ で出力します。
+ * - 条件が偽の場合は `process.exitCode` を 1 にします（スクリプトは最後まで実行されます）。
+ * @param {boolean} condition - 検証する条件
+ * @param {string} label - 出力するテスト項目の説明
+ */
+export const assert = (condition, label) => {
+  console.log(condition ? `✅ ${label}` : `❌ ${label}`);
+  if (!condition) process.exitCode = 1;
+};
+
+/**
+ * MemoryAdapter を生成し、FireModel に設定して返します。
+ * - 生成したアダプターに対する変更（メソッドの置き換えなど）は、設定後でも反映されます。
+ * @param {Object} [options] - MemoryAdapter のオプション
+ * @returns {MemoryAdapter} 設定したアダプター
+ */
+export const useMemoryAdapter = (options) => {
+  const adapter = new MemoryAdapter(options);
+  FireModel.setAdapter(adapter);
+  return adapter;
+};